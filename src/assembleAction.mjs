@@ -1,22 +1,61 @@
 import fs from 'fs/promises';
+import { createReadStream } from 'fs';
 import crypto from 'node:crypto';
 import path from 'node:path';
+import { promisify } from 'node:util';
+import zlib from 'node:zlib';
 import { $ as zx } from 'zx';
-import { extractEntriesByArchitecture } from './repository.mjs';
+import { extractEntriesByArchitecture, readReleaseMetadata, CONTENTS_FRAGMENT_PREFIX, parseContentsFragment } from './repository.mjs';
+import { serializeDeb822, getField } from './deb822.mjs';
+import { compareVersions } from './version.mjs';
+import { pruneAction, hasPrunePolicy } from './pruneAction.mjs';
+import { redirectsAction } from './redirectsAction.mjs';
+import { signReleaseFile, checkSigningConfigured, readCertificate } from './signing.mjs';
+import { writeClientSetup } from './clientSetup.mjs';
+import { snapshotFiles, compareSnapshots, diffPackages, readIfExists } from './summary.mjs';
 import { fdir } from 'fdir';
 
 /**
  * Action handler for the assemble command
- * Parses all Packages files from pool/ subdirectories, groups entries by Architecture,
- * and writes separate Packages files to dists/stable/main/binary-${arch}/Packages for each architecture
+ * Parses all Packages files from pool/ subdirectories, groups entries by suite, component and Architecture,
+ * and writes separate Packages files to dists/${suite}/${component}/binary-${arch}/Packages for each architecture,
+ * plus dists/${suite}/${component}/Contents-${arch}.gz from the Contents fragments recorded at import.
+ * Each release is published to the suites and component recorded in its release.json;
+ * without those, stable releases go to the stable suite and prereleases to options.prereleaseSuite,
+ * in the main component.
  * @param {Object} options - Command options
  * @param {string} [options.output] - Output directory
+ * @param {string} [options.prereleaseSuite] - Suite for prerelease entries
+ * @param {string[]} [options.compress] - Compressed variants to write of each index: gz, xz
+ * @param {string[]} [options.hashes] - Checksums to list in the Release file: md5, sha1, sha256, sha512
+ * @param {boolean|string|number} [options.byHash] - Publish by-hash copies of indices, keeping this many generations
+ * @param {string} [options.duplicates] - What to do when releases contain the same package version: newest or fail
+ * @param {string} [options.architectureAll] - How to publish Architecture: all packages, see ARCHITECTURE_ALL_MODES
+ * @param {string[]} [options.architectures] - Architectures to publish in every suite, even without packages of their own
+ * @param {number} [options.keepLast] - Prune the pool first, see pruneAction (also keepDays, dropMissing and token)
+ * @param {string} [options.redirects] - Also write redirect rules for this host, see redirectsAction
  * @param {boolean} [options.sign] - Sign the Release file
+ * @param {string} [options.siteUrl] - Also write .sources files and a landing page for this URL, see writeClientSetup
+ * @param {function(string): void} [options.log] - Prints progress (defaults to console.log)
+ * Release metadata options are described at releaseMetadataForSuite; signing options at signReleaseFile.
+ * The signing certificate is published as archive-keyring.pgp and archive-keyring.asc.
+ * @returns {Promise<{changed: boolean, pruned: string[], packages: Object[], files: {written: string[], removed: string[]}}>}
+ *   What changed: the pool directories pruned, the packages added to and removed from each index,
+ *   and the files written or removed outside the pool (see snapshotFiles)
  */
 
 export async function assembleAction(options) {
   const outputDir = path.resolve(options.output);
   const poolDir = path.join(outputDir, 'pool');
+  const log = options.log ?? console.log;
+
+  if (options.sign) {
+    checkSigningConfigured(options);
+  }
+
+  // Everything but the pool, where releases are only removed by pruning
+  const before = await snapshotFiles(outputDir, { excludeDirs: ['pool'] });
+  const pruned = hasPrunePolicy(options) ? await pruneAction(options) : [];
 
   const packagesFiles = await findFilesRecursive(poolDir, 'Packages');
 
@@ -24,109 +63,735 @@ export async function assembleAction(options) {
     throw new Error(`No Packages files found in ${poolDir}`);
   }
 
-  console.log(`Found ${packagesFiles.length} Packages file(s)`);
-  console.log(`Parsing and grouping entries by architecture...`);
+  log(`Found ${packagesFiles.length} Packages file(s)`);
+  log(`Parsing and grouping entries by suite, component and architecture...`);
 
-  const entriesByArch = new Map();
+  // suite → component → architecture → entries
+  const entriesBySuite = new Map();
+  // suite → component → architecture → installed path → qualified package names
+  const contentsBySuite = new Map();
 
   for (const packagesFile of packagesFiles) {
+    const metadata = await readReleaseMetadata(path.dirname(packagesFile));
+    const suites = metadata.suites ?? [suiteForChannel(metadata.channel, options)];
+    const component = metadata.component ?? 'main';
     const content = await fs.readFile(packagesFile, 'utf-8');
     const entries = extractEntriesByArchitecture(content);
+    // Fall back to the Packages file's age for releases imported without a publish date
+    const publishedAt = Date.parse(metadata.publishedAt) || (await fs.stat(packagesFile)).mtimeMs;
+    const contentsFragments = await readContentsFragments(path.dirname(packagesFile));
 
-    for (const { architecture, entry } of entries) {
-      if (!entriesByArch.has(architecture)) {
-        entriesByArch.set(architecture, []);
+    for (const suite of suites) {
+      const entriesByArch = getOrCreate(getOrCreate(entriesBySuite, suite), component);
+      for (const { architecture, paragraph } of entries) {
+        getOrCreate(entriesByArch, architecture, () => []).push({ paragraph, publishedAt });
+      }
+
+      const contentsByArch = getOrCreate(getOrCreate(contentsBySuite, suite), component);
+      for (const [architecture, rows] of contentsFragments.entries()) {
+        const packagesByPath = getOrCreate(contentsByArch, architecture);
+        for (const [filePath, qualifiedName] of rows) {
+          getOrCreate(packagesByPath, filePath, () => new Set()).add(qualifiedName);
+        }
       }
-      entriesByArch.get(architecture).push(entry);
     }
   }
 
-  if (entriesByArch.size === 0) {
+  for (const [suite, entriesByComponent] of entriesBySuite.entries()) {
+    for (const [component, entriesByArch] of entriesByComponent.entries()) {
+      if (entriesByArch.size === 0) {
+        entriesByComponent.delete(component);
+      }
+    }
+    if (entriesByComponent.size === 0) {
+      entriesBySuite.delete(suite);
+    }
+  }
+
+  if (entriesBySuite.size === 0) {
     throw new Error('No package entries with Architecture field found');
   }
 
-  console.log(`Found ${entriesByArch.size} architecture(s): ${Array.from(entriesByArch.keys()).sort().join(', ')}`);
+  // Settle duplicates before writing anything, so a failure leaves the previous indices in place
+  for (const [suite, entriesByComponent] of entriesBySuite.entries()) {
+    for (const [component, entriesByArch] of entriesByComponent.entries()) {
+      for (const [arch, entries] of entriesByArch.entries()) {
+        const where = `${suite}/${component}/binary-${arch}`;
+        entriesByArch.set(arch, resolveDuplicateEntries(entries, options.duplicates ?? DEFAULT_DUPLICATES, where, log));
+      }
+    }
+  }
 
-  // Write Packages file for each architecture
-  for (const [arch, entries] of entriesByArch.entries()) {
-    const distPath = path.join(outputDir, 'dists', 'stable', 'main', `binary-${arch}`);
-    const packagesPath = path.join(distPath, 'Packages');
+  let certificate;
+  const packageChanges = [];
+  for (const [suite, literalEntriesByComponent] of entriesBySuite.entries()) {
+    const { mode, architectures, indices: entriesByComponent, contents: contentsByComponent } = arrangeArchitectures(
+      literalEntriesByComponent,
+      contentsBySuite.get(suite) ?? new Map(),
+      options.architectureAll ?? DEFAULT_ARCHITECTURE_ALL,
+      options.architectures,
+      log
+    );
+    entriesBySuite.set(suite, entriesByComponent);
 
-    await fs.mkdir(distPath, { recursive: true });
+    for (const [component, entriesByArch] of entriesByComponent.entries()) {
+      log(`\n${suite}/${component}: ${entriesByArch.size} architecture(s): ${Array.from(entriesByArch.keys()).sort().join(', ')}`);
+      const contentsPaths = [];
 
-    // Write all entries for this architecture
-    const packagesContent = entries.join('\n\n') + '\n';
-    await fs.writeFile(packagesPath, packagesContent, 'utf-8');
+      // Write Packages file for each architecture
+      for (const [arch, entries] of entriesByArch.entries()) {
+        const distPath = path.join(outputDir, 'dists', suite, component, `binary-${arch}`);
+        const packagesPath = path.join(distPath, 'Packages');
 
-    console.log(`  Created ${packagesPath} (${entries.length} package(s))`);
+        await fs.mkdir(distPath, { recursive: true });
 
-    // Compress the Packages file to Packages.xz
-    await zx`xz -k -f ${packagesPath}`;
+        // Write all entries for this architecture
+        const packagesContent = serializeDeb822(entries);
+        // Architecture: all packages merged into this index count as changes to it
+        const changes = diffPackages(await readIfExists(packagesPath), packagesContent);
+        if (changes.length > 0) {
+          packageChanges.push({
+            suite,
+            component,
+            architecture: arch,
+            added: changes.flatMap((change) => change.added).sort(),
+            removed: changes.flatMap((change) => change.removed).sort(),
+          });
+        }
+        await fs.writeFile(packagesPath, packagesContent, 'utf-8');
+
+        log(`  Created ${packagesPath} (${entries.length} package(s))`);
+
+        const compressedPaths = await compressIndexFile(packagesPath, options.compress ?? DEFAULT_COMPRESSION);
+
+        if (options.byHash) {
+          await publishByHash(
+            distPath,
+            [packagesPath, ...compressedPaths],
+            options.hashes ?? DEFAULT_HASHES,
+            parseGenerations(options.byHash)
+          );
+        }
+
+        const packagesByPath = contentsByComponent.get(component)?.get(arch);
+        if (packagesByPath) {
+          const contentsPath = path.join(outputDir, 'dists', suite, component, `Contents-${arch}.gz`);
+          await writeContentsIndex(contentsPath, packagesByPath);
+          log(`  Created ${contentsPath} (${packagesByPath.size} file(s))`);
+          contentsPaths.push(contentsPath);
+        }
+      }
+
+      // Contents indices of every architecture share the component's by-hash directory,
+      // so they are published together as one generation
+      if (options.byHash && contentsPaths.length > 0) {
+        await publishByHash(
+          path.join(outputDir, 'dists', suite, component),
+          contentsPaths,
+          options.hashes ?? DEFAULT_HASHES,
+          parseGenerations(options.byHash)
+        );
+      }
+    }
+
+    certificate = await writeReleaseFile(
+      outputDir,
+      suite,
+      architectures,
+      Array.from(entriesByComponent.keys()).sort(),
+      options.sign && options,
+      { ...releaseMetadataForSuite(suite, options), noSupportForArchitectureAll: mode === 'both' }
+    );
   }
 
-  console.log(`\n✓ Packages files assembled successfully!`);
-  console.log(`  Created ${entriesByArch.size} architecture-specific Packages file(s) in dists/stable/main/`);
+  if (!certificate && options.signingPublicKey) {
+    certificate = await readCertificate(options.signingPublicKey);
+  }
+  await writeClientSetup(outputDir, entriesBySuite, certificate, options);
 
-  await writeReleaseFile(outputDir, Array.from(entriesByArch.keys()), options.sign);
+  log(`\n✓ Packages files assembled successfully!`);
+  for (const [suite, entriesByComponent] of entriesBySuite.entries()) {
+    for (const [component, entriesByArch] of entriesByComponent.entries()) {
+      log(`  Created ${entriesByArch.size} architecture-specific Packages file(s) in dists/${suite}/${component}/`);
+    }
+  }
+
+  if (options.redirects) {
+    await redirectsAction(options.redirects, { output: options.output, log });
+  }
+
+  const files = compareSnapshots(before, await snapshotFiles(outputDir, { excludeDirs: ['pool'] }));
+  return {
+    changed: pruned.length > 0 || files.written.length > 0 || files.removed.length > 0,
+    pruned: pruned.map((debDir) => path.relative(outputDir, debDir).split(path.sep).join('/')),
+    packages: packageChanges,
+    files,
+  };
+}
+
+/**
+ * Ways of publishing Architecture: all packages
+ * merge lists them in every binary-$arch index; binary-all publishes them only in binary-all,
+ * which apt fetches when all is among the Release file's Architectures;
+ * both does both and says so with No-Support-for-Architecture-all, for clients of either kind.
+ */
+export const ARCHITECTURE_ALL_MODES = ['merge', 'binary-all', 'both'];
+
+/**
+ * Architecture: all handling used when none is configured
+ */
+export const DEFAULT_ARCHITECTURE_ALL = 'merge';
+
+/**
+ * Decides which binary-$arch indices a suite publishes and what goes in each
+ *
+ * Every component gets an index for every published architecture, even if it is empty,
+ * so apt finds each index the Release file promises.
+ * With nothing but Architecture: all packages and no architectures configured,
+ * merge has no index to merge into and falls back to binary-all.
+ * @param {Map<string, Map<string, Array<Map<string, string>>>>} entriesByComponent - Paragraphs by component and Architecture field
+ * @param {Map<string, Map<string, Map<string, Set<string>>>>} contentsByComponent - Contents by component and Architecture field
+ * @param {string} mode - One of ARCHITECTURE_ALL_MODES
+ * @param {string[]} [extraArchitectures] - Architectures to publish even without packages of their own
+ * @param {function(string): void} [log] - Prints progress (defaults to console.log)
+ * @returns {{mode: string, architectures: string[], indices: Map, contents: Map}} Mode applied, architectures for the
+ *   Release file, and paragraphs and Contents by component and index architecture
+ */
+export function arrangeArchitectures(entriesByComponent, contentsByComponent, mode, extraArchitectures = [], log = console.log) {
+  const concrete = new Set(extraArchitectures);
+  for (const entriesByArch of entriesByComponent.values()) {
+    for (const arch of entriesByArch.keys()) {
+      if (arch !== 'all') {
+        concrete.add(arch);
+      }
+    }
+  }
+
+  const hasAll = [...entriesByComponent.values()].some((entriesByArch) => entriesByArch.has('all'));
+  const appliedMode = mode === 'merge' && concrete.size === 0 ? 'binary-all' : mode;
+  if (appliedMode !== mode) {
+    log('  Only Architecture: all packages and no --architectures given; publishing them in binary-all');
+  }
+  const architectures = [...concrete, ...(appliedMode !== 'merge' && hasAll ? ['all'] : [])].sort();
+
+  const indices = new Map();
+  const contents = new Map();
+  for (const [component, entriesByArch] of entriesByComponent.entries()) {
+    const componentContents = contentsByComponent.get(component) ?? new Map();
+    const indexEntries = new Map();
+    const indexContents = new Map();
+
+    for (const arch of architectures) {
+      const sources = arch === 'all' || appliedMode === 'binary-all' ? [arch] : [arch, 'all'];
+      indexEntries.set(arch, sources.flatMap((source) => entriesByArch.get(source) ?? []).sort(comparePackagesEntries));
+
+      const fragments = sources.map((source) => componentContents.get(source)).filter(Boolean);
+      if (fragments.length > 0) {
+        indexContents.set(arch, mergeContents(fragments));
+      }
+    }
+
+    indices.set(component, indexEntries);
+    contents.set(component, indexContents);
+  }
+
+  return { mode: appliedMode, architectures, indices, contents };
+}
+
+/**
+ * Combines Contents maps into one
+ * @param {Array<Map<string, Set<string>>>} maps - Qualified package names by installed path
+ * @returns {Map<string, Set<string>>} Union of the maps
+ */
+function mergeContents(maps) {
+  if (maps.length === 1) {
+    return maps[0];
+  }
+  const merged = new Map();
+  for (const map of maps) {
+    for (const [filePath, packages] of map) {
+      const names = getOrCreate(merged, filePath, () => new Set());
+      packages.forEach((name) => names.add(name));
+    }
+  }
+  return merged;
+}
+
+/**
+ * Parses a comma-separated list of architectures to always publish
+ * Used as argParser for Commander.js options
+ * @param {string|string[]} value - Architectures, as a comma-separated string or an array
+ * @returns {string[]} Architecture names
+ * @throws {Error} If a name is not a valid Debian architecture name, or is all
+ */
+export function parseArchitectures(value) {
+  const architectures = (Array.isArray(value) ? value : value.split(',')).map((arch) => arch.trim()).filter(Boolean);
+  for (const arch of architectures) {
+    if (!/^[a-z0-9][a-z0-9-]*$/.test(arch) || arch === 'all' || arch === 'any') {
+      throw new Error(`Invalid architecture: ${arch}`);
+    }
+  }
+  return architectures;
+}
+
+/**
+ * Reads the Contents fragments recorded next to a release's Packages file
+ * @param {string} debDir - Pool directory of the release
+ * @returns {Promise<Map<string, Array<[string, string]>>>} [path, qualified package] pairs by architecture
+ */
+async function readContentsFragments(debDir) {
+  const fragments = new Map();
+  for (const entry of await fs.readdir(debDir)) {
+    if (entry.startsWith(CONTENTS_FRAGMENT_PREFIX)) {
+      const content = await fs.readFile(path.join(debDir, entry), 'utf-8');
+      fragments.set(entry.slice(CONTENTS_FRAGMENT_PREFIX.length), parseContentsFragment(content));
+    }
+  }
+  return fragments;
+}
+
+/**
+ * Writes a gzipped Contents index
+ * Lines are sorted by path; each names every package shipping that path, comma-separated.
+ * @param {string} contentsPath - Path of the Contents-$arch.gz file to write
+ * @param {Map<string, Set<string>>} packagesByPath - Qualified package names by installed path
+ * @returns {Promise<void>}
+ */
+export async function writeContentsIndex(contentsPath, packagesByPath) {
+  const lines = Array.from(packagesByPath.keys()).sort().map((filePath) => {
+    const packages = Array.from(packagesByPath.get(filePath)).sort().join(',');
+    return `${filePath.padEnd(59)} ${packages}\n`;
+  });
+  await fs.writeFile(contentsPath, await gzip(lines.join(''), { level: zlib.constants.Z_BEST_COMPRESSION }));
+}
+
+/**
+ * Gets the value for a key of a Map, inserting a new one first if there is none
+ * @param {Map} map - Map to look in
+ * @param {*} key - Key to look up
+ * @param {Function} [create] - Creates the value to insert (defaults to a new Map)
+ * @returns {*} Existing or inserted value
+ */
+function getOrCreate(map, key, create = () => new Map()) {
+  if (!map.has(key)) {
+    map.set(key, create());
+  }
+  return map.get(key);
+}
+
+/**
+ * Policies for package versions found in more than one release
+ * newest keeps the entry from the most recently published release; fail stops the assemble.
+ */
+export const DUPLICATE_POLICIES = ['newest', 'fail'];
+
+/**
+ * Duplicate policy used when none is configured
+ */
+export const DEFAULT_DUPLICATES = 'newest';
+
+/**
+ * Keeps one entry per Package, Version and Architecture, and sorts them by package name and version
+ * Entries for the same .deb (same SHA256) are merged silently; conflicting ones are handled by the policy.
+ * @param {Array<{paragraph: Map<string, string>, publishedAt: number}>} entries - Entries with the publish time of their release
+ * @param {string} policy - One of DUPLICATE_POLICIES
+ * @param {string} where - Index being assembled, for messages
+ * @param {function(string): void} [log] - Prints progress (defaults to console.log)
+ * @returns {Array<Map<string, string>>} Remaining paragraphs in index order
+ * @throws {Error} If policy is fail and two releases hold different files for one package version
+ */
+export function resolveDuplicateEntries(entries, policy, where, log = console.log) {
+  const byKey = new Map();
+
+  for (const entry of entries) {
+    const { paragraph } = entry;
+    const key = ['Package', 'Version', 'Architecture'].map((field) => getField(paragraph, field)).join(' ');
+    const existing = byKey.get(key);
+    if (!existing) {
+      byKey.set(key, entry);
+      continue;
+    }
+
+    // Later Filename breaks ties, so the result does not depend on crawl order
+    const newer = entry.publishedAt > existing.publishedAt ||
+      (entry.publishedAt === existing.publishedAt && getField(paragraph, 'Filename') > getField(existing.paragraph, 'Filename'));
+    const [kept, dropped] = newer ? [entry, existing] : [existing, entry];
+    byKey.set(key, kept);
+
+    if (getField(kept.paragraph, 'SHA256') === getField(dropped.paragraph, 'SHA256')) {
+      continue;
+    }
+    const description = `${key} in ${where}: ${getField(kept.paragraph, 'Filename')} and ${getField(dropped.paragraph, 'Filename')}`;
+    if (policy === 'fail') {
+      throw new Error(`Conflicting duplicate package ${description}`);
+    }
+    log(`  Duplicate package ${description}; using ${getField(kept.paragraph, 'Filename')} from the newest release`);
+  }
+
+  return [...byKey.values()]
+    .map(({ paragraph }) => paragraph)
+    .sort(comparePackagesEntries);
+}
+
+/**
+ * Orders Packages entries by package name, then Debian version, then Filename
+ * @param {Map<string, string>} a - First entry
+ * @param {Map<string, string>} b - Second entry
+ * @returns {number} Negative, zero or positive
+ * @throws {Error} If an entry has an invalid Version
+ */
+export function comparePackagesEntries(a, b) {
+  const compareStrings = (x = '', y = '') => (x < y ? -1 : x > y ? 1 : 0);
+  const versionOrder = () => {
+    try {
+      return compareVersions(getField(a, 'Version') ?? '', getField(b, 'Version') ?? '');
+    } catch (error) {
+      throw new Error(`Cannot sort ${getField(a, 'Filename')} and ${getField(b, 'Filename')}: ${error.message}`);
+    }
+  };
+  return compareStrings(getField(a, 'Package'), getField(b, 'Package')) ||
+    versionOrder() ||
+    compareStrings(getField(a, 'Filename'), getField(b, 'Filename'));
+}
+
+/**
+ * Compressed index variants written when none are configured
+ */
+export const DEFAULT_COMPRESSION = ['gz'];
+
+/**
+ * Checksum algorithms listed in the Release file when none are configured
+ */
+export const DEFAULT_HASHES = ['sha256'];
+
+/**
+ * Release file checksum sections by algorithm, in the order they are emitted
+ */
+export const HASH_FIELDS = {
+  md5: 'MD5Sum',
+  sha1: 'SHA1',
+  sha256: 'SHA256',
+  sha512: 'SHA512',
+};
+
+const gzip = promisify(zlib.gzip);
+
+/**
+ * Writes compressed copies of an index file next to it
+ * gzip is done in-process; xz needs the `xz` command from xz-utils.
+ * Stale copies in formats that are no longer configured are removed.
+ * @param {string} indexPath - Path of the uncompressed index
+ * @param {string[]} formats - Compression formats: gz, xz
+ * @returns {Promise<string[]>} Paths of the compressed copies
+ */
+export async function compressIndexFile(indexPath, formats) {
+  const written = [];
+
+  for (const format of ['gz', 'xz']) {
+    const compressedPath = `${indexPath}.${format}`;
+    if (!formats.includes(format)) {
+      await fs.rm(compressedPath, { force: true });
+      continue;
+    }
+
+    if (format === 'gz') {
+      const content = await fs.readFile(indexPath);
+      await fs.writeFile(compressedPath, await gzip(content, { level: zlib.constants.Z_BEST_COMPRESSION }));
+    } else {
+      try {
+        await zx`xz -k -f ${indexPath}`;
+      } catch (error) {
+        if (error.code === 'ENOENT' || error.exitCode === 127) {
+          throw new Error('xz not found. Install xz-utils or leave xz out of --compress.');
+        }
+        throw error;
+      }
+    }
+    written.push(compressedPath);
+  }
+
+  return written;
+}
+
+/**
+ * Number of by-hash generations kept when --by-hash is given without a number
+ */
+export const DEFAULT_BY_HASH_GENERATIONS = 3;
+
+/**
+ * Name of the file recording which by-hash copies belong to which generation
+ */
+const BY_HASH_GENERATIONS_FILENAME = 'generations.json';
+
+/**
+ * Interprets the by-hash option
+ * @param {boolean|string|number} byHash - true for the default, or a number of generations
+ * @returns {number} Number of generations to keep
+ * @throws {Error} If the number is not a positive integer
+ */
+export function parseGenerations(byHash) {
+  if (byHash === true) {
+    return DEFAULT_BY_HASH_GENERATIONS;
+  }
+  const generations = Number(byHash);
+  if (!Number.isInteger(generations) || generations < 1) {
+    throw new Error(`Invalid number of by-hash generations: ${byHash}`);
+  }
+  return generations;
+}
+
+/**
+ * Publishes index files under by-hash/$ALGORITHM/$digest
+ *
+ * Copies from earlier runs are kept for the given number of generations, so clients
+ * holding an older Release file can still fetch matching indices while a new one
+ * propagates. Generations are recorded in by-hash/generations.json rather than taken
+ * from file times, which don't survive a git checkout.
+ * @param {string} indexDir - Directory holding the index files, e.g. main/binary-amd64, or main for Contents indices
+ * @param {string[]} indexFiles - Paths of the index files to publish
+ * @param {string[]} algorithms - Checksum algorithms: md5, sha1, sha256, sha512
+ * @param {number} generations - Number of generations to keep, including this one
+ * @returns {Promise<string[]>} Paths of the by-hash copies of this generation
+ */
+export async function publishByHash(indexDir, indexFiles, algorithms, generations) {
+  const byHashDir = path.join(indexDir, 'by-hash');
+  const generationsPath = path.join(byHashDir, BY_HASH_GENERATIONS_FILENAME);
+  const current = [];
+
+  for (const indexFile of indexFiles) {
+    const { hashes } = await hashFile(indexFile, algorithms);
+    for (const algorithm of algorithms) {
+      const relativePath = path.posix.join(HASH_FIELDS[algorithm], hashes[algorithm]);
+      await fs.mkdir(path.join(byHashDir, HASH_FIELDS[algorithm]), { recursive: true });
+      await fs.copyFile(indexFile, path.join(byHashDir, relativePath));
+      current.push(relativePath);
+    }
+  }
+  current.sort();
+
+  let recorded = [];
+  try {
+    recorded = JSON.parse(await fs.readFile(generationsPath, 'utf-8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw new Error(`Could not read ${generationsPath}: ${error.message}`);
+    }
+  }
+
+  const unchanged = recorded.length > 0 && JSON.stringify(recorded[0]) === JSON.stringify(current);
+  const kept = (unchanged ? recorded : [current, ...recorded]).slice(0, generations);
+  await fs.writeFile(generationsPath, JSON.stringify(kept, null, 2) + '\n', 'utf-8');
+
+  // Remove copies no kept generation refers to
+  const keep = new Set(kept.flat());
+  for (const field of Object.values(HASH_FIELDS)) {
+    let entries;
+    try {
+      entries = await fs.readdir(path.join(byHashDir, field));
+    } catch (error) {
+      if (error.code === 'ENOENT') continue;
+      throw error;
+    }
+    for (const entry of entries) {
+      if (!keep.has(path.posix.join(field, entry))) {
+        await fs.rm(path.join(byHashDir, field, entry), { force: true });
+      }
+    }
+  }
+
+  return current.map((relativePath) => path.join(byHashDir, relativePath));
+}
+
+/**
+ * Computes checksums of a file in a single read
+ * @param {string} filePath - File to hash
+ * @param {string[]} algorithms - Node.js hash algorithm names, e.g. sha256
+ * @returns {Promise<{size: number, hashes: Object<string, string>}>} Size and hex digests by algorithm
+ */
+export async function hashFile(filePath, algorithms) {
+  const hashers = algorithms.map((algorithm) => [algorithm, crypto.createHash(algorithm)]);
+  let size = 0;
+
+  for await (const chunk of createReadStream(filePath)) {
+    size += chunk.length;
+    for (const [, hasher] of hashers) {
+      hasher.update(chunk);
+    }
+  }
+
+  return {
+    size,
+    hashes: Object.fromEntries(hashers.map(([algorithm, hasher]) => [algorithm, hasher.digest('hex')])),
+  };
+}
+
+/**
+ * Determines which suite a release channel is published to
+ * @param {string} channel - Release channel recorded at import
+ * @param {Object} options - Command options
+ * @param {string} [options.prereleaseSuite] - Suite for prerelease entries
+ * @returns {string} Suite name
+ */
+export function suiteForChannel(channel, options) {
+  if (channel === 'prerelease') {
+    return options.prereleaseSuite || 'testing';
+  }
+  return 'stable';
 }
 
 
 /**
  * Write the Release file.
  * @param {string} outputDir - Output directory
+ * @param {string} suite - Suite name
  * @param {string[]} architectures - Architectures
- * @param {boolean} sign - Sign the Release file
- * @returns {Promise<void>}
+ * @param {string[]} components - Components
+ * @param {Object|false} signing - Signing options, see signReleaseFile, or false to leave the Release file unsigned
+ * @param {Object} [metadata] - Optional Release fields, see releaseMetadataForSuite
+ * @returns {Promise<{binary: Buffer, armored: string}|undefined>} Certificate of the signing key, if signed
  */
-export async function writeReleaseFile(outputDir, architectures, sign) {
-  const distPath = path.join(outputDir, 'dists', 'stable');
-  const releaseContent = await _makeReleaseContent(distPath, architectures);
+export async function writeReleaseFile(outputDir, suite, architectures, components, signing, metadata = {}) {
+  const distPath = path.join(outputDir, 'dists', suite);
+  const releaseContent = await _makeReleaseContent(distPath, architectures, components, metadata);
   const releasePath = path.join(distPath, 'Release');
 
   await fs.writeFile(releasePath, releaseContent, 'utf-8');
-  if (sign) {
-    await signReleaseFile(distPath);
+  if (signing) {
+    return signReleaseFile(distPath, signing);
   }
 }
 
 /**
  * Make the Release file content.
+ * The suite is named after the last component of distPath.
+ * Fields are emitted in the order of Debian's repository format specification.
+ * Only indices of the given components and architectures are listed,
+ * so leftovers from earlier runs are not published.
  * @param {string} distPath - Distribution path
  * @param {string[]} architectures - Architectures
+ * @param {string[]} [components] - Components
+ * @param {Object} [metadata] - Optional Release fields, see releaseMetadataForSuite
+ * @param {string[]} [metadata.hashes] - Checksum algorithms to list (defaults to sha256)
+ * @param {boolean} [metadata.noSupportForArchitectureAll] - Architecture: all packages are also in the binary-$arch indices
  * @returns {Promise<string>}
  */
-export async function _makeReleaseContent(distPath, architectures) {
-    let releaseContent = `Suite: stable
-Architectures: ${architectures.join(' ')}
-Components: main
-Date: ${new Date().toISOString()}
-SHA256:
-`;
+export async function _makeReleaseContent(distPath, architectures, components = ['main'], metadata = {}) {
+    const date = metadata.date ?? new Date();
+    const release = new Map([
+      ['Origin', metadata.origin],
+      ['Label', metadata.label],
+      ['Suite', path.basename(distPath)],
+      ['Version', metadata.version],
+      ['Codename', metadata.codename],
+      ['Date', date.toUTCString()],
+      ['Valid-Until', metadata.validUntil && new Date(date.getTime() + metadata.validUntil).toUTCString()],
+      ['NotAutomatic', metadata.notAutomatic && 'yes'],
+      ['ButAutomaticUpgrades', metadata.butAutomaticUpgrades && 'yes'],
+      ['Acquire-By-Hash', metadata.acquireByHash && 'yes'],
+      ['No-Support-for-Architecture-all', metadata.noSupportForArchitectureAll && 'Packages'],
+      ['Architectures', architectures.join(' ')],
+      ['Components', components.join(' ')],
+      ['Description', metadata.description],
+    ]);
+    for (const [name, value] of release) {
+        if (!value) {
+            release.delete(name);
+        }
+    }
+
+    const isCurrentIndex = (relativePath) => components.some((component) =>
+      architectures.some((arch) =>
+        path.dirname(relativePath) === path.join(component, `binary-${arch}`) ||
+        relativePath === path.join(component, `Contents-${arch}.gz`)
+      )
+    );
+
+    // List every index file, compressed or not, with its size and checksums
+    const indexFiles = (await findIndexFiles(distPath))
+        .map((indexFile) => path.relative(distPath, indexFile))
+        .filter(isCurrentIndex)
+        .sort();
+    const algorithms = Object.keys(HASH_FIELDS).filter((algorithm) =>
+        (metadata.hashes ?? DEFAULT_HASHES).includes(algorithm)
+    );
+    const checksums = [];
+    for (const relativePath of indexFiles) {
+        checksums.push({ relativePath, ...await hashFile(path.join(distPath, relativePath), algorithms) });
+    }
+
+    for (const algorithm of algorithms) {
+        const lines = checksums.map(({ relativePath, size, hashes }) => `${hashes[algorithm]} ${size} ${relativePath}`);
+        release.set(HASH_FIELDS[algorithm], ['', ...lines].join('\n'));
+    }
+    return serializeDeb822([release]);
+}
+
+/**
+ * Collects the optional Release fields for a suite
+ * Per-suite settings from options.suites take precedence over the global options.
+ * @param {string} suite - Suite name
+ * @param {Object} options - Command options
+ * @param {string} [options.origin] - Origin field
+ * @param {string} [options.label] - Label field
+ * @param {string} [options.codename] - Codename field
+ * @param {string} [options.releaseVersion] - Version field
+ * @param {string} [options.description] - Description field
+ * @param {string} [options.validUntil] - How long the Release file stays valid, e.g. "7d"
+ * @param {boolean} [options.notAutomatic] - Set NotAutomatic: yes
+ * @param {boolean} [options.butAutomaticUpgrades] - Set ButAutomaticUpgrades: yes
+ * @param {boolean|string|number} [options.byHash] - by-hash copies are published, so Acquire-By-Hash is set
+ * @param {Object<string, Object>} [options.suites] - Settings for individual suites
+ * @returns {Object} Release fields for _makeReleaseContent
+ */
+export function releaseMetadataForSuite(suite, options) {
+  const settings = { ...options, ...options.suites?.[suite] };
 
-    // List all Packages files with their size and SHA256 checksum
-    const packagesFiles = await findFilesRecursive(distPath, 'Packages');
-    for (const packagesFile of packagesFiles) {
-        const stats = await fs.stat(packagesFile);
-        const content = await fs.readFile(packagesFile, 'utf-8');
-        const sha256 = crypto.createHash('sha256').update(content).digest('hex');
-        releaseContent += ` ${sha256} ${stats.size} ${path.relative(distPath, packagesFile)}\n`;
+  for (const key of ['origin', 'label', 'codename', 'releaseVersion', 'description']) {
+    if (settings[key]?.includes('\n')) {
+      throw new Error(`Release ${key} must be a single line`);
     }
-    return releaseContent;
+  }
+
+  return {
+    origin: settings.origin,
+    label: settings.label,
+    codename: settings.codename,
+    version: settings.releaseVersion,
+    description: settings.description,
+    validUntil: settings.validUntil && parseDuration(settings.validUntil),
+    notAutomatic: settings.notAutomatic,
+    butAutomaticUpgrades: settings.butAutomaticUpgrades,
+    acquireByHash: Boolean(options.byHash),
+    hashes: settings.hashes,
+  };
 }
 
 /**
- * Sign the Release file.
- * 
- * Uses `sq` and assumes the SIGNING_KEY environment variable is set.
- * @param {string} distPath - Distribution path
- * @returns {Promise<void>}
+ * Parses a duration such as "12h", "7d" or "2w"
+ * @param {string} duration - Number followed by a unit: s, m, h, d or w
+ * @returns {number} Duration in milliseconds
+ * @throws {Error} If the duration cannot be parsed
  */
-export async function signReleaseFile(distPath) {
-  const releasePath = path.join(distPath, 'Release');
-  await zx`sq sign --signer-file <(printenv SIGNING_KEY) --signature-file ${releasePath}.gpg ${releasePath}`;
-  await zx`sq sign --signer-file <(printenv SIGNING_KEY) --cleartext --output ${path.join(distPath, 'InRelease')} ${releasePath}`;
+export function parseDuration(duration) {
+  const units = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+  const match = String(duration).match(/^(\d+)([smhdw])$/);
+  if (!match) {
+    throw new Error(`Invalid duration "${duration}". Use a number followed by s, m, h, d or w, e.g. 7d`);
+  }
+  return Number(match[1]) * units[match[2]];
 }
 
+/**
+ * Recursively finds all index files (Packages and its compressed variants, Contents) in a directory
+ * @param {string} dir - Directory to search
+ * @returns {Promise<string[]>} Array of file paths
+ */
+export async function findIndexFiles(dir) {
+    return (new fdir()
+      .withFullPaths()
+      .filter((filePath, isDirectory) => !isDirectory && /^(Packages(\.(gz|xz))?|Contents-.+\.gz)$/.test(path.basename(filePath)))
+      .crawl(dir)).withPromise();
+}
 
 /**
  * Recursively finds all files matching a name in a directory
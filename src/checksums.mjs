@@ -0,0 +1,115 @@
+import fs from 'fs/promises';
+import { createReadStream } from 'fs';
+import crypto from 'node:crypto';
+import path from 'path';
+import { tmpdir } from 'os';
+import { $ as zx } from 'zx';
+
+/**
+ * Names of release assets listing SHA256 checksums of the others:
+ * SHA256SUMS as Debian and Ubuntu publish it, and checksums.txt as GoReleaser does (optionally prefixed with the project and version)
+ */
+export const CHECKSUM_FILE_PATTERN = /^(?:SHA256SUMS(?:\.txt)?|(?:.+[_-])?checksums\.txt)$/i;
+
+/**
+ * Extensions of detached signatures published next to a checksum file
+ */
+export const SIGNATURE_EXTENSIONS = ['.sig', '.asc', '.gpg'];
+
+/**
+ * Finds a release's checksum file and its detached signature
+ * @param {Object} release - GitHub release object
+ * @returns {{checksums: Object|null, signature: Object|null}} Assets, null where there is none
+ */
+export function findChecksumAssets(release) {
+  const checksums = release.assets.find((asset) => CHECKSUM_FILE_PATTERN.test(asset.name)) ?? null;
+  const signature = checksums &&
+    (SIGNATURE_EXTENSIONS.map((extension) => release.assets.find((asset) => asset.name === checksums.name + extension)).find(Boolean) ?? null);
+  return { checksums, signature };
+}
+
+/**
+ * Parses a sha256sum-style checksum file
+ * Lines are a checksum and a file name, the name optionally marked binary with *;
+ * BSD-style "SHA256 (name) = checksum" lines are read as well. Other lines are ignored.
+ * @param {string} content - Checksum file content
+ * @returns {Map<string, string>} Lower-case SHA256 checksums by file name
+ */
+export function parseChecksumFile(content) {
+  const checksums = new Map();
+  for (const line of content.split(/\r?\n/)) {
+    const gnu = line.match(/^([0-9a-fA-F]{64}) [ *]?(.+)$/);
+    const bsd = line.match(/^SHA256 \((.+)\) = ([0-9a-fA-F]{64})$/);
+    if (gnu) {
+      checksums.set(path.posix.basename(gnu[2].trim()), gnu[1].toLowerCase());
+    } else if (bsd) {
+      checksums.set(path.posix.basename(bsd[1]), bsd[2].toLowerCase());
+    }
+  }
+  return checksums;
+}
+
+/**
+ * Computes the SHA256 checksum of a file
+ * @param {string} filePath - File to hash
+ * @returns {Promise<string>} Lower-case hex checksum
+ */
+export async function sha256File(filePath) {
+  const hash = crypto.createHash('sha256');
+  for await (const chunk of createReadStream(filePath)) {
+    hash.update(chunk);
+  }
+  return hash.digest('hex');
+}
+
+/**
+ * Writes a public key file as a keyring gpgv can read
+ * gpgv only reads binary keyrings, so an armored key is converted with gpg --dearmor; a binary one is copied.
+ * @param {string} keyPath - Public key file, armored or binary
+ * @param {string} keyringPath - Keyring file to write
+ * @returns {Promise<void>}
+ * @throws {Error} If an armored key cannot be converted
+ */
+export async function writeKeyring(keyPath, keyringPath) {
+  const key = await fs.readFile(keyPath);
+  if (!key.subarray(0, 64).toString('latin1').trimStart().startsWith('-----BEGIN PGP')) {
+    await fs.writeFile(keyringPath, key);
+    return;
+  }
+  // gpg reads no keyring here, but would create one in its home; give it an empty one of its own
+  const home = await fs.mkdtemp(path.join(tmpdir(), 'gh-release-apt-gnupg-'));
+  try {
+    await zx`gpg --homedir ${home} --batch --yes --output ${keyringPath} --dearmor ${keyPath}`.quiet();
+  } catch (error) {
+    throw new Error(`Could not read the public key ${keyPath}: ${String(error.stderr || error.message).trim()}`);
+  } finally {
+    await fs.rm(home, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Checks a detached OpenPGP signature with gpgv
+ * @param {Buffer} data - Signed data
+ * @param {Buffer} signature - Detached signature, armored or binary
+ * @param {string} keyPath - Public key file, armored or binary
+ * @returns {Promise<void>}
+ * @throws {Error} If the signature does not verify with the key
+ */
+export async function verifyDetachedSignature(data, signature, keyPath) {
+  const workDir = await fs.mkdtemp(path.join(tmpdir(), 'gh-release-apt-checksums-'));
+  try {
+    const keyring = path.join(workDir, 'keyring.gpg');
+    const dataPath = path.join(workDir, 'data');
+    const signaturePath = path.join(workDir, 'data.sig');
+    await writeKeyring(keyPath, keyring);
+    await fs.writeFile(dataPath, data);
+    await fs.writeFile(signaturePath, signature);
+    try {
+      await zx`gpgv --keyring ${keyring} ${signaturePath} ${dataPath}`.quiet();
+    } catch (error) {
+      throw new Error(`Bad signature: ${String(error.stderr ?? error.message).trim().split('\n').pop()}`);
+    }
+  } finally {
+    await fs.rm(workDir, { recursive: true, force: true });
+  }
+}
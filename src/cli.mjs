@@ -1,61 +1,450 @@
-import { Command } from 'commander';
-import { getLatestRelease, downloadDebAssets } from './github.mjs';
-import { organizeDebFiles } from './repository.mjs';
-import { generatePackagesFile } from './dpkg.mjs';
+import { Command, Option, Argument } from 'commander';
+import { getReleaseChannel, selectDebAssets, downloadDebAssets, downloadFile, inspectDownload, fetchAsset, DEFAULT_SERVER_URL } from './github.mjs';
+import { getReleases, resolveSource, resolveToken, resolvePoolToken, getProvider, PROVIDERS, DEFAULT_PROVIDER } from './providers.mjs';
+import { organizeDebFiles, writeReleaseMetadata, filterPackagesEntries, extractEntryFields, writeContentsFragments, readRecordedPackages, releasePoolPath } from './repository.mjs';
+import { generatePackagesFile, listDebContents } from './dpkg.mjs';
+import { inspectDebFile, buildPackagesStanza, formatPackagesFile } from './deb.mjs';
+import { serializeParagraph, getField } from './deb822.mjs';
+import fs from 'fs/promises';
 import path from 'path';
-import { assembleAction } from './assembleAction.mjs';
+import { assembleAction, parseDuration, parseGenerations, DEFAULT_COMPRESSION, DEFAULT_HASHES, DEFAULT_BY_HASH_GENERATIONS, HASH_FIELDS, DUPLICATE_POLICIES, DEFAULT_DUPLICATES, ARCHITECTURE_ALL_MODES, DEFAULT_ARCHITECTURE_ALL, parseArchitectures } from './assembleAction.mjs';
+import { pruneAction, parsePositiveInteger } from './pruneAction.mjs';
+import { redirectsAction, REDIRECT_FORMATS } from './redirectsAction.mjs';
+import { serveAction, DEFAULT_HOST, DEFAULT_PORT } from './serveAction.mjs';
+import { verifyAction } from './verifyAction.mjs';
+import { DEFAULT_CONCURRENCY, DEFAULT_RETRIES } from './network.mjs';
+import { SIGNERS, DEFAULT_SIGNER } from './signing.mjs';
+import { DEFAULT_CONFIG_FILENAME, loadConfig, importOptionsFromSource } from './config.mjs';
+import { snapshotFiles, compareSnapshots, diffPackages, readIfExists, reportSummary } from './summary.mjs';
 
 /**
  * Validates and parses the repository identifier format
  * Used as argParser for Commander.js argument validation
- * @param {string} repoIdentifier - Repository in owner/repo format
- * @returns {{owner: string, repo: string}} Parsed owner and repo
+ * The last segment is the repo and the rest the owner, so GitLab subgroups (group/subgroup/project) parse too;
+ * resolveSource refuses them for other providers.
+ * @param {string} repoIdentifier - Repository in owner/repo format, optionally prefixed with a host as host:owner/repo
+ * @returns {{owner: string, repo: string, host?: string}} Parsed owner and repo, and the host if one was given
  * @throws {Error} If format is invalid
  */
 export function parseRepository(repoIdentifier) {
-  const parts = repoIdentifier.split('/');
-  if (parts.length !== 2 || !parts[0] || !parts[1]) {
-    throw new Error('Invalid repository format. Use owner/repo');
+  const separator = repoIdentifier.lastIndexOf(':');
+  const host = separator === -1 ? undefined : repoIdentifier.slice(0, separator).toLowerCase();
+  const parts = repoIdentifier.slice(separator + 1).split('/');
+  if (parts.length < 2 || parts.some((part) => !part) || (host !== undefined && !/^[a-z0-9.-]+(:\d+)?$/.test(host))) {
+    throw new Error('Invalid repository format. Use owner/repo or host:owner/repo');
   }
-  return { owner: parts[0], repo: parts[1] };
+  return { owner: parts.slice(0, -1).join('/'), repo: parts.at(-1), ...(host && { host }) };
 }
 
 /**
  * Main action handler for the CLI command
- * @param {{owner: string, repo: string}} repository - Parsed repository object
+ * @param {{owner: string, repo: string, host?: string}} repository - Parsed repository object
  * @param {Object} options - Command options
  * @param {string} [options.output] - Output directory
- * @param {string} [options.token] - GitHub token
+ * @param {string} [options.token] - Token (defaults to the provider's environment variable, such as GITHUB_TOKEN)
+ * @param {string} [options.provider] - Provider name, see resolveSource
+ * @param {string} [options.apiUrl] - REST API base URL, see resolveSource
+ * @param {string} [options.serverUrl] - Web address, see resolveSource
+ * @param {string} [options.tag] - Import the release with this tag
+ * @param {boolean} [options.all] - Import every release
+ * @param {string} [options.since] - Import every release since this tag
+ * @param {boolean} [options.prerelease] - Include prereleases
+ * @param {string[]} [options.include] - Only import assets matching one of these patterns
+ * @param {string[]} [options.exclude] - Never import assets matching one of these patterns
+ * @param {string[]} [options.package] - Only import these package names
+ * @param {string[]} [options.arch] - Only import these architectures
+ * @param {string[]} [options.suite] - Suites to publish the imported releases in
+ * @param {string} [options.component] - Component to publish the imported releases in
+ * @param {boolean} [options.dpkgScanpackages] - Use dpkg-scanpackages and dpkg-deb instead of the built-in .deb reader
+ * @param {number} [options.concurrency] - Most downloads at once
+ * @param {number} [options.retries] - Retries of a failed download
+ * @param {string} [options.checksumsKey] - Public key the release's checksum file must be signed with
+ * @param {boolean} [options.metadataOnly] - Read the .deb files as they download instead of keeping them
+ * @param {function(string): void} [options.log] - Prints progress (defaults to console.log)
+ * @returns {Promise<{changed: boolean, releases: Object[]}>} Summary of each imported release, see importRelease
+ * @throws {Error} If metadataOnly is combined with dpkgScanpackages
  */
 export async function runAction(repository, options) {
   const { owner, repo } = repository;
+  const log = options.log ?? console.log;
+  if (options.metadataOnly && options.dpkgScanpackages) {
+    throw new Error('--metadata-only cannot be combined with --dpkg-scanpackages, which reads the .deb files from disk');
+  }
 
   const outputDir = path.resolve(options.output);
-  const token = options.token || process.env.GITHUB_TOKEN;
+  const { provider, apiUrl, serverUrl } = resolveSource(repository, options);
+  const token = resolveToken(provider, options.token);
 
-  console.log(`Fetching latest release for ${owner}/${repo}...`);
-  const release = await getLatestRelease(owner, repo, token);
+  const host = serverUrl === DEFAULT_SERVER_URL ? '' : ` on ${serverUrl}`;
+  log(`Fetching ${describeSelection(options)} for ${owner}/${repo}${host}...`);
+  const releases = await getReleases(provider, owner, repo, options, token, apiUrl);
 
-  console.log(`Found release: ${release.tag_name}`);
-  console.log(`Downloading .deb assets...`);
+  if (releases.length === 0) {
+    throw new Error(`No matching releases found for ${owner}/${repo}`);
+  }
 
-  // Download directly to pool/{owner}/{repo}/{tag_name}/ structure
-  const debFiles = await downloadDebAssets(release, owner, repo, outputDir, token);
+  const filters = {
+    include: options.include,
+    exclude: options.exclude,
+    packages: options.package,
+    architectures: options.arch,
+  };
 
-  console.log(`Downloaded ${debFiles.length} .deb file(s)`);
-  console.log(`Organizing files into APT repository structure...`);
+  const placement = {
+    suites: options.suite,
+    component: options.component,
+  };
 
-  const { debDir, packagesPath } = await organizeDebFiles(debFiles, owner, repo, release.tag_name, outputDir);
+  const imported = [];
+  for (const release of releases) {
+    imported.push(await importRelease(release, owner, repo, outputDir, token, filters, placement, {
+      dpkgScanpackages: options.dpkgScanpackages,
+      provider: provider.name,
+      apiUrl,
+      serverUrl,
+      concurrency: options.concurrency,
+      retries: options.retries,
+      checksumsKey: options.checksumsKey,
+      metadataOnly: options.metadataOnly,
+      log,
+    }));
+  }
+
+  if (releases.length > 1) {
+    log(`\n✓ Imported ${releases.length} releases: ${releases.map((release) => release.tag_name).join(', ')}`);
+  }
+  return { changed: imported.some((release) => release.changed), releases: imported };
+}
 
-  console.log(`Generating Packages file...`);
-  await generatePackagesFile(outputDir, packagesPath);
+/**
+ * Action handler for the sync command
+ * Imports every source listed in the config file, then assembles the repository.
+ * @param {Object} options - Command options
+ * @param {string} [options.config] - Path to the config file
+ * @param {string} [options.output] - Output directory, overriding the config
+ * @param {string} [options.token] - GitHub token (other hosts use their environment variable, see resolvePoolToken)
+ * @param {string} [options.apiUrl] - GitHub REST API base URL, for sources that don't set their own
+ * @param {string} [options.serverUrl] - GitHub web address, for sources that don't set their own
+ * @param {number} [options.concurrency] - Most downloads at once
+ * @param {number} [options.retries] - Retries of a failed download
+ * @param {boolean} [options.sign] - Sign the Release file (false to override the config)
+ * @param {function(string): void} [options.log] - Prints progress (defaults to console.log)
+ * @returns {Promise<{changed: boolean, releases: Object[], assemble: Object}>} Summaries of the imports and the assemble
+ */
+export async function syncAction(options) {
+  const config = await loadConfig(options.config);
+  const output = options.output ?? config.output ?? './apt-repo';
+  const token = options.token;
+  const log = options.log ?? console.log;
+  const releases = [];
 
-  console.log(`\n✓ APT repository created successfully!`);
-  console.log(`  Output directory: ${outputDir}`);
-  console.log(`  Packages file: ${packagesPath}`);
-  console.log(`  .deb files: ${debDir}`);
+  for (const source of config.sources) {
+    log(`\n== ${source.repository} ==`);
+    const repository = parseRepository(source.repository);
+    // The token and addresses given on the command line are GitHub's; other hosts use their own token variable
+    const { provider } = resolveSource(repository, { provider: source.provider });
+    const onGitHub = provider.name === DEFAULT_PROVIDER && !repository.host;
+    const imported = await runAction(repository, importOptionsFromSource(source, {
+      output,
+      token: resolvePoolToken(provider, token),
+      ...(onGitHub && { apiUrl: options.apiUrl, serverUrl: options.serverUrl }),
+      concurrency: options.concurrency,
+      retries: options.retries,
+      log,
+    }));
+    releases.push(...imported.releases);
+  }
+
+  log(`\n== Assembling ${path.resolve(output)} ==`);
+  const assembled = await assembleAction({
+    ...config.assemble,
+    output,
+    token,
+    sign: options.sign !== false && config.assemble?.sign !== false,
+    log,
+  });
+  return { changed: releases.some((release) => release.changed) || assembled.changed, releases, assemble: assembled };
 }
 
+/**
+ * Describes which releases an import will fetch, for progress output
+ * @param {Object} options - Command options
+ * @returns {string} Human-readable description
+ */
+function describeSelection(options) {
+  if (options.tag) {
+    return `release ${options.tag}`;
+  }
+  if (options.all) {
+    return 'all releases';
+  }
+  if (options.since) {
+    return `releases since ${options.since}`;
+  }
+  if (options.prerelease) {
+    return 'latest release or prerelease';
+  }
+  return 'latest release';
+}
+
+/**
+ * Downloads one release's .deb assets into the pool and writes its Packages file
+ * With metadataOnly, packages are read as they download and not kept; packages the pool already lists
+ * with the digest GitHub reports are carried over from its Packages file and Contents fragments.
+ * @param {Object} release - Release object, in the shape of GitHub's
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} outputDir - Root directory for the APT repository
+ * @param {string} [token] - Token, see resolveToken
+ * @param {Object} [filters] - Asset and package filters
+ * @param {string[]} [filters.include] - Only import assets matching one of these patterns
+ * @param {string[]} [filters.exclude] - Never import assets matching one of these patterns
+ * @param {string[]} [filters.packages] - Only import these package names
+ * @param {string[]} [filters.architectures] - Only import these architectures
+ * @param {Object} [placement] - Where assemble publishes the release (defaults depend on its channel)
+ * @param {string[]} [placement.suites] - Suites to publish the release in
+ * @param {string} [placement.component] - Component to publish the release in
+ * @param {Object} [options] - Import options
+ * @param {boolean} [options.dpkgScanpackages] - Use dpkg-scanpackages and dpkg-deb instead of the built-in .deb reader
+ * @param {string} [options.provider] - Provider the release comes from, see PROVIDERS (defaults to GitHub)
+ * @param {string} [options.apiUrl] - REST API base URL, recorded for later lookups of the release
+ * @param {string} [options.serverUrl] - Web address, recorded for redirects to the release downloads
+ * @param {number} [options.concurrency] - Most downloads at once
+ * @param {number} [options.retries] - Retries of a failed download
+ * @param {string} [options.checksumsKey] - Public key the release's checksum file must be signed with
+ * @param {boolean} [options.metadataOnly] - Read the .deb files as they download instead of keeping them
+ * @param {function(string): void} [options.log] - Prints progress (defaults to console.log)
+ * @returns {Promise<Object>} What the import changed: the assets downloaded, left unchanged, skipped by name and
+ *   rejected by their control data, the packages added and removed by architecture (see diffPackages),
+ *   and the files written and removed relative to outputDir
+ */
+export async function importRelease(release, owner, repo, outputDir, token, filters = {}, placement = {}, options = {}) {
+  const log = options.log ?? console.log;
+  const channel = getReleaseChannel(release);
+  log(`Found ${channel === 'prerelease' ? 'prerelease' : 'release'}: ${release.tag_name}`);
+
+  const { selected, skipped } = selectDebAssets(release, filters);
+  const skippedAssets = skipped.map(({ asset, reason }) => ({ name: asset.name, reason }));
+  const summary = {
+    repository: `${owner}/${repo}`,
+    tag: release.tag_name,
+    channel,
+    changed: false,
+    assets: { downloaded: [], unchanged: [], skipped: skippedAssets, rejected: [] },
+    packages: [],
+    files: { written: [], removed: [] },
+  };
+
+  if (selected.length === 0) {
+    log(`  No matching .deb assets in ${release.tag_name}, skipping`);
+    printSkippedAssets(skippedAssets, log);
+    return summary;
+  }
+
+  // The .deb files are left out of the snapshot, as their checksums are in the Packages file
+  const poolPath = releasePoolPath(owner, repo, release.tag_name, options.serverUrl);
+  const releaseDir = path.join(outputDir, poolPath);
+  const before = await snapshotFiles(releaseDir, { include: (filePath) => !filePath.endsWith('.deb') });
+  const previousPackages = await readIfExists(path.join(releaseDir, 'Packages'));
+
+  log(options.metadataOnly ? `Reading .deb assets...` : `Downloading .deb assets...`);
+
+  const recorded = options.metadataOnly
+    ? await readRecordedPackages(releaseDir)
+    : new Map();
+
+  // Download directly to the release's pool directory, reading each package once it is complete
+  // (or, keeping metadata only, while it streams past)
+  const debs = new Map();
+  const download = options.metadataOnly ? inspectDownload : downloadFile;
+  const provider = getProvider(options.provider);
+  const downloadAndInspect = async (url, filePath, auth, headers) => {
+    const deb = await download(url, filePath, auth, { ...(auth && provider.authHeaders(auth)), ...headers }, { retries: options.retries, log });
+    debs.set(filePath, deb);
+    return deb;
+  };
+  const debFiles = await downloadDebAssets(release, owner, repo, outputDir, token, downloadAndInspect, {
+    filters,
+    concurrency: options.concurrency,
+    checksumsKey: options.checksumsKey,
+    fetchAsset: (asset, auth) => fetchAsset(asset, auth, auth ? provider.authHeaders(auth) : {}),
+    metadataOnly: options.metadataOnly,
+    serverUrl: options.serverUrl,
+    log,
+  });
+
+  summary.assets.downloaded = [...debs.keys()].map((debPath) => path.basename(debPath)).sort();
+  summary.assets.unchanged = debFiles.filter((debPath) => !debs.has(debPath)).map((debPath) => path.basename(debPath)).sort();
+
+  log(`Downloaded ${debFiles.length} .deb file(s)`);
+  log(`Organizing files into APT repository structure...`);
+
+  const { debDir, packagesPath } = await organizeDebFiles(debFiles, owner, repo, release.tag_name, outputDir, options.serverUrl);
+
+  log(`Generating Packages file...`);
+  if (options.dpkgScanpackages) {
+    await generatePackagesFile(debDir, packagesPath, outputDir);
+  } else {
+    await writePackagesFile(debFiles, debs, packagesPath, outputDir, recorded);
+  }
+
+  if (filters.packages?.length || filters.architectures?.length) {
+    const { content, rejected } = filterPackagesEntries(await fs.readFile(packagesPath, 'utf-8'), filters);
+    await fs.writeFile(packagesPath, content, 'utf-8');
+    for (const { filename, reason } of rejected) {
+      await fs.rm(path.join(debDir, filename), { force: true });
+      summary.assets.rejected.push({ name: filename, reason });
+    }
+  }
+
+  log(`Recording package contents...`);
+  const listContents = options.dpkgScanpackages
+    ? listDebContents
+    : async (debPath) => debs.get(debPath)?.files ?? recorded.get(path.basename(debPath)).files;
+  await recordContents(debDir, outputDir, await fs.readFile(packagesPath, 'utf-8'), listContents);
+
+  await writeReleaseMetadata(debDir, {
+    owner,
+    repo,
+    tag: release.tag_name,
+    channel,
+    publishedAt: release.published_at,
+    ...(placement.suites?.length && { suites: placement.suites }),
+    ...(placement.component && { component: placement.component }),
+    // Only recorded off github.com, so existing pools keep their metadata
+    ...(options.provider && options.provider !== 'github' && { provider: options.provider }),
+    ...(options.serverUrl && options.serverUrl !== DEFAULT_SERVER_URL && { serverUrl: options.serverUrl, apiUrl: options.apiUrl }),
+  });
+
+  const packagesContent = await fs.readFile(packagesPath, 'utf-8');
+  const { written, removed } = compareSnapshots(before, await snapshotFiles(debDir, { include: (filePath) => !filePath.endsWith('.deb') }));
+  const previousDebs = new Set(extractEntryFields(previousPackages, ['Filename', 'SHA256']).map((entry) => `${entry.Filename} ${entry.SHA256}`));
+  const writtenDebs = options.metadataOnly ? [] : extractEntryFields(packagesContent, ['Filename', 'SHA256'])
+    .filter((entry) => !previousDebs.has(`${entry.Filename} ${entry.SHA256}`))
+    .map((entry) => path.basename(entry.Filename));
+  const relative = (name) => path.posix.join(poolPath, name);
+  summary.packages = diffPackages(previousPackages, packagesContent);
+  summary.files = { written: [...writtenDebs, ...written].map(relative).sort(), removed: removed.map(relative) };
+  summary.changed = summary.files.written.length > 0 || summary.files.removed.length > 0;
+
+  log(`\n✓ APT repository created successfully!`);
+  log(`  Output directory: ${outputDir}`);
+  log(`  Packages file: ${packagesPath}`);
+  log(options.metadataOnly ? `  .deb files: not kept (metadata only)` : `  .deb files: ${debDir}`);
+  printSkippedAssets([...skippedAssets, ...summary.assets.rejected], log);
+  return summary;
+}
+
+/**
+ * Writes a release's Packages file with the built-in .deb reader
+ * Packages that were not read during download (because they were already present) are taken from
+ * the recorded entries, or else read from disk.
+ * @param {string[]} debFiles - Paths of the release's .deb files
+ * @param {Map<string, Object>} debs - inspectDeb results by path, filled in for files that are read here
+ * @param {string} packagesPath - Path of the Packages file to write
+ * @param {string} outputDir - Root directory for the APT repository, which Filename fields are relative to
+ * @param {Map<string, {paragraph: Map<string, string>}>} [recorded] - Entries carried over from an earlier import, see readRecordedPackages
+ * @returns {Promise<void>}
+ */
+async function writePackagesFile(debFiles, debs, packagesPath, outputDir, recorded = new Map()) {
+  const stanzas = [];
+  for (const debPath of debFiles) {
+    const previous = recorded.get(path.basename(debPath));
+    if (!debs.has(debPath) && previous) {
+      const { paragraph } = previous;
+      stanzas.push({ name: getField(paragraph, 'Package'), version: getField(paragraph, 'Version') ?? '', stanza: serializeParagraph(paragraph) });
+      continue;
+    }
+    if (!debs.has(debPath)) {
+      debs.set(debPath, await inspectDebFile(debPath));
+    }
+    stanzas.push(buildPackagesStanza(debs.get(debPath), `./${path.relative(outputDir, debPath)}`));
+  }
+  await fs.writeFile(packagesPath, formatPackagesFile(stanzas), 'utf-8');
+}
+
+/**
+ * Records the files installed by each package of a release as Contents fragments
+ * The fragments stay in the pool so assemble can build Contents indices without the .deb files.
+ * @param {string} debDir - Pool directory of the release
+ * @param {string} outputDir - Root directory for the APT repository
+ * @param {string} packagesContent - Content of the release's Packages file
+ * @param {function(string): Promise<string[]>} listContents - Lists the files installed by the .deb at a path
+ * @returns {Promise<void>}
+ */
+async function recordContents(debDir, outputDir, packagesContent, listContents) {
+  const contentsByArch = new Map();
+  const entries = extractEntryFields(packagesContent, ['Package', 'Architecture', 'Section', 'Filename']);
+
+  for (const { Package: packageName, Architecture: architecture, Section: section, Filename: filename } of entries) {
+    const qualifiedName = section ? `${section}/${packageName}` : packageName;
+    const files = await listContents(path.join(outputDir, filename));
+    if (!contentsByArch.has(architecture)) {
+      contentsByArch.set(architecture, []);
+    }
+    contentsByArch.get(architecture).push(...files.map((file) => [file, qualifiedName]));
+  }
+
+  await writeContentsFragments(debDir, contentsByArch);
+}
+
+/**
+ * Prints the assets left out of an import and why
+ * @param {Array<{name: string, reason: string}>} skippedAssets - Skipped assets
+ * @param {function(string): void} log - Prints a line
+ */
+function printSkippedAssets(skippedAssets, log) {
+  if (skippedAssets.length === 0) {
+    return;
+  }
+  log(`  Skipped ${skippedAssets.length} asset(s):`);
+  for (const { name, reason } of skippedAssets) {
+    log(`    ${name}: ${reason}`);
+  }
+}
+
+/**
+ * Validates a comma-separated option value against the allowed choices
+ * Used as argParser for Commander.js list options
+ * @param {string[]} choices - Allowed values
+ * @returns {function(string): string[]} Parser returning the listed values
+ */
+export function parseList(choices) {
+  return (value) => {
+    const values = value.split(',').map((item) => item.trim()).filter(Boolean);
+    const invalid = values.filter((item) => !choices.includes(item));
+    if (invalid.length > 0) {
+      throw new Error(`Unsupported value(s) ${invalid.join(', ')}. Choose from: ${choices.join(', ')}`);
+    }
+    return values;
+  };
+}
+
+/**
+ * Parses the number of download retries, which may be zero
+ * Used as argParser for Commander.js options
+ * @param {string} value - Option value
+ * @returns {number} Non-negative integer
+ * @throws {Error} If the value is not a non-negative integer
+ */
+export function parseRetries(value) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) {
+    throw new Error(`Expected zero or a positive whole number, got ${value}`);
+  }
+  return number;
+}
+
+/**
+ * Collects a repeatable option's values into an array
+ * Used as argParser for Commander.js options that may be given more than once
+ * @param {string} value - Value of this occurrence
+ * @param {string[]} previous - Values collected so far
+ * @returns {string[]} All values
+ */
+function collect(value, previous) {
+  return (previous ?? []).concat([value]);
+}
 
 /**
  * Creates and configures the Commander.js command
@@ -71,8 +460,11 @@ export function createCommand() {
 
   program
     .command('import')
-    .description('Import .deb assets from a GitHub release into an APT repository')
-    .argument('<owner/repo>', 'GitHub repository in owner/repo format', parseRepository)
+    .description(`Import .deb assets from a GitHub release into an APT repository.
+
+      Releases on other hosts are imported by naming the host, as in codeberg.org:owner/repo or gitlab.com:owner/repo;
+      for self-hosted Forgejo, Gitea or GitLab, add --provider.`)
+    .argument('<owner/repo>', 'Repository in owner/repo format, or host:owner/repo for a host other than GitHub (GitLab also takes group/subgroup/project)', parseRepository)
     .option(
       '-o, --output <directory>',
       'Output directory for the APT repository',
@@ -80,23 +472,246 @@ export function createCommand() {
     )
     .option(
       '-t, --token <token>',
-      'GitHub token for authentication (or use GITHUB_TOKEN env var)'
+      'Token for authentication (or use the GITHUB_TOKEN, FORGEJO_TOKEN, GITEA_TOKEN or GITLAB_TOKEN env var)'
     )
-    .action(runAction);
+    .addOption(
+      new Option('--provider <provider>', `Kind of host the releases come from (default: the host's, or github)`)
+        .choices(Object.keys(PROVIDERS))
+    )
+    .option('--api-url <url>', 'REST API URL, e.g. https://github.example.com/api/v3 for GitHub Enterprise Server (or use GITHUB_API_URL env var)')
+    .option('--server-url <url>', 'Web address of a self-hosted instance, e.g. https://github.example.com (or use GITHUB_SERVER_URL env var)')
+    .addOption(
+      new Option('--tag <tag>', 'Import the release with this tag instead of the latest')
+        .conflicts(['all', 'since'])
+    )
+    .addOption(
+      new Option('--all', 'Import every release')
+        .conflicts(['since'])
+    )
+    .option('--since <tag>', 'Import every release from this tag up to the latest')
+    .option('--prerelease', 'Include prereleases (published to the prerelease suite by assemble)')
+    .option('--include <pattern>', 'Only import .deb assets matching this glob or /regex/ (repeatable)', collect)
+    .option('--exclude <pattern>', 'Skip .deb assets matching this glob or /regex/ (repeatable)', collect)
+    .option('--package <name>', 'Only import packages with this name (repeatable)', collect)
+    .option('--arch <architecture>', 'Only import packages for this architecture (repeatable)', collect)
+    .option('--suite <suite>', 'Publish in this suite instead of stable or the prerelease suite (repeatable)', collect)
+    .option('--component <component>', 'Publish in this component instead of main')
+    .option('--dpkg-scanpackages', 'Read packages with dpkg-scanpackages and dpkg-deb instead of the built-in reader')
+    .option('--concurrency <count>', `Most downloads at once (default ${DEFAULT_CONCURRENCY})`, parsePositiveInteger)
+    .option('--retries <count>', `Retries of a failed or stalled download, resuming where it stopped (default ${DEFAULT_RETRIES})`, parseRetries)
+    .option('--checksums-key <file>', 'Require the release\'s SHA256SUMS or checksums.txt to carry a detached signature made with this public key')
+    .addOption(
+      new Option('--metadata-only', 'Read each .deb as it downloads and keep only its Packages entry and contents, not the file')
+        .conflicts(['dpkgScanpackages'])
+    )
+    .option('--json', 'Print a JSON summary of what changed on stdout, with progress on stderr')
+    .option('--summary-file <file>', 'Write a JSON summary of what changed to this file')
+    .option('--detailed-exitcode', 'Exit with 2 when something changed and 0 when nothing did (errors still exit with 1)')
+    .action((repository, options) => reportSummary(options, (log) => runAction(repository, { ...options, log })));
 
   program
     .command('assemble')
     .summary('Assemble and sign Packages and Release files')
-    .description(`Assemble all Packages fragments from pool/ subdirectories, grouped by architecture into dists/stable/main/binary-$arch/Packages, and build the Release file.
-      
-      Uses the SIGNING_KEY environment variable to sign the Release file.`)
+    .description(`Assemble all Packages fragments from pool/ subdirectories, grouped by architecture into dists/$suite/$component/binary-$arch/Packages, and build a Release file for each suite.
+      Releases go to the suites and component chosen at import, by default stable/main, with prereleases in their own suite.
+
+      Signs each Release file as Release.gpg and InRelease with the key in the SIGNING_KEY environment variable (or --signing-key-file), then checks the signatures.
+      Use --signer gpg to sign with GnuPG, or --signer command to run your own signer.
+      The signing key's certificate is published as archive-keyring.pgp (and armored, as archive-keyring.asc) for users to install.`)
+    .option(
+      '-o, --output <directory>',
+      'Output directory for the APT repository',
+      './apt-repo'
+    )
+    .option(
+      '--prerelease-suite <suite>',
+      'Suite to publish prereleases in',
+      'testing'
+    )
+    .option('--origin <origin>', 'Origin field of the Release file, for apt_preferences pinning')
+    .option('--label <label>', 'Label field of the Release file')
+    .option('--codename <codename>', 'Codename field of the Release file')
+    .option('--release-version <version>', 'Version field of the Release file')
+    .option('--description <description>', 'Description field of the Release file')
+    .option(
+      '--valid-until <duration>',
+      'How long the Release file stays valid, e.g. 7d (units: s, m, h, d, w)',
+      (value) => {
+        parseDuration(value);
+        return value;
+      }
+    )
+    .option('--not-automatic', 'Set NotAutomatic: yes, so packages are only installed on request')
+    .option('--but-automatic-upgrades', 'With --not-automatic, still upgrade packages installed from here')
+    .option(
+      '--by-hash [generations]',
+      `Also publish indices under by-hash/ and set Acquire-By-Hash, keeping this many generations (default ${DEFAULT_BY_HASH_GENERATIONS})`,
+      (value) => parseGenerations(value)
+    )
+    .option(
+      '--compress <formats>',
+      'Comma-separated compressed index formats to write: gz, xz (xz needs xz-utils)',
+      parseList(['gz', 'xz']),
+      DEFAULT_COMPRESSION
+    )
+    .option(
+      '--hashes <algorithms>',
+      'Comma-separated checksums to list in the Release file: md5, sha1, sha256, sha512',
+      parseList(Object.keys(HASH_FIELDS)),
+      DEFAULT_HASHES
+    )
+    .addOption(
+      new Option('--duplicates <policy>', 'When releases hold different files for the same package version: use the newest release, or fail')
+        .choices(DUPLICATE_POLICIES)
+        .default(DEFAULT_DUPLICATES)
+    )
+    .addOption(
+      new Option('--architecture-all <mode>', 'Publish Architecture: all packages in every binary-$arch index (merge), in binary-all, or both')
+        .choices(ARCHITECTURE_ALL_MODES)
+        .default(DEFAULT_ARCHITECTURE_ALL)
+    )
+    .option('--architectures <list>', 'Comma-separated architectures to publish even without packages of their own, e.g. amd64,arm64', parseArchitectures)
+    .addOption(
+      new Option('--redirects <host>', 'Also write the pool redirect rules for this host (see redirects)')
+        .choices(Object.keys(REDIRECT_FORMATS))
+    )
+    .option('--keep-last <count>', 'Before assembling, prune releases without one of the newest versions of a package (see prune)', parsePositiveInteger)
+    .option('--keep-days <days>', 'Before assembling, prune releases older than this many days (see prune)', parsePositiveInteger)
+    .option('--drop-missing', 'Before assembling, prune releases no longer published where they came from (see prune)')
+    .option(
+      '-t, --token <token>',
+      'GitHub token for --drop-missing (or use GITHUB_TOKEN env var; releases from other hosts use FORGEJO_TOKEN, GITEA_TOKEN or GITLAB_TOKEN)'
+    )
+    .addOption(
+      new Option('--signer <backend>', 'Sign with sq and a key file, gpg (a key file, or --signing-key-id for your keyring and agent), or --sign-command')
+        .choices(SIGNERS)
+        .default(DEFAULT_SIGNER)
+    )
+    .option('--signing-key-file <file>', 'Secret key to sign with (instead of the SIGNING_KEY env var)')
+    .option('--signing-key-id <id>', 'With --signer gpg, key ID or fingerprint of a key in your GnuPG keyring')
+    .option('--sign-command <command>', 'With --signer command, shell command reading Release on stdin and writing an armored signature to stdout (SIGN_MODE is detach or clearsign)')
+    .option('--signing-public-key <file>', 'Public key to check the new signatures against (required with --signer command) and to publish')
+    .option('--no-sign', 'Do not sign the Release file')
+    .option('--site-url <url>', 'URL the repository is published at; writes a .sources file for each suite and an index.html with install instructions')
+    .option('--site-name <name>', 'Name of the .sources and keyring files on users\' systems (defaults to --origin or the site\'s host name)')
+    .option('--site-template <file>', 'Template for index.html, with {{title}}, {{description}}, {{siteUrl}}, {{install}} and {{suites}} placeholders')
+    .option('--json', 'Print a JSON summary of what changed on stdout, with progress on stderr')
+    .option('--summary-file <file>', 'Write a JSON summary of what changed to this file')
+    .option('--detailed-exitcode', 'Exit with 2 when something changed and 0 when nothing did (errors still exit with 1)')
+    .action((options) => reportSummary(options, (log) => assembleAction({ ...options, log })));
+
+  program
+    .command('prune')
+    .summary('Remove old releases from the pool')
+    .description(`Remove release directories from pool/ according to retention policies.
+      A release is kept if --keep-last or --keep-days keeps it; --drop-missing removes releases whose tag no longer has a published release where it came from, whatever their age.
+
+      Run assemble afterwards, or pass the same options to assemble.`)
+    .option(
+      '-o, --output <directory>',
+      'Output directory for the APT repository',
+      './apt-repo'
+    )
+    .option(
+      '-t, --token <token>',
+      'GitHub token for --drop-missing (or use GITHUB_TOKEN env var; releases from other hosts use FORGEJO_TOKEN, GITEA_TOKEN or GITLAB_TOKEN)'
+    )
+    .option('--keep-last <count>', 'Keep releases holding one of the newest versions of a package in a suite', parsePositiveInteger)
+    .option('--keep-days <days>', 'Keep releases published within this many days', parsePositiveInteger)
+    .option('--drop-missing', 'Remove releases whose tag no longer has a published release where it came from')
+    .option(
+      '--prerelease-suite <suite>',
+      'Suite prereleases are published in, as for assemble',
+      'testing'
+    )
+    .option('--dry-run', 'List what would be removed without removing anything')
+    .action(pruneAction);
+
+  program
+    .command('redirects')
+    .summary('Write redirect rules sending pool downloads to the release hosts')
+    .description(`Write the rules that redirect requests for pool/{owner}/{repo}/{tag}/ files to the matching release download, in the config format of your host.
+      There is one rule per owner/repo in the pool (per release, for GitLab releases); use --per-file for one rule per .deb file instead.
+      Rules written earlier are replaced, and the rest of the file is kept.`)
+    .addArgument(new Argument('<host>', 'Host config format').choices(Object.keys(REDIRECT_FORMATS)))
+    .option(
+      '-o, --output <directory>',
+      'Output directory for the APT repository',
+      './apt-repo'
+    )
+    .option('--file <path>', "File to write, or - for stdout (default: the host's usual file name in the output directory)")
+    .option('--per-file', 'Write one rule per .deb file, for hosts that cannot capture the rest of a path')
+    .action(redirectsAction);
+
+  program
+    .command('serve')
+    .summary('Serve the repository locally for testing with apt')
+    .description(`Serve the output directory over HTTP, answering requests for pool files with the same redirect to the release host the production host would issue.
+      With --offline, pool files are served from the local pool instead. Every request is logged.
+
+      Point a scratch container's sources at it to try apt update and apt install before publishing.`)
+    .option(
+      '-o, --output <directory>',
+      'Output directory for the APT repository',
+      './apt-repo'
+    )
+    .option('--host <address>', 'Address to listen on (0.0.0.0 to reach it from containers)', DEFAULT_HOST)
+    .option('-p, --port <port>', 'Port to listen on', (value) => {
+      const port = Number(value);
+      if (!Number.isInteger(port) || port < 0 || port > 65535) {
+        throw new Error(`Invalid port: ${value}`);
+      }
+      return port;
+    }, DEFAULT_PORT)
+    .option('--offline', 'Serve .deb files from the local pool instead of redirecting to the release host')
+    .action(serveAction);
+
+  program
+    .command('verify')
+    .summary('Check a built repository before publishing it')
+    .description(`Check every suite's Release file against the indices it lists, the Release.gpg and InRelease signatures against a public key (with gpgv, as apt does),
+      and that every Packages entry comes from a pool fragment. Prints a report and exits non-zero if anything is wrong.`)
     .option(
       '-o, --output <directory>',
       'Output directory for the APT repository',
       './apt-repo'
     )
+    .option('--key <file>', 'Public key to check signatures against, armored or binary (without it, signatures are not checked)')
+    .option('--check-assets', "Also check that each package's release asset still exists with the recorded SHA256")
+    .option(
+      '-t, --token <token>',
+      'GitHub token for --check-assets (or use GITHUB_TOKEN env var; releases from other hosts use FORGEJO_TOKEN, GITEA_TOKEN or GITLAB_TOKEN)'
+    )
+    .action(verifyAction);
+
+  program
+    .command('sync')
+    .summary('Import every source in a config file, then assemble')
+    .description(`Import releases from every source listed in a config file, then assemble the repository.
+
+      See the README for the config file format.`)
+    .option(
+      '-c, --config <file>',
+      'Config file listing the sources to import',
+      DEFAULT_CONFIG_FILENAME
+    )
+    .option(
+      '-o, --output <directory>',
+      'Output directory for the APT repository (overrides the config file)'
+    )
+    .option(
+      '-t, --token <token>',
+      'GitHub token for authentication (or use GITHUB_TOKEN env var; sources on other hosts use FORGEJO_TOKEN, GITEA_TOKEN or GITLAB_TOKEN)'
+    )
+    .option('--api-url <url>', 'GitHub REST API URL for sources without their own, e.g. https://github.example.com/api/v3 for GitHub Enterprise Server (or use GITHUB_API_URL env var)')
+    .option('--server-url <url>', 'GitHub web address for sources without their own, e.g. https://github.example.com (or use GITHUB_SERVER_URL env var)')
+    .option('--concurrency <count>', `Most downloads at once (default ${DEFAULT_CONCURRENCY})`, parsePositiveInteger)
+    .option('--retries <count>', `Retries of a failed or stalled download, resuming where it stopped (default ${DEFAULT_RETRIES})`, parseRetries)
     .option('--no-sign', 'Do not sign the Release file')
-    .action(assembleAction);
+    .option('--json', 'Print a JSON summary of what changed on stdout, with progress on stderr')
+    .option('--summary-file <file>', 'Write a JSON summary of what changed to this file')
+    .option('--detailed-exitcode', 'Exit with 2 when something changed and 0 when nothing did (errors still exit with 1)')
+    .action((options) => reportSummary(options, (log) => syncAction({ ...options, log })));
 
   return program;
 }
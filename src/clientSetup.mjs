@@ -0,0 +1,245 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { serializeParagraph, getField } from './deb822.mjs';
+import { compareVersions } from './version.mjs';
+
+/**
+ * Name of the binary certificate published at the top of the repository, as apt's Signed-By reads it
+ */
+export const KEYRING_FILENAME = 'archive-keyring.pgp';
+
+/**
+ * Name of the armored copy of the certificate, for people who want to read it
+ */
+export const ARMORED_KEYRING_FILENAME = 'archive-keyring.asc';
+
+/**
+ * Landing page template used when none is given
+ */
+export const DEFAULT_INDEX_TEMPLATE = fileURLToPath(new URL('./templates/index.html', import.meta.url));
+
+/**
+ * Directory apt users keep third-party keyrings in
+ */
+const KEYRINGS_DIR = '/etc/apt/keyrings';
+
+/**
+ * Writes what users need to add the repository: the signing certificate,
+ * and with a site URL, a deb822 .sources file for each suite and a landing page
+ * @param {string} outputDir - Output directory
+ * @param {Map<string, Map<string, Map<string, Array<Map<string, string>>>>>} entriesBySuite - suite → component → architecture → Packages entries
+ * @param {{binary: Buffer, armored: string}} [certificate] - Certificate of the signing key; without it, .sources files have no Signed-By
+ * @param {Object} options - Command options
+ * @param {string} [options.siteUrl] - URL the repository is published at
+ * @param {string} [options.siteName] - Name for the .sources and keyring files on users' systems (defaults to the Origin or the site's host name)
+ * @param {string} [options.siteTemplate] - Landing page template, see renderIndexPage
+ * @param {function(string): void} [options.log] - Prints progress (defaults to console.log)
+ * @returns {Promise<void>}
+ * @throws {Error} If the site URL is not an http(s) URL or the template is invalid
+ */
+export async function writeClientSetup(outputDir, entriesBySuite, certificate, options) {
+  const log = options.log ?? console.log;
+  if (certificate) {
+    await fs.writeFile(path.join(outputDir, KEYRING_FILENAME), certificate.binary);
+    await fs.writeFile(path.join(outputDir, ARMORED_KEYRING_FILENAME), certificate.armored);
+    log(`  Created ${path.join(outputDir, KEYRING_FILENAME)} and ${ARMORED_KEYRING_FILENAME}`);
+  }
+
+  if (!options.siteUrl) {
+    return;
+  }
+
+  const siteUrl = parseSiteUrl(options.siteUrl);
+  const name = siteName(siteUrl, options);
+  const signedBy = certificate ? `${KEYRINGS_DIR}/${name}-${KEYRING_FILENAME}` : undefined;
+  if (!certificate) {
+    log('  The repository is not signed, so its .sources files have no Signed-By and apt will refuse them');
+  }
+
+  const suites = describeSuites(entriesBySuite);
+  for (const suite of suites) {
+    suite.sourcesFilename = `${name}-${suite.name}.sources`;
+    await fs.writeFile(
+      path.join(outputDir, suite.sourcesFilename),
+      makeSourcesContent(siteUrl, suite.name, suite.components, signedBy)
+    );
+    log(`  Created ${path.join(outputDir, suite.sourcesFilename)}`);
+  }
+
+  const template = await fs.readFile(options.siteTemplate ?? DEFAULT_INDEX_TEMPLATE, 'utf-8');
+  const indexPath = path.join(outputDir, 'index.html');
+  await fs.writeFile(indexPath, renderIndexPage(template, {
+    title: options.label ?? options.origin ?? `Debian packages from ${siteUrl.host}`,
+    description: options.description ?? 'Packages for Debian and Ubuntu, published from GitHub releases.',
+    siteUrl: siteUrl.href,
+    install: renderInstallSteps(siteUrl, signedBy),
+    suites: suites.map((suite) => renderSuite(siteUrl, suite)).join('\n'),
+  }));
+  log(`  Created ${indexPath}`);
+}
+
+/**
+ * Makes a deb822 .sources file for one suite
+ * @param {URL} siteUrl - URL the repository is published at
+ * @param {string} suite - Suite name
+ * @param {string[]} components - Components of the suite
+ * @param {string} [signedBy] - Path of the keyring on users' systems
+ * @returns {string} .sources content
+ */
+export function makeSourcesContent(siteUrl, suite, components, signedBy) {
+  return serializeParagraph(new Map([
+    ['Types', 'deb'],
+    ['URIs', siteUrl.href],
+    ['Suites', suite],
+    ['Components', components.join(' ')],
+    ['Signed-By', signedBy],
+  ]));
+}
+
+/**
+ * Summarizes each suite's components, architectures and newest package versions for the landing page
+ * @param {Map<string, Map<string, Map<string, Array<Map<string, string>>>>>} entriesBySuite - suite → component → architecture → Packages entries
+ * @returns {Array<{name: string, components: string[], architectures: string[], packages: Array<{name: string, version: string, architectures: string[], summary: string}>}>} Suites in name order
+ */
+export function describeSuites(entriesBySuite) {
+  return [...entriesBySuite.keys()].sort().map((name) => {
+    const entriesByComponent = entriesBySuite.get(name);
+    const architectures = new Set();
+    const packages = new Map();
+
+    for (const entriesByArch of entriesByComponent.values()) {
+      for (const [arch, entries] of entriesByArch.entries()) {
+        architectures.add(arch);
+        for (const entry of entries) {
+          const packageName = getField(entry, 'Package');
+          const version = getField(entry, 'Version');
+          const existing = packages.get(packageName);
+          const order = existing ? compareVersions(version, existing.version) : 1;
+          if (order > 0) {
+            packages.set(packageName, {
+              name: packageName,
+              version,
+              architectures: new Set(),
+              summary: getField(entry, 'Description')?.split('\n')[0] ?? '',
+            });
+          }
+          if (order >= 0) {
+            packages.get(packageName).architectures.add(getField(entry, 'Architecture'));
+          }
+        }
+      }
+    }
+
+    return {
+      name,
+      components: [...entriesByComponent.keys()].sort(),
+      architectures: [...architectures].sort(),
+      packages: [...packages.values()]
+        .sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0))
+        .map((pkg) => ({ ...pkg, architectures: [...pkg.architectures].sort() })),
+    };
+  });
+}
+
+/**
+ * Fills in a landing page template
+ * Placeholders are written {{name}}: title, description and siteUrl are text and get escaped,
+ * install and suites are HTML.
+ * @param {string} template - Template text
+ * @param {Object<string, string>} values - Values by placeholder
+ * @returns {string} Page
+ * @throws {Error} If the template uses an unknown placeholder
+ */
+export function renderIndexPage(template, values) {
+  const html = new Set(['install', 'suites']);
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (_, key) => {
+    if (!(key in values)) {
+      throw new Error(`Unknown placeholder {{${key}}} in the landing page template. Use: ${Object.keys(values).join(', ')}`);
+    }
+    return html.has(key) ? values[key] : escapeHtml(values[key]);
+  });
+}
+
+/**
+ * Renders the commands that install the repository's keyring
+ * @param {URL} siteUrl - URL the repository is published at
+ * @param {string} [signedBy] - Path of the keyring on users' systems
+ * @returns {string} HTML
+ */
+function renderInstallSteps(siteUrl, signedBy) {
+  if (!signedBy) {
+    return '<p>This repository is not signed.</p>';
+  }
+  return `<p>Install the signing key:</p>
+<pre><code>sudo install -d -m 0755 ${KEYRINGS_DIR}
+sudo curl -fsSLo ${escapeHtml(signedBy)} ${escapeHtml(new URL(KEYRING_FILENAME, siteUrl).href)}</code></pre>
+<p>Then add the suite you want below. The key is also available <a href="${ARMORED_KEYRING_FILENAME}">armored</a>.</p>`;
+}
+
+/**
+ * Renders one suite's sources command and package list
+ * @param {URL} siteUrl - URL the repository is published at
+ * @param {Object} suite - Suite, see describeSuites, with its sourcesFilename
+ * @returns {string} HTML
+ */
+function renderSuite(siteUrl, suite) {
+  const rows = suite.packages.map((pkg) => `<tr><td><code>${escapeHtml(pkg.name)}</code></td><td>${escapeHtml(pkg.version)}</td><td>${escapeHtml(pkg.architectures.join(', '))}</td><td>${escapeHtml(pkg.summary)}</td></tr>`);
+  const firstPackage = suite.packages[0]?.name ?? '';
+  return `<section>
+<h2>${escapeHtml(suite.name)}</h2>
+<p>Components: ${escapeHtml(suite.components.join(', '))}. Architectures: ${escapeHtml(suite.architectures.join(', '))}.</p>
+<pre><code>sudo curl -fsSLo /etc/apt/sources.list.d/${escapeHtml(suite.sourcesFilename)} ${escapeHtml(new URL(suite.sourcesFilename, siteUrl).href)}
+sudo apt update
+sudo apt install ${escapeHtml(firstPackage)}</code></pre>
+<table>
+<tr><th>Package</th><th>Version</th><th>Architectures</th><th>Description</th></tr>
+${rows.join('\n')}
+</table>
+</section>`;
+}
+
+/**
+ * Parses the site URL, making sure it ends in a slash so files resolve beneath it
+ * @param {string} value - Site URL
+ * @returns {URL} URL
+ * @throws {Error} If it is not an http or https URL
+ */
+function parseSiteUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    throw new Error(`Invalid site URL ${value}`);
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new Error(`Site URL must use http or https, got ${value}`);
+  }
+  if (!url.pathname.endsWith('/')) {
+    url.pathname += '/';
+  }
+  return url;
+}
+
+/**
+ * Chooses the name the repository's files get on users' systems
+ * @param {URL} siteUrl - URL the repository is published at
+ * @param {Object} options - Command options
+ * @returns {string} Name safe for sources.list.d and keyring file names
+ */
+function siteName(siteUrl, options) {
+  const name = (options.siteName ?? options.origin ?? siteUrl.hostname)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  return name || 'gh-release-apt';
+}
+
+/**
+ * Escapes text for HTML
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+}
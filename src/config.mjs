@@ -0,0 +1,296 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { HASH_FIELDS, DUPLICATE_POLICIES, ARCHITECTURE_ALL_MODES, parseArchitectures, parseDuration } from './assembleAction.mjs';
+import { SIGNERS } from './signing.mjs';
+import { REDIRECT_FORMATS } from './redirectsAction.mjs';
+import { PROVIDERS } from './providers.mjs';
+
+/**
+ * Config file read by the sync command when none is given
+ */
+export const DEFAULT_CONFIG_FILENAME = 'gh-release-apt.config.json';
+
+/**
+ * Keys allowed in each entry of the config's sources list
+ */
+const SOURCE_KEYS = {
+  repository: 'string',
+  tag: 'string',
+  all: 'boolean',
+  since: 'string',
+  prerelease: 'boolean',
+  include: 'string[]',
+  exclude: 'string[]',
+  packages: 'string[]',
+  architectures: 'string[]',
+  suites: 'string[]',
+  component: 'string',
+  dpkgScanpackages: 'boolean',
+  provider: 'string',
+  apiUrl: 'string',
+  serverUrl: 'string',
+  checksumsKey: 'string',
+  metadataOnly: 'boolean',
+};
+
+/**
+ * Keys allowed in the config's assemble section
+ */
+const ASSEMBLE_KEYS = {
+  prereleaseSuite: 'string',
+  sign: 'boolean',
+  signer: 'string',
+  signingKeyFile: 'string',
+  signingKeyId: 'string',
+  signCommand: 'string',
+  signingPublicKey: 'string',
+  siteUrl: 'string',
+  siteName: 'string',
+  siteTemplate: 'string',
+  origin: 'string',
+  label: 'string',
+  codename: 'string',
+  releaseVersion: 'string',
+  description: 'string',
+  validUntil: 'string',
+  notAutomatic: 'boolean',
+  butAutomaticUpgrades: 'boolean',
+  compress: 'string[]',
+  hashes: 'string[]',
+  byHash: 'boolean|number',
+  duplicates: 'string',
+  architectureAll: 'string',
+  architectures: 'string[]',
+  redirects: 'string',
+  keepLast: 'number',
+  keepDays: 'number',
+  dropMissing: 'boolean',
+  suites: 'object',
+};
+
+/**
+ * Keys allowed for each suite in the assemble section's suites object
+ */
+const SUITE_KEYS = {
+  origin: 'string',
+  label: 'string',
+  codename: 'string',
+  releaseVersion: 'string',
+  description: 'string',
+  validUntil: 'string',
+  notAutomatic: 'boolean',
+  butAutomaticUpgrades: 'boolean',
+};
+
+/**
+ * Keys allowed at the top level of the config
+ */
+const TOP_LEVEL_KEYS = {
+  output: 'string',
+  sources: 'object[]',
+  assemble: 'object',
+};
+
+/**
+ * Paths in the assemble section, resolved against the directory holding the config file
+ */
+const ASSEMBLE_PATH_KEYS = ['signingKeyFile', 'signingPublicKey', 'siteTemplate'];
+
+/**
+ * Reads and validates a sync config file
+ *
+ * Relative paths (`output`, each source's `checksumsKey` and the key files and site template of `assemble`)
+ * are resolved against the directory holding the config file.
+ * @param {string} configPath - Path to the JSON config file
+ * @returns {Promise<Object>} Validated config
+ * @throws {Error} If the file cannot be read or is not a valid config
+ */
+export async function loadConfig(configPath) {
+  let content;
+  try {
+    content = await fs.readFile(configPath, 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error(`Config file not found: ${configPath}`);
+    }
+    throw error;
+  }
+
+  let config;
+  try {
+    config = JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Invalid JSON in ${configPath}: ${error.message}`);
+  }
+
+  validateConfig(config);
+
+  const configDir = path.dirname(configPath);
+  if (config.output) {
+    config.output = path.resolve(configDir, config.output);
+  }
+  for (const source of config.sources) {
+    if (source.checksumsKey) {
+      source.checksumsKey = path.resolve(configDir, source.checksumsKey);
+    }
+  }
+  for (const key of ASSEMBLE_PATH_KEYS) {
+    if (config.assemble?.[key]) {
+      config.assemble[key] = path.resolve(configDir, config.assemble[key]);
+    }
+  }
+
+  return config;
+}
+
+/**
+ * Checks a parsed config against the expected shape
+ * @param {Object} config - Parsed config
+ * @throws {Error} Naming the first invalid or unknown key
+ */
+export function validateConfig(config) {
+  checkKeys(config, TOP_LEVEL_KEYS, 'config');
+
+  if (!config.sources || config.sources.length === 0) {
+    throw new Error('Config must list at least one entry in sources');
+  }
+
+  config.sources.forEach((source, index) => {
+    const where = `sources[${index}]`;
+    checkKeys(source, SOURCE_KEYS, where);
+
+    if (!source.repository) {
+      throw new Error(`${where} is missing repository`);
+    }
+    const selections = ['tag', 'all', 'since'].filter((key) => source[key]);
+    if (selections.length > 1) {
+      throw new Error(`${where} may only use one of ${selections.join(', ')}`);
+    }
+    if (source.metadataOnly && source.dpkgScanpackages) {
+      throw new Error(`${where} may not combine metadataOnly with dpkgScanpackages, which reads the .deb files from disk`);
+    }
+    checkChoices(source.provider && [source.provider], Object.keys(PROVIDERS), `${where}.provider`);
+  });
+
+  if (config.assemble) {
+    checkKeys(config.assemble, ASSEMBLE_KEYS, 'assemble');
+    checkChoices(config.assemble.compress, ['gz', 'xz'], 'assemble.compress');
+    checkChoices(config.assemble.hashes, Object.keys(HASH_FIELDS), 'assemble.hashes');
+    checkChoices(config.assemble.duplicates && [config.assemble.duplicates], DUPLICATE_POLICIES, 'assemble.duplicates');
+    checkChoices(config.assemble.architectureAll && [config.assemble.architectureAll], ARCHITECTURE_ALL_MODES, 'assemble.architectureAll');
+    checkChoices(config.assemble.signer && [config.assemble.signer], SIGNERS, 'assemble.signer');
+    parseArchitectures(config.assemble.architectures ?? []);
+    checkChoices(config.assemble.redirects && [config.assemble.redirects], Object.keys(REDIRECT_FORMATS), 'assemble.redirects');
+    checkDuration(config.assemble.validUntil, 'assemble.validUntil');
+    for (const key of ['keepLast', 'keepDays']) {
+      if (key in config.assemble && !(Number.isInteger(config.assemble[key]) && config.assemble[key] > 0)) {
+        throw new Error(`assemble.${key} must be a positive whole number`);
+      }
+    }
+    for (const [suite, settings] of Object.entries(config.assemble.suites ?? {})) {
+      checkKeys(settings, SUITE_KEYS, `assemble.suites.${suite}`);
+      checkDuration(settings.validUntil, `assemble.suites.${suite}.validUntil`);
+    }
+  }
+}
+
+/**
+ * Checks that an object only has known keys of the expected types
+ * @param {Object} object - Object to check
+ * @param {Object<string, string>} schema - Allowed keys and their types
+ * @param {string} where - Location for error messages
+ * @throws {Error} If a key is unknown or has the wrong type
+ */
+function checkKeys(object, schema, where) {
+  if (typeof object !== 'object' || object === null || Array.isArray(object)) {
+    throw new Error(`${where} must be an object`);
+  }
+
+  for (const [key, value] of Object.entries(object)) {
+    const type = schema[key];
+    if (!type) {
+      throw new Error(`Unknown key "${key}" in ${where}`);
+    }
+    if (!matchesType(value, type)) {
+      throw new Error(`${where}.${key} must be of type ${type}`);
+    }
+  }
+}
+
+/**
+ * Checks that every value of a list option is one of the allowed choices
+ * @param {string[]} [values] - Configured values
+ * @param {string[]} choices - Allowed values
+ * @param {string} where - Location for error messages
+ * @throws {Error} If a value is not allowed
+ */
+function checkChoices(values, choices, where) {
+  const invalid = (values ?? []).filter((value) => !choices.includes(value));
+  if (invalid.length > 0) {
+    throw new Error(`Unsupported value(s) ${invalid.join(', ')} in ${where}. Choose from: ${choices.join(', ')}`);
+  }
+}
+
+/**
+ * Checks that a duration option parses, see parseDuration
+ * @param {string} [value] - Configured duration
+ * @param {string} where - Location for error messages
+ * @throws {Error} If the duration is invalid
+ */
+function checkDuration(value, where) {
+  if (value === undefined) {
+    return;
+  }
+  try {
+    parseDuration(value);
+  } catch (error) {
+    throw new Error(`${where}: ${error.message}`);
+  }
+}
+
+/**
+ * Checks a config value against a type name from a schema
+ * @param {*} value - Value to check
+ * @param {string} type - Type name, optionally suffixed with [] for arrays, or alternatives separated by |
+ * @returns {boolean} Whether the value matches
+ */
+function matchesType(value, type) {
+  if (type.includes('|')) {
+    return type.split('|').some((alternative) => matchesType(value, alternative));
+  }
+  if (type.endsWith('[]')) {
+    const elementType = type.slice(0, -2);
+    return Array.isArray(value) && value.every((element) => matchesType(element, elementType));
+  }
+  if (type === 'object') {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+  }
+  return typeof value === type;
+}
+
+/**
+ * Converts a config source entry to import command options
+ * @param {Object} source - Entry from the config's sources list
+ * @param {Object} defaults - Options shared by every import, such as output and token
+ * @returns {Object} Options for runAction
+ */
+export function importOptionsFromSource(source, defaults) {
+  return {
+    ...defaults,
+    tag: source.tag,
+    all: source.all,
+    since: source.since,
+    prerelease: source.prerelease,
+    include: source.include,
+    exclude: source.exclude,
+    package: source.packages,
+    arch: source.architectures,
+    suite: source.suites,
+    component: source.component,
+    dpkgScanpackages: source.dpkgScanpackages,
+    checksumsKey: source.checksumsKey,
+    metadataOnly: source.metadataOnly,
+    provider: source.provider,
+    ...(source.apiUrl || source.serverUrl ? { apiUrl: source.apiUrl, serverUrl: source.serverUrl } : {}),
+  };
+}
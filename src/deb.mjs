@@ -0,0 +1,497 @@
+import { createReadStream } from 'fs';
+import crypto from 'crypto';
+import { Readable, pipeline } from 'stream';
+import zlib from 'zlib';
+import { createXzDecompress } from './xz.mjs';
+import { parseDeb822, serializeParagraph } from './deb822.mjs';
+import { compareVersions } from './version.mjs';
+
+// Reads .deb packages without dpkg: the ar container, the control and data
+// tarballs, and the control file. Stanzas match the output of
+// dpkg-scanpackages field for field.
+
+const AR_MAGIC = '!<arch>\n';
+const AR_HEADER_SIZE = 60;
+const TAR_BLOCK_SIZE = 512;
+
+/**
+ * Field order of Packages stanzas, as used by dpkg-scanpackages
+ * Fields not listed here follow in alphabetical order.
+ */
+const PACKAGES_FIELD_ORDER = [
+  'Package', 'Package-Type', 'Source', 'Version', 'Kernel-Version', 'Built-For-Profiles',
+  'Auto-Built-Package', 'Architecture', 'Subarchitecture', 'Installer-Menu-Item',
+  'Build-Essential', 'Essential', 'Protected', 'Origin', 'Bugs', 'Maintainer',
+  'Installed-Size', 'Pre-Depends', 'Depends', 'Recommends', 'Suggests', 'Enhances',
+  'Conflicts', 'Breaks', 'Replaces', 'Provides', 'Built-Using', 'Static-Built-Using',
+  'Filename', 'Size', 'MD5sum', 'SHA1', 'SHA256', 'Section', 'Priority', 'Multi-Arch',
+  'Homepage', 'Description', 'Tag', 'Task',
+];
+
+/**
+ * Field names whose spelling dpkg does not derive from capitalizing each word
+ */
+const FIELD_SPELLINGS = new Map(
+  ['MD5sum', 'SHA1', 'SHA256', 'NotAutomatic', 'ButAutomaticUpgrades', 'No-Support-for-Architecture-all']
+    .map((name) => [name.toLowerCase(), name])
+);
+
+/**
+ * Reads a .deb package from a stream, consuming all of it
+ * Checksums are computed over the raw bytes as they pass, so the stream can be a download
+ * that is written to disk at the same time.
+ * @param {AsyncIterable<Buffer>} source - Bytes of the .deb file
+ * @returns {Promise<{size: number, md5sum: string, sha1: string, sha256: string, control: string, files: string[]}>}
+ *   Size and checksums of the file, its control file, and the paths it installs (without directories)
+ * @throws {Error} If the data is not a readable .deb package
+ */
+export async function inspectDeb(source) {
+  const hashes = ['md5', 'sha1', 'sha256'].map((algorithm) => crypto.createHash(algorithm));
+  let size = 0;
+
+  const reader = createByteReader((async function* () {
+    for await (const chunk of source) {
+      size += chunk.length;
+      for (const hash of hashes) {
+        hash.update(chunk);
+      }
+      yield chunk;
+    }
+  })());
+
+  const { control, files } = await readArchive(reader);
+  await reader.drain();
+
+  const [md5sum, sha1, sha256] = hashes.map((hash) => hash.digest('hex'));
+  return { size, md5sum, sha1, sha256, control, files };
+}
+
+/**
+ * Reads a .deb file from disk
+ * @param {string} debPath - Path to the .deb file
+ * @returns {Promise<Object>} Result of inspectDeb
+ * @throws {Error} If the file cannot be read or is not a .deb package
+ */
+export async function inspectDebFile(debPath) {
+  try {
+    return await inspectDeb(createReadStream(debPath));
+  } catch (error) {
+    throw new Error(`Failed to read ${debPath}: ${error.message}`);
+  }
+}
+
+/**
+ * Walks the members of the ar container
+ * @param {Object} reader - Byte reader over the .deb
+ * @returns {Promise<{control: string, files: string[]}>} Control file and installed paths
+ */
+async function readArchive(reader) {
+  const magic = await reader.read(AR_MAGIC.length);
+  if (magic?.toString('latin1') !== AR_MAGIC) {
+    throw new Error('Not a .deb package: missing ar header');
+  }
+
+  let control = null;
+  let files = null;
+  let index = 0;
+
+  for (;;) {
+    const header = await reader.read(AR_HEADER_SIZE);
+    if (header === null) {
+      break;
+    }
+    if (header.toString('latin1', 58, 60) !== '`\n') {
+      throw new Error('Corrupt .deb package: bad ar member header');
+    }
+    const name = header.toString('latin1', 0, 16).trimEnd().replace(/\/$/, '');
+    const size = parseInt(header.toString('latin1', 48, 58), 10);
+    const member = reader.take(size);
+
+    if (index === 0) {
+      const version = (await collect(member)).toString('latin1');
+      if (name !== 'debian-binary' || !version.startsWith('2.')) {
+        throw new Error('Not a .deb package: unsupported format version');
+      }
+    } else if (name.startsWith('control.tar')) {
+      const entries = await readTarMember(member, name, (path) => normalizeTarPath(path) === 'control');
+      const entry = entries.find((candidate) => candidate.data);
+      if (!entry) {
+        throw new Error('Corrupt .deb package: control.tar has no control file');
+      }
+      control = entry.data.toString('utf-8');
+    } else if (name.startsWith('data.tar')) {
+      const entries = await readTarMember(member, name);
+      files = entries
+        .filter((entry) => entry.type !== 'directory')
+        .map((entry) => normalizeTarPath(entry.path))
+        .filter(Boolean);
+    } else {
+      await collect(member, false);
+    }
+
+    if (size % 2 === 1) {
+      await reader.read(1);
+    }
+    index++;
+  }
+
+  if (control === null) {
+    throw new Error('Corrupt .deb package: no control.tar member');
+  }
+  if (files === null) {
+    throw new Error('Corrupt .deb package: no data.tar member');
+  }
+  return { control, files };
+}
+
+/**
+ * Lists the entries of a compressed tar member, consuming all of the member
+ * The tar's end-of-archive blocks can come before the end of the compressed data,
+ * so what follows them is skipped for the next member to line up.
+ * @param {AsyncIterable<Buffer>} member - Compressed member bytes
+ * @param {string} name - Member name, such as data.tar.xz
+ * @param {function(string): boolean} [wantData] - Whether to keep the contents of the entry at a path, see readTar
+ * @returns {Promise<Array<{path: string, type: string, data?: Buffer}>>} Entries in archive order
+ */
+async function readTarMember(member, name, wantData) {
+  const data = decompress(member, name);
+  let entries;
+  try {
+    entries = await readTar(data, wantData);
+    await collect(member, false);
+  } finally {
+    await data.return?.();
+    data.destroy?.();
+  }
+  return entries;
+}
+
+/**
+ * Decompresses a tar member according to its file extension
+ * @param {AsyncIterable<Buffer>} member - Compressed member bytes
+ * @param {string} name - Member name, such as data.tar.xz
+ * @returns {AsyncIterable<Buffer>} Decompressed bytes
+ * @throws {Error} If the compression is not supported
+ */
+function decompress(member, name) {
+  const extension = name.slice(name.indexOf('.tar') + 4);
+  let decompressor;
+  switch (extension) {
+    case '':
+      return member;
+    case '.gz':
+      decompressor = zlib.createGunzip();
+      break;
+    case '.xz':
+      decompressor = createXzDecompress();
+      break;
+    case '.zst':
+      if (!zlib.createZstdDecompress) {
+        throw new Error(`Reading ${name} needs a Node.js version with zstd support`);
+      }
+      decompressor = zlib.createZstdDecompress();
+      break;
+    default:
+      throw new Error(`Unsupported compression for ${name}`);
+  }
+  // pipeline rather than pipe, so a truncated member fails the read instead of stalling it
+  return pipeline(Readable.from(member), decompressor, () => {});
+}
+
+/**
+ * Lists the entries of a tar archive
+ * Only entries accepted by wantData keep their contents; the rest are skipped as they stream past.
+ * Understands ustar, GNU long names and pax path records.
+ * @param {AsyncIterable<Buffer>} source - Tar bytes
+ * @param {function(string): boolean} [wantData] - Whether to keep the contents of the entry at a path
+ * @returns {Promise<Array<{path: string, type: string, data?: Buffer}>>} Entries in archive order
+ */
+async function readTar(source, wantData = () => false) {
+  const reader = createByteReader(source);
+  const entries = [];
+  let longPath = null;
+
+  for (;;) {
+    const header = await reader.read(TAR_BLOCK_SIZE);
+    if (header === null || header.every((byte) => byte === 0)) {
+      break;
+    }
+
+    const size = readTarNumber(header.subarray(124, 136));
+    const typeFlag = String.fromCharCode(header[156]);
+    const padded = Math.ceil(size / TAR_BLOCK_SIZE) * TAR_BLOCK_SIZE;
+
+    if (typeFlag === 'L' || typeFlag === 'x') {
+      const data = await collect(reader.take(padded));
+      longPath = typeFlag === 'L'
+        ? readTarString(data.subarray(0, size))
+        : readPaxPath(data.subarray(0, size)) ?? longPath;
+      continue;
+    }
+    if (typeFlag === 'g' || typeFlag === 'K') {
+      await collect(reader.take(padded), false);
+      continue;
+    }
+
+    let path = readTarString(header.subarray(0, 100));
+    const prefix = header.toString('latin1', 257, 262) === 'ustar' ? readTarString(header.subarray(345, 500)) : '';
+    if (longPath !== null) {
+      path = longPath;
+      longPath = null;
+    } else if (prefix) {
+      path = `${prefix}/${path}`;
+    }
+
+    const type = typeFlag === '5' || path.endsWith('/') ? 'directory' : 'file';
+    const entry = { path, type };
+    // Hard links, symlinks and device nodes have no data in the archive
+    const hasData = typeFlag === '0' || typeFlag === '\0' || typeFlag === '7';
+    if (hasData && wantData(path)) {
+      entry.data = (await collect(reader.take(padded))).subarray(0, size);
+    } else if (hasData) {
+      await collect(reader.take(padded), false);
+    }
+    entries.push(entry);
+  }
+
+  await reader.drain();
+  return entries;
+}
+
+/**
+ * Reads a NUL-terminated string field from a tar header
+ * @param {Buffer} field - Header field
+ * @returns {string} Field value
+ */
+function readTarString(field) {
+  const end = field.indexOf(0);
+  return field.toString('utf-8', 0, end === -1 ? field.length : end);
+}
+
+/**
+ * Reads a numeric tar header field, in octal or GNU base-256 form
+ * @param {Buffer} field - Header field
+ * @returns {number} Field value
+ */
+function readTarNumber(field) {
+  if (field[0] & 0x80) {
+    let value = field[0] & 0x7f;
+    for (let i = 1; i < field.length; i++) {
+      value = value * 256 + field[i];
+    }
+    return value;
+  }
+  return parseInt(readTarString(field).trim() || '0', 8);
+}
+
+/**
+ * Finds the path record in a pax extended header
+ * @param {Buffer} data - Extended header records
+ * @returns {string|undefined} Path, if the header sets one
+ */
+function readPaxPath(data) {
+  let offset = 0;
+  while (offset < data.length) {
+    const space = data.indexOf(0x20, offset);
+    const length = parseInt(data.toString('latin1', offset, space), 10);
+    if (space === -1 || !length) {
+      break;
+    }
+    const record = data.toString('utf-8', space + 1, offset + length - 1);
+    const equals = record.indexOf('=');
+    if (record.slice(0, equals) === 'path') {
+      return record.slice(equals + 1);
+    }
+    offset += length;
+  }
+  return undefined;
+}
+
+/**
+ * Converts a path from a .deb tarball to the form used in Contents indices
+ * @param {string} path - Path as stored in the tarball, usually starting with ./
+ * @returns {string} Path relative to the filesystem root
+ */
+function normalizeTarPath(path) {
+  return path.replace(/^\.?\/+/, '').replace(/\/$/, '');
+}
+
+/**
+ * Creates a reader that hands out exact byte counts from a stream of chunks
+ * @param {AsyncIterable<Buffer>} source - Incoming chunks
+ * @returns {{read: function(number): Promise<Buffer|null>, take: function(number): AsyncIterable<Buffer>, drain: function(): Promise<void>}}
+ */
+function createByteReader(source) {
+  const iterator = source[Symbol.asyncIterator]();
+  let pending = Buffer.alloc(0);
+  let done = false;
+
+  const fill = async () => {
+    if (done) {
+      return false;
+    }
+    const { value, done: finished } = await iterator.next();
+    if (finished) {
+      done = true;
+      return false;
+    }
+    pending = pending.length > 0 ? Buffer.concat([pending, value]) : value;
+    return true;
+  };
+
+  return {
+    /**
+     * Reads exactly length bytes
+     * @returns {Promise<Buffer|null>} The bytes, or null if the stream ended before the first one
+     * @throws {Error} If the stream ends partway through
+     */
+    async read(length) {
+      while (pending.length < length) {
+        if (!(await fill())) {
+          if (pending.length === 0) {
+            return null;
+          }
+          throw new Error('Unexpected end of data');
+        }
+      }
+      const result = pending.subarray(0, length);
+      pending = pending.subarray(length);
+      return result;
+    },
+
+    /**
+     * Yields the next length bytes in pieces, without holding them all in memory
+     * @returns {AsyncIterable<Buffer>}
+     */
+    async *take(length) {
+      let remaining = length;
+      while (remaining > 0) {
+        if (pending.length === 0 && !(await fill())) {
+          throw new Error('Unexpected end of data');
+        }
+        const piece = pending.subarray(0, remaining);
+        pending = pending.subarray(piece.length);
+        remaining -= piece.length;
+        yield piece;
+      }
+    },
+
+    /**
+     * Consumes the rest of the stream
+     */
+    async drain() {
+      pending = Buffer.alloc(0);
+      while (await fill()) {
+        pending = Buffer.alloc(0);
+      }
+    },
+  };
+}
+
+/**
+ * Consumes an async iterable of chunks
+ * @param {AsyncIterable<Buffer>} chunks - Chunks to consume
+ * @param {boolean} [keep=true] - Whether to return the bytes or just discard them
+ * @returns {Promise<Buffer|undefined>} Concatenated bytes, if kept
+ */
+async function collect(chunks, keep = true) {
+  const parts = [];
+  for await (const chunk of chunks) {
+    if (keep) {
+      parts.push(chunk);
+    }
+  }
+  return keep ? Buffer.concat(parts) : undefined;
+}
+
+/**
+ * Parses a control file, respelling field names in dpkg's canonical form
+ * Values are kept as written, see parseDeb822.
+ * @param {string} content - Control file content
+ * @returns {Map<string, string>} Field values by canonical name, in file order
+ * @throws {Error} If the control file is not valid deb822
+ */
+export function parseControlFields(content) {
+  const [paragraph = new Map()] = parseDeb822(content);
+  return new Map([...paragraph].map(([name, value]) => [canonicalFieldName(name), value]));
+}
+
+/**
+ * Spells a field name the way dpkg writes it
+ * @param {string} name - Field name in any case
+ * @returns {string} Canonical spelling
+ */
+function canonicalFieldName(name) {
+  const lower = name.toLowerCase();
+  return FIELD_SPELLINGS.get(lower) ?? lower.split('-').map((word) => word.charAt(0).toUpperCase() + word.slice(1)).join('-');
+}
+
+/**
+ * Builds a Packages stanza for a .deb, as dpkg-scanpackages would
+ * @param {Object} deb - Result of inspectDeb
+ * @param {string} filename - Path of the .deb relative to the repository root, such as ./pool/owner/repo/tag/x.deb
+ * @returns {{name: string, version: string, stanza: string}} Package name, version and stanza text
+ * @throws {Error} If the control file has no Package field
+ */
+export function buildPackagesStanza(deb, filename) {
+  const fields = parseControlFields(deb.control);
+  if (!fields.has('Package')) {
+    throw new Error(`No Package field in control file of ${filename}`);
+  }
+
+  fields.set('Filename', filename);
+  fields.set('MD5sum', deb.md5sum);
+  fields.set('SHA1', deb.sha1);
+  fields.set('SHA256', deb.sha256);
+  fields.set('Size', String(deb.size));
+
+  const rank = (name) => {
+    const position = PACKAGES_FIELD_ORDER.indexOf(name);
+    return position === -1 ? PACKAGES_FIELD_ORDER.length : position;
+  };
+  const names = [...fields.keys()].sort((a, b) => rank(a) - rank(b) || compareStrings(a, b));
+
+  // Like dpkg, leave out empty fields and trailing empty lines (written as " .")
+  const stanza = new Map();
+  for (const name of names) {
+    const lines = fields.get(name).split('\n');
+    while (lines.length > 1 && lines[lines.length - 1] === '.') {
+      lines.pop();
+    }
+    if (/\S/.test(lines.join(''))) {
+      stanza.set(name, lines.join('\n'));
+    }
+  }
+
+  return { name: fields.get('Package'), version: fields.get('Version') ?? '', stanza: serializeParagraph(stanza) };
+}
+
+/**
+ * Joins stanzas into a Packages file, sorted by package name and then Debian version as dpkg-scanpackages does
+ * @param {Array<{name: string, version: string, stanza: string}>} stanzas - Results of buildPackagesStanza
+ * @returns {string} Packages file content
+ * @throws {Error} If two stanzas of a package have a version that cannot be compared
+ */
+export function formatPackagesFile(stanzas) {
+  const versionOrder = (a, b) => {
+    try {
+      return compareVersions(a.version, b.version);
+    } catch (error) {
+      throw new Error(`Cannot sort versions "${a.version}" and "${b.version}" of ${a.name}: ${error.message}`);
+    }
+  };
+  return [...stanzas]
+    .sort((a, b) => compareStrings(a.name, b.name) || versionOrder(a, b))
+    .map(({ stanza }) => `${stanza}\n`)
+    .join('');
+}
+
+/**
+ * Compares strings by code unit, like Perl's cmp without a locale
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Negative, zero or positive
+ */
+function compareStrings(a, b) {
+  return a < b ? -1 : a > b ? 1 : 0;
+}
@@ -0,0 +1,135 @@
+// Reads and writes deb822 control data: Packages and Release files, control
+// files and .sources files. A paragraph is a Map of field name to value, in
+// file order. Values keep their continuation lines, minus the single leading
+// space, so parsing and serializing gives back the same text.
+
+/**
+ * Parses deb822 content into paragraphs
+ * Field names keep their spelling but are unique regardless of case. Comment lines are skipped.
+ * The first line of a value loses surrounding whitespace; every line loses trailing whitespace.
+ * @param {string} content - deb822 text
+ * @returns {Array<Map<string, string>>} Paragraphs in file order
+ * @throws {Error} If a line is malformed or a field is repeated within a paragraph
+ */
+export function parseDeb822(content) {
+  const paragraphs = [];
+  let paragraph = null;
+  let current = null;
+
+  content.split('\n').forEach((rawLine, index) => {
+    const line = rawLine.replace(/[ \t\r]+$/, '');
+
+    if (line.length === 0) {
+      paragraph = null;
+      current = null;
+      return;
+    }
+    if (line.startsWith('#')) {
+      return;
+    }
+
+    if (/^[ \t]/.test(line)) {
+      if (current === null) {
+        throw new Error(`Continuation line without a field at line ${index + 1}`);
+      }
+      paragraph.set(current, `${paragraph.get(current)}\n${line.slice(1)}`);
+      return;
+    }
+
+    const match = /^([^\s:]+)[ \t]*:[ \t]*(.*)$/.exec(line);
+    if (!match) {
+      throw new Error(`Malformed line ${index + 1}: ${line}`);
+    }
+    if (paragraph === null) {
+      paragraph = new Map();
+      paragraphs.push(paragraph);
+    }
+    const [, name, value] = match;
+    if (findFieldName(paragraph, name) !== undefined) {
+      throw new Error(`Duplicate field ${name} at line ${index + 1}`);
+    }
+    paragraph.set(name, value);
+    current = name;
+  });
+
+  return paragraphs;
+}
+
+/**
+ * Serializes paragraphs, separated by blank lines
+ * @param {Array<Map<string, string>>} paragraphs - Paragraphs to write
+ * @returns {string} deb822 text, ending in a newline (empty for no paragraphs)
+ * @throws {Error} If a field cannot be represented, see serializeParagraph
+ */
+export function serializeDeb822(paragraphs) {
+  return paragraphs.map(serializeParagraph).join('\n');
+}
+
+/**
+ * Serializes one paragraph
+ * Fields whose value is undefined or null are left out.
+ * @param {Map<string, string>} paragraph - Paragraph to write
+ * @returns {string} Fields, each line ending in a newline
+ * @throws {Error} If a field name is invalid or a value has an empty continuation line
+ */
+export function serializeParagraph(paragraph) {
+  let text = '';
+  for (const [name, value] of paragraph) {
+    if (value === undefined || value === null) {
+      continue;
+    }
+    if (!/^[^\s:#-][^\s:]*$/.test(name)) {
+      throw new Error(`Invalid field name: ${name}`);
+    }
+
+    const [firstLine, ...continuation] = String(value).split('\n');
+    text += firstLine ? `${name}: ${firstLine}\n` : `${name}:\n`;
+    for (const line of continuation) {
+      if (!/\S/.test(line)) {
+        throw new Error(`Field ${name} has an empty continuation line`);
+      }
+      text += ` ${line}\n`;
+    }
+  }
+  return text;
+}
+
+/**
+ * Gets a field value, matching the name case-insensitively
+ * @param {Map<string, string>} paragraph - Paragraph to read
+ * @param {string} name - Field name
+ * @returns {string|undefined} Field value
+ */
+export function getField(paragraph, name) {
+  const key = findFieldName(paragraph, name);
+  return key === undefined ? undefined : paragraph.get(key);
+}
+
+/**
+ * Sets a field value, replacing any field of the same name in any case at its position
+ * @param {Map<string, string>} paragraph - Paragraph to change
+ * @param {string} name - Field name
+ * @param {string} value - Field value
+ */
+export function setField(paragraph, name, value) {
+  paragraph.set(findFieldName(paragraph, name) ?? name, value);
+}
+
+/**
+ * Finds how a field name is spelled in a paragraph
+ * @param {Map<string, string>} paragraph - Paragraph to search
+ * @param {string} name - Field name in any case
+ * @returns {string|undefined} Name as stored, if the field exists
+ */
+function findFieldName(paragraph, name) {
+  if (paragraph.has(name)) {
+    return name;
+  }
+  const lower = name.toLowerCase();
+  for (const key of paragraph.keys()) {
+    if (key.toLowerCase() === lower) {
+      return key;
+    }
+  }
+  return undefined;
+}
@@ -10,10 +10,11 @@ const execAsync = promisify(exec);
  * Generates a Packages file using dpkg-scanpackages
  * @param {string} debDir - Directory containing .deb files
  * @param {string} outputPath - Path where the Packages file should be written
+ * @param {string} [rootDir] - Repository root that Filename fields are relative to (defaults to debDir)
  * @returns {Promise<void>}
  * @throws {Error} If dpkg-scanpackages fails or no .deb files are found
  */
-export async function generatePackagesFile(debDir, outputPath) {
+export async function generatePackagesFile(debDir, outputPath, rootDir = debDir) {
   // Ensure output directory exists
   const outputDir = path.dirname(outputPath);
   await fs.mkdir(outputDir, { recursive: true });
@@ -22,7 +23,8 @@ export async function generatePackagesFile(debDir, outputPath) {
     // dpkg-scanpackages scans the directory and outputs to stdout
     // We redirect stdout to the Packages file
     // The command format: dpkg-scanpackages <directory> [override-file] > Packages
-    const process_output = await zx({cwd: debDir})`dpkg-scanpackages --multiversion .`.pipe(outputPath);
+    const scanDir = `./${path.relative(rootDir, debDir)}`.replace(/\/$/, '');
+    const process_output = await zx({cwd: rootDir})`dpkg-scanpackages --multiversion ${scanDir}`.pipe(outputPath);
 
     // Verify the Packages file was created
     try {
@@ -48,3 +50,24 @@ export async function generatePackagesFile(debDir, outputPath) {
   }
 }
 
+
+/**
+ * Lists the files a .deb package installs, as used for Contents indices
+ * Directories are left out; paths are relative to the filesystem root, without a leading ./
+ * @param {string} debPath - Path to the .deb file
+ * @returns {Promise<string[]>} Installed file paths
+ * @throws {Error} If dpkg-deb cannot read the package
+ */
+export async function listDebContents(debPath) {
+  let output;
+  try {
+    output = await zx`dpkg-deb --fsys-tarfile ${debPath} | tar -t --quoting-style=literal`;
+  } catch (error) {
+    throw new Error(`Failed to list contents of ${path.basename(debPath)}: ${error.stderr?.trim() || error.message}`);
+  }
+
+  return output.stdout
+    .split('\n')
+    .filter((line) => line && !line.endsWith('/'))
+    .map((line) => line.replace(/^\.?\//, ''));
+}
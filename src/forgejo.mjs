@@ -0,0 +1,114 @@
+import { fetchJson } from './network.mjs';
+
+// Releases of Forgejo and Gitea repositories, such as those on Codeberg.
+// Both serve the same release API, and their releases already have the shape of
+// GitHub's (tag_name, prerelease, draft, published_at, assets with browser_download_url).
+
+/**
+ * Releases asked for per page
+ * Servers may return fewer (MAX_RESPONSE_ITEMS, often 30), so a short page does not mean the last one.
+ */
+const PAGE_SIZE = 50;
+
+/**
+ * Works out the API and web addresses of a Forgejo or Gitea instance
+ * The API lives at /api/v1 below the web address.
+ * @param {Object} [options] - Command options
+ * @param {string} [options.apiUrl] - REST API base URL
+ * @param {string} [options.serverUrl] - Web address
+ * @param {string} defaultServerUrl - Web address when neither is given
+ * @returns {{apiUrl: string, serverUrl: string}} Addresses without trailing slashes
+ */
+export function resolveForgejoUrls(options = {}, defaultServerUrl) {
+  const serverUrl = (options.serverUrl || (options.apiUrl ? new URL(options.apiUrl).origin : defaultServerUrl)).replace(/\/+$/, '');
+  const apiUrl = (options.apiUrl || `${serverUrl}/api/v1`).replace(/\/+$/, '');
+  return { apiUrl, serverUrl };
+}
+
+/**
+ * Makes the headers authenticating a request
+ * @param {string} [token] - Access token
+ * @returns {Object<string, string>} Headers
+ */
+export function authHeaders(token) {
+  return token ? { Authorization: `token ${token}` } : {};
+}
+
+/**
+ * Converts a failed API request into a user-facing error
+ * @param {Error} error - Error thrown by fetchJson
+ * @param {string} notFoundMessage - Message to use for 404 responses
+ * @returns {Error} Error with a readable message
+ */
+function describeRequestError(error, notFoundMessage) {
+  if (error.status === 404) {
+    return new Error(notFoundMessage);
+  }
+  if (error.status === 401 || error.status === 403) {
+    return new Error(`Authentication failed. Check your Forgejo or Gitea token.`);
+  }
+  return new Error(`Failed to fetch release: ${error.message}`);
+}
+
+/**
+ * Fetches the latest release of a repository, leaving out drafts and prereleases
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} [token] - Access token
+ * @param {string} apiUrl - REST API base URL
+ * @returns {Promise<Object>} The latest release object
+ * @throws {Error} If the release cannot be fetched or doesn't exist
+ */
+export async function getLatestRelease(owner, repo, token, apiUrl) {
+  try {
+    const { data } = await fetchJson(`${apiUrl}/repos/${owner}/${repo}/releases/latest`, authHeaders(token));
+    return data;
+  } catch (error) {
+    throw describeRequestError(error, `No releases found for ${owner}/${repo}`);
+  }
+}
+
+/**
+ * Fetches the release for a specific tag
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} tag - Release tag name
+ * @param {string} [token] - Access token
+ * @param {string} apiUrl - REST API base URL
+ * @returns {Promise<Object>} The release object
+ * @throws {Error} If the release cannot be fetched or doesn't exist
+ */
+export async function getReleaseByTag(owner, repo, tag, token, apiUrl) {
+  try {
+    const { data } = await fetchJson(`${apiUrl}/repos/${owner}/${repo}/releases/tags/${encodeURIComponent(tag)}`, authHeaders(token));
+    return data;
+  } catch (error) {
+    throw describeRequestError(error, `No release found for tag ${tag} in ${owner}/${repo}`);
+  }
+}
+
+/**
+ * Fetches every release of a repository, paging through the results
+ * Paging stops once X-Total-Count releases have arrived, or at the first empty page when the server doesn't send it.
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} [token] - Access token
+ * @param {string} apiUrl - REST API base URL
+ * @returns {Promise<Object[]>} Release objects, newest first
+ * @throws {Error} If the releases cannot be fetched
+ */
+export async function listReleases(owner, repo, token, apiUrl) {
+  const releases = [];
+  try {
+    for (let page = 1; ; page++) {
+      const { data, headers } = await fetchJson(`${apiUrl}/repos/${owner}/${repo}/releases?limit=${PAGE_SIZE}&page=${page}`, authHeaders(token));
+      releases.push(...data);
+      const total = Number(headers['x-total-count'] ?? Infinity);
+      if (data.length === 0 || releases.length >= total) {
+        return releases;
+      }
+    }
+  } catch (error) {
+    throw describeRequestError(error, `Repository ${owner}/${repo} not found`);
+  }
+}
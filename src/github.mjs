@@ -1,54 +1,284 @@
 import { Octokit } from '@octokit/rest';
 import fs from 'fs/promises';
-import { createWriteStream } from 'fs';
 import path from 'path';
-import { Writable } from 'stream';
-import { extractChecksumMap } from './repository.mjs';
+import { Readable } from 'stream';
+import { extractChecksumMap, releasePoolPath } from './repository.mjs';
+import { inspectDeb, inspectDebFile } from './deb.mjs';
+import { withRetries, mapConcurrently, formatBytes, DEFAULT_CONCURRENCY } from './network.mjs';
+import { findChecksumAssets, parseChecksumFile, sha256File, verifyDetachedSignature } from './checksums.mjs';
+
+/**
+ * REST API of github.com
+ */
+export const DEFAULT_API_URL = 'https://api.github.com';
+
+/**
+ * Web address of github.com, which release downloads are served from
+ */
+export const DEFAULT_SERVER_URL = 'https://github.com';
+
+/**
+ * Works out the API and web addresses of the GitHub instance to talk to
+ *
+ * Given only one of them, the other is derived the way GitHub Enterprise Server lays them out
+ * (https://github.example.com/api/v3 for https://github.example.com).
+ * Without either, the GITHUB_API_URL and GITHUB_SERVER_URL environment variables are used,
+ * as GitHub Actions sets them, and then github.com.
+ * @param {Object} [options] - Command options
+ * @param {string} [options.apiUrl] - REST API base URL
+ * @param {string} [options.serverUrl] - Web address
+ * @param {Object} [env] - Environment variables
+ * @returns {{apiUrl: string, serverUrl: string}} Addresses without trailing slashes
+ * @throws {Error} If an address is not an http(s) URL
+ */
+export function resolveGitHubUrls(options = {}, env = process.env) {
+  const explicit = options.apiUrl || options.serverUrl;
+  let apiUrl = normalizeUrl(options.apiUrl || (explicit ? undefined : env.GITHUB_API_URL), 'API');
+  let serverUrl = normalizeUrl(options.serverUrl || (explicit ? undefined : env.GITHUB_SERVER_URL), 'server');
+
+  if (!apiUrl) {
+    apiUrl = !serverUrl || serverUrl === DEFAULT_SERVER_URL ? DEFAULT_API_URL : `${serverUrl}/api/v3`;
+  }
+  if (!serverUrl) {
+    serverUrl = apiUrl === DEFAULT_API_URL ? DEFAULT_SERVER_URL : apiUrl.replace(/\/api\/v3$/, '');
+    if (serverUrl === apiUrl) {
+      serverUrl = new URL(apiUrl).origin;
+    }
+  }
+  return { apiUrl, serverUrl };
+}
+
+/**
+ * Checks a GitHub address and trims its trailing slashes
+ * @param {string} [value] - Address
+ * @param {string} kind - What the address is for, for messages
+ * @returns {string|undefined} Address
+ * @throws {Error} If the address is not an http(s) URL
+ */
+function normalizeUrl(value, kind) {
+  if (!value) {
+    return undefined;
+  }
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    throw new Error(`Invalid GitHub ${kind} URL ${value}`);
+  }
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+    throw new Error(`GitHub ${kind} URL must use http or https, got ${value}`);
+  }
+  return url.href.replace(/\/+$/, '');
+}
+
+/**
+ * Creates an authenticated Octokit client that waits out rate limits and retries server errors
+ * @param {string} [token] - Optional GitHub token for authentication
+ * @param {string} [apiUrl] - REST API base URL, for GitHub Enterprise Server (defaults to GITHUB_API_URL or github.com)
+ * @returns {Octokit} Octokit instance
+ */
+export function createOctokit(token, apiUrl) {
+  const octokit = new Octokit({
+    auth: token || process.env.GITHUB_TOKEN,
+    baseUrl: apiUrl || resolveGitHubUrls().apiUrl,
+  });
+  // Wait out rate limits and retry server errors, see retryDelay
+  octokit.hook.wrap('request', (request, options) => withRetries(() => request(options), {
+    onRetry: (error, attempt, delay) => {
+      const reason = error.status === 403 || error.status === 429 ? 'rate limited' : error.message;
+      console.warn(`  GitHub API ${options.method} ${options.url}: ${reason}; retrying in ${Math.ceil(delay / 1000)}s`);
+    },
+  }));
+  return octokit;
+}
+
+/**
+ * Converts an Octokit request error into a user-facing error
+ * @param {Error} error - Error thrown by Octokit
+ * @param {string} notFoundMessage - Message to use for 404 responses
+ * @returns {Error} Error with a readable message
+ */
+function describeRequestError(error, notFoundMessage) {
+  if (error.status === 404) {
+    return new Error(notFoundMessage);
+  }
+  if (error.status === 401 || error.status === 403) {
+    return new Error(`Authentication failed. Check your GitHub token.`);
+  }
+  return new Error(`Failed to fetch release: ${error.message}`);
+}
 
 /**
  * Fetches the latest release for a GitHub repository
  * @param {string} owner - Repository owner
  * @param {string} repo - Repository name
  * @param {string} [token] - Optional GitHub token for authentication
+ * @param {string} [apiUrl] - REST API base URL, see createOctokit
  * @returns {Promise<Object>} The latest release object
  * @throws {Error} If the release cannot be fetched or doesn't exist
  */
-export async function getLatestRelease(owner, repo, token) {
-  const octokit = new Octokit({
-    auth: token || process.env.GITHUB_TOKEN,
-  });
+export async function getLatestRelease(owner, repo, token, apiUrl) {
+  const octokit = createOctokit(token, apiUrl);
 
+  let release;
   try {
-    const { data: release } = await octokit.rest.repos.getLatestRelease({
+    ({ data: release } = await octokit.rest.repos.getLatestRelease({
       owner,
       repo,
-    });
+    }));
+  } catch (error) {
+    throw describeRequestError(error, `No releases found for ${owner}/${repo}`);
+  }
 
-    if (!release) {
-      throw new Error(`No latest release found for ${owner}/${repo}`);
-    }
+  if (!release) {
+    throw new Error(`No latest release found for ${owner}/${repo}`);
+  }
+
+  return release;
+}
 
+/**
+ * Fetches the release for a specific tag of a GitHub repository
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} tag - Release tag name
+ * @param {string} [token] - Optional GitHub token for authentication
+ * @param {string} [apiUrl] - REST API base URL, see createOctokit
+ * @returns {Promise<Object>} The release object
+ * @throws {Error} If the release cannot be fetched or doesn't exist
+ */
+export async function getReleaseByTag(owner, repo, tag, token, apiUrl) {
+  const octokit = createOctokit(token, apiUrl);
+
+  try {
+    const { data: release } = await octokit.rest.repos.getReleaseByTag({
+      owner,
+      repo,
+      tag,
+    });
     return release;
   } catch (error) {
-    if (error.status === 404) {
-      throw new Error(`No releases found for ${owner}/${repo}`);
-    }
-    if (error.status === 401 || error.status === 403) {
-      throw new Error(`Authentication failed. Check your GitHub token.`);
-    }
-    throw new Error(`Failed to fetch release: ${error.message}`);
+    throw describeRequestError(error, `No release found for tag ${tag} in ${owner}/${repo}`);
+  }
+}
+
+/**
+ * Fetches every release of a GitHub repository, paging through the results
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} [token] - Optional GitHub token for authentication
+ * @param {string} [apiUrl] - REST API base URL, see createOctokit
+ * @returns {Promise<Object[]>} Release objects, newest first
+ * @throws {Error} If the releases cannot be fetched
+ */
+export async function listReleases(owner, repo, token, apiUrl) {
+  const octokit = createOctokit(token, apiUrl);
+
+  try {
+    return await octokit.paginate(octokit.rest.repos.listReleases, {
+      owner,
+      repo,
+      per_page: 100,
+    });
+  } catch (error) {
+    throw describeRequestError(error, `Repository ${owner}/${repo} not found`);
+  }
+}
+
+/**
+ * Selects the releases published since (and including) the given tag
+ * @param {Object[]} releases - Release objects, newest first (as returned by listReleases)
+ * @param {string} sinceTag - Tag name of the oldest release to include
+ * @returns {Object[]} Releases from newest down to the release tagged sinceTag
+ * @throws {Error} If no release has the given tag
+ */
+export function selectReleasesSince(releases, sinceTag) {
+  const index = releases.findIndex((release) => release.tag_name === sinceTag);
+  if (index === -1) {
+    throw new Error(`No release found for tag ${sinceTag}`);
   }
+  return releases.slice(0, index + 1);
+}
+
+/**
+ * Determines which channel a release is published to
+ * @param {Object} release - GitHub release object
+ * @returns {'stable'|'prerelease'} Release channel
+ */
+export function getReleaseChannel(release) {
+  return release.prerelease ? 'prerelease' : 'stable';
 }
 
 /**
  * Filters .deb assets from a GitHub release
  * @param {Object} release - GitHub release object
+ * @param {Object} [filters] - Asset name filters, see selectDebAssets
  * @returns {Array} Array of .deb asset objects
  */
-export function filterDebAssets(release) {
-  return release.assets.filter((asset) =>
-    asset.name.endsWith('.deb')
-  );
+export function filterDebAssets(release, filters = {}) {
+  return selectDebAssets(release, filters).selected;
+}
+
+/**
+ * Sorts a release's .deb assets into those to import and those filtered out
+ *
+ * Patterns are globs (`*` and `?` wildcards) matched against the whole asset name,
+ * or regular expressions when written as `/pattern/flags`.
+ * @param {Object} release - GitHub release object
+ * @param {Object} [filters] - Asset name filters
+ * @param {string[]} [filters.include] - Only import assets matching one of these patterns
+ * @param {string[]} [filters.exclude] - Never import assets matching one of these patterns
+ * @returns {{selected: Array, skipped: Array<{asset: Object, reason: string}>}}
+ */
+export function selectDebAssets(release, filters = {}) {
+  const include = (filters.include ?? []).map((pattern) => ({ pattern, regex: compileAssetPattern(pattern) }));
+  const exclude = (filters.exclude ?? []).map((pattern) => ({ pattern, regex: compileAssetPattern(pattern) }));
+  const selected = [];
+  const skipped = [];
+
+  for (const asset of release.assets) {
+    if (!asset.name.endsWith('.deb')) {
+      continue;
+    }
+
+    const excludedBy = exclude.find(({ regex }) => regex.test(asset.name));
+    if (include.length > 0 && !include.some(({ regex }) => regex.test(asset.name))) {
+      skipped.push({ asset, reason: 'does not match any --include pattern' });
+    } else if (excludedBy) {
+      skipped.push({ asset, reason: `matches --exclude ${excludedBy.pattern}` });
+    } else {
+      selected.push(asset);
+    }
+  }
+
+  return { selected, skipped };
+}
+
+/**
+ * Compiles an asset name pattern to a regular expression
+ * @param {string} pattern - Glob, or regular expression written as `/pattern/flags`
+ * @returns {RegExp} Regular expression matching asset names
+ * @throws {Error} If a regular expression pattern is invalid
+ */
+export function compileAssetPattern(pattern) {
+  const regexMatch = pattern.match(/^\/(.+)\/([a-z]*)$/);
+  if (regexMatch) {
+    try {
+      return new RegExp(regexMatch[1], regexMatch[2]);
+    } catch (error) {
+      throw new Error(`Invalid asset pattern ${pattern}: ${error.message}`);
+    }
+  }
+
+  const source = pattern
+    .split('')
+    .map((char) => {
+      if (char === '*') return '.*';
+      if (char === '?') return '.';
+      return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source}$`);
 }
 
 /**
@@ -65,12 +295,16 @@ export function extractAssetSHA256(asset) {
 
 /**
  * Determines which assets should be downloaded vs skipped based on checksum comparison
+ * An asset is skipped when the Packages file already lists it with the SHA256 of GitHub's digest,
+ * and the file is on disk unless the import keeps metadata only.
  * @param {Array} assets - Array of GitHub release asset objects
  * @param {Map<string, string>} existingChecksums - Map of filename to SHA256 from Packages file
  * @param {string} downloadDir - Directory where files would be downloaded
+ * @param {Object} [options] - Import options
+ * @param {boolean} [options.metadataOnly] - Trust the Packages file without the .deb files
  * @returns {Promise<{toDownload: Array<{asset: Object, filePath: string}>, toSkip: Array<{asset: Object, filePath: string}>}>}
  */
-export async function categorizeAssetsByChecksum(assets, existingChecksums, downloadDir) {
+export async function categorizeAssetsByChecksum(assets, existingChecksums, downloadDir, options = {}) {
   const toDownload = [];
   const toSkip = [];
   
@@ -81,7 +315,7 @@ export async function categorizeAssetsByChecksum(assets, existingChecksums, down
     
     const shouldSkip = existingSHA256 && assetSHA256 && 
       existingSHA256.toLowerCase() === assetSHA256.toLowerCase() &&
-      await fs.access(filePath).then(() => true).catch(() => false);
+      (options.metadataOnly || await fs.access(filePath).then(() => true).catch(() => false));
     
     if (shouldSkip) {
       toSkip.push({ asset, filePath });
@@ -93,20 +327,136 @@ export async function categorizeAssetsByChecksum(assets, existingChecksums, down
   return { toDownload, toSkip };
 }
 
+/**
+ * Works out the SHA256 each downloaded asset must have
+ *
+ * GitHub's asset digest is used where there is one. For the other assets, the release's checksum file
+ * (SHA256SUMS or checksums.txt) is downloaded; with a key, its detached signature must verify first.
+ * Assets with neither are listed as unverified, unless there is a checksum file or a key, when they fail the import.
+ * @param {Object} release - GitHub release object
+ * @param {Object[]} assets - Assets to be downloaded
+ * @param {string} [token] - GitHub token
+ * @param {Object} [options] - Verification options
+ * @param {string} [options.checksumsKey] - Public key the checksum file's signature must verify with
+ * @param {Function} [options.fetchAsset] - Downloads an asset's content, see fetchAsset
+ * @param {function(string): void} [options.log] - Prints progress (defaults to console.log)
+ * @returns {Promise<Map<string, {sha256: string, source: string}>>} Expected checksums and where they came from, by asset name
+ * @throws {Error} If the checksum file cannot be downloaded, or its signature is missing or bad,
+ *   or an asset has nothing to be checked against although a checksum file or key is there
+ */
+export async function resolveExpectedChecksums(release, assets, token, options = {}) {
+  const log = options.log ?? console.log;
+  const expected = new Map();
+  const undigested = [];
+  for (const asset of assets) {
+    const digest = extractAssetSHA256(asset);
+    if (digest) {
+      expected.set(asset.name, { sha256: digest.toLowerCase(), source: 'GitHub digest' });
+    } else {
+      undigested.push(asset);
+    }
+  }
+  if (undigested.length === 0) {
+    return expected;
+  }
+
+  const { checksums, signature } = findChecksumAssets(release);
+  if (checksums) {
+    const fetch = options.fetchAsset ?? fetchAsset;
+    const content = await fetch(checksums, token);
+    if (options.checksumsKey) {
+      if (!signature) {
+        throw new Error(`${checksums.name} has no signature to check (expected ${checksums.name}.sig, .asc or .gpg)`);
+      }
+      try {
+        await verifyDetachedSignature(content, await fetch(signature, token), options.checksumsKey);
+      } catch (error) {
+        throw new Error(`${signature.name}: ${error.message}`);
+      }
+      log(`Checked ${checksums.name} against ${signature.name}`);
+    }
+
+    const sums = parseChecksumFile(content.toString('utf-8'));
+    for (const asset of undigested) {
+      if (sums.has(asset.name)) {
+        expected.set(asset.name, { sha256: sums.get(asset.name), source: checksums.name });
+      }
+    }
+  }
+
+  const unverified = undigested.filter((asset) => !expected.has(asset.name));
+  if (unverified.length > 0) {
+    const names = unverified.map((asset) => asset.name).join(', ');
+    // Once the release offers checksums, or a key asks for them, an asset left out of them could have been swapped
+    if (checksums || options.checksumsKey) {
+      throw new Error(`No digest or ${checksums?.name ?? 'checksum file'} entry to verify ${names} against`);
+    }
+    log(`  No digest or checksum file entry to verify ${names} against`);
+  }
+  return expected;
+}
+
+/**
+ * Downloads a small release asset, such as a checksum file, into memory
+ * Like package downloads, it falls back to the API's asset endpoint when the download needs a token.
+ * @param {Object} asset - GitHub release asset object
+ * @param {string} [token] - GitHub token
+ * @param {Object<string, string>} [extraHeaders] - More request headers, such as another host's Authorization
+ * @returns {Promise<Buffer>} Asset content
+ * @throws {Error} If the download fails
+ */
+export async function fetchAsset(asset, token, extraHeaders = {}) {
+  const request = async (url, headers) => {
+    const response = await fetch(url, { headers: { ...headers, ...(token && { Authorization: `token ${token}` }), ...extraHeaders } });
+    if (!response.ok) {
+      await response.body?.cancel();
+      throw Object.assign(new Error(`Failed to download ${asset.name}: ${response.status} ${response.statusText}`), {
+        status: response.status,
+        headers: Object.fromEntries(response.headers),
+      });
+    }
+    return Buffer.from(await response.arrayBuffer());
+  };
+
+  return withRetries(async () => {
+    try {
+      return await request(asset.browser_download_url, {});
+    } catch (error) {
+      if (!token || !asset.url || ![401, 403, 404].includes(error.status)) {
+        throw error;
+      }
+      return request(asset.url, { Accept: 'application/octet-stream' });
+    }
+  });
+}
+
 /**
  * Downloads all .deb assets from a GitHub release
+ * Several assets download at once; each is listed as it completes, followed by the total size and time.
+ * Each download is checked against the SHA256 from resolveExpectedChecksums, and removed if it differs.
+ * downloadFn may return the size and SHA256 of what it downloaded, as inspectDeb does; otherwise the file is hashed.
  * @param {Object} release - GitHub release object
  * @param {string} owner - Repository owner
  * @param {string} repo - Repository name
  * @param {string} outputDir - Root directory for the APT repository
- * @param {string} [token] - Optional GitHub token for authentication
- * @returns {Promise<string[]>} Array of paths to downloaded .deb files
- * @throws {Error} If download fails
+ * @param {string} [token] - Optional token for authentication, see resolveToken
+ * @param {Function} [downloadFn] - Function used to download each asset
+ * @param {Object} [options] - Download options
+ * @param {Object} [options.filters] - Asset name filters, see selectDebAssets
+ * @param {number} [options.concurrency] - Most downloads at once
+ * @param {string} [options.checksumsKey] - Public key for the checksum file's signature, see resolveExpectedChecksums
+ * @param {Function} [options.fetchAsset] - Downloads the checksum file, see fetchAsset
+ * @param {boolean} [options.metadataOnly] - downloadFn reads the packages without keeping them, see categorizeAssetsByChecksum
+ * @param {string} [options.serverUrl] - Web address of the release's host, see releasePoolPath
+ * @param {function(string): void} [options.log] - Prints progress (defaults to console.log)
+ * @returns {Promise<string[]>} Array of paths to downloaded .deb files (with metadataOnly, the paths they would have)
+ * @throws {Error} If a download fails or does not match its checksum
  */
-export async function downloadDebAssets(release, owner, repo, outputDir, token) {
-  const debAssets = filterDebAssets(release);
+export async function downloadDebAssets(release, owner, repo, outputDir, token, downloadFn = downloadFile, options = {}) {
+  const log = options.log ?? console.log;
+  const debAssets = filterDebAssets(release, options.filters);
 
-  const downloadDir = path.join(outputDir, 'pool', owner, repo, release.tag_name);
+  const downloadDir = path.join(outputDir, releasePoolPath(owner, repo, release.tag_name, options.serverUrl));
   
   await fs.mkdir(downloadDir, { recursive: true });
 
@@ -114,52 +464,243 @@ export async function downloadDebAssets(release, owner, repo, outputDir, token)
   
   const existingChecksums = await extractChecksumMap(packagesPath);
 
-  const { toDownload, toSkip } = await categorizeAssetsByChecksum(debAssets, existingChecksums, downloadDir);
+  const { toDownload, toSkip } = await categorizeAssetsByChecksum(debAssets, existingChecksums, downloadDir, options);
 
-  const authHeader = token || process.env.GITHUB_TOKEN;
   const downloadedFiles = [];
 
   for (const { asset, filePath } of toSkip) {
     downloadedFiles.push(filePath);
-    console.log(`Skipped: ${asset.name} (checksum matches)`);
+    log(`Skipped: ${asset.name} (checksum matches)`);
   }
 
-  for (const { asset, filePath } of toDownload) {
+  const expectedChecksums = toDownload.length > 0
+    ? await resolveExpectedChecksums(release, toDownload.map(({ asset }) => asset), token, options)
+    : new Map();
+
+  const started = Date.now();
+  const sizes = await mapConcurrently(toDownload, options.concurrency ?? DEFAULT_CONCURRENCY, async ({ asset, filePath }) => {
+    const assetStarted = Date.now();
+    let downloaded;
     try {
-      await downloadFile(asset.browser_download_url, filePath, authHeader);
-      downloadedFiles.push(filePath);
-      console.log(`Downloaded: ${asset.name}`);
+      try {
+        downloaded = await downloadFn(asset.browser_download_url, filePath, token);
+      } catch (error) {
+        // Assets of private repositories (and of private-mode GitHub Enterprise Server) can only be
+        // downloaded with a token through the API's asset endpoint
+        if (!token || !asset.url || ![401, 403, 404].includes(error.status)) {
+          throw error;
+        }
+        downloaded = await downloadFn(asset.url, filePath, token, { Accept: 'application/octet-stream' });
+      }
     } catch (error) {
       throw new Error(`Failed to download ${asset.name}: ${error.message}`);
     }
+    const size = downloaded?.size ?? (await fs.stat(filePath)).size;
+    const expected = expectedChecksums.get(asset.name);
+    if (expected) {
+      const sha256 = downloaded?.sha256 ?? await sha256File(filePath);
+      if (sha256 !== expected.sha256) {
+        await fs.rm(filePath, { force: true });
+        throw new Error(`Checksum mismatch for ${asset.name}: downloaded file has SHA256 ${sha256}, ${expected.source} says ${expected.sha256}`);
+      }
+    }
+    const verified = expected ? `, matches ${expected.source}` : '';
+    log(`Downloaded: ${asset.name} (${formatBytes(size)} in ${formatSeconds(Date.now() - assetStarted)}${verified})`);
+    return size;
+  });
+  downloadedFiles.push(...toDownload.map(({ filePath }) => filePath));
+
+  if (toDownload.length > 0) {
+    const total = sizes.reduce((sum, size) => sum + size, 0);
+    const elapsed = Date.now() - started;
+    log(`Downloaded ${toDownload.length} file(s), ${formatBytes(total)} in ${formatSeconds(elapsed)} (${formatBytes(Math.round(total / Math.max(elapsed, 1) * 1000))}/s)`);
   }
 
   return downloadedFiles;
 }
 
 /**
- * Downloads a file from a URL to a local path
+ * Longest a download may go without receiving data before it is abandoned and retried
+ */
+const STALL_TIMEOUT = 30 * 1000;
+
+/**
+ * Downloads a .deb from a URL to a local path and reads the package
+ *
+ * The file is written next to its destination as .part and renamed into place once complete,
+ * so an interrupted import never leaves a truncated package behind.
+ * Failed or stalled transfers are retried with backoff, resuming with a Range request where the server allows it.
  * @param {string} url - URL to download from
  * @param {string} filePath - Local path to save the file
  * @param {string} [token] - Optional GitHub token for authentication
- * @returns {Promise<void>}
+ * @param {Object<string, string>} [extraHeaders] - More request headers, such as Accept for the API's asset endpoint
+ * @param {Object} [options] - Download options
+ * @param {number} [options.retries] - Retries of a failed transfer, see withRetries
+ * @param {number} [options.stallTimeout] - Milliseconds without data before a transfer is abandoned
+ * @param {function(number): Promise<void>} [options.sleep] - Waits between retries
+ * @param {function(string): void} [options.log] - Prints retries (defaults to console.log)
+ * @returns {Promise<Object>} Size, checksums, control file and installed paths, see inspectDeb
+ * @throws {Error} If the download fails or the file is not a .deb package; HTTP failures carry the status
  * @private Exported for testing purposes only
  */
-export async function downloadFile(url, filePath, token) {
-  const headers = {};
-  if (token) {
-    headers.Authorization = `token ${token}`;
+export async function downloadFile(url, filePath, token, extraHeaders = {}, options = {}) {
+  const log = options.log ?? console.log;
+  const partPath = `${filePath}.part`;
+  await fs.rm(partPath, { force: true });
+
+  try {
+    await withRetries(() => downloadPart(url, partPath, token, extraHeaders, options.stallTimeout ?? STALL_TIMEOUT), {
+      retries: options.retries,
+      sleep: options.sleep,
+      onRetry: (error, attempt, delay) => {
+        log(`  Retrying ${path.basename(filePath)} in ${formatSeconds(delay)}: ${error.message}`);
+      },
+    });
+  } catch (error) {
+    await fs.rm(partPath, { force: true });
+    throw error;
   }
+  await fs.rename(partPath, filePath);
 
-  const response = await fetch(url, { headers });
+  try {
+    return await inspectDebFile(filePath);
+  } catch (error) {
+    await fs.rm(filePath, { force: true });
+    throw error;
+  }
+}
 
-  if (!response.ok) {
-    throw new Error(
-      `Failed to download: ${response.status} ${response.statusText}`
-    );
+/**
+ * Downloads a .deb and reads the package as it arrives, without keeping the file
+ * With no partial file to resume from, a failed or stalled transfer is retried from the start.
+ * @param {string} url - URL to download from
+ * @param {string} filePath - Path the file would have in the pool, used in messages
+ * @param {string} [token] - Optional GitHub token for authentication
+ * @param {Object<string, string>} [extraHeaders] - More request headers, such as Accept for the API's asset endpoint
+ * @param {Object} [options] - Download options, see downloadFile
+ * @returns {Promise<Object>} Size, checksums, control file and installed paths, see inspectDeb
+ * @throws {Error} If the download fails or the data is not a .deb package; HTTP failures carry the status
+ */
+export async function inspectDownload(url, filePath, token, extraHeaders = {}, options = {}) {
+  const log = options.log ?? console.log;
+  return withRetries(() => transfer(url, 0, token, extraHeaders, options.stallTimeout ?? STALL_TIMEOUT, (chunks) => inspectDeb(chunks)), {
+    retries: options.retries,
+    sleep: options.sleep,
+    onRetry: (error, attempt, delay) => {
+      log(`  Retrying ${path.basename(filePath)} from the start in ${formatSeconds(delay)}: ${error.message}`);
+    },
+  });
+}
+
+/**
+ * Makes one attempt at a download, appending to what earlier attempts left in the .part file
+ * @param {string} url - URL to download from
+ * @param {string} partPath - Partial file
+ * @param {string} [token] - GitHub token
+ * @param {Object<string, string>} extraHeaders - More request headers
+ * @param {number} stallTimeout - Milliseconds without data before the transfer is abandoned
+ * @returns {Promise<void>}
+ * @throws {Error} If the request fails, stalls or ends early; HTTP failures carry the status and response headers
+ */
+async function downloadPart(url, partPath, token, extraHeaders, stallTimeout) {
+  const offset = (await fs.stat(partPath).catch(() => null))?.size ?? 0;
+
+  try {
+    await transfer(url, offset, token, extraHeaders, stallTimeout, async (chunks, resumed) => {
+      const file = await fs.open(partPath, resumed ? 'a' : 'w');
+      try {
+        for await (const chunk of chunks) {
+          await file.write(chunk);
+        }
+      } finally {
+        await file.close();
+      }
+    });
+  } catch (error) {
+    if (error.status === 416) {
+      // The partial file no longer matches; start over
+      await fs.rm(partPath, { force: true });
+      error.status = undefined;
+      error.retryable = true;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Requests a download, from an offset if it is not 0, and passes the response body to a consumer
+ * The body fails if no data arrives for stallTimeout, or if it ends short of its Content-Length.
+ * @param {string} url - URL to download from
+ * @param {number} offset - Bytes already received by earlier attempts
+ * @param {string} [token] - GitHub token
+ * @param {Object<string, string>} extraHeaders - More request headers
+ * @param {number} stallTimeout - Milliseconds without data before the transfer is abandoned
+ * @param {function(AsyncIterable<Buffer>, boolean): Promise<*>} consume - Reads the body; told whether it continues from the offset
+ * @returns {Promise<*>} Result of consume
+ * @throws {Error} If the request fails, stalls or ends early; HTTP failures carry the status and response headers
+ */
+async function transfer(url, offset, token, extraHeaders, stallTimeout, consume) {
+  const headers = { ...(token && { Authorization: `token ${token}` }), ...extraHeaders };
+  if (offset > 0) {
+    headers.Range = `bytes=${offset}-`;
   }
 
-  const fileStream = Writable.toWeb(createWriteStream(filePath));
-  await response.body.pipeTo(fileStream);
+  const controller = new AbortController();
+  let timer;
+  const watchdog = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => controller.abort(new DOMException(`No data for ${formatSeconds(stallTimeout)}`, 'TimeoutError')), stallTimeout);
+  };
+
+  watchdog();
+  try {
+    const response = await fetch(url, { headers, signal: controller.signal });
+
+    if (!response.ok) {
+      await response.body?.cancel();
+      const error = new Error(
+        `Failed to download: ${response.status} ${response.statusText}`
+      );
+      error.status = response.status;
+      error.headers = Object.fromEntries(response.headers);
+      throw error;
+    }
+    if (response.headers.get('content-type')?.startsWith('text/html')) {
+      // A sign-in page rather than the package
+      await response.body?.cancel();
+      const error = new Error('Failed to download: got a web page instead of a package; the download needs authentication');
+      error.status = 401;
+      throw error;
+    }
+
+    const resumed = offset > 0 && response.status === 206 &&
+      response.headers.get('content-range')?.startsWith(`bytes ${offset}-`);
+    const expected = Number(response.headers.get('content-length') ?? NaN);
+    const chunks = async function* () {
+      let received = 0;
+      for await (const chunk of Readable.fromWeb(response.body)) {
+        watchdog();
+        received += chunk.length;
+        yield chunk;
+      }
+      if (Number.isFinite(expected) && received < expected) {
+        throw Object.assign(new Error(`Download ended after ${formatBytes(received)} of ${formatBytes(expected)}`), { retryable: true });
+      }
+    };
+
+    return await consume(chunks(), resumed);
+  } finally {
+    clearTimeout(timer);
+    // Closes the connection if the consumer stopped reading early
+    controller.abort();
+  }
 }
 
+/**
+ * Formats a duration for progress output
+ * @param {number} milliseconds - Duration
+ * @returns {string} Duration such as "2.5s"
+ */
+function formatSeconds(milliseconds) {
+  return `${(milliseconds / 1000).toFixed(1)}s`;
+}
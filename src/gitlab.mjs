@@ -0,0 +1,177 @@
+import { fetchJson } from './network.mjs';
+
+// Releases of GitLab projects. GitLab releases have no prerelease flag or file uploads of their own:
+// assets are links, and only links given a filepath are served at the release's permanent
+// /-/releases/{tag}/downloads/{file} address that redirect rules can point apt to.
+// Releases are converted to the shape of GitHub's, with upcoming releases (released_at in the future)
+// treated as prereleases.
+
+/**
+ * Releases fetched per page
+ */
+const PAGE_SIZE = 100;
+
+/**
+ * Works out the API and web addresses of a GitLab instance
+ * The API lives at /api/v4 below the web address.
+ * @param {Object} [options] - Command options
+ * @param {string} [options.apiUrl] - REST API base URL
+ * @param {string} [options.serverUrl] - Web address
+ * @param {string} defaultServerUrl - Web address when neither is given
+ * @returns {{apiUrl: string, serverUrl: string}} Addresses without trailing slashes
+ */
+export function resolveGitLabUrls(options = {}, defaultServerUrl) {
+  const serverUrl = (options.serverUrl || (options.apiUrl ? new URL(options.apiUrl).origin : defaultServerUrl)).replace(/\/+$/, '');
+  const apiUrl = (options.apiUrl || `${serverUrl}/api/v4`).replace(/\/+$/, '');
+  return { apiUrl, serverUrl };
+}
+
+/**
+ * Makes the headers authenticating a request
+ * GitLab takes personal, project and group access tokens as bearer tokens.
+ * @param {string} [token] - Access token
+ * @returns {Object<string, string>} Headers
+ */
+export function authHeaders(token) {
+  return token ? { Authorization: `Bearer ${token}` } : {};
+}
+
+/**
+ * Converts a failed API request into a user-facing error
+ * @param {Error} error - Error thrown by fetchJson
+ * @param {string} notFoundMessage - Message to use for 404 responses
+ * @returns {Error} Error with a readable message
+ */
+function describeRequestError(error, notFoundMessage) {
+  if (error.status === 404) {
+    return new Error(notFoundMessage);
+  }
+  if (error.status === 401 || error.status === 403) {
+    return new Error(`Authentication failed. Check your GitLab token.`);
+  }
+  return new Error(`Failed to fetch release: ${error.message}`);
+}
+
+/**
+ * Makes the API path of a project
+ * @param {string} apiUrl - REST API base URL
+ * @param {string} owner - Namespace, including any subgroups (group/subgroup)
+ * @param {string} repo - Project name
+ * @returns {string} URL of the project's releases
+ */
+function releasesUrl(apiUrl, owner, repo) {
+  return `${apiUrl}/projects/${encodeURIComponent(`${owner}/${repo}`)}/releases`;
+}
+
+/**
+ * Converts a GitLab release to the shape of a GitHub release
+ * .deb links without a filepath are left out, as apt could not be redirected to them.
+ * @param {Object} release - GitLab release object
+ * @returns {Object} Release with tag_name, name, prerelease, draft, published_at and assets
+ */
+export function normalizeRelease(release) {
+  const assets = [];
+  for (const link of release.assets?.links ?? []) {
+    const url = link.direct_asset_url ?? link.url;
+    const permanent = decodeURIComponent(new URL(url).pathname)
+      .match(new RegExp(`/-/releases/${escapeRegExp(release.tag_name)}/downloads/([^/]+)$`));
+    if (permanent) {
+      assets.push({ name: permanent[1], browser_download_url: url });
+    } else if (link.name.endsWith('.deb')) {
+      console.warn(`  Skipping ${link.name} of ${release.tag_name}: give the release link the filepath /${link.name} so apt can be redirected to it`);
+    } else {
+      assets.push({ name: link.name, browser_download_url: url });
+    }
+  }
+
+  return {
+    tag_name: release.tag_name,
+    name: release.name,
+    prerelease: Boolean(release.upcoming_release),
+    draft: false,
+    published_at: release.released_at ?? release.created_at,
+    assets,
+  };
+}
+
+/**
+ * Fetches the latest release of a project
+ * @param {string} owner - Namespace
+ * @param {string} repo - Project name
+ * @param {string} [token] - Access token
+ * @param {string} apiUrl - REST API base URL
+ * @returns {Promise<Object>} The latest release object, see normalizeRelease
+ * @throws {Error} If the release cannot be fetched or doesn't exist
+ */
+export async function getLatestRelease(owner, repo, token, apiUrl) {
+  try {
+    const { data } = await fetchJson(`${releasesUrl(apiUrl, owner, repo)}/permalink/latest`, authHeaders(token));
+    return normalizeRelease(data);
+  } catch (error) {
+    throw describeRequestError(error, `No releases found for ${owner}/${repo}`);
+  }
+}
+
+/**
+ * Fetches the release for a specific tag
+ * @param {string} owner - Namespace
+ * @param {string} repo - Project name
+ * @param {string} tag - Release tag name
+ * @param {string} [token] - Access token
+ * @param {string} apiUrl - REST API base URL
+ * @returns {Promise<Object>} The release object, see normalizeRelease
+ * @throws {Error} If the release cannot be fetched or doesn't exist
+ */
+export async function getReleaseByTag(owner, repo, tag, token, apiUrl) {
+  try {
+    const { data } = await fetchJson(`${releasesUrl(apiUrl, owner, repo)}/${encodeURIComponent(tag)}`, authHeaders(token));
+    return normalizeRelease(data);
+  } catch (error) {
+    throw describeRequestError(error, `No release found for tag ${tag} in ${owner}/${repo}`);
+  }
+}
+
+/**
+ * Fetches every release of a project, paging through the results
+ * @param {string} owner - Namespace
+ * @param {string} repo - Project name
+ * @param {string} [token] - Access token
+ * @param {string} apiUrl - REST API base URL
+ * @returns {Promise<Object[]>} Release objects, newest first, see normalizeRelease
+ * @throws {Error} If the releases cannot be fetched
+ */
+export async function listReleases(owner, repo, token, apiUrl) {
+  const releases = [];
+  try {
+    for (let page = 1; page; ) {
+      const { data, headers } = await fetchJson(`${releasesUrl(apiUrl, owner, repo)}?per_page=${PAGE_SIZE}&page=${page}`, authHeaders(token));
+      releases.push(...data.map(normalizeRelease));
+      page = data.length < PAGE_SIZE ? null : Number(headers['x-next-page'] || page + 1);
+    }
+    return releases;
+  } catch (error) {
+    throw describeRequestError(error, `Project ${owner}/${repo} not found`);
+  }
+}
+
+/**
+ * Makes the permanent URL of a release asset
+ * @param {string} serverUrl - Web address
+ * @param {string} owner - Namespace
+ * @param {string} repo - Project name
+ * @param {string} tag - Release tag name
+ * @param {string} filename - Asset name (empty for the address the names are appended to)
+ * @returns {string} Download URL
+ */
+export function downloadUrl(serverUrl, owner, repo, tag, filename) {
+  return `${serverUrl}/${owner}/${repo}/-/releases/${encodeURIComponent(tag)}/downloads/${encodeURIComponent(filename)}`;
+}
+
+/**
+ * Escapes text for use in a regular expression
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
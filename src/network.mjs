@@ -0,0 +1,178 @@
+import { setTimeout as sleep } from 'timers/promises';
+
+/**
+ * Times a failed request is retried when none is given
+ */
+export const DEFAULT_RETRIES = 3;
+
+/**
+ * Downloads run at the same time when none is given
+ */
+export const DEFAULT_CONCURRENCY = 4;
+
+/**
+ * Wait before the first retry; each later retry waits twice as long
+ */
+const BASE_DELAY = 1000;
+
+/**
+ * Longest wait for a rate limit to reset before giving up instead
+ */
+const MAX_DELAY = 15 * 60 * 1000;
+
+/**
+ * HTTP statuses worth retrying: timeouts, rate limits and server or gateway errors
+ */
+const RETRY_STATUSES = [408, 429, 500, 502, 503, 504];
+
+/**
+ * Runs an operation, retrying it with exponential backoff while it fails in a way that may pass
+ * @param {function(number): Promise<*>} operation - Called with the attempt number, starting at 1
+ * @param {Object} [options] - Retry options
+ * @param {number} [options.retries] - Retries after the first attempt
+ * @param {function(Error, number, number): void} [options.onRetry] - Called with the error, the attempt that failed and the wait in milliseconds
+ * @param {function(number): Promise<void>} [options.sleep] - Waits this many milliseconds
+ * @returns {Promise<*>} Result of the first successful attempt
+ * @throws {Error} The last error, once it is not retryable or the retries are used up
+ */
+export async function withRetries(operation, options = {}) {
+  const retries = options.retries ?? DEFAULT_RETRIES;
+  const wait = options.sleep ?? sleep;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await operation(attempt);
+    } catch (error) {
+      const delay = attempt <= retries ? retryDelay(error, attempt) : null;
+      if (delay === null) {
+        throw error;
+      }
+      options.onRetry?.(error, attempt, delay);
+      await wait(delay);
+    }
+  }
+}
+
+/**
+ * Decides whether and when to retry a failed request
+ *
+ * Rate limits are waited out: GitHub answers 403 or 429 with retry-after,
+ * or with x-ratelimit-remaining: 0 and the time the limit resets in x-ratelimit-reset.
+ * Other failures back off exponentially, with some jitter so parallel downloads don't retry in lockstep.
+ * @param {Error} error - Error with the HTTP status and response headers, if there was a response
+ * @param {number} attempt - Attempt that failed, starting at 1
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {number|null} Milliseconds to wait, or null not to retry
+ */
+export function retryDelay(error, attempt, now = Date.now()) {
+  const headers = error.response?.headers ?? error.headers ?? {};
+  const rateLimitWait = rateLimitDelay(headers, now);
+  const status = error.status;
+
+  if (rateLimitWait !== null && (status === 403 || status === 429)) {
+    return rateLimitWait <= MAX_DELAY ? rateLimitWait : null;
+  }
+  if (status ? !RETRY_STATUSES.includes(status) : !isNetworkError(error)) {
+    return null;
+  }
+  const backoff = BASE_DELAY * 2 ** (attempt - 1);
+  return Math.min(rateLimitWait ?? Math.round(backoff * (1 + Math.random() / 4)), MAX_DELAY);
+}
+
+/**
+ * Reads how long a server asks clients to wait
+ * @param {Object<string, string>} headers - Response headers, lower-case names
+ * @param {number} now - Current time in milliseconds
+ * @returns {number|null} Milliseconds, or null if the server did not say
+ */
+function rateLimitDelay(headers, now) {
+  const retryAfter = headers['retry-after'];
+  if (retryAfter !== undefined) {
+    const seconds = Number(retryAfter);
+    return Number.isFinite(seconds) ? seconds * 1000 : Math.max(0, Date.parse(retryAfter) - now);
+  }
+  if (headers['x-ratelimit-remaining'] === '0' && headers['x-ratelimit-reset']) {
+    // A second's margin, as the reset time is rounded down
+    return Math.max(0, Number(headers['x-ratelimit-reset']) * 1000 - now) + 1000;
+  }
+  return null;
+}
+
+/**
+ * Tells failures to reach the server, or of a connection that broke or stalled, from local errors
+ * @param {Error} error - Error without an HTTP status
+ * @returns {boolean} Whether the error came from the network
+ */
+function isNetworkError(error) {
+  return error.name === 'TypeError' || error.name === 'AbortError' || error.name === 'TimeoutError' || Boolean(error.retryable);
+}
+
+/**
+ * Fetches JSON from a REST API, retrying like withRetries
+ * @param {string} url - URL to fetch
+ * @param {Object<string, string>} [headers] - Request headers, such as Authorization
+ * @param {Object} [options] - Retry options, see withRetries
+ * @returns {Promise<{data: *, headers: Object<string, string>}>} Parsed body and response headers
+ * @throws {Error} If the request fails; HTTP failures carry the status and response headers
+ */
+export async function fetchJson(url, headers = {}, options = {}) {
+  return withRetries(async () => {
+    const response = await fetch(url, { headers: { Accept: 'application/json', ...headers } });
+    if (!response.ok) {
+      await response.body?.cancel();
+      throw Object.assign(new Error(`${response.status} ${response.statusText} from ${url}`), {
+        status: response.status,
+        headers: Object.fromEntries(response.headers),
+      });
+    }
+    return { data: await response.json(), headers: Object.fromEntries(response.headers) };
+  }, options);
+}
+
+/**
+ * Maps items with an async function, running at most limit calls at a time
+ * Once a call fails, no more are started; the failure is thrown when the running calls have finished.
+ * @param {Array} items - Items
+ * @param {number} limit - Most calls at once
+ * @param {function(*, number): Promise<*>} fn - Called with each item and its index
+ * @returns {Promise<Array>} Results in item order
+ * @throws {Error} The error of the first item that failed
+ */
+export async function mapConcurrently(items, limit, fn) {
+  const results = new Array(items.length);
+  const errors = [];
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length && errors.length === 0) {
+      const index = next++;
+      try {
+        results[index] = await fn(items[index], index);
+      } catch (error) {
+        errors.push({ index, error });
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker));
+  if (errors.length > 0) {
+    throw errors.sort((a, b) => a.index - b.index)[0].error;
+  }
+  return results;
+}
+
+/**
+ * Formats a byte count for progress output
+ * @param {number} bytes - Byte count
+ * @returns {string} Size such as "12.3 MB"
+ */
+export function formatBytes(bytes) {
+  const units = ['B', 'kB', 'MB', 'GB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1000 && unit < units.length - 1) {
+    value /= 1000;
+    unit++;
+  }
+  return unit === 0 ? `${value} B` : `${value.toFixed(1)} ${units[unit]}`;
+}
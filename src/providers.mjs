@@ -0,0 +1,222 @@
+import * as github from './github.mjs';
+import * as forgejo from './forgejo.mjs';
+import * as gitlab from './gitlab.mjs';
+
+/**
+ * Hosts releases can be imported from, by the name --provider takes
+ *
+ * Each provider fetches releases in the shape of GitHub's (see getReleases), and knows
+ * where their assets are downloaded from, so redirect rules can point apt there:
+ * repositoryDownloads is the address {tag}/{file} can be appended to, where the host lays
+ * downloads out that way, and downloadUrl the address of one release's file.
+ */
+export const PROVIDERS = {
+  github: {
+    name: 'github',
+    title: 'GitHub',
+    tokenEnv: 'GITHUB_TOKEN',
+    resolveUrls: (options, env) => github.resolveGitHubUrls(options, env),
+    authHeaders: (token) => (token ? { Authorization: `token ${token}` } : {}),
+    getLatestRelease: github.getLatestRelease,
+    getReleaseByTag: github.getReleaseByTag,
+    listReleases: github.listReleases,
+    repositoryDownloads: releaseDownloads,
+    downloadUrl: releaseDownloadUrl,
+  },
+  forgejo: {
+    name: 'forgejo',
+    title: 'Forgejo',
+    tokenEnv: 'FORGEJO_TOKEN',
+    resolveUrls: (options) => forgejo.resolveForgejoUrls(options, 'https://codeberg.org'),
+    authHeaders: forgejo.authHeaders,
+    getLatestRelease: forgejo.getLatestRelease,
+    getReleaseByTag: forgejo.getReleaseByTag,
+    listReleases: forgejo.listReleases,
+    repositoryDownloads: releaseDownloads,
+    downloadUrl: releaseDownloadUrl,
+  },
+  gitea: {
+    name: 'gitea',
+    title: 'Gitea',
+    tokenEnv: 'GITEA_TOKEN',
+    resolveUrls: (options) => forgejo.resolveForgejoUrls(options, 'https://gitea.com'),
+    authHeaders: forgejo.authHeaders,
+    getLatestRelease: forgejo.getLatestRelease,
+    getReleaseByTag: forgejo.getReleaseByTag,
+    listReleases: forgejo.listReleases,
+    repositoryDownloads: releaseDownloads,
+    downloadUrl: releaseDownloadUrl,
+  },
+  gitlab: {
+    name: 'gitlab',
+    title: 'GitLab',
+    tokenEnv: 'GITLAB_TOKEN',
+    resolveUrls: (options) => gitlab.resolveGitLabUrls(options, 'https://gitlab.com'),
+    authHeaders: gitlab.authHeaders,
+    getLatestRelease: gitlab.getLatestRelease,
+    getReleaseByTag: gitlab.getReleaseByTag,
+    listReleases: gitlab.listReleases,
+    // The tag sits between /-/releases/ and /downloads/, so each release needs its own rule
+    repositoryDownloads: () => null,
+    downloadUrl: gitlab.downloadUrl,
+  },
+};
+
+/**
+ * Makes the address GitHub, Forgejo and Gitea serve a repository's release downloads below, as {tag}/{file}
+ * @param {string} serverUrl - Web address
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @returns {string} Address ending in a slash
+ */
+function releaseDownloads(serverUrl, owner, repo) {
+  return `${serverUrl}/${owner}/${repo}/releases/download/`;
+}
+
+/**
+ * Makes the download URL of a GitHub, Forgejo or Gitea release asset
+ * @param {string} serverUrl - Web address
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} tag - Release tag name
+ * @param {string} filename - Asset name (empty for the address the names are appended to)
+ * @returns {string} Download URL
+ */
+function releaseDownloadUrl(serverUrl, owner, repo, tag, filename) {
+  return `${releaseDownloads(serverUrl, owner, repo)}${encodeURIComponent(tag)}/${encodeURIComponent(filename)}`;
+}
+
+/**
+ * Provider of repositories given without a host or --provider
+ */
+export const DEFAULT_PROVIDER = 'github';
+
+/**
+ * Providers of well-known hosts, for the host:owner/repo syntax
+ */
+export const KNOWN_HOSTS = {
+  'github.com': 'github',
+  'codeberg.org': 'forgejo',
+  'gitea.com': 'gitea',
+  'gitlab.com': 'gitlab',
+};
+
+/**
+ * Looks up a provider by name
+ * @param {string} [name] - Provider name (defaults to GitHub, as for pools imported before there were others)
+ * @returns {Object} Provider, see PROVIDERS
+ * @throws {Error} If there is no such provider
+ */
+export function getProvider(name = DEFAULT_PROVIDER) {
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw new Error(`Unsupported provider ${name}. Choose from: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  return provider;
+}
+
+/**
+ * Works out which host a repository's releases come from and how to reach it
+ *
+ * A host given as host:owner/repo picks the provider of a well-known host and the web address;
+ * other hosts need --provider. Without a host, --server-url and --api-url (or, for GitHub,
+ * the environment GitHub Actions sets) choose the instance.
+ * @param {{owner: string, repo: string, host?: string}} repository - Parsed repository, see parseRepository
+ * @param {Object} [options] - Command options
+ * @param {string} [options.provider] - Provider name
+ * @param {string} [options.apiUrl] - REST API base URL
+ * @param {string} [options.serverUrl] - Web address
+ * @param {Object} [env] - Environment variables
+ * @returns {{provider: Object, apiUrl: string, serverUrl: string}} Provider and addresses
+ * @throws {Error} If the host is unknown without --provider, conflicts with --server-url, or has no subgroups for a nested owner
+ */
+export function resolveSource(repository, options = {}, env = process.env) {
+  const { host } = repository;
+  if (host && options.serverUrl) {
+    throw new Error(`${host}:${repository.owner}/${repository.repo} already names the host; leave out --server-url`);
+  }
+  const name = options.provider ?? (host ? KNOWN_HOSTS[host] : DEFAULT_PROVIDER);
+  if (!name) {
+    throw new Error(`Unknown host ${host}. Pass --provider (${Object.keys(PROVIDERS).join(', ')})`);
+  }
+
+  const provider = getProvider(name);
+  if (repository.owner.includes('/') && provider.name !== 'gitlab') {
+    throw new Error(`${repository.owner}/${repository.repo} has subgroups, which only GitLab has. Use owner/repo for ${provider.title}`);
+  }
+  const serverUrl = host ? `https://${host}` : options.serverUrl;
+  return { provider, ...provider.resolveUrls({ apiUrl: options.apiUrl, serverUrl }, env) };
+}
+
+/**
+ * Picks the token for a provider: the one given, or else its environment variable
+ * @param {Object} provider - Provider, see PROVIDERS
+ * @param {string} [token] - Token given on the command line
+ * @param {Object} [env] - Environment variables
+ * @returns {string|undefined} Token
+ */
+export function resolveToken(provider, token, env = process.env) {
+  return token || env[provider.tokenEnv];
+}
+
+/**
+ * Picks the token for a provider when a command covers releases from several hosts
+ * The token given on the command line is GitHub's, so it isn't sent to other hosts;
+ * they use their environment variable.
+ * @param {Object} provider - Provider, see PROVIDERS
+ * @param {string} [githubToken] - Token given on the command line
+ * @param {Object} [env] - Environment variables
+ * @returns {string|undefined} Token
+ */
+export function resolvePoolToken(provider, githubToken, env = process.env) {
+  return resolveToken(provider, provider.name === DEFAULT_PROVIDER ? githubToken : undefined, env);
+}
+
+/**
+ * Resolves which releases an import should cover
+ *
+ * By default only the latest release is used. With `tag`, exactly that release;
+ * with `all`, every published release; with `since`, every published release from
+ * the given tag up to the newest. Prereleases are left out unless `prerelease` is set.
+ * Drafts are always left out: their assets have no public download URL to redirect to.
+ * @param {Object} provider - Provider, see PROVIDERS
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {Object} selection - Release selection options
+ * @param {string} [selection.tag] - Import the release with this tag
+ * @param {boolean} [selection.all] - Import every release
+ * @param {string} [selection.since] - Import releases since this tag
+ * @param {boolean} [selection.prerelease] - Include prereleases
+ * @param {function(string): void} [selection.log] - Prints progress (defaults to console.log)
+ * @param {string} [token] - Optional token for authentication
+ * @param {string} [apiUrl] - REST API base URL
+ * @returns {Promise<Object[]>} Release objects, oldest first
+ */
+export async function getReleases(provider, owner, repo, selection, token, apiUrl) {
+  const log = selection.log ?? console.log;
+  if (selection.tag) {
+    return [await provider.getReleaseByTag(owner, repo, selection.tag, token, apiUrl)];
+  }
+  if (!selection.all && !selection.since && !selection.prerelease) {
+    return [await provider.getLatestRelease(owner, repo, token, apiUrl)];
+  }
+
+  let releases = await provider.listReleases(owner, repo, token, apiUrl);
+  if (selection.since) {
+    releases = github.selectReleasesSince(releases, selection.since);
+  }
+
+  for (const release of releases.filter((release) => release.draft)) {
+    log(`Skipping draft release ${release.name || release.tag_name}`);
+  }
+
+  releases = releases.filter((release) =>
+    !release.draft && (selection.prerelease || !release.prerelease)
+  );
+
+  if (!selection.all && !selection.since) {
+    releases = releases.slice(0, 1);
+  }
+
+  return releases.reverse();
+}
@@ -0,0 +1,223 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { readReleaseMetadata, extractEntryFields } from './repository.mjs';
+import { findFilesRecursive, suiteForChannel } from './assembleAction.mjs';
+import { getProvider, resolvePoolToken } from './providers.mjs';
+import { compareVersions } from './version.mjs';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Action handler for the prune command
+ * Removes release directories from the pool according to the retention options.
+ * A release is kept if any keep policy (keepLast, keepDays) keeps it, or if none is given;
+ * dropMissing removes releases whose tag is gone from their host either way.
+ * @param {Object} options - Command options
+ * @param {string} [options.output] - Output directory
+ * @param {string} [options.prereleaseSuite] - Suite for prerelease entries, as for assemble
+ * @param {number} [options.keepLast] - Keep releases holding one of the newest N versions of a package in a suite
+ * @param {number} [options.keepDays] - Keep releases published within this many days
+ * @param {boolean} [options.dropMissing] - Remove releases whose tag no longer has a release on their host
+ * @param {boolean} [options.dryRun] - Only list what would be removed
+ * @param {string} [options.token] - Token for dropMissing (defaults to each host's environment variable, such as GITHUB_TOKEN)
+ * @param {function(string): void} [options.log] - Prints progress (defaults to console.log)
+ * @returns {Promise<string[]>} Pool directories removed (or that would be removed)
+ * @throws {Error} If no retention policy is given
+ */
+export async function pruneAction(options) {
+  if (!hasPrunePolicy(options)) {
+    throw new Error('No retention policy given. Use --keep-last, --keep-days or --drop-missing');
+  }
+
+  const log = options.log ?? console.log;
+  const outputDir = path.resolve(options.output);
+  const releases = await readPoolReleases(outputDir, options);
+
+  if (options.dropMissing) {
+    await markMissingTags(releases, options.token);
+  }
+
+  const prunable = selectPrunableReleases(releases, options);
+  const verb = options.dryRun ? 'Would remove' : 'Removed';
+
+  for (const release of prunable) {
+    if (!options.dryRun) {
+      await removeReleaseDir(release.debDir, path.join(outputDir, 'pool'));
+    }
+    log(`${verb} ${path.relative(outputDir, release.debDir)} (${release.reasons.join('; ')})`);
+  }
+
+  if (prunable.length === 0) {
+    log(`✓ Nothing to prune in ${releases.length} release(s)`);
+  } else {
+    log(`✓ ${verb} ${prunable.length} of ${releases.length} release(s)`);
+  }
+
+  return prunable.map((release) => release.debDir);
+}
+
+/**
+ * Checks whether any retention option is set
+ * @param {Object} options - Command options
+ * @returns {boolean} Whether pruning has anything to do
+ */
+export function hasPrunePolicy(options) {
+  return Boolean(options.keepLast || options.keepDays || options.dropMissing);
+}
+
+/**
+ * Parses a count or day option for the retention policies
+ * Used as argParser for Commander.js options
+ * @param {string} value - Option value
+ * @returns {number} Positive integer
+ * @throws {Error} If the value is not a positive integer
+ */
+export function parsePositiveInteger(value) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new Error(`Expected a positive whole number, got ${value}`);
+  }
+  return number;
+}
+
+/**
+ * Reads every release in the pool with what the retention policies need
+ * @param {string} outputDir - Root directory for the APT repository
+ * @param {Object} options - Command options, for suiteForChannel
+ * @returns {Promise<Array<Object>>} Releases with debDir, owner, repo, tag, provider, apiUrl, suites, publishedAt and packages
+ */
+async function readPoolReleases(outputDir, options) {
+  const poolDir = path.join(outputDir, 'pool');
+  const releases = [];
+
+  for (const packagesFile of await findFilesRecursive(poolDir, 'Packages')) {
+    const debDir = path.dirname(packagesFile);
+    const metadata = await readReleaseMetadata(debDir);
+    const [owner, repo, ...tagParts] = path.relative(poolDir, debDir).split(path.sep);
+    const content = await fs.readFile(packagesFile, 'utf-8');
+
+    releases.push({
+      debDir,
+      owner: metadata.owner ?? owner,
+      repo: metadata.repo ?? repo,
+      tag: metadata.tag ?? tagParts.join('/'),
+      provider: metadata.provider,
+      apiUrl: metadata.apiUrl,
+      suites: metadata.suites ?? [suiteForChannel(metadata.channel, options)],
+      publishedAt: Date.parse(metadata.publishedAt) || (await fs.stat(packagesFile)).mtimeMs,
+      packages: extractEntryFields(content, ['Package', 'Version']),
+    });
+  }
+
+  return releases;
+}
+
+/**
+ * Flags releases whose tag has no published release on their host any more
+ * @param {Array<Object>} releases - Pool releases, see readPoolReleases
+ * @param {string} [token] - GitHub token, see resolvePoolToken
+ * @returns {Promise<void>}
+ */
+async function markMissingTags(releases, token) {
+  const tagsByRepository = new Map();
+
+  for (const release of releases) {
+    const repository = `${release.provider ?? ''} ${release.apiUrl ?? ''} ${release.owner}/${release.repo}`;
+    if (!tagsByRepository.has(repository)) {
+      const provider = getProvider(release.provider);
+      const published = (await provider.listReleases(release.owner, release.repo, resolvePoolToken(provider, token), release.apiUrl)).filter((candidate) => !candidate.draft);
+      tagsByRepository.set(repository, new Set(published.map((candidate) => candidate.tag_name)));
+    }
+    release.missing = !tagsByRepository.get(repository).has(release.tag);
+  }
+}
+
+/**
+ * Applies the retention policies to the releases in the pool
+ * @param {Array<Object>} releases - Pool releases, see readPoolReleases; missing is set for dropMissing
+ * @param {Object} policies - Retention options
+ * @param {number} [policies.keepLast] - Keep releases holding one of the newest N versions of a package in a suite
+ * @param {number} [policies.keepDays] - Keep releases published within this many days
+ * @param {boolean} [policies.dropMissing] - Remove releases flagged as missing
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {Array<Object>} Releases to remove, each with the reasons
+ */
+export function selectPrunableReleases(releases, policies, now = Date.now()) {
+  const keptVersions = policies.keepLast ? newestVersions(releases, policies.keepLast) : null;
+  const cutoff = policies.keepDays ? now - policies.keepDays * DAY_MS : null;
+  const hasKeepPolicy = keptVersions !== null || cutoff !== null;
+  const prunable = [];
+
+  for (const release of releases) {
+    const reasons = [];
+
+    if (policies.dropMissing && release.missing) {
+      reasons.push(`tag ${release.tag} no longer released on ${getProvider(release.provider).title}`);
+    }
+
+    if (hasKeepPolicy) {
+      const keptByCount = keptVersions !== null && release.suites.some((suite) =>
+        release.packages.some(({ Package: name, Version: version }) => keptVersions.get(`${suite} ${name}`)?.has(version))
+      );
+      const keptByAge = cutoff !== null && release.publishedAt >= cutoff;
+      if (!keptByCount && !keptByAge) {
+        const limits = [];
+        if (keptVersions !== null) limits.push(`not among the last ${policies.keepLast} version(s)`);
+        if (cutoff !== null) limits.push(`older than ${policies.keepDays} day(s)`);
+        reasons.push(limits.join(' and '));
+      }
+    }
+
+    if (reasons.length > 0) {
+      prunable.push({ ...release, reasons });
+    }
+  }
+
+  return prunable;
+}
+
+/**
+ * Finds the newest versions of each package in each suite
+ * @param {Array<Object>} releases - Pool releases
+ * @param {number} count - Number of versions to keep per package
+ * @returns {Map<string, Set<string>>} Kept versions by "suite package"
+ */
+function newestVersions(releases, count) {
+  const versions = new Map();
+  for (const release of releases) {
+    for (const suite of release.suites) {
+      for (const { Package: name, Version: version } of release.packages) {
+        const key = `${suite} ${name}`;
+        if (!versions.has(key)) {
+          versions.set(key, new Set());
+        }
+        versions.get(key).add(version);
+      }
+    }
+  }
+
+  const kept = new Map();
+  for (const [key, set] of versions) {
+    kept.set(key, new Set([...set].sort(compareVersions).reverse().slice(0, count)));
+  }
+  return kept;
+}
+
+/**
+ * Deletes a release directory and any owner or repo directories it leaves empty
+ * @param {string} debDir - Pool directory of the release
+ * @param {string} poolDir - Pool root, which is never removed
+ * @returns {Promise<void>}
+ */
+async function removeReleaseDir(debDir, poolDir) {
+  await fs.rm(debDir, { recursive: true, force: true });
+
+  let dir = path.dirname(debDir);
+  while (dir !== poolDir && dir.startsWith(poolDir)) {
+    if ((await fs.readdir(dir)).length > 0) {
+      break;
+    }
+    await fs.rmdir(dir);
+    dir = path.dirname(dir);
+  }
+}
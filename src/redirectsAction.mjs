@@ -0,0 +1,281 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { readReleaseMetadata, extractEntryFields } from './repository.mjs';
+import { findFilesRecursive } from './assembleAction.mjs';
+import { getProvider } from './providers.mjs';
+
+/**
+ * Marks the start of the rules written by this tool in text config files
+ */
+const BEGIN_MARKER = '# BEGIN gh-release-apt redirects';
+
+/**
+ * Marks the end of the rules written by this tool in text config files
+ */
+const END_MARKER = '# END gh-release-apt redirects';
+
+/**
+ * Redirect config formats by host
+ * Each has the name of the file the host reads and a function merging rules into that file's previous content.
+ */
+export const REDIRECT_FORMATS = {
+  cloudflare: { filename: '_redirects', render: (rules, existing) => replaceMarkedBlock(existing, renderRedirectsFile(rules)) },
+  netlify: { filename: '_redirects', render: (rules, existing) => replaceMarkedBlock(existing, renderRedirectsFile(rules)) },
+  vercel: { filename: 'vercel.json', render: renderVercel },
+  firebase: { filename: 'firebase.json', render: renderFirebase },
+  nginx: { filename: 'nginx-redirects.conf', render: (rules, existing) => replaceMarkedBlock(existing, renderNginx(rules)) },
+  apache: { filename: '.htaccess', render: (rules, existing) => replaceMarkedBlock(existing, renderApache(rules)) },
+  caddy: { filename: 'Caddyfile.redirects', render: (rules, existing) => replaceMarkedBlock(existing, renderCaddy(rules)) },
+  s3: { filename: 's3-routing-rules.json', render: renderS3 },
+};
+
+/**
+ * Most routing rules an S3 website configuration may hold
+ */
+const S3_MAX_ROUTING_RULES = 50;
+
+/**
+ * Action handler for the redirects command
+ * Writes the rules sending requests for pool files to their release downloads, in a host's config format.
+ * Rules written earlier by this command are replaced; the rest of the file is kept.
+ * @param {string} format - One of the REDIRECT_FORMATS keys
+ * @param {Object} options - Command options
+ * @param {string} [options.output] - Output directory
+ * @param {string} [options.file] - File to write, or - for stdout (defaults to the format's file in the output directory)
+ * @param {boolean} [options.perFile] - Write one rule per .deb file instead of one per repository
+ * @param {function(string): void} [options.log] - Prints progress (defaults to console.log)
+ * @returns {Promise<void>}
+ * @throws {Error} If the format is unknown or the pool holds no releases
+ */
+export async function redirectsAction(format, options) {
+  const log = options.log ?? console.log;
+  const redirectFormat = REDIRECT_FORMATS[format];
+  if (!redirectFormat) {
+    throw new Error(`Unsupported redirect format ${format}. Choose from: ${Object.keys(REDIRECT_FORMATS).join(', ')}`);
+  }
+
+  const outputDir = path.resolve(options.output);
+  const rules = await collectRedirectRules(outputDir, { perFile: options.perFile });
+  if (rules.length === 0) {
+    throw new Error(`No releases found in ${path.join(outputDir, 'pool')}`);
+  }
+
+  if (options.file === '-') {
+    process.stdout.write(redirectFormat.render(rules, ''));
+    return;
+  }
+
+  const filePath = options.file ? path.resolve(options.file) : path.join(outputDir, redirectFormat.filename);
+  let existing = '';
+  try {
+    existing = await fs.readFile(filePath, 'utf-8');
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+  }
+
+  await fs.writeFile(filePath, redirectFormat.render(rules, existing), 'utf-8');
+  log(`✓ Wrote ${rules.length} ${format} redirect rule(s) to ${filePath}`);
+}
+
+/**
+ * Builds the redirect rules for everything in the pool
+ *
+ * By default there is one prefix rule per owner/repo, mapping
+ * /pool/{owner}/{repo}/{tag}/{file} (with the host first for releases off github.com, see releasePoolPath)
+ * to the release download URL of {tag}/{file}.
+ * Hosts whose download URLs don't end in {tag}/{file}, such as GitLab, get one prefix rule per release.
+ * With perFile, there is one exact rule per .deb file listed in the pool's Packages files instead.
+ * @param {string} outputDir - Root directory for the APT repository
+ * @param {Object} [options] - Rule options
+ * @param {boolean} [options.perFile] - Write one rule per .deb file
+ * @returns {Promise<Array<{source: string, destination: string, prefix: boolean}>>} Rules, sorted by source
+ */
+export async function collectRedirectRules(outputDir, options = {}) {
+  const poolDir = path.join(outputDir, 'pool');
+  const rules = new Map();
+
+  for (const packagesFile of await findFilesRecursive(poolDir, 'Packages')) {
+    const debDir = path.dirname(packagesFile);
+    const metadata = await readReleaseMetadata(debDir);
+    const [owner, repo, ...tagParts] = path.relative(poolDir, debDir).split(path.sep);
+    const releaseDir = path.relative(outputDir, debDir).split(path.sep);
+    const provider = getProvider(metadata.provider);
+    const serverUrl = metadata.serverUrl ?? provider.resolveUrls({}, {}).serverUrl;
+    const releaseOwner = metadata.owner ?? owner;
+    const releaseRepo = metadata.repo ?? repo;
+    const tag = metadata.tag ?? tagParts.join('/');
+    const downloads = provider.repositoryDownloads(serverUrl, releaseOwner, releaseRepo);
+
+    if (!options.perFile) {
+      // A repository's prefix is its release's directory without the tag
+      const source = `/${(downloads ? releaseDir.slice(0, -tag.split('/').length) : releaseDir).join('/')}/`;
+      const destination = downloads ?? provider.downloadUrl(serverUrl, releaseOwner, releaseRepo, tag, '');
+      rules.set(source, { source, destination, prefix: true });
+      continue;
+    }
+
+    const content = await fs.readFile(packagesFile, 'utf-8');
+    for (const { Filename: filename } of extractEntryFields(content, ['Filename'])) {
+      if (!filename) {
+        continue;
+      }
+      const source = `/${filename.replace(/^\.?\//, '')}`;
+      const destination = provider.downloadUrl(serverUrl, releaseOwner, releaseRepo, tag, path.posix.basename(filename));
+      rules.set(source, { source, destination, prefix: false });
+    }
+  }
+
+  return [...rules.values()].sort((a, b) => (a.source < b.source ? -1 : a.source > b.source ? 1 : 0));
+}
+
+/**
+ * Renders rules as a _redirects file, as read by Cloudflare and Netlify
+ * @param {Array<Object>} rules - Rules from collectRedirectRules
+ * @returns {string} File lines
+ */
+function renderRedirectsFile(rules) {
+  return rules.map(({ source, destination, prefix }) =>
+    prefix ? `${source}* ${destination}:splat 302\n` : `${source} ${destination} 302\n`
+  ).join('');
+}
+
+/**
+ * Renders rules for nginx, to include in a server block
+ * @param {Array<Object>} rules - Rules from collectRedirectRules
+ * @returns {string} location blocks
+ */
+function renderNginx(rules) {
+  return rules.map(({ source, destination, prefix }) => prefix
+    ? `location ^~ ${source} {\n  rewrite ^${escapeRegExp(source)}(.*)$ ${destination}$1 redirect;\n}\n`
+    : `location = ${source} {\n  return 302 ${destination};\n}\n`
+  ).join('');
+}
+
+/**
+ * Renders rules as mod_rewrite directives for an .htaccess file in the published directory
+ * @param {Array<Object>} rules - Rules from collectRedirectRules
+ * @returns {string} Directives
+ */
+function renderApache(rules) {
+  const lines = rules.map(({ source, destination, prefix }) => prefix
+    ? `RewriteRule ^${escapeRegExp(source.slice(1))}(.*)$ ${destination}$1 [R=302,NE,L]\n`
+    : `RewriteRule ^${escapeRegExp(source.slice(1))}$ ${destination} [R=302,NE,L]\n`
+  );
+  return ['RewriteEngine On\n', ...lines].join('');
+}
+
+/**
+ * Renders rules for Caddy, to import in a site block
+ * @param {Array<Object>} rules - Rules from collectRedirectRules
+ * @returns {string} Directives
+ */
+function renderCaddy(rules) {
+  return rules.map(({ source, destination, prefix }, index) => {
+    if (!prefix) {
+      return `redir ${source} ${destination} 302\n`;
+    }
+    const name = `pool${index}`;
+    return `@${name} path_regexp ${name} ^${escapeRegExp(source)}(.*)$\nredir @${name} ${destination}{re.${name}.1} 302\n`;
+  }).join('');
+}
+
+/**
+ * Renders rules into vercel.json
+ * Redirects for other paths are kept.
+ * @param {Array<Object>} rules - Rules from collectRedirectRules
+ * @param {string} existing - Previous content of vercel.json, or ''
+ * @returns {string} JSON text
+ */
+function renderVercel(rules, existing) {
+  const config = existing ? JSON.parse(existing) : {};
+  config.redirects = [
+    ...(config.redirects ?? []).filter((redirect) => !redirect.source?.startsWith('/pool/')),
+    ...rules.map(({ source, destination, prefix }) => prefix
+      ? { source: `${source}:path*`, destination: `${destination}:path*`, permanent: false }
+      : { source: source.replace(/[:()*+?{}]/g, '\\$&'), destination, permanent: false }
+    ),
+  ];
+  return `${JSON.stringify(config, null, 2)}\n`;
+}
+
+/**
+ * Renders rules into firebase.json
+ * Redirects for other paths are kept.
+ * @param {Array<Object>} rules - Rules from collectRedirectRules
+ * @param {string} existing - Previous content of firebase.json, or ''
+ * @returns {string} JSON text
+ * @throws {Error} If firebase.json configures several sites
+ */
+function renderFirebase(rules, existing) {
+  const config = existing ? JSON.parse(existing) : {};
+  if (Array.isArray(config.hosting)) {
+    throw new Error('firebase.json configures several sites; write the rules with --file - and add them to the right one');
+  }
+  const hosting = config.hosting ?? {};
+  hosting.redirects = [
+    ...(hosting.redirects ?? []).filter((redirect) => !redirect.source?.startsWith('/pool/')),
+    ...rules.map(({ source, destination, prefix }) => prefix
+      ? { source: `${source}:path*`, destination: `${destination}:path`, type: 302 }
+      : { source: source.replace(/[*?{}[\]!]/g, '\\$&'), destination, type: 302 }
+    ),
+  ];
+  config.hosting = hosting;
+  return `${JSON.stringify(config, null, 2)}\n`;
+}
+
+/**
+ * Renders rules as S3 website routing rules
+ * The result is the RoutingRules part of a bucket website configuration.
+ * @param {Array<Object>} rules - Rules from collectRedirectRules
+ * @returns {string} JSON text
+ */
+function renderS3(rules) {
+  if (rules.length > S3_MAX_ROUTING_RULES) {
+    console.warn(`Warning: S3 allows at most ${S3_MAX_ROUTING_RULES} routing rules; these are ${rules.length}`);
+  }
+  const routingRules = rules.map(({ source, destination, prefix }) => {
+    const url = new URL(destination);
+    const key = url.pathname.slice(1);
+    return {
+      Condition: { KeyPrefixEquals: source.slice(1) },
+      Redirect: {
+        Protocol: url.protocol.slice(0, -1),
+        HostName: url.host,
+        ...(prefix ? { ReplaceKeyPrefixWith: key } : { ReplaceKeyWith: key }),
+        HttpRedirectCode: '302',
+      },
+    };
+  });
+  return `${JSON.stringify({ RoutingRules: routingRules }, null, 2)}\n`;
+}
+
+/**
+ * Puts generated lines between the markers of a text config file
+ * A previous block between the markers is replaced; without one, the block is appended.
+ * @param {string} existing - Previous content of the file, or ''
+ * @param {string} block - Generated lines
+ * @returns {string} New content of the file
+ */
+function replaceMarkedBlock(existing, block) {
+  const marked = `${BEGIN_MARKER}\n${block}${END_MARKER}\n`;
+  const start = existing.indexOf(BEGIN_MARKER);
+  const end = existing.indexOf(END_MARKER);
+  if (start !== -1 && end > start) {
+    return existing.slice(0, start) + marked + existing.slice(end + END_MARKER.length).replace(/^\n/, '');
+  }
+  if (existing && !existing.endsWith('\n')) {
+    return `${existing}\n${marked}`;
+  }
+  return existing + marked;
+}
+
+/**
+ * Escapes a string for use in a regular expression
+ * @param {string} string - Literal text
+ * @returns {string} Pattern matching the text
+ */
+function escapeRegExp(string) {
+  return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
@@ -1,30 +1,6 @@
 import fs from 'fs/promises';
 import path from 'path';
-
-/**
- * Splits Packages file content into individual package entry blocks
- * @param {string} packagesContent - Content of a Packages file
- * @returns {string[]} Array of entry blocks (trimmed)
- */
-function splitPackagesEntries(packagesContent) {
-  return packagesContent.split(/\n\s*\n/).filter(entry => entry.trim());
-}
-
-/**
- * Extracts the value of a field from a package entry
- * @param {string} entry - Package entry block
- * @param {string} fieldName - Name of the field to extract (e.g., 'Architecture', 'Filename', 'SHA256')
- * @returns {string|null} Field value or null if not found
- */
-function extractFieldFromEntry(entry, fieldName) {
-  const prefix = `${fieldName}:`;
-  for (const line of entry.split('\n')) {
-    if (line.startsWith(prefix)) {
-      return line.substring(prefix.length).trim();
-    }
-  }
-  return null;
-}
+import { parseDeb822, serializeDeb822, getField } from './deb822.mjs';
 
 /**
  * Extracts filename to SHA256 checksum mappings from a Packages file
@@ -36,11 +12,10 @@ export async function extractChecksumMap(packagesPath) {
 
   try {
     const content = await fs.readFile(packagesPath, 'utf-8');
-    const entries = splitPackagesEntries(content);
     
-    for (const entry of entries) {
-      const filePath = extractFieldFromEntry(entry, 'Filename');
-      const sha256 = extractFieldFromEntry(entry, 'SHA256');
+    for (const paragraph of parseDeb822(content)) {
+      const filePath = getField(paragraph, 'Filename');
+      const sha256 = getField(paragraph, 'SHA256');
       
       if (filePath && sha256) {
         const filename = path.basename(filePath);
@@ -61,41 +36,231 @@ export async function extractChecksumMap(packagesPath) {
 /**
  * Extracts package entries grouped by their Architecture field from Packages file content
  * @param {string} packagesContent - Content of a Packages file
- * @returns {Array<{architecture: string, entry: string}>} Array of entries with their architecture
+ * @returns {Array<{architecture: string, paragraph: Map<string, string>}>} Array of entries with their architecture
+ * @throws {Error} If the content is not valid deb822
  */
 export function extractEntriesByArchitecture(packagesContent) {
   const entries = [];
-  const entryBlocks = splitPackagesEntries(packagesContent);
   
-  for (const entryBlock of entryBlocks) {
-    const architecture = extractFieldFromEntry(entryBlock, 'Architecture');
+  for (const paragraph of parseDeb822(packagesContent)) {
+    const architecture = getField(paragraph, 'Architecture');
     
     if (architecture) {
-      entries.push({
-        architecture,
-        entry: entryBlock.trim()
-      });
+      entries.push({ architecture, paragraph });
     }
   }
   
   return entries;
 }
 
+/**
+ * Removes package entries whose Package or Architecture field is not selected
+ * @param {string} packagesContent - Content of a Packages file
+ * @param {Object} [filters] - Package filters
+ * @param {string[]} [filters.packages] - Package names to keep (all if empty)
+ * @param {string[]} [filters.architectures] - Architectures to keep (all if empty)
+ * @returns {{content: string, rejected: Array<{filename: string, reason: string}>}}
+ *   Remaining Packages content and the .deb files of the removed entries
+ */
+export function filterPackagesEntries(packagesContent, filters = {}) {
+  const packages = filters.packages ?? [];
+  const architectures = filters.architectures ?? [];
+  const kept = [];
+  const rejected = [];
+
+  for (const paragraph of parseDeb822(packagesContent)) {
+    const packageName = getField(paragraph, 'Package');
+    const architecture = getField(paragraph, 'Architecture');
+    const filename = path.basename(getField(paragraph, 'Filename') ?? '');
+
+    if (packages.length > 0 && !packages.includes(packageName)) {
+      rejected.push({ filename, reason: `package ${packageName} not selected` });
+    } else if (architectures.length > 0 && !architectures.includes(architecture)) {
+      rejected.push({ filename, reason: `architecture ${architecture} not selected` });
+    } else {
+      kept.push(paragraph);
+    }
+  }
+
+  return {
+    content: serializeDeb822(kept),
+    rejected,
+  };
+}
+
+/**
+ * Extracts the given fields from every entry of a Packages file
+ * @param {string} packagesContent - Content of a Packages file
+ * @param {string[]} fieldNames - Names of the fields to extract
+ * @returns {Array<Object<string, string|null>>} One object per entry, keyed by field name
+ */
+export function extractEntryFields(packagesContent, fieldNames) {
+  return parseDeb822(packagesContent).map((paragraph) =>
+    Object.fromEntries(fieldNames.map((fieldName) => [fieldName, getField(paragraph, fieldName) ?? null]))
+  );
+}
+
+/**
+ * Prefix of the per-architecture Contents fragments kept next to a release's Packages file
+ */
+export const CONTENTS_FRAGMENT_PREFIX = 'Contents-';
+
+/**
+ * Writes a release's Contents fragments, one per architecture
+ *
+ * Each line holds an installed path and the qualified package name ([section/]package)
+ * separated by a space. Fragments for architectures no longer present are removed.
+ * @param {string} debDir - Pool directory of the release
+ * @param {Map<string, Array<[string, string]>>} contentsByArch - [path, qualified package] pairs by architecture
+ * @returns {Promise<string[]>} Paths of the written fragments
+ */
+export async function writeContentsFragments(debDir, contentsByArch) {
+  for (const existing of await fs.readdir(debDir)) {
+    if (existing.startsWith(CONTENTS_FRAGMENT_PREFIX) && !contentsByArch.has(existing.slice(CONTENTS_FRAGMENT_PREFIX.length))) {
+      await fs.rm(path.join(debDir, existing), { force: true });
+    }
+  }
+
+  const written = [];
+  for (const [architecture, rows] of contentsByArch.entries()) {
+    const fragmentPath = path.join(debDir, `${CONTENTS_FRAGMENT_PREFIX}${architecture}`);
+    const content = rows.map(([filePath, qualifiedName]) => `${filePath} ${qualifiedName}\n`).join('');
+    await fs.writeFile(fragmentPath, content, 'utf-8');
+    written.push(fragmentPath);
+  }
+  return written;
+}
+
+/**
+ * Parses a Contents fragment written by writeContentsFragments
+ * Installed paths may contain spaces, so each line is split at its last space.
+ * @param {string} content - Content of a Contents fragment
+ * @returns {Array<[string, string]>} [path, qualified package] pairs
+ */
+export function parseContentsFragment(content) {
+  return content
+    .split('\n')
+    .filter((line) => line.includes(' '))
+    .map((line) => {
+      const separator = line.lastIndexOf(' ');
+      return [line.slice(0, separator), line.slice(separator + 1)];
+    });
+}
+
+/**
+ * Reads what an earlier import recorded about a release's packages, so they can be carried over without their .deb files
+ * @param {string} debDir - Pool directory of the release
+ * @returns {Promise<Map<string, {paragraph: Map<string, string>, files: string[]}>>}
+ *   Packages entry and installed paths (from the Contents fragment of its architecture) by .deb file name; empty if nothing is recorded
+ * @throws {Error} If the Packages file is not valid deb822
+ */
+export async function readRecordedPackages(debDir) {
+  const recorded = new Map();
+  const packagesContent = await fs.readFile(path.join(debDir, 'Packages'), 'utf-8').catch((error) => {
+    if (error.code === 'ENOENT') {
+      return '';
+    }
+    throw error;
+  });
+
+  const contentsByArch = new Map();
+  for (const paragraph of parseDeb822(packagesContent)) {
+    const filename = getField(paragraph, 'Filename');
+    const architecture = getField(paragraph, 'Architecture');
+    if (!filename || !architecture) {
+      continue;
+    }
+    if (!contentsByArch.has(architecture)) {
+      const fragment = await fs.readFile(path.join(debDir, `${CONTENTS_FRAGMENT_PREFIX}${architecture}`), 'utf-8').catch(() => '');
+      contentsByArch.set(architecture, parseContentsFragment(fragment));
+    }
+    const section = getField(paragraph, 'Section');
+    const qualifiedName = section ? `${section}/${getField(paragraph, 'Package')}` : getField(paragraph, 'Package');
+    const files = contentsByArch.get(architecture).filter(([, name]) => name === qualifiedName).map(([file]) => file);
+    recorded.set(path.basename(filename), { paragraph, files });
+  }
+  return recorded;
+}
+
+/**
+ * Name of the file recording where a pool directory's release came from
+ */
+export const RELEASE_METADATA_FILENAME = 'release.json';
+
+/**
+ * Writes the release metadata file next to a release's Packages file
+ * @param {string} debDir - Pool directory of the release
+ * @param {Object} metadata - Metadata to record
+ * @param {string} metadata.owner - Repository owner
+ * @param {string} metadata.repo - Repository name
+ * @param {string} metadata.tag - Release tag name
+ * @param {'stable'|'prerelease'} metadata.channel - Release channel
+ * @param {string} [metadata.publishedAt] - When the release was published
+ * @param {string[]} [metadata.suites] - Suites to publish the release in
+ * @param {string} [metadata.component] - Component to publish the release in
+ * @param {string} [metadata.provider] - Host the release comes from, see PROVIDERS, when not GitHub
+ * @param {string} [metadata.serverUrl] - Web address the release is downloaded from, when not github.com
+ * @param {string} [metadata.apiUrl] - REST API the release is looked up with, when not github.com
+ * @returns {Promise<string>} Path of the metadata file
+ */
+export async function writeReleaseMetadata(debDir, metadata) {
+  const metadataPath = path.join(debDir, RELEASE_METADATA_FILENAME);
+  await fs.writeFile(metadataPath, JSON.stringify(metadata, null, 2) + '\n', 'utf-8');
+  return metadataPath;
+}
+
+/**
+ * Reads the release metadata file of a pool directory
+ *
+ * Pool directories imported before metadata was recorded have no such file;
+ * they are treated as stable releases.
+ * @param {string} debDir - Pool directory of the release
+ * @returns {Promise<Object>} Recorded metadata, with channel defaulting to 'stable'
+ */
+export async function readReleaseMetadata(debDir) {
+  let metadata = {};
+  try {
+    metadata = JSON.parse(await fs.readFile(path.join(debDir, RELEASE_METADATA_FILENAME), 'utf-8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw new Error(`Could not read ${RELEASE_METADATA_FILENAME} in ${debDir}: ${error.message}`);
+    }
+  }
+  return { channel: 'stable', ...metadata };
+}
+
+/**
+ * Gives the pool directory of a release, relative to the repository root
+ * Releases from github.com live in pool/{owner}/{repo}/{tag}/; those from any other server get its host
+ * as a first segment, pool/{host}/{owner}/{repo}/{tag}/, so the same owner/repo on two hosts never share a directory.
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} tagName - Release tag name
+ * @param {string} [serverUrl] - Web address of the release's host (defaults to github.com)
+ * @returns {string} POSIX path, starting with pool/
+ */
+export function releasePoolPath(owner, repo, tagName, serverUrl) {
+  const host = serverUrl ? new URL(serverUrl).host : 'github.com';
+  return path.posix.join('pool', ...(host === 'github.com' ? [] : [host]), owner, repo, tagName);
+}
+
 /**
  * Organizes .deb files into an APT repository structure
- * Files are already in the correct location: pool/{owner}/{repo}/{tag_name}/
+ * Files are already in the correct location, see releasePoolPath
  * This function just returns the appropriate paths for Packages file generation
  * @param {string[]} debFiles - Array of paths to .deb files (already in correct location)
  * @param {string} owner - Repository owner
  * @param {string} repo - Repository name
  * @param {string} tagName - Release tag name
  * @param {string} outputDir - Root directory for the APT repository
+ * @param {string} [serverUrl] - Web address of the release's host, see releasePoolPath
  * @returns {Promise<{debDir: string, packagesPath: string}>} Object with deb directory and Packages file path
  */
-export async function organizeDebFiles(debFiles, owner, repo, tagName, outputDir) {
+export async function organizeDebFiles(debFiles, owner, repo, tagName, outputDir, serverUrl) {
   // Files are already in the correct structure:
   // output/
   //   pool/
+  //     [{host}/]
   //     {owner}/
   //       {repo}/
   //         {tagName}/
@@ -106,7 +271,7 @@ export async function organizeDebFiles(debFiles, owner, repo, tagName, outputDir
   // Since all files are in the same directory, we can use the directory of the first file
   const debDir = debFiles.length > 0 
     ? path.dirname(debFiles[0])
-    : path.join(outputDir, 'pool', owner, repo, tagName);
+    : path.join(outputDir, releasePoolPath(owner, repo, tagName, serverUrl));
 
   // Ensure the directory exists (in case there are no files)
   await fs.mkdir(debDir, { recursive: true });
@@ -0,0 +1,186 @@
+import fs from 'fs/promises';
+import { createReadStream } from 'fs';
+import http from 'node:http';
+import path from 'path';
+import { collectRedirectRules } from './redirectsAction.mjs';
+
+/**
+ * Content types by file extension; anything else is served as application/octet-stream
+ */
+const CONTENT_TYPES = {
+  '.deb': 'application/vnd.debian.binary-package',
+  '.gz': 'application/gzip',
+  '.xz': 'application/x-xz',
+  '.gpg': 'application/pgp-signature',
+  '.pgp': 'application/pgp-keys',
+  '.asc': 'application/pgp-keys',
+  '.sources': 'text/plain; charset=utf-8',
+  '.html': 'text/html; charset=utf-8',
+  '.json': 'application/json',
+  '': 'text/plain; charset=utf-8',
+};
+
+/**
+ * Port the serve command listens on when none is given
+ */
+export const DEFAULT_PORT = 8080;
+
+/**
+ * Address the serve command listens on when none is given
+ */
+export const DEFAULT_HOST = '127.0.0.1';
+
+/**
+ * Action handler for the serve command
+ * Serves the output directory over HTTP for trying the repository with apt before deploying.
+ * Pool files are redirected to their release downloads, as the production host's rules do,
+ * or served from the local pool with offline. Runs until interrupted.
+ * @param {Object} options - Command options
+ * @param {string} [options.output] - Output directory
+ * @param {string} [options.host] - Address to listen on
+ * @param {number} [options.port] - Port to listen on
+ * @param {boolean} [options.offline] - Serve pool files from disk instead of redirecting
+ * @returns {Promise<http.Server>} The listening server
+ */
+export async function serveAction(options) {
+  const outputDir = path.resolve(options.output);
+  await fs.access(path.join(outputDir, 'dists')).catch(() => {
+    throw new Error(`No dists directory in ${outputDir}. Run assemble first`);
+  });
+
+  const server = await createRepositoryServer(outputDir, { offline: options.offline });
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(options.port ?? DEFAULT_PORT, options.host ?? DEFAULT_HOST, resolve);
+  });
+
+  const { address, port } = server.address();
+  const url = `http://${address.includes(':') ? `[${address}]` : address}:${port}/`;
+  console.log(`Serving ${outputDir} at ${url}${options.offline ? ' (offline: pool files served from disk)' : ''}`);
+  console.log(`Try it with: deb [trusted=yes] ${url} stable main`);
+  console.log('Press Ctrl+C to stop');
+  return server;
+}
+
+/**
+ * Creates an HTTP server for an APT repository directory
+ * Each request is logged with its response status.
+ * @param {string} outputDir - Root directory for the APT repository
+ * @param {Object} [options] - Server options
+ * @param {boolean} [options.offline] - Serve pool files from disk instead of redirecting
+ * @returns {Promise<http.Server>} Server, not yet listening
+ */
+export async function createRepositoryServer(outputDir, options = {}) {
+  const rules = options.offline ? [] : await collectRedirectRules(outputDir);
+
+  return http.createServer((request, response) => {
+    handleRequest(request, response, outputDir, rules, options).catch((error) => {
+      if (!response.headersSent) {
+        response.writeHead(500, { 'Content-Type': 'text/plain; charset=utf-8' });
+      }
+      response.end(`${error.message}\n`);
+      logRequest(request, 500, error.message);
+    });
+  });
+}
+
+/**
+ * Answers one request: a redirect for pool files (unless offline), otherwise a file from the output directory
+ * @param {http.IncomingMessage} request - Request
+ * @param {http.ServerResponse} response - Response
+ * @param {string} outputDir - Root directory for the APT repository
+ * @param {Array<Object>} rules - Redirect rules from collectRedirectRules
+ * @param {Object} options - Server options, see createRepositoryServer
+ * @returns {Promise<void>}
+ */
+async function handleRequest(request, response, outputDir, rules, options) {
+  if (request.method !== 'GET' && request.method !== 'HEAD') {
+    return sendStatus(request, response, 405, { Allow: 'GET, HEAD' });
+  }
+
+  let pathname;
+  try {
+    pathname = decodeURIComponent(new URL(request.url, 'http://localhost').pathname);
+  } catch {
+    return sendStatus(request, response, 400);
+  }
+
+  if (!options.offline && pathname.startsWith('/pool/')) {
+    const rule = rules.find(({ source, prefix }) => (prefix ? pathname.startsWith(source) : pathname === source));
+    if (!rule) {
+      return sendStatus(request, response, 404, {}, 'no redirect rule');
+    }
+    const location = rule.prefix ? rule.destination + encodePath(pathname.slice(rule.source.length)) : rule.destination;
+    response.writeHead(302, { Location: location });
+    response.end();
+    return logRequest(request, 302, location);
+  }
+
+  let filePath = path.join(outputDir, path.normalize(pathname));
+  if (filePath !== outputDir && !filePath.startsWith(outputDir + path.sep)) {
+    return sendStatus(request, response, 403);
+  }
+
+  let stats = await fs.stat(filePath).catch(() => null);
+  if (stats?.isDirectory()) {
+    filePath = path.join(filePath, 'index.html');
+    stats = await fs.stat(filePath).catch(() => null);
+  }
+  if (!stats?.isFile()) {
+    return sendStatus(request, response, 404, {}, pathname.startsWith('/pool/') ? 'not in the local pool' : undefined);
+  }
+
+  const lastModified = new Date(Math.floor(stats.mtimeMs / 1000) * 1000);
+  const ifModifiedSince = Date.parse(request.headers['if-modified-since'] ?? '');
+  if (ifModifiedSince >= lastModified.getTime()) {
+    return sendStatus(request, response, 304);
+  }
+
+  response.writeHead(200, {
+    'Content-Type': CONTENT_TYPES[path.extname(filePath)] ?? 'application/octet-stream',
+    'Content-Length': stats.size,
+    'Last-Modified': lastModified.toUTCString(),
+  });
+  if (request.method === 'HEAD') {
+    response.end();
+  } else {
+    await new Promise((resolve, reject) => {
+      createReadStream(filePath).on('error', reject).pipe(response).on('finish', resolve);
+    });
+  }
+  logRequest(request, 200, `${stats.size} bytes`);
+}
+
+/**
+ * Ends a response with a status and no file
+ * @param {http.IncomingMessage} request - Request, for the log
+ * @param {http.ServerResponse} response - Response
+ * @param {number} status - HTTP status code
+ * @param {Object} [headers] - Extra response headers
+ * @param {string} [note] - Explanation for the log
+ */
+function sendStatus(request, response, status, headers = {}, note) {
+  response.writeHead(status, { 'Content-Type': 'text/plain; charset=utf-8', ...headers });
+  response.end(status === 304 || request.method === 'HEAD' ? undefined : `${http.STATUS_CODES[status]}\n`);
+  logRequest(request, status, note);
+}
+
+/**
+ * Logs a request and how it was answered
+ * @param {http.IncomingMessage} request - Request
+ * @param {number} status - HTTP status code
+ * @param {string} [note] - Redirect target, size or explanation
+ */
+function logRequest(request, status, note) {
+  const time = new Date().toISOString();
+  console.log(`${time} ${request.method} ${request.url} ${status}${note ? ` ${note}` : ''}`);
+}
+
+/**
+ * Percent-encodes each segment of a path
+ * @param {string} pathname - Decoded path
+ * @returns {string} Path safe for a URL
+ */
+function encodePath(pathname) {
+  return pathname.split('/').map(encodeURIComponent).join('/');
+}
@@ -0,0 +1,210 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { tmpdir } from 'os';
+import { $ as zx } from 'zx';
+import { checkSignatures } from './verifyAction.mjs';
+
+/**
+ * Signing backends
+ * sq signs with a key file; gpg signs with a key from the GnuPG keyring or agent (by ID) or from a key file;
+ * command runs an external signer.
+ */
+export const SIGNERS = ['sq', 'gpg', 'command'];
+
+/**
+ * Signing backend used when none is configured
+ */
+export const DEFAULT_SIGNER = 'sq';
+
+/**
+ * Checks that signing has a key to sign with, before anything is written
+ * @param {Object} options - Signing options, see signReleaseFile
+ * @throws {Error} If the backend is missing what it needs, or is given two keys
+ */
+export function checkSigningConfigured(options) {
+  const signer = options.signer ?? DEFAULT_SIGNER;
+  const env = options.env ?? process.env;
+  const hasKey = Boolean(options.signingKeyFile || env.SIGNING_KEY);
+
+  if (!SIGNERS.includes(signer)) {
+    throw new Error(`Unsupported signer ${signer}. Choose from: ${SIGNERS.join(', ')}`);
+  }
+  if (signer === 'sq' && !hasKey) {
+    throw new Error('Signing was requested but no key is configured. Set SIGNING_KEY, pass --signing-key-file, or use --no-sign');
+  }
+  if (signer === 'gpg' && !hasKey && !options.signingKeyId) {
+    throw new Error('Signing with gpg needs --signing-key-id (for a key in your keyring or agent), --signing-key-file or SIGNING_KEY');
+  }
+  if (signer === 'gpg' && options.signingKeyId && options.signingKeyFile) {
+    throw new Error('--signing-key-id signs with a key from your keyring, so it cannot be combined with --signing-key-file');
+  }
+  if (signer === 'command' && !options.signCommand) {
+    throw new Error('Signing with a command needs --sign-command');
+  }
+  if (signer === 'command' && !options.signingPublicKey) {
+    throw new Error('Signing with a command needs --signing-public-key, to check the signatures it makes');
+  }
+}
+
+/**
+ * Signs a suite's Release file as Release.gpg and InRelease, then checks both signatures with gpgv
+ *
+ * Key material from SIGNING_KEY is written to a private temporary file rather than passed on a command line.
+ * An external signer command runs in a shell with SIGN_MODE set to detach or clearsign;
+ * it reads the Release file on stdin and writes the armored signature or signed message to stdout.
+ * @param {string} distPath - Suite directory
+ * @param {Object} [options] - Signing options
+ * @param {string} [options.signer] - One of SIGNERS
+ * @param {string} [options.signingKeyFile] - Secret key file (sq, gpg); defaults to the SIGNING_KEY environment variable
+ * @param {string} [options.signingKeyId] - Key ID or fingerprint in the GnuPG keyring (gpg)
+ * @param {string} [options.signCommand] - Signer command (command)
+ * @param {string} [options.signingPublicKey] - Public key to check the signatures against, instead of the signing key's
+ * @param {Object} [options.env] - Environment variables, for SIGNING_KEY
+ * @returns {Promise<{binary: Buffer, armored: string}>} Certificate the signatures were checked against, for publishing
+ * @throws {Error} If signing is not configured, the signer fails, or a signature does not check out
+ */
+export async function signReleaseFile(distPath, options = {}) {
+  checkSigningConfigured(options);
+
+  const releasePath = path.join(distPath, 'Release');
+  const workDir = await fs.mkdtemp(path.join(tmpdir(), 'gh-release-apt-sign-'));
+  const signer = await prepareSigner(options, workDir);
+
+  try {
+    for (const [mode, name] of [['detach', 'Release.gpg'], ['clearsign', 'InRelease']]) {
+      const outputPath = path.join(distPath, name);
+      await fs.rm(outputPath, { force: true });
+      try {
+        await signer.sign(mode, releasePath, outputPath);
+      } catch (error) {
+        throw new Error(`Could not sign ${releasePath} with ${options.signer ?? DEFAULT_SIGNER}: ${String(error.stderr || error.message).trim()}`);
+      }
+    }
+
+    const certificate = options.signingPublicKey ? await readCertificate(options.signingPublicKey) : await signer.exportCertificate();
+    const publicKeyPath = path.join(workDir, 'public-key.gpg');
+    await fs.writeFile(publicKeyPath, certificate.binary);
+    const failed = (await checkSignatures(distPath, publicKeyPath)).filter(({ status }) => status === 'fail');
+    if (failed.length > 0) {
+      throw new Error(`Signatures of ${releasePath} do not verify: ${failed.map(({ message }) => message).join('; ')}`);
+    }
+    return certificate;
+  } finally {
+    await signer.cleanup();
+    await fs.rm(workDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Reads a certificate file, armored or binary, in both forms
+ * The certificate is imported into a throwaway GnuPG home and exported from it again.
+ * @param {string} keyPath - Public key file
+ * @returns {Promise<{binary: Buffer, armored: string}>} Certificate
+ * @throws {Error} If gpg cannot read a public key from the file
+ */
+export async function readCertificate(keyPath) {
+  const home = await fs.mkdtemp(path.join(tmpdir(), 'gh-release-apt-gnupg-'));
+  try {
+    try {
+      await zx`gpg --homedir ${home} --batch --quiet --import ${keyPath}`.quiet();
+    } catch (error) {
+      throw new Error(`Could not read the public key ${keyPath}: ${String(error.stderr || error.message).trim()}`);
+    }
+    return await exportCertificate((output, armor) => zx`gpg --homedir ${home} --batch --yes ${armor ? ['--armor'] : []} --output ${output} --export`, home, keyPath);
+  } finally {
+    await zx`gpgconf --homedir ${home} --kill all`.nothrow().quiet();
+    await fs.rm(home, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Exports a certificate binary and armored with a backend's tool
+ * @param {Function} exportTo - Writes the certificate to a file, armored when asked
+ * @param {string} workDir - Directory for the exported files
+ * @param {string} source - Key the certificate comes from, for the error message
+ * @returns {Promise<{binary: Buffer, armored: string}>} Certificate
+ * @throws {Error} If nothing was exported
+ */
+async function exportCertificate(exportTo, workDir, source) {
+  const binaryPath = path.join(workDir, 'certificate.pgp');
+  const armoredPath = path.join(workDir, 'certificate.asc');
+  await exportTo(binaryPath, false);
+  await exportTo(armoredPath, true);
+  const [binary, armored] = await Promise.all([fs.readFile(binaryPath).catch(() => Buffer.alloc(0)), fs.readFile(armoredPath, 'utf-8').catch(() => '')]);
+  if (binary.length === 0 || !armored) {
+    throw new Error(`No public key exported from ${source}`);
+  }
+  return { binary, armored };
+}
+
+/**
+ * Sets up a signing backend
+ * @param {Object} options - Signing options, see signReleaseFile
+ * @param {string} workDir - Private temporary directory, removed after signing
+ * @returns {Promise<{sign: Function, exportCertificate: Function, cleanup: Function}>} Backend
+ */
+async function prepareSigner(options, workDir) {
+  const signer = options.signer ?? DEFAULT_SIGNER;
+  const env = options.env ?? process.env;
+
+  // With gpg, a key ID means the keyring both signs and provides the published key, whatever SIGNING_KEY holds
+  const useKeyring = signer === 'gpg' && Boolean(options.signingKeyId);
+  let keyPath = options.signingKeyFile && path.resolve(options.signingKeyFile);
+  if (!keyPath && env.SIGNING_KEY && signer !== 'command' && !useKeyring) {
+    keyPath = path.join(workDir, 'signing-key');
+    await fs.writeFile(keyPath, env.SIGNING_KEY, { mode: 0o600 });
+  }
+
+  if (signer === 'sq') {
+    // Older sq has extract-cert under key; later releases moved it to toolbox
+    const extractCert = async (output, armor) => {
+      const binary = armor ? [] : ['--binary'];
+      let extracted = await zx`sq key extract-cert ${binary} --output ${output} ${keyPath}`.nothrow().quiet();
+      if (extracted.exitCode !== 0 && /unrecognized subcommand/.test(extracted.stderr)) {
+        extracted = await zx`sq toolbox extract-cert ${binary} --output ${output} ${keyPath}`.nothrow().quiet();
+      }
+      if (extracted.exitCode !== 0) {
+        throw new Error(`Could not extract the certificate from ${keyPath} with sq: ${extracted.stderr.trim()}`);
+      }
+    };
+    return {
+      sign: (mode, input, output) => (mode === 'detach'
+        ? zx`sq sign --signer-file ${keyPath} --signature-file ${output} ${input}`
+        : zx`sq sign --signer-file ${keyPath} --cleartext --output ${output} ${input}`),
+      exportCertificate: () => exportCertificate(extractCert, workDir, keyPath),
+      cleanup: async () => {},
+    };
+  }
+
+  if (signer === 'gpg') {
+    // A key file is imported into a throwaway GnuPG home; a key ID uses the user's keyring and agent
+    const home = keyPath ? path.join(workDir, 'gnupg') : null;
+    const gpg = home ? ['--homedir', home, '--pinentry-mode', 'loopback', '--passphrase', ''] : [];
+    const user = options.signingKeyId ? ['--local-user', options.signingKeyId] : [];
+    if (home) {
+      await fs.mkdir(home, { mode: 0o700 });
+      await zx`gpg ${gpg} --batch --quiet --import ${keyPath}`;
+    }
+    return {
+      sign: (mode, input, output) => (mode === 'detach'
+        ? zx`gpg ${gpg} ${user} --batch --yes --armor --detach-sign --output ${output} ${input}`
+        : zx`gpg ${gpg} ${user} --batch --yes --clearsign --output ${output} ${input}`),
+      exportCertificate: () => exportCertificate(
+        (output, armor) => zx`gpg ${gpg} --batch --yes ${armor ? ['--armor'] : []} --output ${output} --export ${options.signingKeyId ?? []}`,
+        workDir,
+        options.signingKeyId ?? keyPath
+      ),
+      cleanup: async () => {
+        if (home) {
+          await zx`gpgconf --homedir ${home} --kill gpg-agent`.nothrow();
+        }
+      },
+    };
+  }
+
+  return {
+    sign: (mode, input, output) => zx({ env: { ...env, SIGN_MODE: mode } })`sh -c ${options.signCommand} < ${input} > ${output}`,
+    exportCertificate: () => readCertificate(options.signingPublicKey),
+    cleanup: async () => {},
+  };
+}
@@ -0,0 +1,145 @@
+import fs from 'fs/promises';
+import crypto from 'node:crypto';
+import path from 'path';
+import { fdir } from 'fdir';
+import { extractEntryFields } from './repository.mjs';
+
+/**
+ * Exit code of --detailed-exitcode when a command changed the repository
+ * Nothing changed exits with 0, and errors with 1 as always.
+ */
+export const EXIT_CHANGED = 2;
+
+/**
+ * Release file fields that change on every assemble, left out when comparing Release files
+ */
+const VOLATILE_RELEASE_FIELDS = /^(Date|Valid-Until):.*\n/gm;
+
+/**
+ * Signatures of Release files, which differ on every signing even for the same content
+ */
+const SIGNATURE_FILES = ['InRelease', 'Release.gpg'];
+
+/**
+ * Records the SHA256 of every file below a directory, to tell afterwards which ones a command changed
+ * Release files are hashed without their Date and Valid-Until fields and their signatures are left out,
+ * so assembling an unchanged repository again doesn't count as a change.
+ * @param {string} dir - Directory to record (need not exist)
+ * @param {Object} [options] - Snapshot options
+ * @param {function(string): boolean} [options.include] - Tells which paths, relative to dir, to record
+ * @param {string[]} [options.excludeDirs] - Names of subdirectories not to descend into
+ * @returns {Promise<Map<string, string>>} SHA256 checksums by path relative to dir
+ */
+export async function snapshotFiles(dir, options = {}) {
+  const include = options.include ?? (() => true);
+  const excludeDirs = options.excludeDirs ?? [];
+  const snapshot = new Map();
+
+  const filePaths = await new fdir()
+    .withRelativePaths()
+    .exclude((dirName) => excludeDirs.includes(dirName))
+    .filter((filePath) => include(filePath) && !SIGNATURE_FILES.includes(path.basename(filePath)))
+    .crawl(dir)
+    .withPromise();
+
+  for (const filePath of filePaths) {
+    let content = await fs.readFile(path.join(dir, filePath));
+    if (path.basename(filePath) === 'Release') {
+      content = content.toString('utf-8').replace(VOLATILE_RELEASE_FIELDS, '');
+    }
+    snapshot.set(filePath.split(path.sep).join('/'), crypto.createHash('sha256').update(content).digest('hex'));
+  }
+  return snapshot;
+}
+
+/**
+ * Compares two snapshots of the same directory
+ * @param {Map<string, string>} before - Snapshot taken before the command, see snapshotFiles
+ * @param {Map<string, string>} after - Snapshot taken after it
+ * @returns {{written: string[], removed: string[]}} Paths created or changed, and paths gone, sorted
+ */
+export function compareSnapshots(before, after) {
+  const written = [...after.keys()].filter((filePath) => before.get(filePath) !== after.get(filePath));
+  const removed = [...before.keys()].filter((filePath) => !after.has(filePath));
+  return { written: written.sort(), removed: removed.sort() };
+}
+
+/**
+ * Lists the packages added to and removed from Packages file content, by architecture
+ * Packages are told apart by name, version and architecture; a rebuilt package with the same version
+ * shows up among the written files instead.
+ * @param {string} previous - Packages file content before the command (empty if there was none)
+ * @param {string} current - Packages file content after it
+ * @returns {Array<{architecture: string, added: string[], removed: string[]}>} Changes as "name version", for architectures with any
+ */
+export function diffPackages(previous, current) {
+  const byArchitecture = (content) => {
+    const packages = new Map();
+    for (const { Package: name, Version: version, Architecture: architecture } of extractEntryFields(content, ['Package', 'Version', 'Architecture'])) {
+      if (!packages.has(architecture)) {
+        packages.set(architecture, new Set());
+      }
+      packages.get(architecture).add(`${name} ${version}`);
+    }
+    return packages;
+  };
+  const before = byArchitecture(previous);
+  const after = byArchitecture(current);
+
+  const changes = [];
+  for (const architecture of [...new Set([...before.keys(), ...after.keys()])].sort()) {
+    const was = before.get(architecture) ?? new Set();
+    const is = after.get(architecture) ?? new Set();
+    const added = [...is].filter((entry) => !was.has(entry)).sort();
+    const removed = [...was].filter((entry) => !is.has(entry)).sort();
+    if (added.length > 0 || removed.length > 0) {
+      changes.push({ architecture, added, removed });
+    }
+  }
+  return changes;
+}
+
+/**
+ * Reads a file that may not exist yet
+ * @param {string} filePath - File to read
+ * @returns {Promise<string>} Content, empty if there is no file
+ */
+export async function readIfExists(filePath) {
+  return fs.readFile(filePath, 'utf-8').catch((error) => (error.code === 'ENOENT' ? '' : Promise.reject(error)));
+}
+
+/**
+ * Runs a command that returns a summary of its changes, and reports the summary for CI
+ * The command is given the function to print progress with: console.log, or with json, console.error,
+ * so that stdout holds nothing but the summary.
+ * When the command fails, the summary file records the error before it is rethrown.
+ * @param {Object} options - Command options
+ * @param {boolean} [options.json] - Print the summary as JSON
+ * @param {string} [options.summaryFile] - Write the summary as JSON to this file
+ * @param {boolean} [options.detailedExitcode] - Exit with EXIT_CHANGED when the summary says something changed
+ * @param {function(function(string): void): Promise<{changed: boolean}>} action - Runs the command, printing progress with the given function
+ * @returns {Promise<Object>} The summary
+ */
+export async function reportSummary(options, action) {
+  let summary;
+  try {
+    summary = await action(options.json ? console.error : console.log);
+  } catch (error) {
+    if (options.summaryFile) {
+      await fs.writeFile(options.summaryFile, JSON.stringify({ changed: false, error: error.message }, null, 2) + '\n', 'utf-8');
+    }
+    throw error;
+  }
+
+  const json = JSON.stringify(summary, null, 2) + '\n';
+  if (options.json) {
+    process.stdout.write(json);
+  }
+  if (options.summaryFile) {
+    await fs.writeFile(options.summaryFile, json, 'utf-8');
+  }
+  if (options.detailedExitcode && summary.changed) {
+    process.exitCode = EXIT_CHANGED;
+  }
+  return summary;
+}
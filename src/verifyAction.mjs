@@ -0,0 +1,419 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { tmpdir } from 'os';
+import { $ as zx } from 'zx';
+import { parseDeb822, getField } from './deb822.mjs';
+import { readReleaseMetadata } from './repository.mjs';
+import { HASH_FIELDS, hashFile } from './assembleAction.mjs';
+import { extractAssetSHA256 } from './github.mjs';
+import { getProvider, resolvePoolToken } from './providers.mjs';
+import { withRetries } from './network.mjs';
+import { writeKeyring } from './checksums.mjs';
+
+/**
+ * Report glyphs by result status
+ */
+const STATUS_GLYPHS = { ok: '✓', fail: '✗', skip: '-' };
+
+/**
+ * Action handler for the verify command
+ * Checks a built repository before it is published and prints a report.
+ * Every suite's Release file is checked against the indices it lists, its signatures against
+ * the given public key, and every Packages Filename against the pool fragment it came from.
+ * With checkAssets, each pool file's release asset is checked as well.
+ * @param {Object} options - Command options
+ * @param {string} [options.output] - Output directory
+ * @param {string} [options.key] - Public key file (armored or binary) to check signatures against
+ * @param {boolean} [options.checkAssets] - Check that the release assets still exist with the recorded SHA256
+ * @param {string} [options.token] - Token for checkAssets (defaults to each host's environment variable, such as GITHUB_TOKEN)
+ * @returns {Promise<void>}
+ * @throws {Error} If any check fails
+ */
+export async function verifyAction(options) {
+  const outputDir = path.resolve(options.output);
+  const sections = await verifyRepository(outputDir, {
+    key: options.key,
+    checkAssets: options.checkAssets,
+    token: options.token,
+  });
+
+  let problems = 0;
+  for (const { title, results } of sections) {
+    console.log(`\n${title}`);
+    for (const { status, message } of results) {
+      console.log(`  ${STATUS_GLYPHS[status]} ${message}`);
+      if (status === 'fail') {
+        problems++;
+      }
+    }
+  }
+
+  if (problems > 0) {
+    throw new Error(`Verification found ${problems} problem(s) in ${outputDir}`);
+  }
+  console.log(`\n✓ ${outputDir} verified`);
+}
+
+/**
+ * Runs every check on a built repository
+ * @param {string} outputDir - Root directory for the APT repository
+ * @param {Object} [options] - Check options, see verifyAction
+ * @returns {Promise<Array<{title: string, results: Array<{status: string, message: string}>}>>} Report sections
+ * @throws {Error} If there is no dists directory
+ */
+export async function verifyRepository(outputDir, options = {}) {
+  const distsDir = path.join(outputDir, 'dists');
+  let suites;
+  try {
+    suites = (await fs.readdir(distsDir, { withFileTypes: true })).filter((entry) => entry.isDirectory()).map((entry) => entry.name).sort();
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error(`No dists directory in ${outputDir}. Run assemble first`);
+    }
+    throw error;
+  }
+
+  const sections = [];
+  const poolEntries = new Map();
+  const poolFragments = new Map();
+
+  for (const suite of suites) {
+    const distPath = path.join(distsDir, suite);
+    const results = [];
+    sections.push({ title: `dists/${suite}`, results });
+
+    let release;
+    try {
+      [release] = parseDeb822(await fs.readFile(path.join(distPath, 'Release'), 'utf-8'));
+    } catch (error) {
+      results.push({ status: 'fail', message: `Release: ${error.code === 'ENOENT' ? 'missing' : error.message}` });
+      continue;
+    }
+
+    const { results: indexResults, files } = await checkReleaseIndices(distPath, release);
+    results.push(...indexResults);
+    results.push(...await checkSignatures(distPath, options.key));
+
+    for (const relativePath of files.filter((file) => path.basename(file) === 'Packages')) {
+      results.push(...await checkPackagesFilenames(outputDir, path.join(distPath, relativePath), relativePath, poolFragments, poolEntries));
+    }
+  }
+
+  if (options.checkAssets) {
+    sections.push({ title: 'Release assets', results: await checkPoolAssets(outputDir, poolEntries, options.token) });
+  }
+
+  return sections;
+}
+
+/**
+ * Checks every index listed in a Release file against its size and checksums, and the Valid-Until date
+ * @param {string} distPath - Suite directory
+ * @param {Map<string, string>} release - Parsed Release file
+ * @param {Date} [now] - Current time
+ * @returns {Promise<{results: Array<Object>, files: string[]}>} Results, and the listed files that exist
+ */
+export async function checkReleaseIndices(distPath, release, now = new Date()) {
+  const results = [];
+  const listed = new Map();
+
+  for (const [algorithm, field] of Object.entries(HASH_FIELDS)) {
+    for (const line of (getField(release, field) ?? '').split('\n')) {
+      const [hash, size, relativePath] = line.trim().split(/\s+/);
+      if (!relativePath) {
+        continue;
+      }
+      const file = listed.get(relativePath) ?? { size: Number(size), hashes: {} };
+      file.hashes[algorithm] = hash;
+      listed.set(relativePath, file);
+    }
+  }
+
+  if (listed.size === 0) {
+    results.push({ status: 'fail', message: 'Release lists no index files' });
+  }
+
+  const files = [];
+  let matching = 0;
+  for (const [relativePath, expected] of listed) {
+    const filePath = path.join(distPath, relativePath);
+    let actual;
+    try {
+      actual = await hashFile(filePath, Object.keys(expected.hashes));
+    } catch (error) {
+      results.push({ status: 'fail', message: `${relativePath}: ${error.code === 'ENOENT' ? 'listed in Release but missing' : error.message}` });
+      continue;
+    }
+    files.push(relativePath);
+
+    const mismatches = Object.keys(expected.hashes).filter((algorithm) => actual.hashes[algorithm] !== expected.hashes[algorithm]).map((algorithm) => HASH_FIELDS[algorithm]);
+    if (actual.size !== expected.size) {
+      mismatches.unshift('size');
+    }
+    if (mismatches.length > 0) {
+      results.push({ status: 'fail', message: `${relativePath}: ${mismatches.join(', ')} differ from Release` });
+    } else {
+      matching++;
+    }
+  }
+  if (matching > 0) {
+    results.push({ status: 'ok', message: `${matching} index file(s) match their size and checksums in Release` });
+  }
+
+  const validUntil = getField(release, 'Valid-Until');
+  if (validUntil && Date.parse(validUntil) < now.getTime()) {
+    results.push({ status: 'fail', message: `Release expired at ${validUntil}` });
+  }
+
+  return { results, files };
+}
+
+/**
+ * Checks the Release.gpg and InRelease signatures with gpgv, as apt does
+ * @param {string} distPath - Suite directory
+ * @param {string} [keyPath] - Public key file, armored or binary
+ * @returns {Promise<Array<Object>>} Results
+ */
+export async function checkSignatures(distPath, keyPath) {
+  if (!keyPath) {
+    return [{ status: 'skip', message: 'Signatures not checked; pass --key with the public key' }];
+  }
+
+  const results = [];
+  const workDir = await fs.mkdtemp(path.join(tmpdir(), 'gh-release-apt-verify-'));
+  try {
+    const keyring = path.join(workDir, 'keyring.gpg');
+    await writeKeyring(keyPath, keyring);
+    const releasePath = path.join(distPath, 'Release');
+
+    const signatures = [
+      ['Release.gpg', (signaturePath) => zx`gpgv --keyring ${keyring} ${signaturePath} ${releasePath}`],
+      ['InRelease', (signaturePath) => zx`gpgv --keyring ${keyring} --output ${path.join(workDir, 'InRelease.txt')} ${signaturePath}`],
+    ];
+    for (const [name, verify] of signatures) {
+      const signaturePath = path.join(distPath, name);
+      try {
+        await fs.access(signaturePath);
+      } catch {
+        results.push({ status: 'fail', message: `${name}: missing` });
+        continue;
+      }
+      try {
+        await verify(signaturePath);
+      } catch (error) {
+        const reason = String(error.stderr ?? error.message).trim().split('\n').pop();
+        results.push({ status: 'fail', message: `${name}: bad signature (${reason})` });
+        continue;
+      }
+      if (name === 'InRelease') {
+        const [signed, release] = await Promise.all([
+          fs.readFile(path.join(workDir, 'InRelease.txt'), 'utf-8'),
+          fs.readFile(releasePath, 'utf-8'),
+        ]);
+        if (signed.trimEnd() !== release.trimEnd()) {
+          results.push({ status: 'fail', message: 'InRelease: signed content differs from Release' });
+          continue;
+        }
+      }
+      results.push({ status: 'ok', message: `${name}: good signature` });
+    }
+  } finally {
+    await fs.rm(workDir, { recursive: true, force: true });
+  }
+  return results;
+}
+
+/**
+ * Checks that every entry of a Packages index comes from a pool fragment
+ * The Filename must lie in a release directory whose Packages file lists it with the same SHA256.
+ * @param {string} outputDir - Root directory for the APT repository
+ * @param {string} packagesPath - Packages index to check
+ * @param {string} relativePath - Index path for messages, relative to the suite
+ * @param {Map<string, Map<string, Map<string, string>>|null>} poolFragments - Cache of pool fragments by directory
+ * @param {Map<string, Map<string, string>>} poolEntries - Filled with the checked entries by Filename
+ * @returns {Promise<Array<Object>>} Results
+ */
+async function checkPackagesFilenames(outputDir, packagesPath, relativePath, poolFragments, poolEntries) {
+  const results = [];
+  let matching = 0;
+
+  for (const paragraph of parseDeb822(await fs.readFile(packagesPath, 'utf-8'))) {
+    const filename = getField(paragraph, 'Filename')?.replace(/^\.\//, '');
+    const description = `${getField(paragraph, 'Package')} ${getField(paragraph, 'Version')} (${getField(paragraph, 'Architecture')})`;
+    if (!filename) {
+      results.push({ status: 'fail', message: `${relativePath}: ${description} has no Filename` });
+      continue;
+    }
+
+    const debDir = path.dirname(filename);
+    if (!debDir.startsWith('pool/') || debDir.split('/').length < 4) {
+      results.push({ status: 'fail', message: `${relativePath}: ${filename} is not in a pool/{owner}/{repo}/{tag} directory` });
+      continue;
+    }
+    if (!poolFragments.has(debDir)) {
+      poolFragments.set(debDir, await readPoolFragment(path.join(outputDir, debDir)));
+    }
+    const fragment = poolFragments.get(debDir);
+    const poolEntry = fragment?.get(filename);
+    if (!poolEntry) {
+      const where = fragment ? `${debDir}/Packages` : `${debDir}: no Packages fragment`;
+      results.push({ status: 'fail', message: `${relativePath}: ${filename} is not listed in ${where}` });
+      continue;
+    }
+    if (getField(poolEntry, 'SHA256') !== getField(paragraph, 'SHA256')) {
+      results.push({ status: 'fail', message: `${relativePath}: ${filename} SHA256 differs from ${debDir}/Packages` });
+      continue;
+    }
+
+    poolEntries.set(filename, paragraph);
+    matching++;
+  }
+
+  if (matching > 0) {
+    results.push({ status: 'ok', message: `${relativePath}: ${matching} package(s) match their pool fragments` });
+  }
+  return results;
+}
+
+/**
+ * Reads a pool fragment's entries by Filename
+ * @param {string} debDir - Pool directory of the release
+ * @returns {Promise<Map<string, Map<string, string>>|null>} Entries, or null without a Packages file
+ */
+async function readPoolFragment(debDir) {
+  let content;
+  try {
+    content = await fs.readFile(path.join(debDir, 'Packages'), 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+  return new Map(parseDeb822(content).map((paragraph) => [getField(paragraph, 'Filename')?.replace(/^\.\//, ''), paragraph]));
+}
+
+/**
+ * Fetches the release a pool directory came from, from its provider
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} tag - Release tag name
+ * @param {string} [token] - GitHub token, see resolvePoolToken
+ * @param {string} [apiUrl] - REST API base URL recorded at import
+ * @param {string} [providerName] - Provider recorded at import
+ * @returns {Promise<Object>} Release object
+ * @throws {Error} If the release cannot be fetched
+ */
+async function getPoolRelease(owner, repo, tag, token, apiUrl, providerName) {
+  const provider = getProvider(providerName);
+  return provider.getReleaseByTag(owner, repo, tag, resolvePoolToken(provider, token), apiUrl);
+}
+
+/**
+ * Checks that a release asset can be downloaded, without downloading it
+ * Like fetchAsset, a HEAD that is refused (401, 403 or 404) or answered with an HTML page, as private repositories' download links are,
+ * is retried against the asset's API URL when there is a token.
+ * @param {Object} asset - Release asset, with browser_download_url and optionally its API url
+ * @param {Object<string, string>} headers - Request headers, such as the provider's Authorization
+ * @returns {Promise<void>}
+ * @throws {Error} If the request still fails after retrying like withRetries
+ */
+async function headAsset(asset, headers) {
+  const head = async (url, extraHeaders, redirect = 'follow') => {
+    const response = await fetch(url, { method: 'HEAD', headers: { ...headers, ...extraHeaders }, redirect });
+    if (!response.ok && !(redirect === 'manual' && response.status >= 300 && response.status < 400)) {
+      throw Object.assign(new Error(`HEAD ${url} returned ${response.status}`), {
+        status: response.status,
+        headers: Object.fromEntries(response.headers),
+      });
+    }
+    if (response.headers.get('content-type')?.startsWith('text/html')) {
+      throw Object.assign(new Error(`HEAD ${url} returned an HTML page instead of the asset`), { html: true });
+    }
+  };
+
+  const url = asset.browser_download_url;
+  try {
+    await withRetries(async () => {
+      try {
+        await head(url, {});
+      } catch (error) {
+        if (Object.keys(headers).length === 0 || !asset.url || !(error.html || [401, 403, 404].includes(error.status))) {
+          throw error;
+        }
+        // The API answers with a redirect to a URL signed for GET only, so the redirect itself shows the asset exists
+        await head(asset.url, { Accept: 'application/octet-stream' }, 'manual');
+      }
+    });
+  } catch (error) {
+    throw error.status || error.html ? error : new Error(`HEAD ${url} failed: ${error.message}`);
+  }
+}
+
+/**
+ * Checks that each pool file still has its release asset, with the recorded SHA256
+ * Assets without a digest (GitHub's older assets, and those of other hosts) are checked for existence with a HEAD request,
+ * sent with the provider's token.
+ * @param {string} outputDir - Root directory for the APT repository
+ * @param {Map<string, Map<string, string>>} poolEntries - Packages entries by Filename
+ * @param {string} [token] - GitHub token, see resolvePoolToken
+ * @param {Function} [getRelease] - Fetches a release by owner, repo, tag, token, API URL and provider name
+ * @returns {Promise<Array<Object>>} Results
+ */
+export async function checkPoolAssets(outputDir, poolEntries, token, getRelease = getPoolRelease) {
+  const results = [];
+  const releases = new Map();
+  let matching = 0;
+  let undigested = 0;
+
+  for (const [filename, paragraph] of poolEntries) {
+    const debDir = path.dirname(filename);
+    if (!releases.has(debDir)) {
+      const metadata = await readReleaseMetadata(path.join(outputDir, debDir));
+      const [, owner, repo, ...tagParts] = debDir.split('/');
+      releases.set(debDir, {
+        provider: getProvider(metadata.provider),
+        release: getRelease(metadata.owner ?? owner, metadata.repo ?? repo, metadata.tag ?? tagParts.join('/'), token, metadata.apiUrl, metadata.provider)
+          .catch((error) => error),
+      });
+    }
+    const { provider, release: pending } = releases.get(debDir);
+    const release = await pending;
+    if (release instanceof Error) {
+      results.push({ status: 'fail', message: `${filename}: ${release.message}` });
+      continue;
+    }
+
+    const asset = release.assets?.find((candidate) => candidate.name === path.basename(filename));
+    if (!asset) {
+      results.push({ status: 'fail', message: `${filename}: no such asset in release ${release.tag_name}` });
+      continue;
+    }
+
+    const digest = extractAssetSHA256(asset);
+    if (digest) {
+      if (digest !== getField(paragraph, 'SHA256')) {
+        results.push({ status: 'fail', message: `${filename}: asset SHA256 ${digest} differs from Packages` });
+        continue;
+      }
+    } else {
+      try {
+        await headAsset(asset, provider.authHeaders(resolvePoolToken(provider, token)));
+      } catch (error) {
+        results.push({ status: 'fail', message: `${filename}: ${error.message}` });
+        continue;
+      }
+      undigested++;
+      continue;
+    }
+    matching++;
+  }
+
+  if (matching > 0) {
+    results.push({ status: 'ok', message: `${matching} asset(s) match the SHA256 recorded in Packages` });
+  }
+  if (undigested > 0) {
+    results.push({ status: 'ok', message: `${undigested} asset(s) exist, but their host has no digest to compare` });
+  }
+  return results;
+}
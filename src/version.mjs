@@ -0,0 +1,121 @@
+// Debian package version comparison, following dpkg's verrevcmp so indices
+// sort the same way apt orders versions.
+
+/**
+ * Splits a Debian version into epoch, upstream version and revision
+ * @param {string} version - Version such as 1:2.3~rc1-4
+ * @returns {{epoch: number, upstream: string, revision: string}} Version parts
+ * @throws {Error} If the version is empty or its epoch is not a number
+ */
+export function parseVersion(version) {
+  const trimmed = version.trim();
+  if (!trimmed) {
+    throw new Error('Version string is empty');
+  }
+
+  let epoch = 0;
+  let rest = trimmed;
+  const colon = rest.indexOf(':');
+  if (colon !== -1) {
+    if (!/^\d+$/.test(rest.slice(0, colon))) {
+      throw new Error(`Epoch in version ${version} is not a number`);
+    }
+    epoch = parseInt(rest.slice(0, colon), 10);
+    rest = rest.slice(colon + 1);
+  }
+
+  const hyphen = rest.lastIndexOf('-');
+  const upstream = hyphen === -1 ? rest : rest.slice(0, hyphen);
+  const revision = hyphen === -1 ? '' : rest.slice(hyphen + 1);
+  if (!upstream) {
+    throw new Error(`Version ${version} has an empty upstream version`);
+  }
+  if (hyphen !== -1 && !revision) {
+    throw new Error(`Version ${version} has an empty revision`);
+  }
+  return { epoch, upstream, revision };
+}
+
+/**
+ * Compares two Debian versions as dpkg does
+ * @param {string} a - First version
+ * @param {string} b - Second version
+ * @returns {number} Negative if a is older, positive if a is newer, zero if they are equal
+ * @throws {Error} If either version is invalid, see parseVersion
+ */
+export function compareVersions(a, b) {
+  const left = parseVersion(a);
+  const right = parseVersion(b);
+
+  return Math.sign(left.epoch - right.epoch) ||
+    compareVersionPart(left.upstream, right.upstream) ||
+    compareVersionPart(left.revision, right.revision);
+}
+
+/**
+ * Weight of a character in the non-digit parts of a version
+ * Letters sort before other characters, and ~ before everything, even the end of the string.
+ * @param {string} char - Character, or '' past the end of the string
+ * @returns {number} Sort weight
+ */
+function order(char) {
+  if (char === '' || isDigit(char)) {
+    return 0;
+  }
+  if (/[A-Za-z]/.test(char)) {
+    return char.charCodeAt(0);
+  }
+  if (char === '~') {
+    return -1;
+  }
+  return char.charCodeAt(0) + 256;
+}
+
+/**
+ * Checks whether a character is an ASCII digit
+ * @param {string} char - Character, or '' past the end of the string
+ * @returns {boolean}
+ */
+function isDigit(char) {
+  return char >= '0' && char <= '9';
+}
+
+/**
+ * Compares upstream versions or revisions, alternating non-digit and digit runs
+ * @param {string} a - First part
+ * @param {string} b - Second part
+ * @returns {number} Negative, zero or positive
+ */
+function compareVersionPart(a, b) {
+  let i = 0;
+  let j = 0;
+  const at = (string, index) => string.charAt(index);
+
+  while (i < a.length || j < b.length) {
+    while ((i < a.length && !isDigit(at(a, i))) || (j < b.length && !isDigit(at(b, j)))) {
+      const difference = order(at(a, i)) - order(at(b, j));
+      if (difference) {
+        return Math.sign(difference);
+      }
+      i++;
+      j++;
+    }
+
+    while (at(a, i) === '0') i++;
+    while (at(b, j) === '0') j++;
+
+    let firstDifference = 0;
+    while (isDigit(at(a, i)) && isDigit(at(b, j))) {
+      if (!firstDifference) {
+        firstDifference = at(a, i).charCodeAt(0) - at(b, j).charCodeAt(0);
+      }
+      i++;
+      j++;
+    }
+    if (isDigit(at(a, i))) return 1;
+    if (isDigit(at(b, j))) return -1;
+    if (firstDifference) return Math.sign(firstDifference);
+  }
+
+  return 0;
+}
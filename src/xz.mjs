@@ -0,0 +1,816 @@
+import { Transform } from 'stream';
+import crypto from 'node:crypto';
+import zlib from 'node:zlib';
+
+// A streaming .xz decompressor, for reading .deb members compressed with xz
+// without depending on xz-utils or a native module.
+//
+// Supports the .xz container with LZMA2 as the only filter, which is what
+// dpkg-deb and other .deb builders produce. Integrity checks (CRC32, CRC64,
+// SHA-256) are verified. Follows the .xz file format specification and the
+// LZMA decoder of the public-domain LZMA SDK.
+
+const HEADER_MAGIC = Buffer.from([0xfd, 0x37, 0x7a, 0x58, 0x5a, 0x00]);
+const FOOTER_MAGIC = Buffer.from([0x59, 0x5a]);
+const FILTER_LZMA2 = 0x21;
+
+const CHECK_NONE = 0x00;
+const CHECK_CRC32 = 0x01;
+const CHECK_CRC64 = 0x04;
+const CHECK_SHA256 = 0x0a;
+
+/**
+ * Largest LZMA2 dictionary the decoder allocates, as xz's own default limit for multithreaded decompression
+ * The dictionary size comes from the data, so without a limit a crafted package could exhaust memory.
+ * xz -9 uses a 64 MiB dictionary, so no package compressed with stock presets is refused.
+ */
+export const XZ_MEMORY_LIMIT = 64 * 1024 * 1024;
+
+/**
+ * Creates a Transform stream that decompresses .xz data
+ * @returns {Transform} Stream taking .xz bytes and producing the decompressed bytes
+ */
+export function createXzDecompress() {
+  const decoder = createXzDecoder();
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      try {
+        decoder.write(chunk, (output) => this.push(output));
+        callback();
+      } catch (error) {
+        callback(error);
+      }
+    },
+    flush(callback) {
+      try {
+        decoder.end();
+        callback();
+      } catch (error) {
+        callback(error);
+      }
+    },
+  });
+}
+
+/**
+ * Decompresses a complete .xz buffer
+ * @param {Buffer} input - .xz data
+ * @returns {Buffer} Decompressed data
+ * @throws {Error} If the data is not valid .xz
+ */
+export function xzDecompressSync(input) {
+  const decoder = createXzDecoder();
+  const output = [];
+  decoder.write(input, (chunk) => output.push(chunk));
+  decoder.end();
+  return Buffer.concat(output);
+}
+
+/**
+ * Creates an incremental .xz container decoder
+ * Input may arrive in arbitrary pieces; each step waits until it has the bytes it needs.
+ * LZMA2 chunks are at most 64 KiB compressed, so at most that much input is held back.
+ * @returns {{write: function(Buffer, function(Buffer)): void, end: function(): void}}
+ */
+function createXzDecoder() {
+  let input = Buffer.alloc(0);
+  let step = 'streamHeader';
+  let checkType = CHECK_NONE;
+  let check = null;
+  let lzma2 = null;
+  let blockCompressedSize = 0;
+
+  const consume = (length) => {
+    const taken = input.subarray(0, length);
+    input = input.subarray(length);
+    return taken;
+  };
+
+  const emit = (output, push) => {
+    if (output.length > 0) {
+      check?.update(output);
+      push(output);
+    }
+  };
+
+  // Runs steps until one needs more input than is buffered
+  const run = (push) => {
+    for (;;) {
+      switch (step) {
+        case 'streamHeader': {
+          if (input.length < 12) return;
+          const header = consume(12);
+          if (!header.subarray(0, 6).equals(HEADER_MAGIC)) {
+            throw new Error('Not xz data: bad magic bytes');
+          }
+          verifyCrc32(header.subarray(6, 8), header.readUInt32LE(8), 'stream header');
+          checkType = header[7] & 0x0f;
+          step = 'blockOrIndex';
+          break;
+        }
+
+        case 'blockOrIndex': {
+          if (input.length < 1) return;
+          if (input[0] === 0x00) {
+            step = 'index';
+            break;
+          }
+          const headerSize = (input[0] + 1) * 4;
+          if (input.length < headerSize) return;
+          const dictSize = parseBlockHeader(consume(headerSize));
+          lzma2 = createLzma2Decoder(dictSize);
+          check = createCheck(checkType);
+          blockCompressedSize = 0;
+          step = 'lzma2';
+          break;
+        }
+
+        case 'lzma2': {
+          const chunkLength = lzma2.chunkLength(input);
+          if (chunkLength === null || input.length < chunkLength) return;
+          const chunk = consume(chunkLength);
+          blockCompressedSize += chunkLength;
+          emit(lzma2.decodeChunk(chunk), push);
+          if (lzma2.finished) {
+            step = 'blockPadding';
+          }
+          break;
+        }
+
+        case 'blockPadding': {
+          const padding = (4 - (blockCompressedSize % 4)) % 4;
+          const checkSize = checkSizes[checkType];
+          if (input.length < padding + checkSize) return;
+          if (consume(padding).some((byte) => byte !== 0)) {
+            throw new Error('Corrupt xz data: non-zero block padding');
+          }
+          const expected = consume(checkSize);
+          if (check && !check.digest().equals(expected)) {
+            throw new Error('Corrupt xz data: integrity check failed');
+          }
+          check = null;
+          lzma2 = null;
+          step = 'blockOrIndex';
+          break;
+        }
+
+        case 'index': {
+          const indexSize = measureIndex(input);
+          if (indexSize === null) return;
+          const index = consume(indexSize);
+          verifyCrc32(index.subarray(0, indexSize - 4), index.readUInt32LE(indexSize - 4), 'index');
+          step = 'streamFooter';
+          break;
+        }
+
+        case 'streamFooter': {
+          if (input.length < 12) return;
+          const footer = consume(12);
+          if (!footer.subarray(10, 12).equals(FOOTER_MAGIC)) {
+            throw new Error('Corrupt xz data: bad stream footer');
+          }
+          verifyCrc32(footer.subarray(4, 10), footer.readUInt32LE(0), 'stream footer');
+          step = 'streamPadding';
+          break;
+        }
+
+        case 'streamPadding': {
+          // Zero padding in groups of four bytes, or another concatenated stream
+          if (input.length < 4) return;
+          if (input.readUInt32LE(0) === 0) {
+            consume(4);
+          } else {
+            step = 'streamHeader';
+          }
+          break;
+        }
+      }
+    }
+  };
+
+  return {
+    write(chunk, push) {
+      input = input.length > 0 ? Buffer.concat([input, chunk]) : chunk;
+      run(push);
+    },
+    end() {
+      if (step !== 'streamPadding' || input.length > 0) {
+        throw new Error('Truncated xz data');
+      }
+    },
+  };
+}
+
+const checkSizes = [0, 4, 4, 4, 8, 8, 8, 16, 16, 16, 32, 32, 32, 64, 64, 64];
+
+/**
+ * Creates a running integrity check for a block
+ * @param {number} checkType - Check ID from the stream flags
+ * @returns {{update: function(Buffer): void, digest: function(): Buffer}|null} Check, or null for none
+ * @throws {Error} If the check type is reserved or unknown
+ */
+function createCheck(checkType) {
+  switch (checkType) {
+    case CHECK_NONE:
+      return null;
+    case CHECK_CRC32: {
+      let crc = 0;
+      return {
+        update: (data) => { crc = zlib.crc32(data, crc); },
+        digest: () => {
+          const result = Buffer.alloc(4);
+          result.writeUInt32LE(crc);
+          return result;
+        },
+      };
+    }
+    case CHECK_CRC64:
+      return createCrc64();
+    case CHECK_SHA256: {
+      const hash = crypto.createHash('sha256');
+      return {
+        update: (data) => hash.update(data),
+        digest: () => hash.digest(),
+      };
+    }
+    default:
+      throw new Error(`Unsupported xz integrity check type ${checkType}`);
+  }
+}
+
+let crc64Table = null;
+
+/**
+ * Creates a CRC-64 (ECMA-182, as used by .xz) accumulator
+ * The 64-bit value is kept as two 32-bit halves.
+ * @returns {{update: function(Buffer): void, digest: function(): Buffer}}
+ */
+function createCrc64() {
+  if (!crc64Table) {
+    // Reflected polynomial 0xC96C5795D7870F42
+    const polyHigh = 0xc96c5795;
+    const polyLow = 0xd7870f42;
+    crc64Table = new Uint32Array(512);
+    for (let n = 0; n < 256; n++) {
+      let low = n;
+      let high = 0;
+      for (let k = 0; k < 8; k++) {
+        const carry = low & 1;
+        low = ((low >>> 1) | ((high & 1) << 31)) >>> 0;
+        high = high >>> 1;
+        if (carry) {
+          low = (low ^ polyLow) >>> 0;
+          high = (high ^ polyHigh) >>> 0;
+        }
+      }
+      crc64Table[n * 2] = low;
+      crc64Table[n * 2 + 1] = high;
+    }
+  }
+
+  let low = 0xffffffff;
+  let high = 0xffffffff;
+
+  return {
+    update(data) {
+      for (let i = 0; i < data.length; i++) {
+        const index = ((low ^ data[i]) & 0xff) * 2;
+        low = (((low >>> 8) | ((high & 0xff) << 24)) ^ crc64Table[index]) >>> 0;
+        high = ((high >>> 8) ^ crc64Table[index + 1]) >>> 0;
+      }
+    },
+    digest() {
+      const result = Buffer.alloc(8);
+      result.writeUInt32LE((low ^ 0xffffffff) >>> 0, 0);
+      result.writeUInt32LE((high ^ 0xffffffff) >>> 0, 4);
+      return result;
+    },
+  };
+}
+
+/**
+ * Checks a CRC32 stored in the container
+ * @param {Buffer} data - Covered bytes
+ * @param {number} expected - Stored CRC32
+ * @param {string} what - Name of the structure for the error message
+ * @throws {Error} If the CRC32 does not match
+ */
+function verifyCrc32(data, expected, what) {
+  if (zlib.crc32(data) !== expected) {
+    throw new Error(`Corrupt xz data: ${what} CRC32 mismatch`);
+  }
+}
+
+/**
+ * Reads a variable-length integer from the container
+ * @param {Buffer} buffer - Buffer to read from
+ * @param {number} offset - Offset of the first byte
+ * @returns {{value: number, length: number}|null} Value and encoded length, or null if the buffer ends first
+ */
+function readVarint(buffer, offset) {
+  let value = 0;
+  for (let i = 0; i < 9; i++) {
+    if (offset + i >= buffer.length) return null;
+    const byte = buffer[offset + i];
+    value += (byte & 0x7f) * 2 ** (7 * i);
+    if ((byte & 0x80) === 0) {
+      return { value, length: i + 1 };
+    }
+  }
+  throw new Error('Corrupt xz data: integer too long');
+}
+
+/**
+ * Parses a block header and returns the LZMA2 dictionary size
+ * @param {Buffer} header - Complete block header, including its CRC32
+ * @returns {number} Dictionary size in bytes
+ * @throws {Error} If the block uses filters other than a single LZMA2 filter
+ */
+function parseBlockHeader(header) {
+  verifyCrc32(header.subarray(0, header.length - 4), header.readUInt32LE(header.length - 4), 'block header');
+
+  const flags = header[1];
+  if ((flags & 0x03) !== 0) {
+    throw new Error('Unsupported xz data: only a single LZMA2 filter is supported');
+  }
+
+  let offset = 2;
+  if (flags & 0x40) {
+    offset += readVarint(header, offset).length;
+  }
+  if (flags & 0x80) {
+    offset += readVarint(header, offset).length;
+  }
+
+  const filterId = readVarint(header, offset);
+  offset += filterId.length;
+  if (filterId.value !== FILTER_LZMA2) {
+    throw new Error(`Unsupported xz filter 0x${filterId.value.toString(16)}`);
+  }
+  const propsSize = readVarint(header, offset);
+  offset += propsSize.length;
+  if (propsSize.value !== 1) {
+    throw new Error('Corrupt xz data: bad LZMA2 properties');
+  }
+
+  const dictProp = header[offset] & 0x3f;
+  if (dictProp > 40) {
+    throw new Error('Corrupt xz data: bad LZMA2 dictionary size');
+  }
+  return dictProp === 40 ? 0xffffffff : (2 | (dictProp & 1)) * 2 ** (Math.floor(dictProp / 2) + 11);
+}
+
+/**
+ * Measures the index at the start of the buffer
+ * @param {Buffer} buffer - Buffer starting at the index indicator
+ * @returns {number|null} Size of the index including padding and CRC32, or null if incomplete
+ */
+function measureIndex(buffer) {
+  let offset = 1;
+  const count = readVarint(buffer, offset);
+  if (!count) return null;
+  offset += count.length;
+
+  for (let i = 0; i < count.value * 2; i++) {
+    const field = readVarint(buffer, offset);
+    if (!field) return null;
+    offset += field.length;
+  }
+
+  offset += (4 - (offset % 4)) % 4;
+  offset += 4;
+  return buffer.length >= offset ? offset : null;
+}
+
+// LZMA constants, named as in the LZMA SDK
+const kNumStates = 12;
+const kNumPosBitsMax = 4;
+const kNumLenToPosStates = 4;
+const kNumAlignBits = 4;
+const kStartPosModelIndex = 4;
+const kEndPosModelIndex = 14;
+const kNumFullDistances = 1 << (kEndPosModelIndex >>> 1);
+const kMatchMinLen = 2;
+const kBitModelTotal = 1 << 11;
+const kNumMoveBits = 5;
+
+/**
+ * Creates an LZMA2 decoder working one chunk at a time
+ * @param {number} dictSize - Dictionary size from the block's filter properties
+ * @returns {Object} Decoder with chunkLength(buffer), decodeChunk(chunk) and finished
+ * @throws {Error} If the dictionary is larger than XZ_MEMORY_LIMIT
+ */
+function createLzma2Decoder(dictSize) {
+  if (dictSize > XZ_MEMORY_LIMIT) {
+    throw new Error(`xz data needs a ${formatMiB(dictSize)} dictionary, more than the ${formatMiB(XZ_MEMORY_LIMIT)} memory limit, so it was not read`);
+  }
+  // Dictionary (sliding window) holding the most recent output
+  const dictLength = Math.max(4096, dictSize);
+  const dict = Buffer.alloc(dictLength);
+  let dictPos = 0;
+  let dictFull = 0; // bytes of valid history, up to dictLength
+  let totalPos = 0; // bytes since the last dictionary reset
+  let outputStart = 0; // dictionary position of the first byte not yet returned
+  let outputParts = [];
+
+  // Literal and position parameters
+  let lc = 0;
+  let lp = 0;
+  let pb = 0;
+  let needProps = true;
+
+  // Probabilities
+  let literalProbs = null;
+  const isMatch = new Uint16Array(kNumStates << kNumPosBitsMax);
+  const isRep = new Uint16Array(kNumStates);
+  const isRepG0 = new Uint16Array(kNumStates);
+  const isRepG1 = new Uint16Array(kNumStates);
+  const isRepG2 = new Uint16Array(kNumStates);
+  const isRep0Long = new Uint16Array(kNumStates << kNumPosBitsMax);
+  const posSlotProbs = new Uint16Array(kNumLenToPosStates << 6);
+  const specPosProbs = new Uint16Array(kNumFullDistances - kEndPosModelIndex);
+  const alignProbs = new Uint16Array(1 << kNumAlignBits);
+  const lenDecoder = createLenProbs();
+  const repLenDecoder = createLenProbs();
+
+  // Decoder state
+  let state = 0;
+  let rep0 = 0;
+  let rep1 = 0;
+  let rep2 = 0;
+  let rep3 = 0;
+  let pendingLen = 0;
+
+  // Range decoder
+  let range = 0;
+  let code = 0;
+  let inBuf = null;
+  let inPos = 0;
+
+  const decoder = { finished: false };
+
+  function createLenProbs() {
+    return {
+      choice: new Uint16Array(2),
+      low: new Uint16Array(1 << (kNumPosBitsMax + 3)),
+      mid: new Uint16Array(1 << (kNumPosBitsMax + 3)),
+      high: new Uint16Array(256),
+    };
+  }
+
+  function resetState() {
+    literalProbs = new Uint16Array(0x300 << (lc + lp));
+    for (const probs of [literalProbs, isMatch, isRep, isRepG0, isRepG1, isRepG2, isRep0Long,
+      posSlotProbs, specPosProbs, alignProbs,
+      lenDecoder.choice, lenDecoder.low, lenDecoder.mid, lenDecoder.high,
+      repLenDecoder.choice, repLenDecoder.low, repLenDecoder.mid, repLenDecoder.high]) {
+      probs.fill(kBitModelTotal >>> 1);
+    }
+    state = 0;
+    rep0 = rep1 = rep2 = rep3 = 0;
+    pendingLen = 0;
+  }
+
+  function resetDict() {
+    dictPos = 0;
+    outputStart = 0;
+    dictFull = 0;
+    totalPos = 0;
+  }
+
+  function initRangeDecoder() {
+    if (inBuf[inPos] !== 0) {
+      throw new Error('Corrupt xz data: bad LZMA range coder start');
+    }
+    range = 0xffffffff;
+    code = inBuf.readUInt32BE(inPos + 1);
+    inPos += 5;
+  }
+
+  function normalize() {
+    if (range < 0x1000000) {
+      if (inPos >= inBuf.length) {
+        throw new Error('Corrupt xz data: LZMA chunk ends early');
+      }
+      range = (range * 256) >>> 0;
+      code = ((code * 256) + inBuf[inPos++]) >>> 0;
+    }
+  }
+
+  function decodeBit(probs, index) {
+    const prob = probs[index];
+    const bound = (range >>> 11) * prob;
+    let bit;
+    if (code < bound) {
+      range = bound;
+      probs[index] = prob + ((kBitModelTotal - prob) >>> kNumMoveBits);
+      bit = 0;
+    } else {
+      range -= bound;
+      code -= bound;
+      probs[index] = prob - (prob >>> kNumMoveBits);
+      bit = 1;
+    }
+    normalize();
+    return bit;
+  }
+
+  function decodeDirectBits(count) {
+    let result = 0;
+    for (let i = 0; i < count; i++) {
+      range >>>= 1;
+      let bit = 0;
+      if (code >= range) {
+        code -= range;
+        bit = 1;
+      }
+      result = ((result << 1) | bit) >>> 0;
+      normalize();
+    }
+    return result;
+  }
+
+  function decodeBitTree(probs, base, numBits) {
+    let m = 1;
+    for (let i = 0; i < numBits; i++) {
+      m = (m << 1) + decodeBit(probs, base + m);
+    }
+    return m - (1 << numBits);
+  }
+
+  function decodeReverseBitTree(probs, base, numBits) {
+    let m = 1;
+    let symbol = 0;
+    for (let i = 0; i < numBits; i++) {
+      const bit = decodeBit(probs, base + m);
+      m = (m << 1) + bit;
+      symbol |= bit << i;
+    }
+    return symbol;
+  }
+
+  function decodeLength(probs, posState) {
+    if (decodeBit(probs.choice, 0) === 0) {
+      return decodeBitTree(probs.low, posState << 3, 3);
+    }
+    if (decodeBit(probs.choice, 1) === 0) {
+      return 8 + decodeBitTree(probs.mid, posState << 3, 3);
+    }
+    return 16 + decodeBitTree(probs.high, 0, 8);
+  }
+
+  function decodeDistance(len) {
+    const lenState = Math.min(len, kNumLenToPosStates - 1);
+    const posSlot = decodeBitTree(posSlotProbs, lenState << 6, 6);
+    if (posSlot < kStartPosModelIndex) {
+      return posSlot;
+    }
+
+    const numDirectBits = (posSlot >>> 1) - 1;
+    let distance = ((2 | (posSlot & 1)) << numDirectBits) >>> 0;
+    if (posSlot < kEndPosModelIndex) {
+      distance += decodeReverseBitTree(specPosProbs, distance - posSlot - 1, numDirectBits);
+    } else {
+      distance += decodeDirectBits(numDirectBits - kNumAlignBits) * (1 << kNumAlignBits);
+      distance += decodeReverseBitTree(alignProbs, 0, kNumAlignBits);
+    }
+    return distance >>> 0;
+  }
+
+  function getByte(distance) {
+    let index = dictPos - distance - 1;
+    if (index < 0) {
+      index += dictLength;
+    }
+    return dict[index];
+  }
+
+  function putByte(byte) {
+    dict[dictPos++] = byte;
+    totalPos++;
+    if (dictFull < dictLength) {
+      dictFull++;
+    }
+    if (dictPos === dictLength) {
+      // A chunk may produce more than the dictionary holds, so save output before wrapping
+      outputParts.push(Buffer.from(dict.subarray(outputStart)));
+      outputStart = 0;
+      dictPos = 0;
+    }
+  }
+
+  // Copies a match into the dictionary, up to the bytes still allowed in this chunk
+  function copyMatch(distance, len, limit) {
+    if (distance >= dictFull) {
+      throw new Error('Corrupt xz data: match distance beyond dictionary');
+    }
+    const count = Math.min(len, limit);
+    for (let i = 0; i < count; i++) {
+      putByte(getByte(distance));
+    }
+    return len - count;
+  }
+
+  function decodeLiteral() {
+    const prevByte = dictFull > 0 ? getByte(0) : 0;
+    const literalState = ((totalPos & ((1 << lp) - 1)) << lc) + (prevByte >>> (8 - lc));
+    const base = 0x300 * literalState;
+    let symbol = 1;
+
+    if (state >= 7) {
+      let matchByte = getByte(rep0);
+      let offs = 0x100;
+      do {
+        matchByte <<= 1;
+        const matchBit = matchByte & offs;
+        const bit = decodeBit(literalProbs, base + offs + matchBit + symbol);
+        symbol = (symbol << 1) | bit;
+        offs &= bit ? matchBit : ~matchBit;
+      } while (symbol < 0x100);
+    } else {
+      do {
+        symbol = (symbol << 1) | decodeBit(literalProbs, base + symbol);
+      } while (symbol < 0x100);
+    }
+
+    putByte(symbol & 0xff);
+    state = state < 4 ? 0 : state < 10 ? state - 3 : state - 6;
+  }
+
+  // Decodes LZMA symbols until unpackedSize bytes have been produced
+  function decodeLzma(unpackedSize) {
+    let remaining = unpackedSize;
+    const posMask = (1 << pb) - 1;
+
+    if (pendingLen > 0) {
+      const left = copyMatch(rep0, pendingLen, remaining);
+      remaining -= pendingLen - left;
+      pendingLen = left;
+    }
+
+    while (remaining > 0) {
+      const posState = totalPos & posMask;
+
+      if (decodeBit(isMatch, (state << kNumPosBitsMax) + posState) === 0) {
+        decodeLiteral();
+        remaining--;
+        continue;
+      }
+
+      let len;
+      if (decodeBit(isRep, state) === 1) {
+        if (dictFull === 0) {
+          throw new Error('Corrupt xz data: repeated match at start of dictionary');
+        }
+        if (decodeBit(isRepG0, state) === 0) {
+          if (decodeBit(isRep0Long, (state << kNumPosBitsMax) + posState) === 0) {
+            // Short rep: a single byte from rep0
+            state = state < 7 ? 9 : 11;
+            putByte(getByte(rep0));
+            remaining--;
+            continue;
+          }
+        } else {
+          let distance;
+          if (decodeBit(isRepG1, state) === 0) {
+            distance = rep1;
+          } else {
+            if (decodeBit(isRepG2, state) === 0) {
+              distance = rep2;
+            } else {
+              distance = rep3;
+              rep3 = rep2;
+            }
+            rep2 = rep1;
+          }
+          rep1 = rep0;
+          rep0 = distance;
+        }
+        len = decodeLength(repLenDecoder, posState);
+        state = state < 7 ? 8 : 11;
+      } else {
+        rep3 = rep2;
+        rep2 = rep1;
+        rep1 = rep0;
+        len = decodeLength(lenDecoder, posState);
+        state = state < 7 ? 7 : 10;
+        rep0 = decodeDistance(len);
+        if (rep0 === 0xffffffff) {
+          throw new Error('Corrupt xz data: unexpected LZMA end marker');
+        }
+      }
+
+      const matchLen = len + kMatchMinLen;
+      pendingLen = copyMatch(rep0, matchLen, remaining);
+      remaining -= matchLen - pendingLen;
+    }
+  }
+
+  // Returns the bytes produced since the last call as a new Buffer
+  function takeOutput() {
+    outputParts.push(Buffer.from(dict.subarray(outputStart, dictPos)));
+    const output = Buffer.concat(outputParts);
+    outputParts = [];
+    outputStart = dictPos;
+    return output;
+  }
+
+  /**
+   * Works out the full length of the chunk at the start of the buffer
+   * @param {Buffer} buffer - Buffered input
+   * @returns {number|null} Chunk length including its header, or null if the header is incomplete
+   */
+  decoder.chunkLength = (buffer) => {
+    if (buffer.length < 1) return null;
+    const control = buffer[0];
+    if (control === 0x00) return 1;
+    if (control === 0x01 || control === 0x02) {
+      if (buffer.length < 3) return null;
+      return 3 + buffer.readUInt16BE(1) + 1;
+    }
+    if (control < 0x80) {
+      throw new Error('Corrupt xz data: bad LZMA2 control byte');
+    }
+    const headerLength = control >= 0xc0 ? 6 : 5;
+    if (buffer.length < headerLength) return null;
+    return headerLength + buffer.readUInt16BE(3) + 1;
+  };
+
+  /**
+   * Decodes one complete LZMA2 chunk
+   * @param {Buffer} chunk - Chunk including its header
+   * @returns {Buffer} Decompressed bytes of the chunk
+   */
+  decoder.decodeChunk = (chunk) => {
+    const control = chunk[0];
+
+    if (control === 0x00) {
+      decoder.finished = true;
+      return Buffer.alloc(0);
+    }
+
+    if (control === 0x01) {
+      resetDict();
+    }
+
+    if (control === 0x01 || control === 0x02) {
+      const data = chunk.subarray(3);
+      for (let i = 0; i < data.length; i++) {
+        putByte(data[i]);
+      }
+      return takeOutput();
+    }
+
+    const unpackedSize = ((control & 0x1f) << 16) + chunk.readUInt16BE(1) + 1;
+    const reset = (control >>> 5) & 0x03;
+    let offset = 5;
+
+    if (reset === 3) {
+      resetDict();
+    }
+    if (reset >= 2) {
+      let props = chunk[offset++];
+      if (props > (4 * 5 + 4) * 9 + 8) {
+        throw new Error('Corrupt xz data: bad LZMA properties');
+      }
+      lc = props % 9;
+      props = Math.floor(props / 9);
+      lp = props % 5;
+      pb = Math.floor(props / 5);
+      if (lc + lp > 4) {
+        throw new Error('Corrupt xz data: bad LZMA2 literal properties');
+      }
+      needProps = false;
+    } else if (needProps) {
+      throw new Error('Corrupt xz data: LZMA chunk without properties');
+    }
+    if (reset >= 1) {
+      resetState();
+    }
+
+    inBuf = chunk;
+    inPos = offset;
+    initRangeDecoder();
+
+    decodeLzma(unpackedSize);
+
+    if (inPos !== chunk.length) {
+      throw new Error('Corrupt xz data: LZMA chunk size mismatch');
+    }
+    inBuf = null;
+
+    return takeOutput();
+  };
+
+  return decoder;
+}
+
+/**
+ * Formats a dictionary size for messages
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Size in MiB, such as "64 MiB"
+ */
+function formatMiB(bytes) {
+  return `${Math.ceil(bytes / (1024 * 1024))} MiB`;
+}
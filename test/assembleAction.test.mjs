@@ -1,9 +1,12 @@
 import { test } from 'node:test';
 import assert from 'node:assert/strict';
-import { _makeReleaseContent } from '../src/assembleAction.mjs';
+import { _makeReleaseContent, assembleAction, suiteForChannel, releaseMetadataForSuite, parseDuration, compressIndexFile, publishByHash, resolveDuplicateEntries, arrangeArchitectures, parseArchitectures } from '../src/assembleAction.mjs';
+import { parseDeb822 } from '../src/deb822.mjs';
 import fs from 'fs/promises';
 import path from 'path';
 import { tmpdir } from 'os';
+import { gunzipSync } from 'zlib';
+import crypto from 'crypto';
 import { fileURLToPath } from 'url';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
@@ -60,3 +63,531 @@ test('_makeReleaseContent generates correct Release file content', async () => {
     } catch {}
   }
 });
+
+test('suiteForChannel maps prereleases to the prerelease suite', () => {
+  assert.equal(suiteForChannel('stable', {}), 'stable');
+  assert.equal(suiteForChannel('prerelease', {}), 'testing');
+  assert.equal(suiteForChannel('prerelease', { prereleaseSuite: 'beta' }), 'beta');
+});
+
+test('assembleAction publishes prereleases in a separate suite', async () => {
+  const outputDir = path.join(tmpdir(), 'test-assemble-suites-' + Date.now());
+  const stableDir = path.join(outputDir, 'pool', 'foo', 'bar', 'v1.0.0');
+  const prereleaseDir = path.join(outputDir, 'pool', 'foo', 'bar', 'v1.1.0-rc1');
+
+  try {
+    await fs.mkdir(stableDir, { recursive: true });
+    await fs.mkdir(prereleaseDir, { recursive: true });
+    await fs.writeFile(path.join(stableDir, 'Packages'), `Package: bar
+Version: 1.0.0
+Architecture: amd64
+Filename: ./pool/foo/bar/v1.0.0/bar_1.0.0_amd64.deb
+`);
+    await fs.writeFile(path.join(prereleaseDir, 'Packages'), `Package: bar
+Version: 1.1.0~rc1
+Architecture: amd64
+Filename: ./pool/foo/bar/v1.1.0-rc1/bar_1.1.0~rc1_amd64.deb
+`);
+    await fs.writeFile(path.join(prereleaseDir, 'release.json'), JSON.stringify({ channel: 'prerelease' }));
+
+    await assembleAction({ output: outputDir, prereleaseSuite: 'beta', sign: false });
+
+    const stable = await fs.readFile(path.join(outputDir, 'dists', 'stable', 'main', 'binary-amd64', 'Packages'), 'utf-8');
+    const beta = await fs.readFile(path.join(outputDir, 'dists', 'beta', 'main', 'binary-amd64', 'Packages'), 'utf-8');
+    assert(stable.includes('Version: 1.0.0') && !stable.includes('1.1.0~rc1'), 'stable should only have the release');
+    assert(beta.includes('Version: 1.1.0~rc1') && !beta.includes('Version: 1.0.0'), 'beta should only have the prerelease');
+
+    const betaRelease = await fs.readFile(path.join(outputDir, 'dists', 'beta', 'Release'), 'utf-8');
+    assert(betaRelease.includes('Suite: beta'));
+  } finally {
+    await fs.rm(outputDir, { recursive: true, force: true });
+  }
+});
+
+test('assembleAction publishes releases in their recorded suites and component', async () => {
+  const outputDir = path.join(tmpdir(), 'test-assemble-components-' + Date.now());
+  const mainDir = path.join(outputDir, 'pool', 'foo', 'bar', 'v1.0.0');
+  const contribDir = path.join(outputDir, 'pool', 'foo', 'extra', 'v2.0.0');
+
+  try {
+    await fs.mkdir(mainDir, { recursive: true });
+    await fs.mkdir(contribDir, { recursive: true });
+    await fs.writeFile(path.join(mainDir, 'Packages'), `Package: bar
+Version: 1.0.0
+Architecture: amd64
+Filename: ./pool/foo/bar/v1.0.0/bar_1.0.0_amd64.deb
+`);
+    await fs.writeFile(path.join(mainDir, 'release.json'), JSON.stringify({ channel: 'stable', suites: ['bookworm', 'noble'] }));
+    await fs.writeFile(path.join(contribDir, 'Packages'), `Package: extra
+Version: 2.0.0
+Architecture: arm64
+Filename: ./pool/foo/extra/v2.0.0/extra_2.0.0_arm64.deb
+`);
+    await fs.writeFile(path.join(contribDir, 'release.json'), JSON.stringify({ channel: 'stable', suites: ['noble'], component: 'contrib' }));
+
+    await assembleAction({ output: outputDir, sign: false });
+
+    const bookwormRelease = await fs.readFile(path.join(outputDir, 'dists', 'bookworm', 'Release'), 'utf-8');
+    assert(bookwormRelease.includes('Components: main\n'));
+    assert(bookwormRelease.includes('Architectures: amd64\n'));
+    assert(!bookwormRelease.includes('contrib/'), 'bookworm should not list contrib indices');
+
+    const nobleRelease = await fs.readFile(path.join(outputDir, 'dists', 'noble', 'Release'), 'utf-8');
+    assert(nobleRelease.includes('Components: contrib main\n'));
+    assert(nobleRelease.includes('Architectures: amd64 arm64\n'));
+    assert(nobleRelease.includes(' contrib/binary-arm64/Packages\n'));
+    assert(nobleRelease.includes(' main/binary-amd64/Packages\n'));
+
+    await assert.rejects(fs.access(path.join(outputDir, 'dists', 'stable')), 'nothing should be published in stable');
+  } finally {
+    await fs.rm(outputDir, { recursive: true, force: true });
+  }
+});
+
+test('_makeReleaseContent leaves out indices of other components', async () => {
+  const testDir = path.join(tmpdir(), 'test-release-components-' + Date.now());
+  const distPath = path.join(testDir, 'dists', 'stable');
+
+  try {
+    await fs.cp(path.join(fixturesDir, 'dists', 'stable'), distPath, { recursive: true });
+    await fs.mkdir(path.join(distPath, 'old', 'binary-amd64'), { recursive: true });
+    await fs.writeFile(path.join(distPath, 'old', 'binary-amd64', 'Packages'), '');
+
+    const releaseContent = await _makeReleaseContent(distPath, ['amd64'], ['main']);
+    assert(releaseContent.includes(' main/binary-amd64/Packages'));
+    assert(!releaseContent.includes('main/binary-arm64/Packages'));
+    assert(!releaseContent.includes('old/'));
+  } finally {
+    await fs.rm(testDir, { recursive: true, force: true });
+  }
+});
+
+test('_makeReleaseContent emits metadata fields in repository format order', async () => {
+  const testDir = path.join(tmpdir(), 'test-release-metadata-' + Date.now());
+  const distPath = path.join(testDir, 'dists', 'stable');
+
+  try {
+    await fs.cp(path.join(fixturesDir, 'dists', 'stable'), distPath, { recursive: true });
+
+    const releaseContent = await _makeReleaseContent(distPath, ['amd64', 'arm64'], ['main'], {
+      date: new Date('2026-01-02T03:04:05Z'),
+      origin: 'Example',
+      label: 'Example Tools',
+      codename: 'stable',
+      version: '1.0',
+      description: 'Packages from Example releases',
+      validUntil: parseDuration('7d'),
+      notAutomatic: true,
+      butAutomaticUpgrades: true,
+      acquireByHash: true,
+    });
+
+    const header = releaseContent.slice(0, releaseContent.indexOf('SHA256:'));
+    assert.equal(header, `Origin: Example
+Label: Example Tools
+Suite: stable
+Version: 1.0
+Codename: stable
+Date: Fri, 02 Jan 2026 03:04:05 GMT
+Valid-Until: Fri, 09 Jan 2026 03:04:05 GMT
+NotAutomatic: yes
+ButAutomaticUpgrades: yes
+Acquire-By-Hash: yes
+Architectures: amd64 arm64
+Components: main
+Description: Packages from Example releases
+`);
+  } finally {
+    await fs.rm(testDir, { recursive: true, force: true });
+  }
+});
+
+test('releaseMetadataForSuite applies per-suite settings over global ones', () => {
+  const options = {
+    origin: 'Example',
+    codename: 'ignored',
+    validUntil: '2w',
+    suites: {
+      bookworm: { codename: 'bookworm', description: 'For Debian 12' },
+    },
+  };
+
+  const metadata = releaseMetadataForSuite('bookworm', options);
+  assert.equal(metadata.origin, 'Example');
+  assert.equal(metadata.codename, 'bookworm');
+  assert.equal(metadata.description, 'For Debian 12');
+  assert.equal(metadata.validUntil, 14 * 24 * 60 * 60 * 1000);
+});
+
+test('releaseMetadataForSuite sets Acquire-By-Hash only when by-hash copies are published', () => {
+  assert.equal(releaseMetadataForSuite('stable', {}).acquireByHash, false);
+  assert.equal(releaseMetadataForSuite('stable', { byHash: 3 }).acquireByHash, true);
+  assert.equal(releaseMetadataForSuite('stable', { acquireByHash: true }).acquireByHash, false);
+});
+
+test('parseDuration rejects durations without a unit', () => {
+  assert.equal(parseDuration('12h'), 12 * 60 * 60 * 1000);
+  assert.throws(() => parseDuration('7'), { message: /Invalid duration "7"/ });
+});
+
+test('compressIndexFile writes gzip in-process and removes unconfigured variants', async () => {
+  const testDir = path.join(tmpdir(), 'test-compress-' + Date.now());
+  const packagesPath = path.join(testDir, 'Packages');
+
+  try {
+    await fs.mkdir(testDir, { recursive: true });
+    await fs.writeFile(packagesPath, 'Package: foo\n');
+    await fs.writeFile(packagesPath + '.xz', 'stale');
+
+    const written = await compressIndexFile(packagesPath, ['gz']);
+
+    assert.deepEqual(written, [packagesPath + '.gz']);
+    assert.equal(gunzipSync(await fs.readFile(packagesPath + '.gz')).toString(), 'Package: foo\n');
+    await assert.rejects(fs.access(packagesPath + '.xz'), 'stale Packages.xz should be removed');
+  } finally {
+    await fs.rm(testDir, { recursive: true, force: true });
+  }
+});
+
+test('_makeReleaseContent lists compressed indices under each requested checksum', async () => {
+  const testDir = path.join(tmpdir(), 'test-release-hashes-' + Date.now());
+  const distPath = path.join(testDir, 'dists', 'stable');
+
+  try {
+    await fs.cp(path.join(fixturesDir, 'dists', 'stable'), distPath, { recursive: true });
+    await compressIndexFile(path.join(distPath, 'main', 'binary-amd64', 'Packages'), ['gz']);
+
+    const releaseContent = await _makeReleaseContent(distPath, ['amd64'], ['main'], { hashes: ['sha512', 'md5'] });
+    const amd64 = FIXTURE_CHECKSUMS['main/binary-amd64/Packages'];
+
+    assert(!releaseContent.includes('SHA256:'), 'Should only list requested checksums');
+    assert(releaseContent.indexOf('MD5Sum:') < releaseContent.indexOf('SHA512:'), 'MD5Sum should come before SHA512');
+    assert(releaseContent.includes(` ${amd64.size} main/binary-amd64/Packages\n`));
+    assert.match(releaseContent, /^ [0-9a-f]{32} \d+ main\/binary-amd64\/Packages\.gz$/m);
+    assert.match(releaseContent, /^ [0-9a-f]{128} \d+ main\/binary-amd64\/Packages\.gz$/m);
+  } finally {
+    await fs.rm(testDir, { recursive: true, force: true });
+  }
+});
+
+test('publishByHash keeps copies for the configured number of generations', async () => {
+  const testDir = path.join(tmpdir(), 'test-by-hash-' + Date.now());
+  const packagesPath = path.join(testDir, 'Packages');
+  const sha256Dir = path.join(testDir, 'by-hash', 'SHA256');
+
+  try {
+    await fs.mkdir(testDir, { recursive: true });
+
+    for (const version of ['1', '2', '3']) {
+      await fs.writeFile(packagesPath, `Package: foo\nVersion: ${version}\n`);
+      await publishByHash(testDir, [packagesPath], ['sha256'], 2);
+    }
+
+    const digestOf = (content) => crypto.createHash('sha256').update(content).digest('hex');
+    const remaining = (await fs.readdir(sha256Dir)).sort();
+    assert.deepEqual(remaining, [
+      digestOf('Package: foo\nVersion: 2\n'),
+      digestOf('Package: foo\nVersion: 3\n'),
+    ].sort());
+
+    // Publishing unchanged indices again does not use up a generation
+    await publishByHash(testDir, [packagesPath], ['sha256'], 2);
+    assert.equal((await fs.readdir(sha256Dir)).length, 2);
+  } finally {
+    await fs.rm(testDir, { recursive: true, force: true });
+  }
+});
+
+test('assembleAction with byHash sets Acquire-By-Hash and leaves by-hash out of Release', async () => {
+  const outputDir = path.join(tmpdir(), 'test-assemble-by-hash-' + Date.now());
+  const poolDir = path.join(outputDir, 'pool', 'foo', 'bar', 'v1.0.0');
+
+  try {
+    await fs.mkdir(poolDir, { recursive: true });
+    await fs.writeFile(path.join(poolDir, 'Packages'), `Package: bar
+Version: 1.0.0
+Architecture: amd64
+Filename: ./pool/foo/bar/v1.0.0/bar_1.0.0_amd64.deb
+`);
+
+    await assembleAction({ output: outputDir, sign: false, byHash: 2 });
+
+    const release = await fs.readFile(path.join(outputDir, 'dists', 'stable', 'Release'), 'utf-8');
+    assert(release.includes('Acquire-By-Hash: yes\n'));
+    assert(!release.includes('by-hash'));
+
+    const byHashFiles = await fs.readdir(path.join(outputDir, 'dists', 'stable', 'main', 'binary-amd64', 'by-hash', 'SHA256'));
+    assert.equal(byHashFiles.length, 2, 'Packages and Packages.gz should both be published by hash');
+  } finally {
+    await fs.rm(outputDir, { recursive: true, force: true });
+  }
+});
+
+test('assembleAction with byHash publishes Contents indices by hash in the component directory', async () => {
+  const outputDir = path.join(tmpdir(), 'test-assemble-contents-by-hash-' + Date.now());
+  const poolDir = path.join(outputDir, 'pool', 'foo', 'bar', 'v1.0.0');
+  const componentDir = path.join(outputDir, 'dists', 'stable', 'main');
+
+  try {
+    await fs.mkdir(poolDir, { recursive: true });
+    await fs.writeFile(path.join(poolDir, 'Packages'), `Package: bar
+Version: 1.0.0
+Architecture: amd64
+Filename: ./pool/foo/bar/v1.0.0/bar_1.0.0_amd64.deb
+
+Package: bar
+Version: 1.0.0
+Architecture: arm64
+Filename: ./pool/foo/bar/v1.0.0/bar_1.0.0_arm64.deb
+`);
+    await fs.writeFile(path.join(poolDir, 'Contents-amd64'), 'usr/bin/bar utils/bar\n');
+    await fs.writeFile(path.join(poolDir, 'Contents-arm64'), 'usr/bin/bar utils/bar\nusr/lib/bar.so utils/bar\n');
+
+    await assembleAction({ output: outputDir, sign: false, byHash: 2 });
+
+    const digestOf = async (name) => crypto.createHash('sha256').update(await fs.readFile(path.join(componentDir, name))).digest('hex');
+    const byHashFiles = (await fs.readdir(path.join(componentDir, 'by-hash', 'SHA256'))).sort();
+    assert.deepEqual(byHashFiles, [await digestOf('Contents-amd64.gz'), await digestOf('Contents-arm64.gz')].sort());
+
+    const release = await fs.readFile(path.join(outputDir, 'dists', 'stable', 'Release'), 'utf-8');
+    assert.match(release, /^ [0-9a-f]{64} \d+ main\/Contents-arm64\.gz$/m);
+    assert(!release.includes('by-hash'));
+  } finally {
+    await fs.rm(outputDir, { recursive: true, force: true });
+  }
+});
+
+test('assembleAction merges Contents fragments into a Contents index listed in Release', async () => {
+  const outputDir = path.join(tmpdir(), 'test-assemble-contents-' + Date.now());
+  const fooDir = path.join(outputDir, 'pool', 'foo', 'foo', 'v1.0.0');
+  const barDir = path.join(outputDir, 'pool', 'foo', 'bar', 'v1.0.0');
+
+  try {
+    await fs.mkdir(fooDir, { recursive: true });
+    await fs.mkdir(barDir, { recursive: true });
+    await fs.writeFile(path.join(fooDir, 'Packages'), 'Package: foo\nArchitecture: amd64\nFilename: ./pool/foo/foo/v1.0.0/foo_1.0.0_amd64.deb\n');
+    await fs.writeFile(path.join(fooDir, 'Contents-amd64'), 'usr/bin/foo utils/foo\nusr/share/doc/shared utils/foo\n');
+    await fs.writeFile(path.join(barDir, 'Packages'), 'Package: bar\nArchitecture: amd64\nFilename: ./pool/foo/bar/v1.0.0/bar_1.0.0_amd64.deb\n');
+    await fs.writeFile(path.join(barDir, 'Contents-amd64'), 'usr/bin/bar admin/bar\nusr/share/doc/shared admin/bar\n');
+
+    await assembleAction({ output: outputDir, sign: false });
+
+    const contentsPath = path.join(outputDir, 'dists', 'stable', 'main', 'Contents-amd64.gz');
+    const lines = gunzipSync(await fs.readFile(contentsPath)).toString().trimEnd().split('\n');
+    assert.deepEqual(lines.map((line) => line.split(/\s+/)), [
+      ['usr/bin/bar', 'admin/bar'],
+      ['usr/bin/foo', 'utils/foo'],
+      ['usr/share/doc/shared', 'admin/bar,utils/foo'],
+    ]);
+
+    const release = await fs.readFile(path.join(outputDir, 'dists', 'stable', 'Release'), 'utf-8');
+    assert.match(release, / main\/Contents-amd64\.gz$/m);
+  } finally {
+    await fs.rm(outputDir, { recursive: true, force: true });
+  }
+});
+
+test('resolveDuplicateEntries keeps the newest release and sorts by version', () => {
+  const entry = (text, publishedAt) => ({ paragraph: parseDeb822(text)[0], publishedAt });
+  const entries = [
+    entry('Package: foo\nVersion: 1.10\nArchitecture: amd64\nFilename: ./pool/o/foo/v1.10/foo.deb\nSHA256: aaa\n', 1),
+    entry('Package: foo\nVersion: 1.9\nArchitecture: amd64\nFilename: ./pool/o/foo/v1.9/foo.deb\nSHA256: bbb\n', 1),
+    entry('Package: bar\nVersion: 2.0\nArchitecture: amd64\nFilename: ./pool/o/bar/v2/bar.deb\nSHA256: ccc\n', 1),
+    entry('Package: foo\nVersion: 1.10\nArchitecture: amd64\nFilename: ./pool/o/foo/v1.10-retag/foo.deb\nSHA256: ddd\n', 2),
+  ];
+
+  const resolved = resolveDuplicateEntries(entries, 'newest', 'stable/main/binary-amd64');
+
+  assert.deepEqual(resolved.map((paragraph) => paragraph.get('Filename')), [
+    './pool/o/bar/v2/bar.deb',
+    './pool/o/foo/v1.9/foo.deb',
+    './pool/o/foo/v1.10-retag/foo.deb',
+  ]);
+});
+
+test('resolveDuplicateEntries fails on conflicting duplicates only when asked', () => {
+  const entry = (filename, sha256, publishedAt) => ({
+    paragraph: parseDeb822(`Package: foo\nVersion: 1.0\nArchitecture: amd64\nFilename: ${filename}\nSHA256: ${sha256}\n`)[0],
+    publishedAt,
+  });
+
+  const same = [entry('./pool/o/foo/v1/foo.deb', 'aaa', 1), entry('./pool/o/foo/v1-again/foo.deb', 'aaa', 2)];
+  assert.equal(resolveDuplicateEntries(same, 'fail', 'stable/main/binary-amd64').length, 1);
+
+  const conflicting = [entry('./pool/o/foo/v1/foo.deb', 'aaa', 1), entry('./pool/o/foo/v1-again/foo.deb', 'bbb', 2)];
+  assert.throws(
+    () => resolveDuplicateEntries(conflicting, 'fail', 'stable/main/binary-amd64'),
+    /Conflicting duplicate package foo 1\.0 amd64 in stable\/main\/binary-amd64/
+  );
+});
+
+test('assembleAction writes one entry per package version', async () => {
+  const outputDir = path.join(tmpdir(), 'test-assemble-duplicates-' + Date.now());
+  const releases = [
+    { tag: 'v1.0.0', publishedAt: '2026-01-01T00:00:00Z', sha256: 'aaa' },
+    { tag: 'v1.0.0-retag', publishedAt: '2026-02-01T00:00:00Z', sha256: 'bbb' },
+  ];
+
+  try {
+    for (const { tag, publishedAt, sha256 } of releases) {
+      const debDir = path.join(outputDir, 'pool', 'foo', 'bar', tag);
+      await fs.mkdir(debDir, { recursive: true });
+      await fs.writeFile(path.join(debDir, 'Packages'), `Package: bar
+Version: 1.0.0
+Architecture: amd64
+Filename: ./pool/foo/bar/${tag}/bar_1.0.0_amd64.deb
+SHA256: ${sha256}
+`);
+      await fs.writeFile(path.join(debDir, 'release.json'), JSON.stringify({ tag, channel: 'stable', publishedAt }));
+    }
+
+    await assembleAction({ output: outputDir, sign: false });
+    const packages = await fs.readFile(path.join(outputDir, 'dists', 'stable', 'main', 'binary-amd64', 'Packages'), 'utf-8');
+    assert.equal(parseDeb822(packages).length, 1);
+    assert(packages.includes('SHA256: bbb'));
+
+    await assert.rejects(assembleAction({ output: outputDir, sign: false, duplicates: 'fail' }), /Conflicting duplicate package/);
+  } finally {
+    await fs.rm(outputDir, { recursive: true, force: true });
+  }
+});
+
+/**
+ * Builds a Packages paragraph for arrangeArchitectures tests
+ */
+function paragraph(name, architecture) {
+  return new Map([['Package', name], ['Version', '1.0'], ['Architecture', architecture], ['Filename', `pool/${name}_${architecture}.deb`]]);
+}
+
+test('arrangeArchitectures merges Architecture: all packages into every architecture by default', () => {
+  const entriesByComponent = new Map([
+    ['main', new Map([['amd64', [paragraph('tool', 'amd64')]], ['all', [paragraph('data', 'all')]]])],
+    ['contrib', new Map([['arm64', [paragraph('extra', 'arm64')]]])],
+  ]);
+  const contentsByComponent = new Map([
+    ['main', new Map([
+      ['amd64', new Map([['usr/bin/tool', new Set(['utils/tool'])]])],
+      ['all', new Map([['usr/share/data', new Set(['misc/data'])]])],
+    ])],
+  ]);
+
+  const { mode, architectures, indices, contents } = arrangeArchitectures(entriesByComponent, contentsByComponent, 'merge');
+
+  assert.equal(mode, 'merge');
+  assert.deepEqual(architectures, ['amd64', 'arm64']);
+  const names = (component, arch) => indices.get(component).get(arch).map((entry) => entry.get('Package'));
+  assert.deepEqual(names('main', 'amd64'), ['data', 'tool']);
+  assert.deepEqual(names('main', 'arm64'), ['data']);
+  assert.deepEqual(names('contrib', 'amd64'), []);
+  assert.deepEqual(names('contrib', 'arm64'), ['extra']);
+  assert.deepEqual([...contents.get('main').get('amd64').keys()], ['usr/bin/tool', 'usr/share/data']);
+  assert.deepEqual([...contents.get('main').get('arm64').keys()], ['usr/share/data']);
+});
+
+test('arrangeArchitectures publishes binary-all alone or alongside the merged indices', () => {
+  const entriesByComponent = new Map([
+    ['main', new Map([['amd64', [paragraph('tool', 'amd64')]], ['all', [paragraph('data', 'all')]]])],
+  ]);
+
+  const separate = arrangeArchitectures(entriesByComponent, new Map(), 'binary-all', ['arm64']);
+  assert.deepEqual(separate.architectures, ['all', 'amd64', 'arm64']);
+  assert.deepEqual(separate.indices.get('main').get('amd64').map((entry) => entry.get('Package')), ['tool']);
+  assert.deepEqual(separate.indices.get('main').get('arm64'), []);
+  assert.deepEqual(separate.indices.get('main').get('all').map((entry) => entry.get('Package')), ['data']);
+
+  const both = arrangeArchitectures(entriesByComponent, new Map(), 'both');
+  assert.deepEqual(both.architectures, ['all', 'amd64']);
+  assert.deepEqual(both.indices.get('main').get('amd64').map((entry) => entry.get('Package')), ['data', 'tool']);
+  assert.deepEqual(both.indices.get('main').get('all').map((entry) => entry.get('Package')), ['data']);
+});
+
+test('arrangeArchitectures falls back to binary-all when there is nothing to merge into', () => {
+  const entriesByComponent = new Map([['main', new Map([['all', [paragraph('data', 'all')]]])]]);
+
+  const fallback = arrangeArchitectures(entriesByComponent, new Map(), 'merge');
+  assert.equal(fallback.mode, 'binary-all');
+  assert.deepEqual(fallback.architectures, ['all']);
+
+  const configured = arrangeArchitectures(entriesByComponent, new Map(), 'merge', ['amd64', 'arm64']);
+  assert.equal(configured.mode, 'merge');
+  assert.deepEqual(configured.architectures, ['amd64', 'arm64']);
+  assert.deepEqual(configured.indices.get('main').get('arm64').map((entry) => entry.get('Package')), ['data']);
+});
+
+test('parseArchitectures splits lists and rejects invalid names', () => {
+  assert.deepEqual(parseArchitectures('amd64, arm64,'), ['amd64', 'arm64']);
+  assert.deepEqual(parseArchitectures(['riscv64']), ['riscv64']);
+  assert.throws(() => parseArchitectures('all'), /Invalid architecture: all/);
+  assert.throws(() => parseArchitectures('AMD64'), /Invalid architecture/);
+});
+
+test('assembleAction with architectureAll both sets No-Support-for-Architecture-all', async () => {
+  const outputDir = path.join(tmpdir(), 'test-assemble-arch-all-' + Date.now());
+  const debDir = path.join(outputDir, 'pool', 'foo', 'bar', 'v1.0.0');
+
+  try {
+    await fs.mkdir(debDir, { recursive: true });
+    await fs.writeFile(path.join(debDir, 'Packages'), `Package: bar
+Version: 1.0.0
+Architecture: amd64
+Filename: ./pool/foo/bar/v1.0.0/bar_1.0.0_amd64.deb
+
+Package: bar-data
+Version: 1.0.0
+Architecture: all
+Filename: ./pool/foo/bar/v1.0.0/bar-data_1.0.0_all.deb
+`);
+
+    await assembleAction({ output: outputDir, sign: false });
+
+    let release = await fs.readFile(path.join(outputDir, 'dists', 'stable', 'Release'), 'utf-8');
+    assert(release.includes('Architectures: amd64\n'));
+    assert(!release.includes('No-Support-for-Architecture-all'));
+    const amd64 = await fs.readFile(path.join(outputDir, 'dists', 'stable', 'main', 'binary-amd64', 'Packages'), 'utf-8');
+    assert(amd64.includes('Package: bar-data\n'));
+
+    await assembleAction({ output: outputDir, sign: false, architectureAll: 'both', architectures: ['arm64'] });
+
+    release = await fs.readFile(path.join(outputDir, 'dists', 'stable', 'Release'), 'utf-8');
+    assert(release.includes('No-Support-for-Architecture-all: Packages\nArchitectures: all amd64 arm64\n'));
+    assert(release.includes(' main/binary-all/Packages\n'));
+    assert(release.includes(' main/binary-arm64/Packages\n'));
+    const arm64 = await fs.readFile(path.join(outputDir, 'dists', 'stable', 'main', 'binary-arm64', 'Packages'), 'utf-8');
+    assert.equal(arm64.match(/^Package: .*$/gm).join(','), 'Package: bar-data');
+  } finally {
+    await fs.rm(outputDir, { recursive: true, force: true });
+  }
+});
+
+test('assembleAction reports the packages it added and removed, and nothing on a repeat run', async () => {
+  const outputDir = path.join(tmpdir(), 'test-assemble-summary-' + Date.now());
+  const writeRelease = async (tag, version) => {
+    const debDir = path.join(outputDir, 'pool', 'foo', 'bar', tag);
+    await fs.mkdir(debDir, { recursive: true });
+    await fs.writeFile(path.join(debDir, 'Packages'), `Package: bar
+Version: ${version}
+Architecture: amd64
+Filename: ./pool/foo/bar/${tag}/bar_${version}_amd64.deb
+`);
+  };
+
+  try {
+    await writeRelease('v1.0.0', '1.0.0');
+    const first = await assembleAction({ output: outputDir, sign: false });
+    assert.equal(first.changed, true);
+    assert.deepEqual(first.packages, [{ suite: 'stable', component: 'main', architecture: 'amd64', added: ['bar 1.0.0'], removed: [] }]);
+    assert(first.files.written.includes('dists/stable/main/binary-amd64/Packages'));
+    assert(first.files.written.includes('dists/stable/Release'));
+
+    const repeat = await assembleAction({ output: outputDir, sign: false });
+    assert.deepEqual(repeat, { changed: false, pruned: [], packages: [], files: { written: [], removed: [] } });
+
+    await writeRelease('v1.1.0', '1.1.0');
+    const pruned = await assembleAction({ output: outputDir, sign: false, keepLast: 1 });
+    assert.equal(pruned.changed, true);
+    assert.deepEqual(pruned.pruned, ['pool/foo/bar/v1.0.0']);
+    assert.deepEqual(pruned.packages, [{ suite: 'stable', component: 'main', architecture: 'amd64', added: ['bar 1.1.0'], removed: ['bar 1.0.0'] }]);
+  } finally {
+    await fs.rm(outputDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findChecksumAssets, parseChecksumFile, sha256File, verifyDetachedSignature } from '../src/checksums.mjs';
+import { exec } from 'child_process';
+import { promisify } from 'util';
+import fs from 'fs/promises';
+import path from 'path';
+import { tmpdir } from 'os';
+
+const execAsync = promisify(exec);
+
+const SHA_A = 'a'.repeat(64);
+const SHA_B = 'B'.repeat(64);
+
+test('parseChecksumFile reads sha256sum and BSD-style lines', () => {
+  const sums = parseChecksumFile([
+    `${SHA_A}  tool_1.0.0_amd64.deb`,
+    `${SHA_B} *dist/tool_1.0.0_arm64.deb`,
+    `SHA256 (tool_1.0.0_armhf.deb) = ${SHA_A}`,
+    '# a comment',
+    'deadbeef  too-short.deb',
+    '',
+  ].join('\r\n'));
+
+  assert.deepEqual(sums, new Map([
+    ['tool_1.0.0_amd64.deb', SHA_A],
+    ['tool_1.0.0_arm64.deb', 'b'.repeat(64)],
+    ['tool_1.0.0_armhf.deb', SHA_A],
+  ]));
+});
+
+test('findChecksumAssets finds SHA256SUMS or GoReleaser checksums and their signature', () => {
+  const release = (...names) => ({ assets: names.map((name) => ({ name })) });
+
+  assert.deepEqual(findChecksumAssets(release('tool.deb', 'SHA256SUMS', 'SHA256SUMS.gpg')), {
+    checksums: { name: 'SHA256SUMS' },
+    signature: { name: 'SHA256SUMS.gpg' },
+  });
+  assert.deepEqual(findChecksumAssets(release('tool_1.0.0_checksums.txt', 'tool.deb')), {
+    checksums: { name: 'tool_1.0.0_checksums.txt' },
+    signature: null,
+  });
+  assert.deepEqual(findChecksumAssets(release('tool.deb', 'notchecksums.txt')), { checksums: null, signature: null });
+});
+
+test('sha256File hashes a file', async () => {
+  const filePath = path.join(tmpdir(), 'test-sha256-' + Date.now());
+  try {
+    await fs.writeFile(filePath, 'abc');
+    assert.equal(await sha256File(filePath), 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+  } finally {
+    await fs.rm(filePath, { force: true });
+  }
+});
+
+test('verifyDetachedSignature accepts a good signature and rejects a changed file', async (t) => {
+  try {
+    await execAsync('which gpg && which gpgv');
+  } catch {
+    t.skip('gpg or gpgv not available');
+    return;
+  }
+
+  const workDir = path.join(tmpdir(), 'test-checksums-signature-' + Date.now());
+  const gnupgHome = path.join(workDir, 'gnupg');
+  const env = { ...process.env, GNUPGHOME: gnupgHome };
+  const gpg = (args) => execAsync(`gpg --batch --quiet --pinentry-mode loopback --passphrase '' ${args}`, { env });
+
+  try {
+    await fs.mkdir(gnupgHome, { recursive: true, mode: 0o700 });
+    await gpg('--quick-gen-key "Test Releases <test@example.com>" ed25519 sign never');
+    await gpg(`--armor --output ${workDir}/public.asc --export`);
+    const sums = `${SHA_A}  tool_1.0.0_amd64.deb\n`;
+    await fs.writeFile(path.join(workDir, 'SHA256SUMS'), sums);
+    await gpg(`--armor --detach-sign --output ${workDir}/SHA256SUMS.asc ${workDir}/SHA256SUMS`);
+    const signature = await fs.readFile(path.join(workDir, 'SHA256SUMS.asc'));
+
+    await verifyDetachedSignature(Buffer.from(sums), signature, path.join(workDir, 'public.asc'));
+    await assert.rejects(
+      verifyDetachedSignature(Buffer.from(sums.replace('amd64', 'arm64')), signature, path.join(workDir, 'public.asc')),
+      /Bad signature/
+    );
+  } finally {
+    await execAsync('gpgconf --kill gpg-agent', { env }).catch(() => {});
+    await fs.rm(workDir, { recursive: true, force: true });
+  }
+});
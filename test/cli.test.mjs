@@ -1,6 +1,11 @@
 import { test } from 'node:test';
 import assert from 'node:assert/strict';
-import { parseRepository, createCommand } from '../src/cli.mjs';
+import { parseRepository, createCommand, importRelease } from '../src/cli.mjs';
+import { collectRedirectRules } from '../src/redirectsAction.mjs';
+import http from 'http';
+import fs from 'fs/promises';
+import path from 'path';
+import { tmpdir } from 'os';
 
 test('parseRepository parses valid owner/repo format', () => {
   const result = parseRepository('owner/repo');
@@ -9,7 +14,7 @@ test('parseRepository parses valid owner/repo format', () => {
 });
 
 test('parseRepository throws error for invalid formats', () => {
-  const invalidFormats = ['owner', 'owner/', '/repo', '', 'owner/repo/extra'];
+  const invalidFormats = ['owner', 'owner/', '/repo', '', 'owner//repo', 'group/subgroup/'];
   
   for (const format of invalidFormats) {
     assert.throws(
@@ -22,6 +27,19 @@ test('parseRepository throws error for invalid formats', () => {
   }
 });
 
+test('parseRepository reads a host before the owner', () => {
+  assert.deepEqual(parseRepository('owner/repo'), { owner: 'owner', repo: 'repo' });
+  assert.deepEqual(parseRepository('Codeberg.org:owner/repo'), { host: 'codeberg.org', owner: 'owner', repo: 'repo' });
+  assert.deepEqual(parseRepository('git.example.com:8443:team/tool'), { host: 'git.example.com:8443', owner: 'team', repo: 'tool' });
+  assert.throws(() => parseRepository('https://codeberg.org:owner/repo'), /Invalid repository format/);
+  assert.throws(() => parseRepository(':owner/repo'), /Invalid repository format/);
+});
+
+test('parseRepository takes the last segment as the repo, for GitLab subgroups', () => {
+  assert.deepEqual(parseRepository('gitlab.com:group/subgroup/project'), { host: 'gitlab.com', owner: 'group/subgroup', repo: 'project' });
+  assert.deepEqual(parseRepository('a/b/c/d'), { owner: 'a/b/c', repo: 'd' });
+});
+
 test('createCommand uses argParser to validate repository format', () => {
   const program = createCommand();
   const importCommand = program.commands.find(cmd => cmd.name() === 'import');
@@ -35,3 +53,153 @@ test('createCommand uses argParser to validate repository format', () => {
   assert.equal(result.repo, 'example');
 });
 
+test('import subcommand accepts release selection options', () => {
+  const program = createCommand();
+  const importCommand = program.commands.find(cmd => cmd.name() === 'import');
+
+  importCommand.parseOptions(['--since', 'v1.0.0']);
+  assert.equal(importCommand.opts().since, 'v1.0.0');
+
+  for (const flag of ['--tag', '--all', '--since']) {
+    assert(importCommand.options.some(option => option.long === flag), `${flag} option should exist`);
+  }
+});
+
+test('import subcommand rejects conflicting release selections', () => {
+  const program = createCommand();
+  program.exitOverride();
+  program.configureOutput({ writeErr: () => {} });
+  program.commands.forEach(cmd => cmd.exitOverride().configureOutput({ writeErr: () => {} }));
+  program.commands.find(cmd => cmd.name() === 'import').action(() => {});
+
+  assert.throws(
+    () => program.parse(['import', 'owner/repo', '--tag', 'v1.0.0', '--all'], { from: 'user' }),
+    { code: 'commander.conflictingOption' }
+  );
+});
+
+test('import subcommand rejects --metadata-only with --dpkg-scanpackages', () => {
+  const program = createCommand();
+  program.exitOverride();
+  program.configureOutput({ writeErr: () => {} });
+  program.commands.forEach(cmd => cmd.exitOverride().configureOutput({ writeErr: () => {} }));
+  program.commands.find(cmd => cmd.name() === 'import').action(() => {});
+
+  assert.throws(
+    () => program.parse(['import', 'owner/repo', '--metadata-only', '--dpkg-scanpackages'], { from: 'user' }),
+    { code: 'commander.conflictingOption' }
+  );
+});
+
+test('import subcommand collects repeated filter options', () => {
+  const program = createCommand();
+  const importCommand = program.commands.find(cmd => cmd.name() === 'import');
+
+  importCommand.parseOptions(['--exclude', '*-dbgsym_*', '--exclude', '*_ubuntu*', '--arch', 'amd64']);
+  assert.deepEqual(importCommand.opts().exclude, ['*-dbgsym_*', '*_ubuntu*']);
+  assert.deepEqual(importCommand.opts().arch, ['amd64']);
+});
+
+test('sync subcommand reads gh-release-apt.config.json by default', () => {
+  const program = createCommand();
+  const syncCommand = program.commands.find(cmd => cmd.name() === 'sync');
+  assert(syncCommand, 'sync subcommand should exist');
+
+  syncCommand.parseOptions([]);
+  assert.equal(syncCommand.opts().config, 'gh-release-apt.config.json');
+});
+
+test('importRelease with metadataOnly keeps no .deb files and re-imports from the recorded Packages file', async () => {
+  const deb = await fs.readFile(new URL('./fixtures/deb/hello_1.0-1_amd64.gzip.deb', import.meta.url));
+  let requests = 0;
+  const server = http.createServer((request, response) => {
+    requests++;
+    response.writeHead(200, { 'Content-Type': 'application/octet-stream', 'Content-Length': deb.length });
+    response.end(deb);
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const outputDir = path.join(tmpdir(), 'test-import-metadata-only-' + Date.now());
+  const release = {
+    tag_name: 'v1.0',
+    prerelease: false,
+    published_at: '2026-01-01T00:00:00Z',
+    assets: [{
+      name: 'hello_1.0-1_amd64.deb',
+      browser_download_url: `http://127.0.0.1:${server.address().port}/hello_1.0-1_amd64.deb`,
+      digest: 'sha256:78c8dbbf5e053457803cdbd2898137e9fe6d4d5edc63e495c15b1721ba8c841f',
+    }],
+  };
+  const debDir = path.join(outputDir, 'pool', 'team', 'hello', 'v1.0');
+
+  try {
+    const first = await importRelease(release, 'team', 'hello', outputDir, undefined, {}, {}, { metadataOnly: true });
+
+    assert.equal(requests, 1);
+    assert.equal(first.changed, true);
+    assert.deepEqual(first.assets, { downloaded: ['hello_1.0-1_amd64.deb'], unchanged: [], skipped: [], rejected: [] });
+    assert.deepEqual(first.packages, [{ architecture: 'amd64', added: ['hello 1.0-1'], removed: [] }]);
+    assert.deepEqual(first.files, {
+      written: ['pool/team/hello/v1.0/Contents-amd64', 'pool/team/hello/v1.0/Packages', 'pool/team/hello/v1.0/release.json'],
+      removed: [],
+    });
+    assert.deepEqual((await fs.readdir(debDir)).sort(), ['Contents-amd64', 'Packages', 'release.json']);
+    const packages = await fs.readFile(path.join(debDir, 'Packages'), 'utf-8');
+    assert.match(packages, /^Filename: \.\/pool\/team\/hello\/v1\.0\/hello_1\.0-1_amd64\.deb$/m);
+    assert.match(packages, /^SHA256: 78c8dbbf/m);
+    const contents = await fs.readFile(path.join(debDir, 'Contents-amd64'), 'utf-8');
+    assert.notEqual(contents, '');
+
+    const second = await importRelease(release, 'team', 'hello', outputDir, undefined, {}, {}, { metadataOnly: true });
+
+    assert.equal(requests, 1, 'the recorded entry matches the digest, so nothing is downloaded');
+    assert.equal(second.changed, false);
+    assert.deepEqual(second.assets.unchanged, ['hello_1.0-1_amd64.deb']);
+    assert.deepEqual(second.files, { written: [], removed: [] });
+    assert.equal(await fs.readFile(path.join(debDir, 'Packages'), 'utf-8'), packages);
+    assert.equal(await fs.readFile(path.join(debDir, 'Contents-amd64'), 'utf-8'), contents);
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+    await fs.rm(outputDir, { recursive: true, force: true });
+  }
+});
+
+test('importRelease keeps the same owner/repo from two hosts apart', async () => {
+  const deb = await fs.readFile(new URL('./fixtures/deb/hello_1.0-1_amd64.gzip.deb', import.meta.url));
+  const server = http.createServer((request, response) => {
+    response.writeHead(200, { 'Content-Type': 'application/octet-stream', 'Content-Length': deb.length });
+    response.end(deb);
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const outputDir = path.join(tmpdir(), 'test-import-two-hosts-' + Date.now());
+  const release = {
+    tag_name: 'v1.0',
+    prerelease: false,
+    published_at: '2026-01-01T00:00:00Z',
+    assets: [{ name: 'hello_1.0-1_amd64.deb', browser_download_url: `http://127.0.0.1:${server.address().port}/hello_1.0-1_amd64.deb` }],
+  };
+  const log = () => {};
+
+  try {
+    const github = await importRelease(release, 'team', 'hello', outputDir, undefined, {}, {}, { log });
+    const codeberg = await importRelease(release, 'team', 'hello', outputDir, undefined, {}, {}, {
+      provider: 'forgejo',
+      serverUrl: 'https://codeberg.org',
+      apiUrl: 'https://codeberg.org/api/v1',
+      log,
+    });
+
+    assert(github.files.written.includes('pool/team/hello/v1.0/Packages'));
+    assert(codeberg.files.written.includes('pool/codeberg.org/team/hello/v1.0/Packages'));
+    assert.match(
+      await fs.readFile(path.join(outputDir, 'pool', 'codeberg.org', 'team', 'hello', 'v1.0', 'Packages'), 'utf-8'),
+      /^Filename: \.\/pool\/codeberg\.org\/team\/hello\/v1\.0\/hello_1\.0-1_amd64\.deb$/m
+    );
+    assert.deepEqual(await collectRedirectRules(outputDir), [
+      { source: '/pool/codeberg.org/team/hello/', destination: 'https://codeberg.org/team/hello/releases/download/', prefix: true },
+      { source: '/pool/team/hello/', destination: 'https://github.com/team/hello/releases/download/', prefix: true },
+    ]);
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+    await fs.rm(outputDir, { recursive: true, force: true });
+  }
+});
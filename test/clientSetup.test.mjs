@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { writeClientSetup, describeSuites, renderIndexPage, makeSourcesContent } from '../src/clientSetup.mjs';
+import fs from 'fs/promises';
+import path from 'path';
+import { tmpdir } from 'os';
+
+/**
+ * Makes a Packages entry
+ */
+function entry(name, version, architecture, description) {
+  return new Map([['Package', name], ['Version', version], ['Architecture', architecture], ['Description', description]]);
+}
+
+const ENTRIES_BY_SUITE = new Map([
+  ['testing', new Map([
+    ['main', new Map([['amd64', [entry('foo', '2.0~rc1', 'amd64', 'Foo tool')]]])],
+  ])],
+  ['stable', new Map([
+    ['main', new Map([
+      ['amd64', [entry('foo', '1.0', 'amd64', 'Foo tool\n Longer text.'), entry('foo', '1.1', 'amd64', 'Foo tool <new>')]],
+      ['arm64', [entry('foo', '1.0', 'arm64', 'Foo tool\n Longer text.')]],
+    ])],
+    ['contrib', new Map([['amd64', [entry('bar', '0.1', 'all', 'Bar data')]]])],
+  ])],
+]);
+
+test('describeSuites lists the newest version of each package and where it is built', () => {
+  assert.deepEqual(describeSuites(ENTRIES_BY_SUITE), [
+    {
+      name: 'stable',
+      components: ['contrib', 'main'],
+      architectures: ['amd64', 'arm64'],
+      packages: [
+        { name: 'bar', version: '0.1', architectures: ['all'], summary: 'Bar data' },
+        { name: 'foo', version: '1.1', architectures: ['amd64'], summary: 'Foo tool <new>' },
+      ],
+    },
+    {
+      name: 'testing',
+      components: ['main'],
+      architectures: ['amd64'],
+      packages: [{ name: 'foo', version: '2.0~rc1', architectures: ['amd64'], summary: 'Foo tool' }],
+    },
+  ]);
+});
+
+test('makeSourcesContent writes a deb822 sources entry', () => {
+  assert.equal(
+    makeSourcesContent(new URL('https://apt.example.com/'), 'stable', ['main', 'contrib'], '/etc/apt/keyrings/example-archive-keyring.pgp'),
+    'Types: deb\nURIs: https://apt.example.com/\nSuites: stable\nComponents: main contrib\nSigned-By: /etc/apt/keyrings/example-archive-keyring.pgp\n'
+  );
+  assert.doesNotMatch(makeSourcesContent(new URL('https://apt.example.com/'), 'stable', ['main']), /Signed-By/);
+});
+
+test('renderIndexPage escapes text and rejects unknown placeholders', () => {
+  const values = { title: 'A & B', install: '<p>steps</p>' };
+  assert.equal(renderIndexPage('<h1>{{title}}</h1>{{ install }}', values), '<h1>A &#38; B</h1><p>steps</p>');
+  assert.throws(() => renderIndexPage('{{nope}}', values), /Unknown placeholder \{\{nope\}\} in the landing page template\. Use: title, install/);
+});
+
+test('writeClientSetup publishes the keyring, sources files and landing page', async () => {
+  const outputDir = path.join(tmpdir(), 'test-client-setup-' + Date.now());
+  const certificate = { binary: Buffer.from([0x98, 0x01, 0x04]), armored: '-----BEGIN PGP PUBLIC KEY BLOCK-----\n\nmAEE\n-----END PGP PUBLIC KEY BLOCK-----\n' };
+
+  try {
+    await fs.mkdir(outputDir, { recursive: true });
+
+    await writeClientSetup(outputDir, ENTRIES_BY_SUITE, certificate, { siteUrl: 'https://apt.example.com/repo', origin: 'Example Tools' });
+
+    assert.deepEqual(await fs.readFile(path.join(outputDir, 'archive-keyring.pgp')), certificate.binary);
+    assert.equal(await fs.readFile(path.join(outputDir, 'archive-keyring.asc'), 'utf-8'), certificate.armored);
+    assert.equal(
+      await fs.readFile(path.join(outputDir, 'example-tools-stable.sources'), 'utf-8'),
+      'Types: deb\nURIs: https://apt.example.com/repo/\nSuites: stable\nComponents: contrib main\nSigned-By: /etc/apt/keyrings/example-tools-archive-keyring.pgp\n'
+    );
+    assert(await fs.stat(path.join(outputDir, 'example-tools-testing.sources')));
+
+    const page = await fs.readFile(path.join(outputDir, 'index.html'), 'utf-8');
+    assert.match(page, /<title>Example Tools<\/title>/);
+    assert.match(page, /sudo curl -fsSLo \/etc\/apt\/keyrings\/example-tools-archive-keyring\.pgp https:\/\/apt\.example\.com\/repo\/archive-keyring\.pgp/);
+    assert.match(page, /sudo curl -fsSLo \/etc\/apt\/sources\.list\.d\/example-tools-testing\.sources https:\/\/apt\.example\.com\/repo\/example-tools-testing\.sources/);
+    assert.match(page, /<td>Foo tool &#60;new&#62;<\/td>/);
+    assert.doesNotMatch(page, /\{\{/);
+  } finally {
+    await fs.rm(outputDir, { recursive: true, force: true });
+  }
+});
+
+test('writeClientSetup only publishes the keyring without a site URL', async () => {
+  const outputDir = path.join(tmpdir(), 'test-client-setup-keyring-' + Date.now());
+
+  try {
+    await fs.mkdir(outputDir, { recursive: true });
+
+    await writeClientSetup(outputDir, ENTRIES_BY_SUITE, { binary: Buffer.from([0x98]), armored: '' }, {});
+
+    assert.deepEqual((await fs.readdir(outputDir)).sort(), ['archive-keyring.asc', 'archive-keyring.pgp']);
+    await assert.rejects(writeClientSetup(outputDir, ENTRIES_BY_SUITE, undefined, { siteUrl: 'ftp://example.com/' }), /Site URL must use http or https/);
+  } finally {
+    await fs.rm(outputDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,140 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadConfig, validateConfig, importOptionsFromSource } from '../src/config.mjs';
+import fs from 'fs/promises';
+import path from 'path';
+import { tmpdir } from 'os';
+
+test('loadConfig reads sources and resolves output next to the config file', async () => {
+  const configDir = path.join(tmpdir(), 'test-config-' + Date.now());
+  const configPath = path.join(configDir, 'gh-release-apt.config.json');
+  await fs.mkdir(configDir, { recursive: true });
+
+  try {
+    await fs.writeFile(configPath, JSON.stringify({
+      output: 'public',
+      sources: [
+        { repository: 'cli/cli', exclude: ['*_386.deb'] },
+        { repository: 'foo/bar', since: 'v1.0.0', prerelease: true },
+      ],
+      assemble: { prereleaseSuite: 'beta' },
+    }));
+
+    const config = await loadConfig(configPath);
+    assert.equal(config.output, path.join(configDir, 'public'));
+    assert.equal(config.sources.length, 2);
+    assert.equal(config.assemble.prereleaseSuite, 'beta');
+  } finally {
+    await fs.rm(configDir, { recursive: true, force: true });
+  }
+});
+
+test('loadConfig resolves key files and the site template next to the config file', async () => {
+  const configDir = path.join(tmpdir(), 'test-config-paths-' + Date.now());
+  const configPath = path.join(configDir, 'gh-release-apt.config.json');
+  await fs.mkdir(configDir, { recursive: true });
+
+  try {
+    await fs.writeFile(configPath, JSON.stringify({
+      sources: [
+        { repository: 'foo/bar', checksumsKey: 'keys/foo.asc' },
+        { repository: 'foo/baz' },
+      ],
+      assemble: {
+        signingKeyFile: 'keys/signing.key',
+        signingPublicKey: '/etc/keys/signing.asc',
+        siteTemplate: '../templates/index.html',
+      },
+    }));
+
+    const config = await loadConfig(configPath);
+    assert.equal(config.sources[0].checksumsKey, path.join(configDir, 'keys', 'foo.asc'));
+    assert.equal(config.sources[1].checksumsKey, undefined);
+    assert.equal(config.assemble.signingKeyFile, path.join(configDir, 'keys', 'signing.key'));
+    assert.equal(config.assemble.signingPublicKey, '/etc/keys/signing.asc');
+    assert.equal(config.assemble.siteTemplate, path.join(path.dirname(configDir), 'templates', 'index.html'));
+  } finally {
+    await fs.rm(configDir, { recursive: true, force: true });
+  }
+});
+
+test('loadConfig reports a missing config file', async () => {
+  await assert.rejects(
+    loadConfig(path.join(tmpdir(), 'no-such-config-' + Date.now() + '.json')),
+    { message: /Config file not found/ }
+  );
+});
+
+test('validateConfig rejects unknown keys and wrong types', () => {
+  assert.throws(
+    () => validateConfig({ sources: [{ repository: 'foo/bar', tags: 'v1' }] }),
+    { message: 'Unknown key "tags" in sources[0]' }
+  );
+  assert.throws(
+    () => validateConfig({ sources: [{ repository: 'foo/bar', exclude: '*.deb' }] }),
+    { message: 'sources[0].exclude must be of type string[]' }
+  );
+  assert.throws(
+    () => validateConfig({ sources: [{ repository: 'foo/bar' }], assemble: { acquireByHash: true } }),
+    { message: 'Unknown key "acquireByHash" in assemble' }
+  );
+  assert.throws(
+    () => validateConfig({ sources: [] }),
+    { message: /at least one entry in sources/ }
+  );
+});
+
+test('validateConfig checks per-suite Release metadata', () => {
+  validateConfig({
+    sources: [{ repository: 'foo/bar', suites: ['bookworm'] }],
+    assemble: { origin: 'Example', suites: { bookworm: { codename: 'bookworm' } } },
+  });
+
+  assert.throws(
+    () => validateConfig({
+      sources: [{ repository: 'foo/bar' }],
+      assemble: { suites: { bookworm: { codname: 'bookworm' } } },
+    }),
+    { message: 'Unknown key "codname" in assemble.suites.bookworm' }
+  );
+});
+
+test('validateConfig checks validUntil durations', () => {
+  validateConfig({ sources: [{ repository: 'foo/bar' }], assemble: { validUntil: '7d', suites: { stable: { validUntil: '12h' } } } });
+
+  assert.throws(
+    () => validateConfig({ sources: [{ repository: 'foo/bar' }], assemble: { validUntil: '1 week' } }),
+    { message: 'assemble.validUntil: Invalid duration "1 week". Use a number followed by s, m, h, d or w, e.g. 7d' }
+  );
+  assert.throws(
+    () => validateConfig({ sources: [{ repository: 'foo/bar' }], assemble: { suites: { stable: { validUntil: '7days' } } } }),
+    { message: /^assemble\.suites\.stable\.validUntil: Invalid duration "7days"/ }
+  );
+});
+
+test('validateConfig rejects conflicting release selections', () => {
+  assert.throws(
+    () => validateConfig({ sources: [{ repository: 'foo/bar', tag: 'v1', all: true }] }),
+    { message: 'sources[0] may only use one of tag, all' }
+  );
+  assert.throws(
+    () => validateConfig({ sources: [{ repository: 'foo/bar', metadataOnly: true, dpkgScanpackages: true }] }),
+    { message: 'sources[0] may not combine metadataOnly with dpkgScanpackages, which reads the .deb files from disk' }
+  );
+  assert.throws(
+    () => validateConfig({ sources: [{ repository: 'git.example.com:team/tool', provider: 'bitbucket' }] }),
+    { message: 'Unsupported value(s) bitbucket in sources[0].provider. Choose from: github, forgejo, gitea, gitlab' }
+  );
+});
+
+test('importOptionsFromSource maps config keys to import options', () => {
+  const options = importOptionsFromSource(
+    { repository: 'foo/bar', tag: 'v1.0.0', packages: ['foo'], architectures: ['amd64'] },
+    { output: '/srv/apt' }
+  );
+
+  assert.equal(options.output, '/srv/apt');
+  assert.equal(options.tag, 'v1.0.0');
+  assert.deepEqual(options.package, ['foo']);
+  assert.deepEqual(options.arch, ['amd64']);
+});
@@ -0,0 +1,162 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { inspectDeb, inspectDebFile, parseControlFields, buildPackagesStanza, formatPackagesFile } from '../src/deb.mjs';
+import { exec } from 'child_process';
+import { promisify } from 'util';
+import { createReadStream } from 'fs';
+import fs from 'fs/promises';
+import path from 'path';
+import { tmpdir } from 'os';
+import { fileURLToPath } from 'url';
+
+const execAsync = promisify(exec);
+const fixturesDir = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'deb');
+
+const LONG_DIR = 'x'.repeat(120);
+const EXPECTED_FILES = [
+  'usr/bin/hello',
+  `usr/lib/${LONG_DIR}/${'y'.repeat(90)}.so`,
+  'usr/share/doc/hello world/README',
+  'usr/bin/hi',
+];
+
+test('inspectDebFile reads gzip, xz and zstd compressed packages', async () => {
+  for (const compression of ['gzip', 'xz', 'zstd']) {
+    const deb = await inspectDebFile(path.join(fixturesDir, `hello_1.0-1_amd64.${compression}.deb`));
+    assert.match(deb.control, /^Package: hello\n/, compression);
+    assert.deepEqual(deb.files, EXPECTED_FILES, compression);
+  }
+});
+
+test('buildPackagesStanza matches dpkg-scanpackages', async () => {
+  const deb = await inspectDebFile(path.join(fixturesDir, 'hello_1.0-1_amd64.xz.deb'));
+  const expected = await fs.readFile(path.join(fixturesDir, 'Packages'), 'utf-8');
+
+  const stanza = buildPackagesStanza(deb, './pool/o/r/v1/hello_1.0-1_amd64.deb');
+
+  assert.equal(stanza.name, 'hello');
+  assert.equal(stanza.version, '1.0-1');
+  assert.equal(formatPackagesFile([stanza]), expected);
+});
+
+test('inspectDeb computes size and checksums of the stream', async () => {
+  const debPath = path.join(fixturesDir, 'hello_1.0-1_amd64.xz.deb');
+  const deb = await inspectDeb(createReadStream(debPath, { highWaterMark: 100 }));
+
+  assert.equal(deb.size, 1104);
+  assert.equal(deb.md5sum, '23b07a6d0b4f01a15378278432e0de3b');
+  assert.equal(deb.sha1, '64993345c8a3e1a0421bddc52d50dcd937e29471');
+  assert.equal(deb.sha256, 'eab551a89a3dd768549ba6522442edb75d21c72dba043164ab2d3718b7c10f6b');
+});
+
+test('inspectDeb rejects data that is not a .deb', async () => {
+  await assert.rejects(inspectDeb([Buffer.from('fake deb content')]), /Not a \.deb package/);
+
+  const deb = await fs.readFile(path.join(fixturesDir, 'hello_1.0-1_amd64.gzip.deb'));
+  await assert.rejects(inspectDeb([deb.subarray(0, 400)]), /Unexpected end of data/);
+});
+
+test('parseControlFields follows dpkg syntax', () => {
+  const fields = parseControlFields(`# comment
+package: hello
+Version :  1.0   
+multi-arch: same
+md5sum: abc
+Description: summary
+ first
+ .
+ ..
+`);
+
+  assert.deepEqual([...fields.keys()], ['Package', 'Version', 'Multi-Arch', 'MD5sum', 'Description']);
+  assert.equal(fields.get('Version'), '1.0');
+  assert.equal(fields.get('Description'), 'summary\nfirst\n.\n..');
+
+  assert.throws(() => parseControlFields('Package: a\npackage: b\n'), /Duplicate field package/);
+  assert.throws(() => parseControlFields(' orphan\n'), /Continuation line/);
+  assert.throws(() => parseControlFields('Package: a\nno colon\n'), /Malformed line/);
+});
+
+test('formatPackagesFile sorts by package name, then Debian version', () => {
+  const stanzas = [
+    { name: 'zeta', version: '1.0', stanza: 'Package: zeta\nVersion: 1.0\n' },
+    { name: 'alpha', version: '1.10', stanza: 'Package: alpha\nVersion: 1.10\n' },
+    { name: 'alpha', version: '1.9', stanza: 'Package: alpha\nVersion: 1.9\n' },
+    { name: 'alpha', version: '1.9~rc1', stanza: 'Package: alpha\nVersion: 1.9~rc1\n' },
+  ];
+
+  assert.equal(
+    formatPackagesFile(stanzas),
+    'Package: alpha\nVersion: 1.9~rc1\n\nPackage: alpha\nVersion: 1.9\n\nPackage: alpha\nVersion: 1.10\n\nPackage: zeta\nVersion: 1.0\n\n'
+  );
+  assert.throws(
+    () => formatPackagesFile([stanzas[1], { name: 'alpha', version: '', stanza: 'Package: alpha\n' }]),
+    /Cannot sort versions .* of alpha: Version string is empty/
+  );
+});
+
+test('buildPackagesStanza matches dpkg-scanpackages for a freshly built package', async (t) => {
+  try {
+    await execAsync('which dpkg-deb && which dpkg-scanpackages');
+  } catch {
+    t.skip('dpkg-deb or dpkg-scanpackages not available');
+    return;
+  }
+
+  const testDir = path.join(tmpdir(), 'test-deb-scan-' + Date.now());
+  const buildDir = path.join(testDir, 'build');
+  const poolDir = path.join(testDir, 'pool');
+
+  try {
+    await fs.mkdir(path.join(buildDir, 'DEBIAN'), { recursive: true });
+    await fs.mkdir(path.join(buildDir, 'usr', 'bin'), { recursive: true });
+    await fs.mkdir(poolDir);
+    await fs.writeFile(path.join(buildDir, 'DEBIAN', 'control'), `Package: tool
+Version: 2:1.0~rc1-1
+Architecture: all
+Maintainer: Someone <someone@example.com>
+Breaks: old-tool (<< 1.0)
+X-Extra: kept
+Homepage: https://example.com
+Description: a tool
+ With a paragraph.
+ .
+ And another.
+`);
+    await fs.writeFile(path.join(buildDir, 'usr', 'bin', 'tool'), '#!/bin/sh\n');
+    await execAsync(`dpkg-deb --root-owner-group -b ${buildDir} ${path.join(poolDir, 'tool.deb')}`);
+    const { stdout: expected } = await execAsync('dpkg-scanpackages --multiversion ./pool 2>/dev/null', { cwd: testDir });
+
+    const deb = await inspectDebFile(path.join(poolDir, 'tool.deb'));
+    assert.equal(formatPackagesFile([buildPackagesStanza(deb, './pool/tool.deb')]), expected);
+  } finally {
+    await fs.rm(testDir, { recursive: true, force: true });
+  }
+});
+
+test('inspectDeb refuses xz data needing more than the memory limit', async () => {
+  const testDir = path.join(tmpdir(), 'test-deb-xz-limit-' + Date.now());
+  // An ar member header: name, mtime, owner, group, mode, size
+  const arMember = (name, data) => [
+    Buffer.from(`${name.padEnd(16)}${'0'.padEnd(12)}${'0'.padEnd(6)}${'0'.padEnd(6)}${'100644'.padEnd(8)}${String(data.length).padEnd(10)}\`\n`),
+    data,
+    Buffer.alloc(data.length % 2),
+  ];
+
+  try {
+    await fs.mkdir(testDir, { recursive: true });
+    await fs.writeFile(path.join(testDir, 'control'), 'Package: big\nVersion: 1\nArchitecture: all\n');
+    await execAsync('tar czf control.tar.gz control', { cwd: testDir });
+    const deb = Buffer.concat([
+      Buffer.from('!<arch>\n'),
+      ...arMember('debian-binary', Buffer.from('2.0\n')),
+      ...arMember('control.tar.gz', await fs.readFile(path.join(testDir, 'control.tar.gz'))),
+      // The dictionary size is what the header asks the decoder to allocate, however little data follows
+      ...arMember('data.tar.xz', await fs.readFile(new URL('./fixtures/xz/large-dict.txt.xz', import.meta.url))),
+    ]);
+
+    await assert.rejects(inspectDeb([deb]), /xz data needs a 96 MiB dictionary, more than the 64 MiB memory limit/);
+  } finally {
+    await fs.rm(testDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseDeb822, serializeDeb822, serializeParagraph, getField, setField } from '../src/deb822.mjs';
+
+const PACKAGES = `Package: hello
+Version: 1.0-1
+Architecture: amd64
+Depends: libc6 (>= 2.34),
+  libfoo1
+Filename: ./pool/o/r/v1/hello_1.0-1_amd64.deb
+Description: greets the world
+ Longer text here.
+ .
+   indented line
+Conffiles:
+ /etc/hello.conf 0123456789abcdef0123456789abcdef
+
+Package: other
+Version: 2
+Architecture: all
+`;
+
+test('parseDeb822 reads paragraphs and multi-line fields', () => {
+  const paragraphs = parseDeb822(PACKAGES);
+
+  assert.equal(paragraphs.length, 2);
+  assert.deepEqual([...paragraphs[0].keys()], ['Package', 'Version', 'Architecture', 'Depends', 'Filename', 'Description', 'Conffiles']);
+  assert.equal(paragraphs[0].get('Depends'), 'libc6 (>= 2.34),\n libfoo1');
+  assert.equal(paragraphs[0].get('Description'), 'greets the world\nLonger text here.\n.\n  indented line');
+  assert.equal(paragraphs[0].get('Conffiles'), '\n/etc/hello.conf 0123456789abcdef0123456789abcdef');
+  assert.equal(paragraphs[1].get('Architecture'), 'all');
+});
+
+test('serializeDeb822 round-trips Packages, Release and .sources content', () => {
+  const release = `Origin: Example
+Suite: stable
+Architectures: amd64 arm64
+SHA256:
+ 18bd88521982f7788fee705fbdf51d4e40445f1857de1fce427617ce7ff34eae 145 main/binary-arm64/Packages
+ 0b4b01d1f4b1a2e8a9bd3f4a0b3a6e8f4d4b7b1f9f0e0c1d2e3f4a5b6c7d8e9f 20 main/binary-arm64/Packages.gz
+`;
+  const sources = `Types: deb
+URIs: https://example.com/apt/
+Suites: stable
+Components: main
+Signed-By: /usr/share/keyrings/example.pgp
+`;
+
+  for (const content of [PACKAGES, release, sources]) {
+    assert.equal(serializeDeb822(parseDeb822(content)), content);
+  }
+});
+
+test('parseDeb822 skips comments and extra blank lines', () => {
+  const paragraphs = parseDeb822(`# leading comment
+
+Types: deb
+# inside a paragraph
+URIs: https://example.com/apt/   
+
+
+Types: deb-src
+`);
+
+  assert.equal(paragraphs.length, 2);
+  assert.deepEqual(Object.fromEntries(paragraphs[0]), { Types: 'deb', URIs: 'https://example.com/apt/' });
+  assert.deepEqual(Object.fromEntries(paragraphs[1]), { Types: 'deb-src' });
+});
+
+test('getField and setField match field names case-insensitively', () => {
+  const [paragraph] = parseDeb822('package: hello\nVERSION: 1.0\n');
+
+  assert.equal(getField(paragraph, 'Package'), 'hello');
+  assert.equal(getField(paragraph, 'version'), '1.0');
+  assert.equal(getField(paragraph, 'Architecture'), undefined);
+
+  setField(paragraph, 'Version', '2.0');
+  setField(paragraph, 'Architecture', 'amd64');
+  assert.equal(serializeParagraph(paragraph), 'package: hello\nVERSION: 2.0\nArchitecture: amd64\n');
+});
+
+test('parseDeb822 rejects malformed content', () => {
+  assert.throws(() => parseDeb822(' continuation first\n'), /Continuation line without a field at line 1/);
+  assert.throws(() => parseDeb822('Package: a\nnot a field\n'), /Malformed line 2/);
+  assert.throws(() => parseDeb822('Package: a\nPACKAGE: b\n'), /Duplicate field PACKAGE at line 2/);
+});
+
+test('serializeParagraph leaves out unset fields and rejects unrepresentable ones', () => {
+  assert.equal(serializeParagraph(new Map([['Origin', undefined], ['Suite', 'stable']])), 'Suite: stable\n');
+  assert.throws(() => serializeParagraph(new Map([['Description', 'a\n\nb']])), /empty continuation line/);
+  assert.throws(() => serializeParagraph(new Map([['Bad Name', 'x']])), /Invalid field name/);
+});
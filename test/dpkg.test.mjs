@@ -2,7 +2,7 @@ import { test } from 'node:test';
 import assert from 'node:assert/strict';
 import { exec } from 'child_process';
 import { promisify } from 'util';
-import { generatePackagesFile } from '../src/dpkg.mjs';
+import { generatePackagesFile, listDebContents } from '../src/dpkg.mjs';
 import fs from 'fs/promises';
 import path from 'path';
 import { tmpdir } from 'os';
@@ -19,3 +19,33 @@ test('dpkg-scanpackages is available', async () => {
   }
 });
 
+
+test('listDebContents lists installed files without directories', async (t) => {
+  try {
+    await execAsync('which dpkg-deb');
+  } catch {
+    t.skip('dpkg-deb not available');
+    return;
+  }
+
+  const testDir = path.join(tmpdir(), 'test-deb-contents-' + Date.now());
+  const buildDir = path.join(testDir, 'build');
+
+  try {
+    await fs.mkdir(path.join(buildDir, 'DEBIAN'), { recursive: true });
+    await fs.mkdir(path.join(buildDir, 'usr', 'bin'), { recursive: true });
+    await fs.writeFile(path.join(buildDir, 'DEBIAN', 'control'), `Package: hello
+Version: 1.0
+Architecture: amd64
+Maintainer: Someone <someone@example.com>
+Description: test package
+`);
+    await fs.writeFile(path.join(buildDir, 'usr', 'bin', 'hello'), '#!/bin/sh\n');
+    const debPath = path.join(testDir, 'hello_1.0_amd64.deb');
+    await execAsync(`dpkg-deb --root-owner-group -b ${buildDir} ${debPath}`);
+
+    assert.deepEqual(await listDebContents(debPath), ['usr/bin/hello']);
+  } finally {
+    await fs.rm(testDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveForgejoUrls, getLatestRelease, getReleaseByTag, listReleases } from '../src/forgejo.mjs';
+import http from 'http';
+
+/**
+ * Starts a stub Forgejo API answering from a handler, recording each request
+ */
+async function startServer(handler) {
+  const requests = [];
+  const server = http.createServer((request, response) => {
+    requests.push({ url: request.url, authorization: request.headers.authorization });
+    const [status, body, headers = {}] = handler(new URL(request.url, 'http://localhost'));
+    response.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    response.end(JSON.stringify(body));
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return { server, requests, apiUrl: `http://127.0.0.1:${server.address().port}/api/v1` };
+}
+
+test('resolveForgejoUrls puts the API below the web address', () => {
+  assert.deepEqual(resolveForgejoUrls({}, 'https://codeberg.org'), {
+    apiUrl: 'https://codeberg.org/api/v1',
+    serverUrl: 'https://codeberg.org',
+  });
+  assert.deepEqual(resolveForgejoUrls({ serverUrl: 'https://git.example.com/' }, 'https://codeberg.org'), {
+    apiUrl: 'https://git.example.com/api/v1',
+    serverUrl: 'https://git.example.com',
+  });
+});
+
+test('listReleases pages through every release with the token', async () => {
+  const releases = Array.from({ length: 51 }, (_, index) => ({ tag_name: `v1.${51 - index}.0`, assets: [] }));
+  const { server, requests, apiUrl } = await startServer((url) => {
+    const page = Number(url.searchParams.get('page'));
+    const limit = Number(url.searchParams.get('limit'));
+    return [200, releases.slice((page - 1) * limit, page * limit)];
+  });
+
+  try {
+    const result = await listReleases('forge', 'tool', 'secret', apiUrl);
+
+    assert.equal(result.length, 51);
+    assert.equal(result[50].tag_name, 'v1.1.0');
+    assert.deepEqual(requests.map((request) => request.url), [
+      '/api/v1/repos/forge/tool/releases?limit=50&page=1',
+      '/api/v1/repos/forge/tool/releases?limit=50&page=2',
+      '/api/v1/repos/forge/tool/releases?limit=50&page=3',
+    ]);
+    assert(requests.every((request) => request.authorization === 'token secret'));
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+});
+
+test('listReleases keeps paging when the server returns fewer releases than asked for', async () => {
+  const releases = Array.from({ length: 65 }, (_, index) => ({ tag_name: `v1.${65 - index}.0`, assets: [] }));
+  // Like a server with MAX_RESPONSE_ITEMS = 30, which caps limit=50
+  const { server, requests, apiUrl } = await startServer((url) => {
+    const page = Number(url.searchParams.get('page'));
+    return [200, releases.slice((page - 1) * 30, page * 30), { 'X-Total-Count': String(releases.length) }];
+  });
+
+  try {
+    const result = await listReleases('forge', 'tool', undefined, apiUrl);
+
+    assert.equal(result.length, 65);
+    assert.equal(result[64].tag_name, 'v1.1.0');
+    assert.equal(requests.length, 3, 'X-Total-Count ends paging without asking for an empty page');
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+});
+
+test('getReleaseByTag and getLatestRelease fetch one release, naming what is missing', async () => {
+  const { server, requests, apiUrl } = await startServer((url) =>
+    (url.pathname.endsWith('/releases/tags/v1.0.0') || url.pathname.endsWith('/releases/latest')
+      ? [200, { tag_name: 'v1.0.0', assets: [] }]
+      : [404, { message: 'Not Found' }])
+  );
+
+  try {
+    assert.equal((await getReleaseByTag('forge', 'tool', 'v1.0.0', undefined, apiUrl)).tag_name, 'v1.0.0');
+    assert.equal((await getLatestRelease('forge', 'tool', undefined, apiUrl)).tag_name, 'v1.0.0');
+    assert.equal(requests[0].authorization, undefined);
+    await assert.rejects(getReleaseByTag('forge', 'tool', 'v9.9.9', undefined, apiUrl), {
+      message: 'No release found for tag v9.9.9 in forge/tool',
+    });
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+});
+
+test('listReleases reports a rejected token', async () => {
+  const { server, apiUrl } = await startServer(() => [401, { message: 'Unauthorized' }]);
+
+  try {
+    await assert.rejects(listReleases('forge', 'tool', 'wrong', apiUrl), /Authentication failed/);
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+});
@@ -1,6 +1,8 @@
 import { test, mock } from 'node:test';
 import assert from 'node:assert/strict';
-import { filterDebAssets, downloadDebAssets, extractAssetSHA256, categorizeAssetsByChecksum } from '../src/github.mjs';
+import { filterDebAssets, downloadDebAssets, downloadFile, extractAssetSHA256, categorizeAssetsByChecksum, inspectDownload, selectReleasesSince, getReleaseChannel, selectDebAssets, compileAssetPattern, resolveGitHubUrls } from '../src/github.mjs';
+import http from 'http';
+import crypto from 'node:crypto';
 import fs from 'fs/promises';
 import path from 'path';
 import { tmpdir } from 'os';
@@ -39,6 +41,73 @@ test('filterDebAssets returns empty array when no .deb assets', () => {
   assert.equal(debAssets.length, 0, 'Should return empty array when no .deb assets');
 });
 
+test('selectDebAssets applies include and exclude patterns and reports why', () => {
+  const mockRelease = {
+    tag_name: 'v1.0.0',
+    assets: [
+      { name: 'foo_1.0.0_amd64.deb' },
+      { name: 'foo-dbgsym_1.0.0_amd64.deb' },
+      { name: 'foo_1.0.0_ubuntu22.04_amd64.deb' },
+      { name: 'checksums.txt' },
+    ],
+  };
+
+  const { selected, skipped } = selectDebAssets(mockRelease, {
+    include: ['foo*'],
+    exclude: ['*-dbgsym_*', '/_ubuntu\\d+\\.\\d+_/'],
+  });
+
+  assert.deepEqual(selected.map((asset) => asset.name), ['foo_1.0.0_amd64.deb']);
+  assert.deepEqual(skipped.map(({ asset, reason }) => [asset.name, reason]), [
+    ['foo-dbgsym_1.0.0_amd64.deb', 'matches --exclude *-dbgsym_*'],
+    ['foo_1.0.0_ubuntu22.04_amd64.deb', 'matches --exclude /_ubuntu\\d+\\.\\d+_/'],
+  ]);
+});
+
+test('selectDebAssets reports assets not matching any include pattern', () => {
+  const mockRelease = {
+    tag_name: 'v1.0.0',
+    assets: [{ name: 'foo_1.0.0_amd64.deb' }, { name: 'test-fixture.deb' }],
+  };
+
+  const { selected, skipped } = selectDebAssets(mockRelease, { include: ['foo_*'] });
+  assert.equal(selected.length, 1);
+  assert.equal(skipped[0].asset.name, 'test-fixture.deb');
+  assert.match(skipped[0].reason, /does not match any --include pattern/);
+});
+
+test('compileAssetPattern treats globs literally apart from wildcards', () => {
+  assert(compileAssetPattern('foo_?.deb').test('foo_1.deb'));
+  assert(!compileAssetPattern('foo.deb').test('fooXdeb'));
+  assert(compileAssetPattern('/DEBUG/i').test('foo-debug.deb'));
+});
+
+test('selectReleasesSince returns releases down to and including the given tag', () => {
+  const releases = [
+    { tag_name: 'v1.2.0' },
+    { tag_name: 'v1.1.0' },
+    { tag_name: 'v1.0.0' },
+    { tag_name: 'v0.9.0' },
+  ];
+
+  const selected = selectReleasesSince(releases, 'v1.1.0');
+  assert.deepEqual(selected.map((release) => release.tag_name), ['v1.2.0', 'v1.1.0']);
+});
+
+test('selectReleasesSince throws when the tag is not found', () => {
+  const releases = [{ tag_name: 'v1.0.0' }];
+
+  assert.throws(
+    () => selectReleasesSince(releases, 'v2.0.0'),
+    { message: /No release found for tag v2.0.0/ }
+  );
+});
+
+test('getReleaseChannel distinguishes prereleases', () => {
+  assert.equal(getReleaseChannel({ prerelease: false }), 'stable');
+  assert.equal(getReleaseChannel({ prerelease: true }), 'prerelease');
+});
+
 test('extractAssetSHA256 extracts checksum from digest', () => {
   const asset = {
     digest: 'sha256:10ee826b440b68c3e19f004d330116a9173e2f96052afa3a98e67f6af948c676',
@@ -213,3 +282,231 @@ SHA256: 10ee826b440b68c3e19f004d330116a9173e2f96052afa3a98e67f6af948c676
     } catch {}
   }
 });
+
+test('resolveGitHubUrls derives the API and web addresses from each other', () => {
+  assert.deepEqual(resolveGitHubUrls({}, {}), { apiUrl: 'https://api.github.com', serverUrl: 'https://github.com' });
+  assert.deepEqual(resolveGitHubUrls({ serverUrl: 'https://github.example.com/' }, {}), {
+    apiUrl: 'https://github.example.com/api/v3',
+    serverUrl: 'https://github.example.com',
+  });
+  assert.deepEqual(resolveGitHubUrls({ apiUrl: 'https://github.example.com/api/v3' }, {}), {
+    apiUrl: 'https://github.example.com/api/v3',
+    serverUrl: 'https://github.example.com',
+  });
+  assert.deepEqual(resolveGitHubUrls({ apiUrl: 'https://api.github.example.com' }, {}), {
+    apiUrl: 'https://api.github.example.com',
+    serverUrl: 'https://api.github.example.com',
+  });
+  assert.throws(() => resolveGitHubUrls({ serverUrl: 'github.example.com' }, {}), /Invalid GitHub server URL github\.example\.com/);
+});
+
+test('resolveGitHubUrls falls back to the environment GitHub Actions sets', () => {
+  const env = { GITHUB_API_URL: 'https://ghe.example.com/api/v3', GITHUB_SERVER_URL: 'https://ghe.example.com' };
+  assert.deepEqual(resolveGitHubUrls({}, env), { apiUrl: 'https://ghe.example.com/api/v3', serverUrl: 'https://ghe.example.com' });
+  assert.deepEqual(resolveGitHubUrls({ serverUrl: 'https://github.com' }, env), { apiUrl: 'https://api.github.com', serverUrl: 'https://github.com' });
+});
+
+test('downloadDebAssets falls back to the API asset endpoint when the download needs authentication', async () => {
+  const release = {
+    tag_name: 'v1.0.0',
+    assets: [{
+      name: 'tool_1.0.0_amd64.deb',
+      url: 'https://github.example.com/api/v3/repos/team/tool/releases/assets/7',
+      browser_download_url: 'https://github.example.com/team/tool/releases/download/v1.0.0/tool_1.0.0_amd64.deb',
+    }],
+  };
+  const outputDir = path.join(tmpdir(), 'test-download-enterprise-' + Date.now());
+  const download = mock.fn(async (url, filePath) => {
+    if (url === release.assets[0].browser_download_url) {
+      throw Object.assign(new Error('Failed to download: 404 Not Found'), { status: 404 });
+    }
+    await fs.writeFile(filePath, 'package');
+  });
+
+  try {
+    await downloadDebAssets(release, 'team', 'tool', outputDir, 'secret', download);
+
+    assert.deepEqual(download.mock.calls.map((call) => call.arguments.slice(2)), [
+      ['secret'],
+      ['secret', { Accept: 'application/octet-stream' }],
+    ]);
+    assert.equal(download.mock.calls[1].arguments[0], release.assets[0].url);
+
+    const withoutApiUrl = { ...release, assets: [{ ...release.assets[0], url: undefined }] };
+    await assert.rejects(downloadDebAssets(withoutApiUrl, 'team', 'tool', outputDir, 'secret', download), /Failed to download tool_1\.0\.0_amd64\.deb: Failed to download: 404/);
+  } finally {
+    await fs.rm(outputDir, { recursive: true, force: true });
+  }
+});
+
+test('downloadDebAssets aborts and removes a download that does not match its digest', async () => {
+  const release = {
+    tag_name: 'v1.0.0',
+    assets: [{
+      name: 'tool_1.0.0_amd64.deb',
+      browser_download_url: 'https://github.com/team/tool/releases/download/v1.0.0/tool_1.0.0_amd64.deb',
+      // SHA256 of "package"
+      digest: 'sha256:bc4a71180870f7945155fbb02f4b0a2e3faa2a62d6d31b7039013055ed19869a',
+    }],
+  };
+  const outputDir = path.join(tmpdir(), 'test-download-digest-' + Date.now());
+  const download = mock.fn(async (url, filePath) => fs.writeFile(filePath, 'tampered'));
+
+  try {
+    await assert.rejects(
+      downloadDebAssets(release, 'team', 'tool', outputDir, undefined, download),
+      /Checksum mismatch for tool_1\.0\.0_amd64\.deb: downloaded file has SHA256 [0-9a-f]{64}, GitHub digest says bc4a7118/
+    );
+    await assert.rejects(fs.stat(path.join(outputDir, 'pool', 'team', 'tool', 'v1.0.0', 'tool_1.0.0_amd64.deb')), { code: 'ENOENT' });
+  } finally {
+    await fs.rm(outputDir, { recursive: true, force: true });
+  }
+});
+
+test('downloadDebAssets checks assets without a digest against the release checksums.txt', async () => {
+  const asset = (name) => ({ name, browser_download_url: `https://github.com/team/tool/releases/download/v1.0.0/${name}` });
+  const release = {
+    tag_name: 'v1.0.0',
+    assets: [asset('tool_1.0.0_amd64.deb'), asset('tool_1.0.0_arm64.deb'), asset('tool_1.0.0_checksums.txt')],
+  };
+  const sha256 = (text) => crypto.createHash('sha256').update(text).digest('hex');
+  const fetchAsset = mock.fn(async () => Buffer.from(
+    `${sha256('amd64 package')}  tool_1.0.0_amd64.deb\n${sha256('arm64 package')}  tool_1.0.0_arm64.deb\n`
+  ));
+  const outputDir = path.join(tmpdir(), 'test-download-checksums-' + Date.now());
+
+  try {
+    const files = await downloadDebAssets(release, 'team', 'tool', outputDir, undefined, async (url, filePath) => {
+      await fs.writeFile(filePath, `${path.basename(filePath).split('_')[2].replace('.deb', '')} package`);
+    }, { fetchAsset });
+    assert.equal(files.length, 2);
+    assert.deepEqual(fetchAsset.mock.calls.map((call) => call.arguments[0].name), ['tool_1.0.0_checksums.txt']);
+
+    await fs.rm(outputDir, { recursive: true, force: true });
+    await assert.rejects(
+      downloadDebAssets(release, 'team', 'tool', outputDir, undefined, async (url, filePath) => fs.writeFile(filePath, 'truncated'), { fetchAsset }),
+      /Checksum mismatch for tool_1\.0\.0_amd64\.deb: .* tool_1\.0\.0_checksums\.txt says/
+    );
+    await assert.rejects(
+      downloadDebAssets(release, 'team', 'tool', outputDir, undefined, async () => {}, { fetchAsset, checksumsKey: 'key.asc' }),
+      /tool_1\.0\.0_checksums\.txt has no signature to check/
+    );
+  } finally {
+    await fs.rm(outputDir, { recursive: true, force: true });
+  }
+});
+
+test('downloadDebAssets refuses assets the checksums leave out once verification is on', async () => {
+  const asset = (name) => ({ name, browser_download_url: `https://github.com/team/tool/releases/download/v1.0.0/${name}` });
+  const download = mock.fn(async (url, filePath) => fs.writeFile(filePath, 'package'));
+  const outputDir = path.join(tmpdir(), 'test-download-unverified-' + Date.now());
+
+  try {
+    const listed = { tag_name: 'v1.0.0', assets: [asset('tool_1.0.0_amd64.deb'), asset('tool_1.0.0_arm64.deb'), asset('SHA256SUMS')] };
+    const fetchAsset = async () => Buffer.from(`${'a'.repeat(64)}  tool_1.0.0_amd64.deb\n`);
+    await assert.rejects(
+      downloadDebAssets(listed, 'team', 'tool', outputDir, undefined, download, { fetchAsset }),
+      { message: 'No digest or SHA256SUMS entry to verify tool_1.0.0_arm64.deb against' }
+    );
+
+    const unlisted = { tag_name: 'v1.0.0', assets: [asset('tool_1.0.0_amd64.deb')] };
+    await assert.rejects(
+      downloadDebAssets(unlisted, 'team', 'tool', outputDir, undefined, download, { checksumsKey: 'key.asc' }),
+      { message: 'No digest or checksum file entry to verify tool_1.0.0_amd64.deb against' }
+    );
+    assert.equal(download.mock.callCount(), 0);
+
+    const files = await downloadDebAssets(unlisted, 'team', 'tool', outputDir, undefined, download);
+    assert.equal(files.length, 1, 'without a checksum file or key, the asset is imported unverified');
+  } finally {
+    await fs.rm(outputDir, { recursive: true, force: true });
+  }
+});
+
+test('downloadFile treats a sign-in page as a download needing authentication', async () => {
+  const server = http.createServer((request, response) => {
+    response.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    response.end('<html>Sign in</html>');
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const filePath = path.join(tmpdir(), 'test-download-html-' + Date.now() + '.deb');
+
+  try {
+    await assert.rejects(
+      downloadFile(`http://127.0.0.1:${server.address().port}/tool.deb`, filePath),
+      (error) => error.status === 401 && /needs authentication/.test(error.message)
+    );
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+    await fs.rm(filePath, { force: true });
+  }
+});
+
+test('downloadFile resumes an interrupted download and renames it into place', async () => {
+  const deb = await fs.readFile(new URL('./fixtures/deb/hello_1.0-1_amd64.gzip.deb', import.meta.url));
+  const ranges = [];
+  const server = http.createServer((request, response) => {
+    ranges.push(request.headers.range ?? null);
+    if (ranges.length === 1) {
+      response.writeHead(502, { 'Content-Type': 'text/plain' });
+      response.end('Bad gateway');
+    } else if (ranges.length === 2) {
+      // Send half the package, then drop the connection
+      response.writeHead(200, { 'Content-Type': 'application/octet-stream', 'Content-Length': deb.length });
+      response.write(deb.subarray(0, 500), () => setTimeout(() => response.destroy(), 100));
+    } else {
+      const start = Number(request.headers.range?.match(/^bytes=(\d+)-$/)?.[1] ?? 0);
+      response.writeHead(206, {
+        'Content-Type': 'application/octet-stream',
+        'Content-Length': deb.length - start,
+        'Content-Range': `bytes ${start}-${deb.length - 1}/${deb.length}`,
+      });
+      response.end(deb.subarray(start));
+    }
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const outputDir = path.join(tmpdir(), 'test-download-resume-' + Date.now());
+  const filePath = path.join(outputDir, 'hello.deb');
+
+  try {
+    await fs.mkdir(outputDir, { recursive: true });
+    const result = await downloadFile(`http://127.0.0.1:${server.address().port}/hello.deb`, filePath, undefined, {}, { sleep: async () => {} });
+
+    assert.deepEqual(ranges, [null, null, 'bytes=500-']);
+    assert.deepEqual(await fs.readFile(filePath), deb);
+    assert.equal(result.size, deb.length);
+    assert.match(result.control, /^Package: hello$/m);
+    assert.deepEqual(await fs.readdir(outputDir), ['hello.deb']);
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+    await fs.rm(outputDir, { recursive: true, force: true });
+  }
+});
+
+test('inspectDownload reads a package as it streams past, starting over after a broken transfer', async () => {
+  const deb = await fs.readFile(new URL('./fixtures/deb/hello_1.0-1_amd64.gzip.deb', import.meta.url));
+  const ranges = [];
+  const server = http.createServer((request, response) => {
+    ranges.push(request.headers.range ?? null);
+    response.writeHead(200, { 'Content-Type': 'application/octet-stream', 'Content-Length': deb.length });
+    if (ranges.length === 1) {
+      response.write(deb.subarray(0, 500), () => setTimeout(() => response.destroy(), 100));
+    } else {
+      response.end(deb);
+    }
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const outputDir = path.join(tmpdir(), 'test-inspect-download-' + Date.now());
+
+  try {
+    const result = await inspectDownload(`http://127.0.0.1:${server.address().port}/hello.deb`, path.join(outputDir, 'hello.deb'), undefined, {}, { sleep: async () => {} });
+
+    assert.deepEqual(ranges, [null, null]);
+    assert.equal(result.size, deb.length);
+    assert.equal(result.sha256, crypto.createHash('sha256').update(deb).digest('hex'));
+    assert.match(result.control, /^Package: hello$/m);
+    await assert.rejects(fs.stat(outputDir), { code: 'ENOENT' });
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+});
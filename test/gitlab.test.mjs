@@ -0,0 +1,118 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveGitLabUrls, normalizeRelease, getLatestRelease, listReleases, downloadUrl } from '../src/gitlab.mjs';
+import http from 'http';
+
+/**
+ * Starts a stub GitLab API answering from a handler, recording each request
+ */
+async function startServer(handler) {
+  const requests = [];
+  const server = http.createServer((request, response) => {
+    requests.push({ url: request.url, authorization: request.headers.authorization });
+    const [status, body, headers = {}] = handler(new URL(request.url, 'http://localhost'));
+    response.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    response.end(JSON.stringify(body));
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return { server, requests, apiUrl: `http://127.0.0.1:${server.address().port}/api/v4` };
+}
+
+/**
+ * Makes a GitLab release with links to the given files, given filepaths unless unlisted
+ */
+function gitlabRelease(tag, names, options = {}) {
+  return {
+    tag_name: tag,
+    name: `Release ${tag}`,
+    created_at: '2024-01-01T00:00:00Z',
+    released_at: '2024-01-02T00:00:00Z',
+    upcoming_release: options.upcoming ?? false,
+    assets: {
+      links: names.map((name) => ({
+        name,
+        url: `https://gitlab.com/group/app/-/package_files/1/download`,
+        direct_asset_url: options.withoutFilepath?.includes(name)
+          ? `https://gitlab.com/group/app/-/package_files/1/download`
+          : `https://gitlab.com/group/app/-/releases/${tag}/downloads/${name}`,
+      })),
+    },
+  };
+}
+
+test('resolveGitLabUrls puts the API below the web address', () => {
+  assert.deepEqual(resolveGitLabUrls({ serverUrl: 'https://gitlab.example.com' }, 'https://gitlab.com'), {
+    apiUrl: 'https://gitlab.example.com/api/v4',
+    serverUrl: 'https://gitlab.example.com',
+  });
+});
+
+test('normalizeRelease keeps the links served at the release permalink', () => {
+  const release = normalizeRelease(gitlabRelease('v2.0.0', ['app_2.0.0_amd64.deb', 'app_2.0.0_arm64.deb'], {
+    upcoming: true,
+    withoutFilepath: ['app_2.0.0_arm64.deb'],
+  }));
+
+  assert.deepEqual(release, {
+    tag_name: 'v2.0.0',
+    name: 'Release v2.0.0',
+    prerelease: true,
+    draft: false,
+    published_at: '2024-01-02T00:00:00Z',
+    assets: [{
+      name: 'app_2.0.0_amd64.deb',
+      browser_download_url: 'https://gitlab.com/group/app/-/releases/v2.0.0/downloads/app_2.0.0_amd64.deb',
+    }],
+  });
+});
+
+test('downloadUrl matches the permalink of a release link', () => {
+  assert.equal(
+    downloadUrl('https://gitlab.com', 'group', 'app', 'v2.0.0', 'app_2.0.0+1_amd64.deb'),
+    'https://gitlab.com/group/app/-/releases/v2.0.0/downloads/app_2.0.0%2B1_amd64.deb'
+  );
+  assert.equal(
+    downloadUrl('https://gitlab.com', 'group/subgroup', 'app', 'v2.0.0', 'app_amd64.deb'),
+    'https://gitlab.com/group/subgroup/app/-/releases/v2.0.0/downloads/app_amd64.deb'
+  );
+});
+
+test('listReleases follows the next page header with a bearer token', async () => {
+  const { server, requests, apiUrl } = await startServer((url) => {
+    const page = Number(url.searchParams.get('page'));
+    const releases = Array.from({ length: page === 1 ? 100 : 1 }, (_, index) => gitlabRelease(`v${page}.${index}`, []));
+    return [200, releases, page === 1 ? { 'X-Next-Page': '2' } : {}];
+  });
+
+  try {
+    const releases = await listReleases('group', 'app', 'secret', apiUrl);
+
+    assert.equal(releases.length, 101);
+    assert.equal(releases[100].tag_name, 'v2.0');
+    assert.deepEqual(requests.map((request) => request.url), [
+      '/api/v4/projects/group%2Fapp/releases?per_page=100&page=1',
+      '/api/v4/projects/group%2Fapp/releases?per_page=100&page=2',
+    ]);
+    assert(requests.every((request) => request.authorization === 'Bearer secret'));
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+});
+
+test('getLatestRelease reads the latest permalink and names a missing project', async () => {
+  const { server, apiUrl } = await startServer((url) =>
+    (['/api/v4/projects/group%2Fapp/releases/permalink/latest', '/api/v4/projects/group%2Fsubgroup%2Fapp/releases/permalink/latest'].includes(url.pathname)
+      ? [200, gitlabRelease('v2.0.0', ['app_2.0.0_amd64.deb'])]
+      : [404, { message: '404 Project Not Found' }])
+  );
+
+  try {
+    const release = await getLatestRelease('group', 'app', undefined, apiUrl);
+    assert.equal(release.tag_name, 'v2.0.0');
+    assert.equal(release.assets[0].name, 'app_2.0.0_amd64.deb');
+    assert.equal((await getLatestRelease('group/subgroup', 'app', undefined, apiUrl)).tag_name, 'v2.0.0');
+    await assert.rejects(getLatestRelease('group', 'gone', undefined, apiUrl), { message: 'No releases found for group/gone' });
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+});
@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { withRetries, retryDelay, mapConcurrently, formatBytes } from '../src/network.mjs';
+
+/**
+ * Makes an error like a failed HTTP response
+ */
+function httpError(status, headers = {}) {
+  return Object.assign(new Error(`HTTP ${status}`), { status, headers });
+}
+
+test('withRetries retries server errors with growing waits, then gives up', async () => {
+  const waits = [];
+  let attempts = 0;
+
+  const result = await withRetries(async () => {
+    if (++attempts < 3) {
+      throw httpError(502);
+    }
+    return 'ok';
+  }, { sleep: async (ms) => waits.push(ms) });
+
+  assert.equal(result, 'ok');
+  assert.equal(waits.length, 2);
+  assert(waits[0] >= 1000 && waits[0] <= 1250);
+  assert(waits[1] >= 2000 && waits[1] <= 2500);
+
+  attempts = 0;
+  await assert.rejects(
+    withRetries(async () => {
+      attempts++;
+      throw httpError(503);
+    }, { retries: 2, sleep: async () => {} }),
+    /HTTP 503/
+  );
+  assert.equal(attempts, 3);
+});
+
+test('withRetries does not retry client errors or local failures', async () => {
+  for (const error of [httpError(404), httpError(401), Object.assign(new Error('disk full'), { code: 'ENOSPC' })]) {
+    let attempts = 0;
+    await assert.rejects(withRetries(async () => {
+      attempts++;
+      throw error;
+    }, { sleep: async () => assert.fail('should not wait') }), error);
+    assert.equal(attempts, 1);
+  }
+});
+
+test('retryDelay waits out rate limits', () => {
+  const now = Date.parse('2026-01-01T00:00:00Z');
+
+  assert.equal(retryDelay(httpError(429, { 'retry-after': '7' }), 1, now), 7000);
+  assert.equal(retryDelay(httpError(403, { 'retry-after': 'Thu, 01 Jan 2026 00:00:30 GMT' }), 1, now), 30000);
+  assert.equal(retryDelay(httpError(403, { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': String(now / 1000 + 60) }), 1, now), 61000);
+  assert.equal(retryDelay({ status: 403, response: { headers: { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': String(now / 1000 + 5) } } }, 1, now), 6000);
+  // A rate limit that resets hours from now fails instead of hanging the import
+  assert.equal(retryDelay(httpError(403, { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': String(now / 1000 + 7200) }), 1, now), null);
+  // Forbidden without rate limit headers is a permissions problem
+  assert.equal(retryDelay(httpError(403), 1, now), null);
+  assert.equal(retryDelay(httpError(503, { 'retry-after': '2' }), 1, now), 2000);
+  assert(retryDelay(new TypeError('fetch failed'), 1, now) >= 1000);
+});
+
+test('mapConcurrently keeps order and never runs more than the limit at once', async () => {
+  let running = 0;
+  let mostRunning = 0;
+
+  const results = await mapConcurrently([30, 10, 20, 5, 15], 2, async (ms, index) => {
+    running++;
+    mostRunning = Math.max(mostRunning, running);
+    await new Promise((resolve) => setTimeout(resolve, ms));
+    running--;
+    return index;
+  });
+
+  assert.deepEqual(results, [0, 1, 2, 3, 4]);
+  assert.equal(mostRunning, 2);
+});
+
+test('mapConcurrently stops starting work after a failure', async () => {
+  const started = [];
+
+  await assert.rejects(mapConcurrently(['a', 'b', 'c', 'd'], 1, async (item) => {
+    started.push(item);
+    if (item === 'b') {
+      throw new Error(`failed ${item}`);
+    }
+  }), /failed b/);
+
+  assert.deepEqual(started, ['a', 'b']);
+  assert.deepEqual(await mapConcurrently([], 4, async () => assert.fail('nothing to do')), []);
+});
+
+test('formatBytes uses decimal units', () => {
+  assert.equal(formatBytes(999), '999 B');
+  assert.equal(formatBytes(12345678), '12.3 MB');
+});
@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PROVIDERS, getProvider, resolveSource, resolveToken, resolvePoolToken, getReleases } from '../src/providers.mjs';
+
+test('resolveSource picks the provider and addresses of a known host', () => {
+  const { provider, apiUrl, serverUrl } = resolveSource({ host: 'codeberg.org', owner: 'forge', repo: 'tool' }, {}, {});
+  assert.equal(provider, PROVIDERS.forgejo);
+  assert.equal(apiUrl, 'https://codeberg.org/api/v1');
+  assert.equal(serverUrl, 'https://codeberg.org');
+
+  const gitlab = resolveSource({ host: 'gitlab.com', owner: 'group', repo: 'app' }, {}, {});
+  assert.equal(gitlab.provider.name, 'gitlab');
+  assert.equal(gitlab.apiUrl, 'https://gitlab.com/api/v4');
+});
+
+test('resolveSource defaults to GitHub and reads --provider for self-hosted instances', () => {
+  const github = resolveSource({ owner: 'foo', repo: 'bar' }, {}, {});
+  assert.equal(github.provider.name, 'github');
+  assert.equal(github.serverUrl, 'https://github.com');
+
+  const gitea = resolveSource({ host: 'git.example.com', owner: 'team', repo: 'tool' }, { provider: 'gitea' }, {});
+  assert.equal(gitea.provider.name, 'gitea');
+  assert.equal(gitea.apiUrl, 'https://git.example.com/api/v1');
+
+  const forgejo = resolveSource({ owner: 'team', repo: 'tool' }, { provider: 'forgejo', serverUrl: 'https://forge.example.com' }, {});
+  assert.equal(forgejo.apiUrl, 'https://forge.example.com/api/v1');
+});
+
+test('resolveSource rejects unknown hosts and a host given twice', () => {
+  assert.throws(
+    () => resolveSource({ host: 'git.example.com', owner: 'team', repo: 'tool' }, {}, {}),
+    /Unknown host git\.example\.com\. Pass --provider/
+  );
+  assert.throws(
+    () => resolveSource({ host: 'codeberg.org', owner: 'forge', repo: 'tool' }, { serverUrl: 'https://codeberg.org' }, {}),
+    /already names the host/
+  );
+  assert.throws(() => getProvider('bitbucket'), /Unsupported provider bitbucket/);
+});
+
+test('resolveSource only accepts subgroups for GitLab', () => {
+  const gitlab = resolveSource({ host: 'gitlab.com', owner: 'group/subgroup', repo: 'app' }, {}, {});
+  assert.equal(gitlab.provider.name, 'gitlab');
+  assert.equal(resolveSource({ owner: 'group/subgroup', repo: 'app' }, { provider: 'gitlab' }, {}).provider.name, 'gitlab');
+
+  assert.throws(
+    () => resolveSource({ owner: 'foo/bar', repo: 'baz' }, {}, {}),
+    /foo\/bar\/baz has subgroups, which only GitLab has\. Use owner\/repo for GitHub/
+  );
+  assert.throws(() => resolveSource({ host: 'codeberg.org', owner: 'forge/sub', repo: 'tool' }, {}, {}), /only GitLab has\. Use owner\/repo for Forgejo/);
+});
+
+test('resolveToken reads the provider environment variable, and pools only send the given token to GitHub', () => {
+  const env = { GITHUB_TOKEN: 'gh', GITLAB_TOKEN: 'gl' };
+  assert.equal(resolveToken(PROVIDERS.gitlab, undefined, env), 'gl');
+  assert.equal(resolveToken(PROVIDERS.gitlab, 'given', env), 'given');
+  assert.equal(resolveToken(PROVIDERS.forgejo, undefined, env), undefined);
+
+  assert.equal(resolvePoolToken(PROVIDERS.github, 'given', env), 'given');
+  assert.equal(resolvePoolToken(PROVIDERS.gitlab, 'given', env), 'gl');
+});
+
+test('getReleases asks the provider and leaves out drafts and prereleases', async () => {
+  const calls = [];
+  const provider = {
+    getReleaseByTag: async (owner, repo, tag, token, apiUrl) => {
+      calls.push(['tag', owner, repo, tag, token, apiUrl]);
+      return { tag_name: tag };
+    },
+    getLatestRelease: async () => ({ tag_name: 'v3.0.0' }),
+    listReleases: async () => [
+      { tag_name: 'v3.0.0-rc1', prerelease: true },
+      { tag_name: 'v2.0.0', draft: true },
+      { tag_name: 'v1.1.0' },
+      { tag_name: 'v1.0.0' },
+    ],
+  };
+
+  assert.deepEqual(await getReleases(provider, 'o', 'r', { tag: 'v1.0.0' }, 'secret', 'https://api'), [{ tag_name: 'v1.0.0' }]);
+  assert.deepEqual(calls, [['tag', 'o', 'r', 'v1.0.0', 'secret', 'https://api']]);
+  assert.deepEqual(await getReleases(provider, 'o', 'r', {}), [{ tag_name: 'v3.0.0' }]);
+  assert.deepEqual((await getReleases(provider, 'o', 'r', { all: true })).map((release) => release.tag_name), ['v1.0.0', 'v1.1.0']);
+  assert.deepEqual((await getReleases(provider, 'o', 'r', { prerelease: true })).map((release) => release.tag_name), ['v3.0.0-rc1']);
+});
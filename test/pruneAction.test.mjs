@@ -0,0 +1,153 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { pruneAction, selectPrunableReleases, parsePositiveInteger } from '../src/pruneAction.mjs';
+import fs from 'fs/promises';
+import path from 'path';
+import { tmpdir } from 'os';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = Date.parse('2025-06-01T00:00:00Z');
+
+/**
+ * Builds a pool release as selectPrunableReleases expects it
+ */
+function release(tag, version, daysAgo, extra = {}) {
+  return {
+    debDir: `/repo/pool/foo/bar/${tag}`,
+    owner: 'foo',
+    repo: 'bar',
+    tag,
+    suites: ['stable'],
+    publishedAt: NOW - daysAgo * DAY_MS,
+    packages: [{ Package: 'bar', Version: version }],
+    ...extra,
+  };
+}
+
+/**
+ * Writes a release directory with a Packages file and release.json
+ */
+async function writeRelease(outputDir, tag, version, publishedAt) {
+  const debDir = path.join(outputDir, 'pool', 'foo', 'bar', tag);
+  await fs.mkdir(debDir, { recursive: true });
+  await fs.writeFile(
+    path.join(debDir, 'Packages'),
+    `Package: bar\nVersion: ${version}\nArchitecture: amd64\nFilename: pool/foo/bar/${tag}/bar_${version}_amd64.deb\n`
+  );
+  await fs.writeFile(
+    path.join(debDir, 'release.json'),
+    JSON.stringify({ owner: 'foo', repo: 'bar', tag, channel: 'stable', publishedAt })
+  );
+  return debDir;
+}
+
+test('selectPrunableReleases keeps the newest versions by Debian version order', () => {
+  const releases = [
+    release('v1.10', '1.10', 30),
+    release('v1.9', '1.9', 40),
+    release('v1.10-rc1', '1.10~rc1', 35),
+    release('v1.2', '1.2', 50),
+  ];
+
+  const prunable = selectPrunableReleases(releases, { keepLast: 2 }, NOW);
+
+  assert.deepEqual(prunable.map((entry) => entry.tag), ['v1.9', 'v1.2']);
+  assert.deepEqual(prunable[0].reasons, ['not among the last 2 version(s)']);
+});
+
+test('selectPrunableReleases counts versions per suite and package', () => {
+  const releases = [
+    release('v2', '2.0', 10),
+    release('v1', '1.0', 20),
+    release('v1-beta', '1.0~beta', 30, { suites: ['testing'] }),
+    release('tool-v1', '0.1', 40, { packages: [{ Package: 'tool', Version: '0.1' }] }),
+  ];
+
+  const prunable = selectPrunableReleases(releases, { keepLast: 1 }, NOW);
+
+  assert.deepEqual(prunable.map((entry) => entry.tag), ['v1']);
+});
+
+test('selectPrunableReleases keeps a release that any keep policy keeps', () => {
+  const releases = [
+    release('v3', '3.0', 100),
+    release('v2', '2.0', 5),
+    release('v1', '1.0', 200),
+  ];
+
+  const prunable = selectPrunableReleases(releases, { keepLast: 1, keepDays: 30 }, NOW);
+
+  assert.deepEqual(prunable.map((entry) => entry.tag), ['v1']);
+  assert.deepEqual(prunable[0].reasons, ['not among the last 1 version(s) and older than 30 day(s)']);
+});
+
+test('selectPrunableReleases drops missing tags regardless of keep policies', () => {
+  const releases = [
+    release('v2', '2.0', 1, { missing: true }),
+    release('v1', '1.0', 2, { missing: false }),
+  ];
+
+  assert.deepEqual(selectPrunableReleases(releases, { keepDays: 30 }, NOW), []);
+
+  const prunable = selectPrunableReleases(releases, { keepDays: 30, dropMissing: true }, NOW);
+  assert.deepEqual(prunable.map((entry) => entry.tag), ['v2']);
+  assert.deepEqual(prunable[0].reasons, ['tag v2 no longer released on GitHub']);
+});
+
+test('parsePositiveInteger rejects zero, negative and fractional values', () => {
+  assert.equal(parsePositiveInteger('3'), 3);
+  assert.throws(() => parsePositiveInteger('0'), /positive whole number/);
+  assert.throws(() => parsePositiveInteger('-1'), /positive whole number/);
+  assert.throws(() => parsePositiveInteger('1.5'), /positive whole number/);
+  assert.throws(() => parsePositiveInteger('many'), /positive whole number/);
+});
+
+test('pruneAction lists releases in a dry run without removing them', async () => {
+  const outputDir = path.join(tmpdir(), 'test-prune-dry-run-' + Date.now());
+
+  try {
+    const newDir = await writeRelease(outputDir, 'v2.0.0', '2.0.0', '2025-05-01T00:00:00Z');
+    const oldDir = await writeRelease(outputDir, 'v1.0.0', '1.0.0', '2024-01-01T00:00:00Z');
+
+    const removed = await pruneAction({ output: outputDir, keepLast: 1, dryRun: true });
+
+    assert.deepEqual(removed, [oldDir]);
+    await fs.access(newDir);
+    await fs.access(oldDir);
+  } finally {
+    await fs.rm(outputDir, { recursive: true, force: true });
+  }
+});
+
+test('pruneAction removes pruned releases and the directories they leave empty', async () => {
+  const outputDir = path.join(tmpdir(), 'test-prune-' + Date.now());
+
+  try {
+    const newDir = await writeRelease(outputDir, 'v2.0.0', '2.0.0', '2025-05-01T00:00:00Z');
+    const oldDir = await writeRelease(outputDir, 'v1.0.0', '1.0.0', '2024-01-01T00:00:00Z');
+    const otherDir = path.join(outputDir, 'pool', 'baz', 'qux', 'v0.1.0');
+    await fs.mkdir(otherDir, { recursive: true });
+    await fs.writeFile(path.join(otherDir, 'Packages'), 'Package: qux\nVersion: 0.1.0\nArchitecture: amd64\n');
+    await fs.utimes(path.join(otherDir, 'Packages'), new Date('2020-01-01'), new Date('2020-01-01'));
+
+    const removed = await pruneAction({ output: outputDir, keepDays: 365 * 100 });
+    assert.deepEqual(removed, []);
+
+    await pruneAction({ output: outputDir, keepLast: 1 });
+
+    await fs.access(newDir);
+    await assert.rejects(fs.access(oldDir), { code: 'ENOENT' });
+    await fs.access(otherDir);
+
+    await pruneAction({ output: outputDir, keepDays: 1 });
+
+    await assert.rejects(fs.access(path.join(outputDir, 'pool', 'baz')), { code: 'ENOENT' });
+    await fs.access(path.join(outputDir, 'pool'));
+  } finally {
+    await fs.rm(outputDir, { recursive: true, force: true });
+  }
+});
+
+test('pruneAction requires a retention policy', async () => {
+  await assert.rejects(pruneAction({ output: tmpdir() }), /No retention policy given/);
+});
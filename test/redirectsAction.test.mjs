@@ -0,0 +1,193 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { redirectsAction, collectRedirectRules, REDIRECT_FORMATS } from '../src/redirectsAction.mjs';
+import { releasePoolPath } from '../src/repository.mjs';
+import fs from 'fs/promises';
+import path from 'path';
+import { tmpdir } from 'os';
+
+/**
+ * Writes a pool with two releases of foo/bar and one of baz/qux
+ */
+async function writePool(outputDir) {
+  const releases = [
+    ['foo', 'bar', 'v1.0.0', 'bar_1.0.0_amd64.deb'],
+    ['foo', 'bar', 'v1.1.0', 'bar_1.1.0+git1_amd64.deb'],
+    ['baz', 'qux', 'v2.0.0', 'qux_2.0.0_arm64.deb'],
+  ];
+  for (const [owner, repo, tag, filename] of releases) {
+    const debDir = path.join(outputDir, 'pool', owner, repo, tag);
+    await fs.mkdir(debDir, { recursive: true });
+    await fs.writeFile(path.join(debDir, 'Packages'), `Package: ${repo}\nArchitecture: amd64\nFilename: ./pool/${owner}/${repo}/${tag}/${filename}\n`);
+    await fs.writeFile(path.join(debDir, 'release.json'), JSON.stringify({ owner, repo, tag, channel: 'stable' }));
+  }
+}
+
+test('collectRedirectRules writes one prefix rule per repository, or one rule per file', async () => {
+  const outputDir = path.join(tmpdir(), 'test-redirects-rules-' + Date.now());
+
+  try {
+    await writePool(outputDir);
+
+    assert.deepEqual(await collectRedirectRules(outputDir), [
+      { source: '/pool/baz/qux/', destination: 'https://github.com/baz/qux/releases/download/', prefix: true },
+      { source: '/pool/foo/bar/', destination: 'https://github.com/foo/bar/releases/download/', prefix: true },
+    ]);
+
+    const perFile = await collectRedirectRules(outputDir, { perFile: true });
+    assert.deepEqual(perFile.map((rule) => rule.source), [
+      '/pool/baz/qux/v2.0.0/qux_2.0.0_arm64.deb',
+      '/pool/foo/bar/v1.0.0/bar_1.0.0_amd64.deb',
+      '/pool/foo/bar/v1.1.0/bar_1.1.0+git1_amd64.deb',
+    ]);
+    assert.equal(perFile[2].destination, 'https://github.com/foo/bar/releases/download/v1.1.0/bar_1.1.0%2Bgit1_amd64.deb');
+    assert(perFile.every((rule) => !rule.prefix));
+  } finally {
+    await fs.rm(outputDir, { recursive: true, force: true });
+  }
+});
+
+test('collectRedirectRules sends releases from GitHub Enterprise Server to their own host', async () => {
+  const outputDir = path.join(tmpdir(), 'test-redirects-enterprise-' + Date.now());
+
+  try {
+    const debDir = path.join(outputDir, 'pool', 'github.example.com', 'team', 'tool', 'v3.0.0');
+    await fs.mkdir(debDir, { recursive: true });
+    await fs.writeFile(path.join(debDir, 'Packages'), 'Package: tool\nArchitecture: amd64\nFilename: ./pool/github.example.com/team/tool/v3.0.0/tool_3.0.0_amd64.deb\n');
+    await fs.writeFile(path.join(debDir, 'release.json'), JSON.stringify({
+      owner: 'team', repo: 'tool', tag: 'v3.0.0', channel: 'stable',
+      serverUrl: 'https://github.example.com', apiUrl: 'https://github.example.com/api/v3',
+    }));
+
+    assert.deepEqual(await collectRedirectRules(outputDir), [
+      { source: '/pool/github.example.com/team/tool/', destination: 'https://github.example.com/team/tool/releases/download/', prefix: true },
+    ]);
+  } finally {
+    await fs.rm(outputDir, { recursive: true, force: true });
+  }
+});
+
+test('collectRedirectRules follows the download addresses of Codeberg and GitLab releases', async () => {
+  const outputDir = path.join(tmpdir(), 'test-redirects-providers-' + Date.now());
+  const releases = [
+    ['forge', 'tool', 'v1.0.0', { provider: 'forgejo', serverUrl: 'https://codeberg.org' }],
+    ['forge', 'tool', 'v1.0.0', {}],
+    ['group', 'app', 'v2.0.0', { provider: 'gitlab', serverUrl: 'https://gitlab.com' }],
+    ['group', 'app', 'v2.1.0', { provider: 'gitlab', serverUrl: 'https://gitlab.com' }],
+  ];
+
+  try {
+    for (const [owner, repo, tag, source] of releases) {
+      const poolPath = releasePoolPath(owner, repo, tag, source.serverUrl);
+      const debDir = path.join(outputDir, poolPath);
+      await fs.mkdir(debDir, { recursive: true });
+      await fs.writeFile(path.join(debDir, 'Packages'), `Package: ${repo}\nArchitecture: amd64\nFilename: ./${poolPath}/${repo}_amd64.deb\n`);
+      await fs.writeFile(path.join(debDir, 'release.json'), JSON.stringify({ owner, repo, tag, channel: 'stable', ...source }));
+    }
+
+    assert.deepEqual(await collectRedirectRules(outputDir), [
+      { source: '/pool/codeberg.org/forge/tool/', destination: 'https://codeberg.org/forge/tool/releases/download/', prefix: true },
+      { source: '/pool/forge/tool/', destination: 'https://github.com/forge/tool/releases/download/', prefix: true },
+      { source: '/pool/gitlab.com/group/app/v2.0.0/', destination: 'https://gitlab.com/group/app/-/releases/v2.0.0/downloads/', prefix: true },
+      { source: '/pool/gitlab.com/group/app/v2.1.0/', destination: 'https://gitlab.com/group/app/-/releases/v2.1.0/downloads/', prefix: true },
+    ]);
+
+    const perFile = await collectRedirectRules(outputDir, { perFile: true });
+    assert.deepEqual(perFile.map((rule) => rule.destination), [
+      'https://codeberg.org/forge/tool/releases/download/v1.0.0/tool_amd64.deb',
+      'https://github.com/forge/tool/releases/download/v1.0.0/tool_amd64.deb',
+      'https://gitlab.com/group/app/-/releases/v2.0.0/downloads/app_amd64.deb',
+      'https://gitlab.com/group/app/-/releases/v2.1.0/downloads/app_amd64.deb',
+    ]);
+  } finally {
+    await fs.rm(outputDir, { recursive: true, force: true });
+  }
+});
+
+test('REDIRECT_FORMATS render prefix rules for every host', () => {
+  const rules = [{ source: '/pool/foo/bar/', destination: 'https://github.com/foo/bar/releases/download/', prefix: true }];
+  const render = (format) => REDIRECT_FORMATS[format].render(rules, '');
+
+  assert.match(render('cloudflare'), /^\/pool\/foo\/bar\/\* https:\/\/github\.com\/foo\/bar\/releases\/download\/:splat 302$/m);
+  assert.equal(render('netlify'), render('cloudflare'));
+  assert.match(render('nginx'), /location \^~ \/pool\/foo\/bar\/ \{\n  rewrite \^\/pool\/foo\/bar\/\(\.\*\)\$ https:\/\/github\.com\/foo\/bar\/releases\/download\/\$1 redirect;\n\}/);
+  assert.match(render('apache'), /^RewriteEngine On\nRewriteRule \^pool\/foo\/bar\/\(\.\*\)\$ https:\/\/github\.com\/foo\/bar\/releases\/download\/\$1 \[R=302,NE,L\]$/m);
+  assert.match(render('caddy'), /@pool0 path_regexp pool0 \^\/pool\/foo\/bar\/\(\.\*\)\$\nredir @pool0 https:\/\/github\.com\/foo\/bar\/releases\/download\/\{re\.pool0\.1\} 302/);
+
+  assert.deepEqual(JSON.parse(render('vercel')).redirects, [
+    { source: '/pool/foo/bar/:path*', destination: 'https://github.com/foo/bar/releases/download/:path*', permanent: false },
+  ]);
+  assert.deepEqual(JSON.parse(render('firebase')).hosting.redirects, [
+    { source: '/pool/foo/bar/:path*', destination: 'https://github.com/foo/bar/releases/download/:path', type: 302 },
+  ]);
+  assert.deepEqual(JSON.parse(render('s3')).RoutingRules, [{
+    Condition: { KeyPrefixEquals: 'pool/foo/bar/' },
+    Redirect: { Protocol: 'https', HostName: 'github.com', ReplaceKeyPrefixWith: 'foo/bar/releases/download/', HttpRedirectCode: '302' },
+  }]);
+});
+
+test('REDIRECT_FORMATS render per-file rules as exact matches', () => {
+  const rules = [{
+    source: '/pool/foo/bar/v1.1.0/bar_1.1.0+git1_amd64.deb',
+    destination: 'https://github.com/foo/bar/releases/download/v1.1.0/bar_1.1.0%2Bgit1_amd64.deb',
+    prefix: false,
+  }];
+  const render = (format) => REDIRECT_FORMATS[format].render(rules, '');
+
+  assert(render('cloudflare').includes(`${rules[0].source} ${rules[0].destination} 302\n`));
+  assert(render('nginx').includes(`location = ${rules[0].source} {\n  return 302 ${rules[0].destination};\n}\n`));
+  assert(render('apache').includes('RewriteRule ^pool/foo/bar/v1\\.1\\.0/bar_1\\.1\\.0\\+git1_amd64\\.deb$ '));
+  assert(render('caddy').includes(`redir ${rules[0].source} ${rules[0].destination} 302\n`));
+  assert.equal(JSON.parse(render('vercel')).redirects[0].source, '/pool/foo/bar/v1.1.0/bar_1.1.0\\+git1_amd64.deb');
+  assert.equal(JSON.parse(render('s3')).RoutingRules[0].Redirect.ReplaceKeyWith, 'foo/bar/releases/download/v1.1.0/bar_1.1.0%2Bgit1_amd64.deb');
+});
+
+test('redirectsAction replaces its own rules and keeps the rest of the file', async () => {
+  const outputDir = path.join(tmpdir(), 'test-redirects-merge-' + Date.now());
+
+  try {
+    await writePool(outputDir);
+    const redirectsPath = path.join(outputDir, '_redirects');
+    await fs.writeFile(redirectsPath, '/old-docs /docs 301\n');
+
+    await redirectsAction('cloudflare', { output: outputDir });
+    await fs.rm(path.join(outputDir, 'pool', 'baz'), { recursive: true });
+    await redirectsAction('cloudflare', { output: outputDir });
+
+    assert.equal(await fs.readFile(redirectsPath, 'utf-8'), [
+      '/old-docs /docs 301',
+      '# BEGIN gh-release-apt redirects',
+      '/pool/foo/bar/* https://github.com/foo/bar/releases/download/:splat 302',
+      '# END gh-release-apt redirects',
+      '',
+    ].join('\n'));
+
+    const vercelPath = path.join(outputDir, 'vercel.json');
+    await fs.writeFile(vercelPath, JSON.stringify({
+      cleanUrls: true,
+      redirects: [
+        { source: '/old-docs', destination: '/docs' },
+        { source: '/pool/gone/repo/:path*', destination: 'https://github.com/gone/repo/releases/download/:path*' },
+      ],
+    }));
+
+    await redirectsAction('vercel', { output: outputDir });
+
+    const vercel = JSON.parse(await fs.readFile(vercelPath, 'utf-8'));
+    assert.equal(vercel.cleanUrls, true);
+    assert.deepEqual(vercel.redirects.map((redirect) => redirect.source), ['/old-docs', '/pool/foo/bar/:path*']);
+  } finally {
+    await fs.rm(outputDir, { recursive: true, force: true });
+  }
+});
+
+test('redirectsAction fails when the pool is empty', async () => {
+  const outputDir = path.join(tmpdir(), 'test-redirects-empty-' + Date.now());
+
+  try {
+    await fs.mkdir(path.join(outputDir, 'pool'), { recursive: true });
+    await assert.rejects(redirectsAction('nginx', { output: outputDir }), /No releases found/);
+  } finally {
+    await fs.rm(outputDir, { recursive: true, force: true });
+  }
+});
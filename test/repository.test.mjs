@@ -1,6 +1,7 @@
 import { test } from 'node:test';
 import assert from 'node:assert/strict';
-import { organizeDebFiles } from '../src/repository.mjs';
+import { releasePoolPath, organizeDebFiles, writeReleaseMetadata, readReleaseMetadata, filterPackagesEntries, writeContentsFragments, parseContentsFragment, extractEntryFields, readRecordedPackages } from '../src/repository.mjs';
+import { getField } from '../src/deb822.mjs';
 import fs from 'fs/promises';
 import path from 'path';
 import { tmpdir } from 'os';
@@ -60,3 +61,117 @@ test('organizeDebFiles handles empty array', async () => {
   }
 });
 
+test('releasePoolPath puts releases from other hosts under the host name', () => {
+  assert.equal(releasePoolPath('team', 'tool', 'v1.0'), 'pool/team/tool/v1.0');
+  assert.equal(releasePoolPath('team', 'tool', 'v1.0', 'https://github.com'), 'pool/team/tool/v1.0');
+  assert.equal(releasePoolPath('team', 'tool', 'v1.0', 'https://codeberg.org'), 'pool/codeberg.org/team/tool/v1.0');
+  assert.equal(releasePoolPath('team', 'tool', 'v1.0', 'https://git.example.com:8443'), 'pool/git.example.com:8443/team/tool/v1.0');
+});
+
+test('readReleaseMetadata round-trips what writeReleaseMetadata recorded', async () => {
+  const debDir = path.join(tmpdir(), 'test-metadata-' + Date.now());
+  await fs.mkdir(debDir, { recursive: true });
+
+  try {
+    await writeReleaseMetadata(debDir, { owner: 'foo', repo: 'bar', tag: 'v2.0.0-rc1', channel: 'prerelease' });
+    const metadata = await readReleaseMetadata(debDir);
+    assert.equal(metadata.tag, 'v2.0.0-rc1');
+    assert.equal(metadata.channel, 'prerelease');
+  } finally {
+    await fs.rm(debDir, { recursive: true, force: true });
+  }
+});
+
+test('readReleaseMetadata defaults to the stable channel when nothing was recorded', async () => {
+  const metadata = await readReleaseMetadata(path.join(tmpdir(), 'test-metadata-missing-' + Date.now()));
+  assert.equal(metadata.channel, 'stable');
+});
+
+test('filterPackagesEntries keeps only selected packages and architectures', () => {
+  const packagesContent = `Package: foo
+Architecture: amd64
+Filename: ./pool/o/r/v1/foo_1_amd64.deb
+
+Package: foo
+Architecture: arm64
+Filename: ./pool/o/r/v1/foo_1_arm64.deb
+
+Package: foo-tests
+Architecture: amd64
+Filename: ./pool/o/r/v1/foo-tests_1_amd64.deb
+`;
+
+  const { content, rejected } = filterPackagesEntries(packagesContent, {
+    packages: ['foo'],
+    architectures: ['amd64'],
+  });
+
+  assert.equal(content, 'Package: foo\nArchitecture: amd64\nFilename: ./pool/o/r/v1/foo_1_amd64.deb\n');
+  assert.deepEqual(rejected, [
+    { filename: 'foo_1_arm64.deb', reason: 'architecture arm64 not selected' },
+    { filename: 'foo-tests_1_amd64.deb', reason: 'package foo-tests not selected' },
+  ]);
+});
+
+test('writeContentsFragments round-trips through parseContentsFragment', async () => {
+  const debDir = path.join(tmpdir(), 'test-contents-' + Date.now());
+  await fs.mkdir(debDir, { recursive: true });
+
+  try {
+    await fs.writeFile(path.join(debDir, 'Contents-i386'), 'stale\n');
+
+    const contentsByArch = new Map([
+      ['amd64', [['usr/bin/foo', 'utils/foo'], ['usr/share/foo/with space.txt', 'utils/foo']]],
+    ]);
+    await writeContentsFragments(debDir, contentsByArch);
+
+    const files = await fs.readdir(debDir);
+    assert.deepEqual(files, ['Contents-amd64'], 'fragments for other architectures should be removed');
+
+    const parsed = parseContentsFragment(await fs.readFile(path.join(debDir, 'Contents-amd64'), 'utf-8'));
+    assert.deepEqual(parsed, contentsByArch.get('amd64'));
+  } finally {
+    await fs.rm(debDir, { recursive: true, force: true });
+  }
+});
+
+test('extractEntryFields returns the requested fields of every entry', () => {
+  const fields = extractEntryFields(`Package: foo
+Section: utils
+Architecture: amd64
+
+Package: bar
+Architecture: all
+`, ['Package', 'Section']);
+
+  assert.deepEqual(fields, [
+    { Package: 'foo', Section: 'utils' },
+    { Package: 'bar', Section: null },
+  ]);
+});
+
+test('readRecordedPackages pairs each Packages entry with its installed paths', async () => {
+  const debDir = path.join(tmpdir(), 'test-recorded-packages-' + Date.now());
+
+  try {
+    await fs.mkdir(debDir, { recursive: true });
+    assert.deepEqual(await readRecordedPackages(debDir), new Map());
+
+    await fs.writeFile(path.join(debDir, 'Packages'), [
+      'Package: foo\nVersion: 1.0\nArchitecture: amd64\nSection: utils\nFilename: ./pool/o/r/v1/foo_1.0_amd64.deb\n',
+      'Package: foo-data\nVersion: 1.0\nArchitecture: all\nFilename: ./pool/o/r/v1/foo-data_1.0_all.deb\n',
+    ].join('\n'));
+    await writeContentsFragments(debDir, new Map([
+      ['amd64', [['usr/bin/foo', 'utils/foo'], ['usr/bin/other', 'utils/other']]],
+      ['all', [['usr/share/foo/data file', 'foo-data']]],
+    ]));
+
+    const recorded = await readRecordedPackages(debDir);
+    assert.deepEqual([...recorded.keys()], ['foo_1.0_amd64.deb', 'foo-data_1.0_all.deb']);
+    assert.equal(getField(recorded.get('foo_1.0_amd64.deb').paragraph, 'Version'), '1.0');
+    assert.deepEqual(recorded.get('foo_1.0_amd64.deb').files, ['usr/bin/foo']);
+    assert.deepEqual(recorded.get('foo-data_1.0_all.deb').files, ['usr/share/foo/data file']);
+  } finally {
+    await fs.rm(debDir, { recursive: true, force: true });
+  }
+});
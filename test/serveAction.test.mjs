@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRepositoryServer } from '../src/serveAction.mjs';
+import fs from 'fs/promises';
+import path from 'path';
+import { tmpdir } from 'os';
+
+/**
+ * Writes a small repository with one release in the pool and one index
+ */
+async function writeRepository(outputDir) {
+  const debDir = path.join(outputDir, 'pool', 'foo', 'bar', 'v1.0.0');
+  const distPath = path.join(outputDir, 'dists', 'stable', 'main', 'binary-amd64');
+  await fs.mkdir(debDir, { recursive: true });
+  await fs.mkdir(distPath, { recursive: true });
+  await fs.writeFile(path.join(debDir, 'Packages'), 'Package: bar\nArchitecture: amd64\nFilename: pool/foo/bar/v1.0.0/bar_1.0.0_amd64.deb\n');
+  await fs.writeFile(path.join(debDir, 'bar_1.0.0_amd64.deb'), 'not really a deb');
+  await fs.writeFile(path.join(distPath, 'Packages'), 'Package: bar\n');
+}
+
+/**
+ * Runs a test against a listening repository server, closing it afterwards
+ */
+async function withServer(outputDir, options, fn) {
+  const server = await createRepositoryServer(outputDir, options);
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  try {
+    await fn(`http://127.0.0.1:${server.address().port}`);
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+}
+
+test('createRepositoryServer serves indices and redirects pool files to GitHub', async () => {
+  const outputDir = path.join(tmpdir(), 'test-serve-' + Date.now());
+
+  try {
+    await writeRepository(outputDir);
+
+    await withServer(outputDir, {}, async (baseUrl) => {
+      const index = await fetch(`${baseUrl}/dists/stable/main/binary-amd64/Packages`);
+      assert.equal(index.status, 200);
+      assert.equal(await index.text(), 'Package: bar\n');
+      assert.match(index.headers.get('content-type'), /^text\/plain/);
+
+      const notModified = await fetch(`${baseUrl}/dists/stable/main/binary-amd64/Packages`, {
+        headers: { 'If-Modified-Since': index.headers.get('last-modified') },
+      });
+      assert.equal(notModified.status, 304);
+
+      const deb = await fetch(`${baseUrl}/pool/foo/bar/v1.0.0/bar_1.0.0_amd64.deb`, { redirect: 'manual' });
+      assert.equal(deb.status, 302);
+      assert.equal(deb.headers.get('location'), 'https://github.com/foo/bar/releases/download/v1.0.0/bar_1.0.0_amd64.deb');
+
+      const unknown = await fetch(`${baseUrl}/pool/other/repo/v1/x.deb`, { redirect: 'manual' });
+      assert.equal(unknown.status, 404);
+
+      const missing = await fetch(`${baseUrl}/dists/stable/Release`);
+      assert.equal(missing.status, 404);
+
+      const post = await fetch(`${baseUrl}/dists/stable/main/binary-amd64/Packages`, { method: 'POST' });
+      assert.equal(post.status, 405);
+    });
+  } finally {
+    await fs.rm(outputDir, { recursive: true, force: true });
+  }
+});
+
+test('createRepositoryServer serves pool files from disk when offline', async () => {
+  const outputDir = path.join(tmpdir(), 'test-serve-offline-' + Date.now());
+
+  try {
+    await writeRepository(outputDir);
+
+    await withServer(outputDir, { offline: true }, async (baseUrl) => {
+      const deb = await fetch(`${baseUrl}/pool/foo/bar/v1.0.0/bar_1.0.0_amd64.deb`, { redirect: 'manual' });
+      assert.equal(deb.status, 200);
+      assert.equal(deb.headers.get('content-type'), 'application/vnd.debian.binary-package');
+      assert.equal(await deb.text(), 'not really a deb');
+
+      const missing = await fetch(`${baseUrl}/pool/foo/bar/v1.0.0/bar_1.0.1_amd64.deb`);
+      assert.equal(missing.status, 404);
+    });
+  } finally {
+    await fs.rm(outputDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,130 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { signReleaseFile, checkSigningConfigured, readCertificate } from '../src/signing.mjs';
+import { checkSignatures } from '../src/verifyAction.mjs';
+import { exec } from 'child_process';
+import { promisify } from 'util';
+import fs from 'fs/promises';
+import path from 'path';
+import { tmpdir } from 'os';
+
+const execAsync = promisify(exec);
+
+/**
+ * Runs a test with a fresh GnuPG home holding one signing key, a Release file to sign,
+ * and the key exported as secret.asc and public.asc
+ */
+async function withSigningKey(t, name, fn) {
+  try {
+    await execAsync('which gpg && which gpgv');
+  } catch {
+    t.skip('gpg or gpgv not available');
+    return;
+  }
+
+  const workDir = path.join(tmpdir(), `test-signing-${name}-` + Date.now());
+  const gnupgHome = path.join(workDir, 'gnupg');
+  const distPath = path.join(workDir, 'dists', 'stable');
+  const env = { ...process.env, GNUPGHOME: gnupgHome };
+  const gpg = (args) => execAsync(`gpg --batch --quiet --pinentry-mode loopback --passphrase '' ${args}`, { env });
+
+  try {
+    await fs.mkdir(gnupgHome, { recursive: true, mode: 0o700 });
+    await fs.mkdir(distPath, { recursive: true });
+    await gpg('--quick-gen-key "Test Repository <test@example.com>" ed25519 sign never');
+    await gpg(`--armor --output ${workDir}/secret.asc --export-secret-keys`);
+    await gpg(`--armor --output ${workDir}/public.asc --export`);
+    await fs.writeFile(path.join(distPath, 'Release'), 'Suite: stable\n');
+
+    await fn({ workDir, distPath, env });
+  } finally {
+    await execAsync('gpgconf --kill gpg-agent', { env }).catch(() => {});
+    await fs.rm(workDir, { recursive: true, force: true });
+  }
+}
+
+test('checkSigningConfigured names what each signer is missing', () => {
+  assert.throws(() => checkSigningConfigured({ env: {} }), /no key is configured\. Set SIGNING_KEY, pass --signing-key-file, or use --no-sign/);
+  assert.throws(() => checkSigningConfigured({ signer: 'gpg', env: {} }), /needs --signing-key-id/);
+  assert.throws(() => checkSigningConfigured({ signer: 'command', env: {} }), /needs --sign-command/);
+  assert.throws(() => checkSigningConfigured({ signer: 'command', signCommand: 'true', env: {} }), /needs --signing-public-key/);
+  assert.throws(() => checkSigningConfigured({ signer: 'ssh', env: {} }), /Unsupported signer ssh/);
+  assert.throws(
+    () => checkSigningConfigured({ signer: 'gpg', signingKeyId: 'ABCD', signingKeyFile: 'key.asc', env: {} }),
+    /--signing-key-id signs with a key from your keyring, so it cannot be combined with --signing-key-file/
+  );
+
+  checkSigningConfigured({ env: { SIGNING_KEY: 'key' } });
+  checkSigningConfigured({ signingKeyFile: 'key.asc', env: {} });
+  checkSigningConfigured({ signer: 'gpg', signingKeyId: 'ABCD', env: {} });
+  checkSigningConfigured({ signer: 'command', signCommand: 'true', signingPublicKey: 'key.asc', env: {} });
+});
+
+test('signReleaseFile signs with gpg and a key from SIGNING_KEY', async (t) => {
+  await withSigningKey(t, 'gpg', async ({ workDir, distPath }) => {
+    const env = { SIGNING_KEY: await fs.readFile(path.join(workDir, 'secret.asc'), 'utf-8') };
+
+    const certificate = await signReleaseFile(distPath, { signer: 'gpg', env });
+
+    assert.deepEqual(await checkSignatures(distPath, path.join(workDir, 'public.asc')), [
+      { status: 'ok', message: 'Release.gpg: good signature' },
+      { status: 'ok', message: 'InRelease: good signature' },
+    ]);
+    assert.deepEqual(certificate, await readCertificate(path.join(workDir, 'public.asc')));
+    assert.match(certificate.armored, /^-----BEGIN PGP PUBLIC KEY BLOCK-----/);
+  });
+});
+
+test('readCertificate reads armored and binary certificates in both forms', async (t) => {
+  await withSigningKey(t, 'certificate', async ({ workDir }) => {
+    const armored = await readCertificate(path.join(workDir, 'public.asc'));
+    await fs.writeFile(path.join(workDir, 'public.pgp'), armored.binary);
+
+    assert.deepEqual(await readCertificate(path.join(workDir, 'public.pgp')), armored);
+    // The binary form is what gpgv reads as a keyring
+    await signReleaseFile(path.join(workDir, 'dists', 'stable'), { signer: 'gpg', signingKeyFile: path.join(workDir, 'secret.asc'), signingPublicKey: path.join(workDir, 'public.pgp') });
+
+    await fs.writeFile(path.join(workDir, 'not-a-key'), 'hello\n');
+    await assert.rejects(readCertificate(path.join(workDir, 'not-a-key')), /Could not read the public key .*not-a-key: /);
+  });
+});
+
+test('signReleaseFile signs with gpg and a key ID from the keyring, ignoring SIGNING_KEY', async (t) => {
+  await withSigningKey(t, 'gpg-id', async ({ workDir, distPath, env }) => {
+    const original = process.env.GNUPGHOME;
+    process.env.GNUPGHOME = env.GNUPGHOME;
+    try {
+      // The certificate is exported from the keyring too, so a stray SIGNING_KEY is never read
+      await signReleaseFile(distPath, { signer: 'gpg', signingKeyId: 'test@example.com', env: { SIGNING_KEY: 'not a key' } });
+    } finally {
+      if (original === undefined) {
+        delete process.env.GNUPGHOME;
+      } else {
+        process.env.GNUPGHOME = original;
+      }
+    }
+
+    const results = await checkSignatures(distPath, path.join(workDir, 'public.asc'));
+    assert.deepEqual(results.map(({ status }) => status), ['ok', 'ok']);
+  });
+});
+
+test('signReleaseFile runs an external signer command and checks what it writes', async (t) => {
+  await withSigningKey(t, 'command', async ({ workDir, distPath, env }) => {
+    const signCommand = `gpg --batch --quiet --armor --pinentry-mode loopback --passphrase '' --$( [ "$SIGN_MODE" = detach ] && echo detach-sign || echo clearsign)`;
+
+    await signReleaseFile(distPath, { signer: 'command', signCommand, signingPublicKey: path.join(workDir, 'public.asc'), env });
+
+    assert.match(await fs.readFile(path.join(distPath, 'Release.gpg'), 'utf-8'), /^-----BEGIN PGP SIGNATURE-----/);
+    assert.match(await fs.readFile(path.join(distPath, 'InRelease'), 'utf-8'), /^-----BEGIN PGP SIGNED MESSAGE-----/);
+
+    await assert.rejects(
+      signReleaseFile(distPath, { signer: 'command', signCommand: 'echo not a signature', signingPublicKey: path.join(workDir, 'public.asc'), env }),
+      /Signatures of .*Release do not verify: Release\.gpg: /
+    );
+    await assert.rejects(
+      signReleaseFile(distPath, { signer: 'command', signCommand: 'echo no key >&2; exit 2', signingPublicKey: path.join(workDir, 'public.asc'), env }),
+      /Could not sign .*Release with command: no key/
+    );
+  });
+});
@@ -0,0 +1,110 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { snapshotFiles, compareSnapshots, diffPackages, reportSummary, EXIT_CHANGED } from '../src/summary.mjs';
+import fs from 'fs/promises';
+import path from 'path';
+import { tmpdir } from 'os';
+
+test('compareSnapshots lists changed files, ignoring Release dates and signatures', async () => {
+  const outputDir = path.join(tmpdir(), 'test-summary-snapshot-' + Date.now());
+  const write = (name, content) => fs.writeFile(path.join(outputDir, name), content);
+
+  try {
+    await fs.mkdir(path.join(outputDir, 'dists', 'stable'), { recursive: true });
+    await fs.mkdir(path.join(outputDir, 'pool'), { recursive: true });
+    await write('dists/stable/Release', 'Suite: stable\nDate: Mon, 01 Jan 2024 00:00:00 UTC\n');
+    await write('dists/stable/InRelease', 'signed once');
+    await write('index.html', 'old');
+    await write('pool/Packages', 'left out');
+    const before = await snapshotFiles(outputDir, { excludeDirs: ['pool'] });
+    assert.deepEqual([...before.keys()].sort(), ['dists/stable/Release', 'index.html']);
+
+    await write('dists/stable/Release', 'Suite: stable\nDate: Tue, 02 Jan 2024 00:00:00 UTC\n');
+    await write('dists/stable/InRelease', 'signed again');
+    await write('index.html', 'new');
+    await write('robots.txt', '');
+    assert.deepEqual(compareSnapshots(before, await snapshotFiles(outputDir, { excludeDirs: ['pool'] })), {
+      written: ['index.html', 'robots.txt'],
+      removed: [],
+    });
+
+    await fs.rm(path.join(outputDir, 'index.html'));
+    await write('dists/stable/Release', 'Suite: stable\nLabel: Example\nDate: Tue, 02 Jan 2024 00:00:00 UTC\n');
+    assert.deepEqual(compareSnapshots(before, await snapshotFiles(outputDir, { excludeDirs: ['pool'] })), {
+      written: ['dists/stable/Release', 'robots.txt'],
+      removed: ['index.html'],
+    });
+  } finally {
+    await fs.rm(outputDir, { recursive: true, force: true });
+  }
+});
+
+test('diffPackages lists added and removed versions by architecture', () => {
+  const previous = 'Package: foo\nVersion: 1.0\nArchitecture: amd64\n\nPackage: foo\nVersion: 1.0\nArchitecture: arm64\n\nPackage: doc\nVersion: 1\nArchitecture: all\n';
+  const current = 'Package: foo\nVersion: 1.1\nArchitecture: amd64\n\nPackage: foo\nVersion: 1.0\nArchitecture: arm64\n\nPackage: doc\nVersion: 1\nArchitecture: all\n';
+
+  assert.deepEqual(diffPackages(previous, current), [{ architecture: 'amd64', added: ['foo 1.1'], removed: ['foo 1.0'] }]);
+  assert.deepEqual(diffPackages('', 'Package: doc\nVersion: 1\nArchitecture: all\n'), [{ architecture: 'all', added: ['doc 1'], removed: [] }]);
+  assert.deepEqual(diffPackages(current, current), []);
+});
+
+test('reportSummary writes the summary file and sets the exit code for changes', async () => {
+  const summaryFile = path.join(tmpdir(), 'test-summary-file-' + Date.now() + '.json');
+  const exitCode = process.exitCode;
+
+  try {
+    const summary = await reportSummary({ summaryFile, detailedExitcode: true }, async () => ({ changed: false, files: [] }));
+    assert.deepEqual(JSON.parse(await fs.readFile(summaryFile, 'utf-8')), summary);
+    assert.equal(process.exitCode, exitCode);
+
+    await reportSummary({ detailedExitcode: true }, async () => ({ changed: true }));
+    assert.equal(process.exitCode, EXIT_CHANGED);
+  } finally {
+    process.exitCode = exitCode;
+    await fs.rm(summaryFile, { force: true });
+  }
+});
+
+test('reportSummary gives the command a progress function writing to stderr with json', async () => {
+  const write = process.stdout.write;
+  const stdout = [];
+  let progress;
+
+  try {
+    process.stdout.write = (chunk) => stdout.push(String(chunk));
+    await reportSummary({ json: true }, async (log) => {
+      progress = log;
+      return { changed: true };
+    });
+  } finally {
+    process.stdout.write = write;
+  }
+
+  assert.equal(progress, console.error);
+  assert.deepEqual(JSON.parse(stdout.join('')), { changed: true });
+
+  await reportSummary({}, async (log) => {
+    progress = log;
+    return { changed: false };
+  });
+  assert.equal(progress, console.log);
+});
+
+test('reportSummary records a failed command in the summary file and rethrows', async () => {
+  const summaryFile = path.join(tmpdir(), 'test-summary-error-' + Date.now() + '.json');
+
+  try {
+    await assert.rejects(
+      reportSummary({ summaryFile }, async () => {
+        throw new Error('No matching releases found for foo/bar');
+      }),
+      { message: 'No matching releases found for foo/bar' }
+    );
+    assert.deepEqual(JSON.parse(await fs.readFile(summaryFile, 'utf-8')), {
+      changed: false,
+      error: 'No matching releases found for foo/bar',
+    });
+  } finally {
+    await fs.rm(summaryFile, { force: true });
+  }
+});
@@ -0,0 +1,254 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { verifyRepository, checkSignatures, checkPoolAssets } from '../src/verifyAction.mjs';
+import { assembleAction } from '../src/assembleAction.mjs';
+import { exec } from 'child_process';
+import { promisify } from 'util';
+import fs from 'fs/promises';
+import path from 'path';
+import { tmpdir } from 'os';
+import http from 'http';
+
+const execAsync = promisify(exec);
+
+const SHA256 = 'a'.repeat(64);
+
+/**
+ * Writes one release into the pool and assembles the repository
+ */
+async function buildRepository(outputDir) {
+  const debDir = path.join(outputDir, 'pool', 'foo', 'bar', 'v1.0.0');
+  await fs.mkdir(debDir, { recursive: true });
+  await fs.writeFile(path.join(debDir, 'Packages'), `Package: bar
+Version: 1.0.0
+Architecture: amd64
+Filename: pool/foo/bar/v1.0.0/bar_1.0.0_amd64.deb
+SHA256: ${SHA256}
+`);
+  await fs.writeFile(path.join(debDir, 'release.json'), JSON.stringify({ owner: 'foo', repo: 'bar', tag: 'v1.0.0', channel: 'stable' }));
+  await assembleAction({ output: outputDir, sign: false });
+}
+
+/**
+ * Collects the failed checks of a report
+ */
+function failures(sections) {
+  return sections.flatMap(({ results }) => results.filter(({ status }) => status === 'fail').map(({ message }) => message));
+}
+
+test('verifyRepository passes a freshly assembled repository', async () => {
+  const outputDir = path.join(tmpdir(), 'test-verify-' + Date.now());
+
+  try {
+    await buildRepository(outputDir);
+
+    const sections = await verifyRepository(outputDir);
+
+    assert.deepEqual(failures(sections), []);
+    assert.equal(sections[0].title, 'dists/stable');
+    assert(sections[0].results.some(({ status, message }) => status === 'skip' && /Signatures not checked/.test(message)));
+    assert(sections[0].results.some(({ message }) => message === 'main/binary-amd64/Packages: 1 package(s) match their pool fragments'));
+  } finally {
+    await fs.rm(outputDir, { recursive: true, force: true });
+  }
+});
+
+test('verifyRepository reports changed indices and entries missing from the pool', async () => {
+  const outputDir = path.join(tmpdir(), 'test-verify-broken-' + Date.now());
+
+  try {
+    await buildRepository(outputDir);
+    const packagesPath = path.join(outputDir, 'dists', 'stable', 'main', 'binary-amd64', 'Packages');
+    await fs.appendFile(packagesPath, '\nPackage: stray\nVersion: 2.0\nArchitecture: amd64\nFilename: pool/foo/bar/v2.0.0/stray_2.0_amd64.deb\n');
+    await fs.rm(path.join(outputDir, 'dists', 'stable', 'main', 'binary-amd64', 'Packages.gz'));
+
+    const problems = failures(await verifyRepository(outputDir));
+
+    assert.deepEqual(problems, [
+      'main/binary-amd64/Packages: size, SHA256 differ from Release',
+      'main/binary-amd64/Packages.gz: listed in Release but missing',
+      'main/binary-amd64/Packages: pool/foo/bar/v2.0.0/stray_2.0_amd64.deb is not listed in pool/foo/bar/v2.0.0: no Packages fragment',
+    ]);
+  } finally {
+    await fs.rm(outputDir, { recursive: true, force: true });
+  }
+});
+
+test('checkSignatures verifies Release.gpg and InRelease with gpgv', async (t) => {
+  try {
+    await execAsync('which gpg && which gpgv');
+  } catch {
+    t.skip('gpg or gpgv not available');
+    return;
+  }
+
+  const workDir = path.join(tmpdir(), 'test-verify-signatures-' + Date.now());
+  const gnupgHome = path.join(workDir, 'gnupg');
+  const distPath = path.join(workDir, 'dists', 'stable');
+  const gpg = (args) => execAsync(`gpg --batch --quiet --pinentry-mode loopback --passphrase '' ${args}`, { env: { ...process.env, GNUPGHOME: gnupgHome } });
+
+  try {
+    await fs.mkdir(gnupgHome, { recursive: true, mode: 0o700 });
+    await fs.mkdir(distPath, { recursive: true });
+    await gpg('--quick-gen-key "Test Repository <test@example.com>" ed25519 sign never');
+    await gpg(`--armor --output ${workDir}/key.asc --export`);
+    await fs.writeFile(path.join(distPath, 'Release'), 'Suite: stable\n');
+    await gpg(`--detach-sign --output ${distPath}/Release.gpg ${distPath}/Release`);
+    await gpg(`--clearsign --output ${distPath}/InRelease ${distPath}/Release`);
+
+    assert.deepEqual(await checkSignatures(distPath, path.join(workDir, 'key.asc')), [
+      { status: 'ok', message: 'Release.gpg: good signature' },
+      { status: 'ok', message: 'InRelease: good signature' },
+    ]);
+
+    await fs.writeFile(path.join(distPath, 'Release'), 'Suite: unstable\n');
+    const results = await checkSignatures(distPath, path.join(workDir, 'key.asc'));
+    assert.equal(results[0].status, 'fail');
+    assert.match(results[0].message, /^Release\.gpg: bad signature/);
+    assert.deepEqual(results[1], { status: 'fail', message: 'InRelease: signed content differs from Release' });
+  } finally {
+    await execAsync('gpgconf --kill gpg-agent', { env: { ...process.env, GNUPGHOME: gnupgHome } }).catch(() => {});
+    await fs.rm(workDir, { recursive: true, force: true });
+  }
+});
+
+test('checkPoolAssets compares GitHub asset digests with Packages', async () => {
+  const outputDir = path.join(tmpdir(), 'test-verify-assets-' + Date.now());
+  const entry = (filename, sha256) => [filename, new Map([['Filename', filename], ['SHA256', sha256]])];
+  const poolEntries = new Map([
+    entry('pool/foo/bar/v1.0.0/bar_1.0.0_amd64.deb', SHA256),
+    entry('pool/foo/bar/v1.0.0/bar_1.0.0_arm64.deb', SHA256),
+    entry('pool/foo/bar/v1.0.0/bar-doc_1.0.0_all.deb', SHA256),
+    entry('pool/foo/gone/v0.1.0/gone_0.1.0_amd64.deb', SHA256),
+  ]);
+  const requests = [];
+  const getRelease = async (owner, repo, tag) => {
+    requests.push(`${owner}/${repo}@${tag}`);
+    if (repo === 'gone') {
+      throw new Error(`No release found for tag ${tag} in ${owner}/${repo}`);
+    }
+    return {
+      tag_name: tag,
+      assets: [
+        { name: 'bar_1.0.0_amd64.deb', digest: `sha256:${SHA256}` },
+        { name: 'bar_1.0.0_arm64.deb', digest: `sha256:${'b'.repeat(64)}` },
+      ],
+    };
+  };
+
+  try {
+    await fs.mkdir(outputDir, { recursive: true });
+
+    const results = await checkPoolAssets(outputDir, poolEntries, undefined, getRelease);
+
+    assert.deepEqual(requests, ['foo/bar@v1.0.0', 'foo/gone@v0.1.0']);
+    assert.deepEqual(results, [
+      { status: 'fail', message: `pool/foo/bar/v1.0.0/bar_1.0.0_arm64.deb: asset SHA256 ${'b'.repeat(64)} differs from Packages` },
+      { status: 'fail', message: 'pool/foo/bar/v1.0.0/bar-doc_1.0.0_all.deb: no such asset in release v1.0.0' },
+      { status: 'fail', message: 'pool/foo/gone/v0.1.0/gone_0.1.0_amd64.deb: No release found for tag v0.1.0 in foo/gone' },
+      { status: 'ok', message: '1 asset(s) match the SHA256 recorded in Packages' },
+    ]);
+  } finally {
+    await fs.rm(outputDir, { recursive: true, force: true });
+  }
+});
+
+test('checkPoolAssets checks undigested assets with the token, retrying server errors', async () => {
+  const outputDir = path.join(tmpdir(), 'test-verify-head-' + Date.now());
+  const requests = [];
+  const server = http.createServer((request, response) => {
+    requests.push(`${request.method} ${request.url} ${request.headers.authorization}`);
+    if (request.url.endsWith('_arm64.deb')) {
+      response.writeHead(404).end();
+    } else {
+      // The first attempt fails, asking for an immediate retry
+      response.writeHead(requests.length === 1 ? 503 : 200, { 'Retry-After': '0' }).end();
+    }
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  const entry = (filename) => [filename, new Map([['Filename', filename], ['SHA256', SHA256]])];
+  const poolEntries = new Map([
+    entry('pool/foo/bar/v1.0.0/bar_1.0.0_amd64.deb'),
+    entry('pool/foo/bar/v1.0.0/bar_1.0.0_arm64.deb'),
+  ]);
+  const getRelease = async (owner, repo, tag) => ({
+    tag_name: tag,
+    assets: ['bar_1.0.0_amd64.deb', 'bar_1.0.0_arm64.deb'].map((name) => ({ name, browser_download_url: `${baseUrl}/${name}` })),
+  });
+
+  try {
+    await fs.mkdir(outputDir, { recursive: true });
+
+    const results = await checkPoolAssets(outputDir, poolEntries, 'secret', getRelease);
+
+    assert.deepEqual(requests, [
+      'HEAD /bar_1.0.0_amd64.deb token secret',
+      'HEAD /bar_1.0.0_amd64.deb token secret',
+      'HEAD /bar_1.0.0_arm64.deb token secret',
+    ]);
+    assert.deepEqual(results, [
+      { status: 'fail', message: `pool/foo/bar/v1.0.0/bar_1.0.0_arm64.deb: HEAD ${baseUrl}/bar_1.0.0_arm64.deb returned 404` },
+      { status: 'ok', message: '1 asset(s) exist, but their host has no digest to compare' },
+    ]);
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+    await fs.rm(outputDir, { recursive: true, force: true });
+  }
+});
+
+test('checkPoolAssets retries refused or HTML download links against the asset API URL', async () => {
+  const outputDir = path.join(tmpdir(), 'test-verify-head-api-' + Date.now());
+  const requests = [];
+  const server = http.createServer((request, response) => {
+    requests.push(`${request.method} ${request.url} ${request.headers.accept}`);
+    if (request.url === '/download/bar_1.0.0_amd64.deb') {
+      response.writeHead(404).end();
+    } else if (request.url === '/download/bar_1.0.0_arm64.deb') {
+      // A private repository's download link answers with a login page
+      response.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' }).end();
+    } else if (request.url === '/assets/1' && request.headers.accept === 'application/octet-stream') {
+      response.writeHead(302, { Location: '/signed' }).end();
+    } else {
+      response.writeHead(404).end();
+    }
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  const entry = (filename) => [filename, new Map([['Filename', filename], ['SHA256', SHA256]])];
+  const poolEntries = new Map([
+    entry('pool/foo/bar/v1.0.0/bar_1.0.0_amd64.deb'),
+    entry('pool/foo/bar/v1.0.0/bar_1.0.0_arm64.deb'),
+  ]);
+  const getRelease = async (owner, repo, tag) => ({
+    tag_name: tag,
+    assets: ['bar_1.0.0_amd64.deb', 'bar_1.0.0_arm64.deb'].map((name, index) => ({
+      name,
+      browser_download_url: `${baseUrl}/download/${name}`,
+      url: `${baseUrl}/assets/${index + 1}`,
+    })),
+  });
+
+  try {
+    await fs.mkdir(outputDir, { recursive: true });
+
+    const results = await checkPoolAssets(outputDir, poolEntries, 'secret', getRelease);
+
+    assert.deepEqual(requests, [
+      'HEAD /download/bar_1.0.0_amd64.deb */*',
+      'HEAD /assets/1 application/octet-stream',
+      'HEAD /download/bar_1.0.0_arm64.deb */*',
+      'HEAD /assets/2 application/octet-stream',
+    ]);
+    assert.deepEqual(results, [
+      { status: 'fail', message: `pool/foo/bar/v1.0.0/bar_1.0.0_arm64.deb: HEAD ${baseUrl}/assets/2 returned 404` },
+      { status: 'ok', message: '1 asset(s) exist, but their host has no digest to compare' },
+    ]);
+    assert.deepEqual(await checkPoolAssets(outputDir, new Map([poolEntries.entries().next().value]), undefined, getRelease), [
+      { status: 'fail', message: `pool/foo/bar/v1.0.0/bar_1.0.0_amd64.deb: HEAD ${baseUrl}/download/bar_1.0.0_amd64.deb returned 404` },
+    ]);
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+    await fs.rm(outputDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compareVersions, parseVersion } from '../src/version.mjs';
+
+test('parseVersion splits epoch, upstream version and revision', () => {
+  assert.deepEqual(parseVersion('1:2.3-4'), { epoch: 1, upstream: '2.3', revision: '4' });
+  assert.deepEqual(parseVersion('2.3-rc1-4'), { epoch: 0, upstream: '2.3-rc1', revision: '4' });
+  assert.deepEqual(parseVersion('2.3'), { epoch: 0, upstream: '2.3', revision: '' });
+
+  assert.throws(() => parseVersion(''), /empty/);
+  assert.throws(() => parseVersion('a:1.0'), /Epoch/);
+  assert.throws(() => parseVersion('1.0-'), /empty revision/);
+});
+
+test('compareVersions orders versions like dpkg', () => {
+  // Each version is older than the next
+  const ascending = [
+    '1.0~~', '1.0~~a', '1.0~', '1.0~rc1', '1.0~rc1-1', '1.0', '1.0-1~bpo1', '1.0-1', '1.0-1.1',
+    '1.0-a', '1.0a', '1.0+', '1.0+b1', '1.0.1', '1.9', '1.10', '2.0', '1:0.9',
+  ];
+  for (let i = 0; i < ascending.length - 1; i++) {
+    assert.equal(compareVersions(ascending[i], ascending[i + 1]), -1, `${ascending[i]} < ${ascending[i + 1]}`);
+    assert.equal(compareVersions(ascending[i + 1], ascending[i]), 1, `${ascending[i + 1]} > ${ascending[i]}`);
+  }
+});
+
+test('compareVersions treats equivalent spellings as equal', () => {
+  assert.equal(compareVersions('1.0', '1.00'), 0);
+  assert.equal(compareVersions('1.0', '01.0'), 0);
+  assert.equal(compareVersions('0:1.0', '1.0'), 0);
+  assert.equal(compareVersions('1.0', '1.0-0'), 0);
+});
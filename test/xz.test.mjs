@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createXzDecompress, xzDecompressSync } from '../src/xz.mjs';
+import { createReadStream } from 'fs';
+import fs from 'fs/promises';
+import crypto from 'crypto';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const fixturesDir = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'xz');
+
+// The text compressed in the lines-*.txt.xz fixtures
+function expectedLines() {
+  let text = '';
+  for (let i = 0; i < 5000; i++) {
+    text += `line ${i} ${i * i % 97}\n`;
+  }
+  return Buffer.from(text);
+}
+
+test('xzDecompressSync decodes each integrity check type', async () => {
+  for (const fixture of ['lines-crc32.txt.xz', 'lines-sha256.txt.xz']) {
+    const output = xzDecompressSync(await fs.readFile(path.join(fixturesDir, fixture)));
+    assert.deepEqual(output, expectedLines(), fixture);
+  }
+});
+
+test('xzDecompressSync decodes output larger than the dictionary', async () => {
+  // Compressed with a 4 KiB dictionary, so matches wrap around the window
+  const output = xzDecompressSync(await fs.readFile(path.join(fixturesDir, 'lines-small-dict.txt.xz')));
+  assert.deepEqual(output, expectedLines());
+});
+
+test('xzDecompressSync decodes concatenated streams', async () => {
+  const output = xzDecompressSync(await fs.readFile(path.join(fixturesDir, 'lines-concatenated.txt.xz')));
+  assert.deepEqual(output, expectedLines());
+});
+
+test('xzDecompressSync decodes uncompressed chunks', async () => {
+  const output = xzDecompressSync(await fs.readFile(path.join(fixturesDir, 'random.bin.xz')));
+  assert.equal(output.length, 300);
+  assert.equal(
+    crypto.createHash('sha256').update(output).digest('hex'),
+    '6811f36f50bbd43632396b10f4b65212da8d4bea2dc41ad18aded4c69752c14c'
+  );
+});
+
+test('createXzDecompress decodes input arriving in small pieces', async () => {
+  const chunks = [];
+  const stream = createReadStream(path.join(fixturesDir, 'lines-small-dict.txt.xz'), { highWaterMark: 7 })
+    .pipe(createXzDecompress());
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  assert.deepEqual(Buffer.concat(chunks), expectedLines());
+});
+
+test('xzDecompressSync rejects corrupt and truncated data', async () => {
+  const input = await fs.readFile(path.join(fixturesDir, 'lines-crc32.txt.xz'));
+
+  assert.throws(() => xzDecompressSync(Buffer.from('this is plain text, not xz data')), /Not xz data/);
+  assert.throws(() => xzDecompressSync(input.subarray(0, input.length - 20)), /Truncated xz data/);
+
+  const corrupt = Buffer.from(input);
+  corrupt[100] ^= 0xff;
+  assert.throws(() => xzDecompressSync(corrupt), /Corrupt xz data/);
+});
+
+test('xzDecompressSync refuses dictionaries larger than the memory limit', async () => {
+  // Compressed with a 96 MiB dictionary: a few bytes of input asking for that much memory
+  const input = await fs.readFile(path.join(fixturesDir, 'large-dict.txt.xz'));
+  assert(input.length < 100);
+  assert.throws(() => xzDecompressSync(input), { message: 'xz data needs a 96 MiB dictionary, more than the 64 MiB memory limit, so it was not read' });
+});